@@ -29,6 +29,96 @@ export const USER_DESIGNATIONS = {
   OTHER: 'other'
 };
 
+// Built-in permissions. Custom permissions can be added through /api/roles/permissions.
+export const PERMISSIONS = {
+  CREATE_USER: 'create_user',
+  UPDATE_USER: 'update_user',
+  DELETE_USER: 'delete_user',
+  VIEW_USER: 'view_user',
+  UPDATE_OWN_PROFILE: 'update_own_profile',
+  CREATE_TASK: 'create_task',
+  UPDATE_TASK: 'update_task',
+  DELETE_TASK: 'delete_task',
+  VIEW_TASK: 'view_task',
+  ASSIGN_TASK: 'assign_task',
+  VIEW_OWN_TASKS: 'view_own_tasks',
+  UPDATE_TASK_STATUS: 'update_task_status',
+  START_TASK: 'start_task',
+  COMPLETE_TASK: 'complete_task',
+  VIEW_REPORTS: 'view_reports',
+  MANAGE_ROLES: 'manage_roles',
+  SYSTEM_SETTINGS: 'system_settings',
+  VIEW_SALARY: 'view_salary',
+  VIEW_CONTACT_DETAILS: 'view_contact_details',
+  MANAGE_EMPLOYEE_DOCUMENTS: 'manage_employee_documents',
+  VIEW_ALL_EMPLOYEES: 'view_all_employees',
+  MANAGE_SESSIONS: 'manage_sessions',
+  MANAGE_API_TOKENS: 'manage_api_tokens',
+  IMPERSONATE_USERS: 'impersonate_users'
+};
+
+// Permissions seeded for the built-in roles (the original hard-coded matrix)
+export const DEFAULT_ROLE_PERMISSIONS = {
+  [USER_ROLES.ADMIN]: [
+    PERMISSIONS.CREATE_USER, PERMISSIONS.UPDATE_USER, PERMISSIONS.DELETE_USER, PERMISSIONS.VIEW_USER,
+    PERMISSIONS.CREATE_TASK, PERMISSIONS.UPDATE_TASK, PERMISSIONS.DELETE_TASK, PERMISSIONS.VIEW_TASK, PERMISSIONS.ASSIGN_TASK,
+    PERMISSIONS.VIEW_REPORTS, PERMISSIONS.MANAGE_ROLES, PERMISSIONS.SYSTEM_SETTINGS,
+    PERMISSIONS.VIEW_SALARY, PERMISSIONS.VIEW_CONTACT_DETAILS, PERMISSIONS.MANAGE_EMPLOYEE_DOCUMENTS,
+    PERMISSIONS.VIEW_ALL_EMPLOYEES, PERMISSIONS.MANAGE_SESSIONS, PERMISSIONS.MANAGE_API_TOKENS, PERMISSIONS.IMPERSONATE_USERS
+  ],
+  [USER_ROLES.PROJECT_MANAGER]: [
+    PERMISSIONS.VIEW_USER, PERMISSIONS.UPDATE_USER,
+    PERMISSIONS.CREATE_TASK, PERMISSIONS.UPDATE_TASK, PERMISSIONS.DELETE_TASK, PERMISSIONS.VIEW_TASK, PERMISSIONS.ASSIGN_TASK,
+    PERMISSIONS.VIEW_REPORTS, PERMISSIONS.VIEW_ALL_EMPLOYEES
+  ],
+  [USER_ROLES.EMPLOYEE]: [
+    PERMISSIONS.VIEW_USER, PERMISSIONS.UPDATE_OWN_PROFILE,
+    PERMISSIONS.VIEW_OWN_TASKS, PERMISSIONS.UPDATE_TASK_STATUS, PERMISSIONS.START_TASK, PERMISSIONS.COMPLETE_TASK
+  ]
+};
+
+// Employee fields hidden from other users unless they hold the matching
+// permission (grant them to an HR role). Admins and the employee always see them.
+export const SENSITIVE_EMPLOYEE_FIELDS = {
+  salary: PERMISSIONS.VIEW_SALARY,
+  phone: PERMISSIONS.VIEW_CONTACT_DETAILS,
+  address: PERMISSIONS.VIEW_CONTACT_DETAILS
+};
+
+export const EMPLOYEE_DOCUMENT_TYPES = {
+  CONTRACT: 'contract',
+  ID: 'id',
+  CERTIFICATE: 'certificate',
+  OTHER: 'other'
+};
+
+// Employee fields whose changes are kept as effective-dated history
+export const EMPLOYEE_HISTORY_FIELDS = ['salary', 'designation', 'department', 'role', 'manager'];
+
+export const EMPLOYEE_CHANGE_STATUS = {
+  SCHEDULED: 'scheduled',
+  APPLIED: 'applied',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+// Where a recorded change came from
+export const EMPLOYEE_CHANGE_SOURCES = {
+  UPDATE: 'update',
+  SCHEDULED: 'scheduled',
+  OFFBOARDING: 'offboarding',
+  SSO: 'sso'
+};
+
+// Proficiency scale for employee skills; a filter such as `react:3` means level 3 or above
+export const SKILL_LEVELS = {
+  BEGINNER: 1,
+  ELEMENTARY: 2,
+  INTERMEDIATE: 3,
+  ADVANCED: 4,
+  EXPERT: 5
+};
+
 export const TASK_STATUS = {
   PENDING: 'pending',
   IN_PROGRESS: 'in_progress',
@@ -51,6 +141,55 @@ export const NOTIFICATION_STATUS = {
   READ: 'read'
 };
 
+export const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired'
+};
+
+export const API_TOKEN_TYPES = {
+  PERSONAL: 'personal',
+  SERVICE: 'service'
+};
+
+// Scopes are `<resource>:<read|write>`; the resource is the API base path segment
+export const API_TOKEN_SCOPES = {
+  TASKS_READ: 'tasks:read',
+  TASKS_WRITE: 'tasks:write',
+  ATTENDANCE_READ: 'attendance:read',
+  ATTENDANCE_WRITE: 'attendance:write',
+  EMPLOYEES_READ: 'employees:read',
+  EMPLOYEES_WRITE: 'employees:write',
+  NOTIFICATIONS_READ: 'notifications:read',
+  NOTIFICATIONS_WRITE: 'notifications:write'
+};
+
+export const SECURITY_EVENT_TYPES = {
+  LOGIN_SUCCEEDED: 'login_succeeded',
+  LOGIN_FAILED: 'login_failed',
+  ACCOUNT_LOCKED: 'account_locked',
+  ACCOUNT_UNLOCKED: 'account_unlocked',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset',
+  PASSWORD_RESET_FORCED: 'password_reset_forced',
+  TOKEN_REFRESHED: 'token_refreshed',
+  ROLE_CHANGED: 'role_changed',
+  SSO_ACCOUNT_LINKED: 'sso_account_linked',
+  SSO_USER_PROVISIONED: 'sso_user_provisioned',
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'two_factor_disabled',
+  RECOVERY_CODE_USED: 'recovery_code_used',
+  RECOVERY_CODES_REGENERATED: 'recovery_codes_regenerated',
+  API_TOKEN_CREATED: 'api_token_created',
+  API_TOKEN_REVOKED: 'api_token_revoked',
+  IMPERSONATION_STARTED: 'impersonation_started',
+  IMPERSONATION_ENDED: 'impersonation_ended',
+  IMPERSONATED_REQUEST: 'impersonated_request',
+  EMPLOYEE_OFFBOARDED: 'employee_offboarded'
+};
+
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
@@ -61,6 +200,7 @@ export const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -70,11 +210,47 @@ export const ERROR_MESSAGES = {
   UNAUTHORIZED_ACCESS: 'Access denied. Authentication required',
   INVALID_TOKEN: 'Invalid or expired token',
   INSUFFICIENT_PERMISSIONS: 'Insufficient permissions to perform this action',
+  INVALID_RESET_TOKEN: 'Password reset token is invalid or has expired',
+  SESSION_INVALIDATED: 'Session is no longer valid. Please log in again',
+  EMAIL_NOT_VERIFIED: 'Email address has not been verified',
+  INVALID_VERIFICATION_TOKEN: 'Email verification token is invalid or has expired',
+  SESSION_NOT_FOUND: 'Session not found',
+  INVALID_TWO_FACTOR_CODE: 'Invalid two-factor authentication code',
+  INVALID_TWO_FACTOR_CHALLENGE: 'Two-factor challenge is invalid or has expired. Please log in again',
+  TWO_FACTOR_REQUIRED: 'Two-factor authentication is required for your role',
+  PASSWORD_POLICY_VIOLATION: 'Password does not meet the password policy',
+  PASSWORD_REUSED: 'New password must not match a recently used password',
+  PASSWORD_EXPIRED: 'Your password has expired and must be changed',
+  INSUFFICIENT_SCOPE: 'API token does not have the required scope',
+  API_TOKEN_NOT_FOUND: 'API token not found',
+  INVALID_INVITATION: 'Invitation is invalid or has expired',
+  INVITATION_NOT_FOUND: 'Invitation not found',
+  IMPERSONATION_FORBIDDEN: 'This action is not allowed while impersonating',
+  ROLE_NOT_FOUND: 'Role not found',
+  PERMISSION_NOT_FOUND: 'Permission not found',
+  SSO_NOT_CONFIGURED: 'Single sign-on is not configured',
+  SSO_LOGIN_FAILED: 'Single sign-on failed',
+  SSO_REQUIRED: 'Please sign in with single sign-on',
   
   // User errors
   USER_NOT_FOUND: 'User not found',
   USER_ALREADY_EXISTS: 'User with this email already exists',
   INVALID_USER_DATA: 'Invalid user data provided',
+
+  // Department errors
+  DEPARTMENT_NOT_FOUND: 'Department not found',
+  DEPARTMENT_ALREADY_EXISTS: 'A department with this name already exists',
+
+  // Skill errors
+  SKILL_NOT_FOUND: 'Skill not found',
+  SKILL_ALREADY_EXISTS: 'A skill with this name or alias already exists',
+
+  // Employee history errors
+  EMPLOYEE_CHANGE_NOT_FOUND: 'Scheduled change not found',
+
+  // Document errors
+  DOCUMENT_NOT_FOUND: 'Document not found',
+  FILE_NOT_FOUND: 'File not found',
   
   // Task errors
   TASK_NOT_FOUND: 'Task not found',
@@ -84,6 +260,7 @@ export const ERROR_MESSAGES = {
   
   // General errors
   VALIDATION_ERROR: 'Validation error',
+  INVALID_IMPORT_FILE: 'Invalid import file',
   SERVER_ERROR: 'Internal server error',
   NOT_FOUND: 'Resource not found',
   DATABASE_ERROR: 'Database operation failed'
@@ -93,8 +270,51 @@ export const SUCCESS_MESSAGES = {
   USER_CREATED: 'User created successfully',
   USER_UPDATED: 'User updated successfully',
   USER_DELETED: 'User deleted successfully',
+  EMPLOYEE_IMPORT_COMPLETED: 'Employee import completed',
+  EMPLOYEE_IMPORT_VALIDATED: 'Employee import checked; no changes were made',
+  EMPLOYEE_OFFBOARDED: 'Employee offboarded successfully',
+  OFFBOARDING_PREVIEW: 'Offboarding preview generated; no changes were made',
+  EMPLOYEE_CHANGE_SCHEDULED: 'Change scheduled successfully',
+  EMPLOYEE_CHANGE_CANCELLED: 'Scheduled change cancelled successfully',
   LOGIN_SUCCESS: 'Login successful',
   LOGOUT_SUCCESS: 'Logout successful',
+  PASSWORD_RESET_REQUESTED: 'If an account exists for this email, a password reset link has been sent',
+  PASSWORD_RESET_SUCCESS: 'Password has been reset successfully. Please log in with your new password',
+  EMAIL_VERIFIED: 'Email address verified successfully',
+  VERIFICATION_EMAIL_SENT: 'Verification email sent',
+  SETTINGS_UPDATED: 'Settings updated successfully',
+  SESSION_REVOKED: 'Session signed out successfully',
+  LOGOUT_ALL_SUCCESS: 'Signed out of all sessions',
+  TWO_FACTOR_CHALLENGE: 'Two-factor authentication required',
+  TWO_FACTOR_ENABLED: 'Two-factor authentication enabled',
+  TWO_FACTOR_DISABLED: 'Two-factor authentication disabled',
+  API_TOKEN_CREATED: 'API token created. Copy it now; it will not be shown again',
+  API_TOKEN_REVOKED: 'API token revoked successfully',
+  ACCOUNT_UNLOCKED: 'Account unlocked successfully',
+  PASSWORD_RESET_FORCED: 'User must set a new password at next login',
+  INVITATION_SENT: 'Invitation sent successfully',
+  INVITATION_REVOKED: 'Invitation revoked successfully',
+  ROLE_CREATED: 'Role created successfully',
+  ROLE_UPDATED: 'Role updated successfully',
+  ROLE_DELETED: 'Role deleted successfully',
+  PERMISSION_CREATED: 'Permission created successfully',
+  PERMISSION_UPDATED: 'Permission updated successfully',
+  PERMISSION_DELETED: 'Permission deleted successfully',
+  IMPERSONATION_STARTED: 'Impersonation started',
+  IMPERSONATION_ENDED: 'Impersonation ended',
+  DEPARTMENT_CREATED: 'Department created successfully',
+  DEPARTMENT_UPDATED: 'Department updated successfully',
+  DEPARTMENT_DELETED: 'Department deleted successfully',
+  DEPARTMENT_DEACTIVATED: 'Department deactivated successfully',
+  SKILL_CREATED: 'Skill created successfully',
+  SKILL_UPDATED: 'Skill updated successfully',
+  SKILL_DELETED: 'Skill deleted successfully',
+  SKILL_DEACTIVATED: 'Skill deactivated successfully',
+  AVATAR_UPDATED: 'Avatar updated successfully',
+  AVATAR_REMOVED: 'Avatar removed successfully',
+  DOCUMENT_UPLOADED: 'Document uploaded successfully',
+  DOCUMENT_UPDATED: 'Document updated successfully',
+  DOCUMENT_DELETED: 'Document deleted successfully',
   
   TASK_CREATED: 'Task created successfully',
   TASK_UPDATED: 'Task updated successfully',
@@ -107,7 +327,6 @@ export const SUCCESS_MESSAGES = {
 };
 
 export const VALIDATION_RULES = {
-  PASSWORD_MIN_LENGTH: 6,
   TASK_TITLE_MAX_LENGTH: 200,
   TASK_DESCRIPTION_MAX_LENGTH: 2000,
   NAME_MAX_LENGTH: 100,
@@ -134,16 +353,210 @@ export const RATE_LIMIT_CONFIG = {
   MESSAGE: 'Too many requests from this IP, please try again later'
 };
 
+export const PASSWORD_RESET_CONFIG = {
+  TOKEN_EXPIRES_MINUTES: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60,
+  WINDOW_MS: 60 * 60 * 1000, // 1 hour
+  MAX_REQUESTS_PER_EMAIL: parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS) || 3,
+  MESSAGE: 'Too many password reset requests for this email, please try again later'
+};
+
+export const EMAIL_VERIFICATION_CONFIG = {
+  TOKEN_EXPIRES_HOURS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24,
+  RESEND_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
+  MAX_RESENDS: 3
+};
+
+export const ACCOUNT_LOCK_CONFIG = {
+  MAX_LOGIN_ATTEMPTS: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+  LOCK_MINUTES: parseInt(process.env.ACCOUNT_LOCK_MINUTES) || 30
+};
+
+export const SECURITY_EVENT_CONFIG = {
+  RETENTION_DAYS: parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 365
+};
+
+// Bounds for the admin-configurable password policy (see Setting.passwordPolicy)
+export const PASSWORD_POLICY_LIMITS = {
+  MIN_LENGTH: 6,
+  MAX_LENGTH: 72, // bcrypt ignores anything past 72 bytes
+  MAX_HISTORY: 24,
+  MAX_AGE_DAYS: 3650
+};
+
+export const API_TOKEN_CONFIG = {
+  PREFIX: 'tms',
+  DEFAULT_EXPIRES_DAYS: 90,
+  MAX_EXPIRES_DAYS: 365,
+  MAX_ACTIVE_PER_USER: 20,
+  LAST_USED_INTERVAL_MS: 5 * 60 * 1000 // Only record lastUsedAt once per interval
+};
+
+export const INVITATION_CONFIG = {
+  EXPIRES_DAYS: parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7
+};
+
+export const TWO_FACTOR_CONFIG = {
+  ISSUER: process.env.TWO_FACTOR_ISSUER || 'Task Management System',
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  WINDOW: 1, // Accept codes from one step before/after to allow for clock drift
+  CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  RECOVERY_CODE_COUNT: 10
+};
+
+// OpenID Connect single sign-on, configured per deployment.
+// Group mappings are JSON objects keyed by IdP group, e.g. {"crm-admins":"admin"}.
+export const OIDC_CONFIG = {
+  ENABLED: process.env.OIDC_ENABLED === 'true',
+  ISSUER: process.env.OIDC_ISSUER || null,
+  CLIENT_ID: process.env.OIDC_CLIENT_ID || null,
+  CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET || null,
+  REDIRECT_URI: process.env.OIDC_REDIRECT_URI || null,
+  SCOPES: process.env.OIDC_SCOPES || 'openid profile email',
+  GROUPS_CLAIM: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  ROLE_MAPPING: process.env.OIDC_ROLE_MAPPING || '{}',
+  DESIGNATION_MAPPING: process.env.OIDC_DESIGNATION_MAPPING || '{}',
+  DEFAULT_DESIGNATION: process.env.OIDC_DEFAULT_DESIGNATION || USER_DESIGNATIONS.DEVELOPER,
+  AUTO_PROVISION: process.env.OIDC_AUTO_PROVISION !== 'false',
+  // Turns off password login for everyone except admins (kept as break-glass accounts)
+  ENFORCE_SSO: process.env.OIDC_ENFORCE_SSO === 'true',
+  STATE_EXPIRES_MINUTES: 10,
+  METADATA_CACHE_MINUTES: 60,
+  HTTP_TIMEOUT_MS: 10000
+};
+
+export const PERMISSION_CONFIG = {
+  // Role definitions are cached per process; changes made through the API clear
+  // the local cache immediately, other instances pick them up within this window
+  CACHE_TTL_MS: parseInt(process.env.PERMISSION_CACHE_TTL_MS) || 60 * 1000
+};
+
+export const ORG_CHART_CONFIG = {
+  // Deepest reporting level the org-chart and reports endpoints will return
+  MAX_DEPTH: 20
+};
+
+export const EMPLOYEE_ID_CONFIG = {
+  // Tokens: {YYYY} / {YY} hire year, {DES} designation, {DEPT} department, {SEQ:n} n-digit sequence
+  DEFAULT_FORMAT: '{YYYY}{DES}{SEQ:4}',
+  DEFAULT_RESET_YEARLY: true,
+  MAX_FORMAT_LENGTH: 40,
+  MAX_SEQUENCE_DIGITS: 10,
+  // Counter keys are `${COUNTER_PREFIX}:<scope>`
+  COUNTER_PREFIX: 'employeeId'
+};
+
+export const SKILL_MATCH_CONFIG = {
+  // Share of the suggestion score from matching the task's tags, matching its
+  // category, and having few open tasks
+  WEIGHTS: { TAGS: 0.6, CATEGORY: 0.15, WORKLOAD: 0.25 },
+  // Open task count at which the workload part of the score reaches zero
+  FULL_WORKLOAD_TASKS: 10,
+  // Years of experience beyond which a skill earns no further credit
+  MAX_EXPERIENCE_YEARS: 10,
+  DEFAULT_SUGGESTIONS: 10,
+  MAX_SUGGESTIONS: 50
+};
+
+export const EMPLOYEE_IMPORT_CONFIG = {
+  MAX_FILE_SIZE_BYTES: 1024 * 1024, // 1MB
+  MAX_ROWS: 1000
+};
+
+export const STORAGE_CONFIG = {
+  // Name of a driver registered in utils/storage.js
+  DRIVER: process.env.STORAGE_DRIVER || 'local',
+  // Local driver root; kept outside any statically served folder so downloads go through authorized routes
+  LOCAL_ROOT: process.env.STORAGE_LOCAL_ROOT || 'uploads'
+};
+
+export const AVATAR_CONFIG = {
+  MAX_FILE_SIZE_BYTES: 5 * 1024 * 1024, // 5MB
+  ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+  // The stored original is scaled down to fit this box
+  MAX_DIMENSION: 1024,
+  // Square thumbnails generated on upload, by name
+  THUMBNAIL_SIZES: { small: 64, medium: 256 }
+};
+
+export const EMPLOYEE_DOCUMENT_CONFIG = {
+  MAX_FILE_SIZE_BYTES: 10 * 1024 * 1024, // 10MB
+  ALLOWED_TYPES: [
+    'application/pdf',
+    'image/jpeg',
+    'image/png',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  ],
+  // Default window for the expiring documents list
+  EXPIRY_WARNING_DAYS: 30
+};
+
+export const EMPLOYEE_HISTORY_CONFIG = {
+  // How often each server checks for scheduled changes that have come due
+  APPLY_INTERVAL_MS: parseInt(process.env.EMPLOYEE_CHANGE_INTERVAL_MS) || 5 * 60 * 1000,
+  // Scheduled changes applied per check; the rest wait for the next one
+  APPLY_BATCH_SIZE: 100,
+  MAX_SCHEDULE_DAYS: 730
+};
+
+export const SEARCH_CONFIG = {
+  TYPES: ['users', 'tasks', 'all'],
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 50,
+  // Characters of context shown around a match
+  SNIPPET_LENGTH: 160,
+  // Snippets returned per result
+  MAX_SNIPPETS: 3
+};
+
+export const IMPERSONATION_CONFIG = {
+  DEFAULT_MINUTES: parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES) || 30,
+  MAX_MINUTES: 120
+};
+
 export default {
   USER_ROLES,
   USER_DESIGNATIONS,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  SENSITIVE_EMPLOYEE_FIELDS,
+  EMPLOYEE_DOCUMENT_TYPES,
+  EMPLOYEE_HISTORY_FIELDS,
+  EMPLOYEE_CHANGE_STATUS,
+  EMPLOYEE_CHANGE_SOURCES,
+  SKILL_LEVELS,
   TASK_STATUS,
   NOTIFICATION_TYPES,
   NOTIFICATION_STATUS,
+  INVITATION_STATUS,
+  API_TOKEN_TYPES,
+  API_TOKEN_SCOPES,
+  SECURITY_EVENT_TYPES,
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   VALIDATION_RULES,
   SOCKET_EVENTS,
-  RATE_LIMIT_CONFIG
+  RATE_LIMIT_CONFIG,
+  PASSWORD_RESET_CONFIG,
+  EMAIL_VERIFICATION_CONFIG,
+  ACCOUNT_LOCK_CONFIG,
+  SECURITY_EVENT_CONFIG,
+  PASSWORD_POLICY_LIMITS,
+  API_TOKEN_CONFIG,
+  INVITATION_CONFIG,
+  TWO_FACTOR_CONFIG,
+  OIDC_CONFIG,
+  PERMISSION_CONFIG,
+  ORG_CHART_CONFIG,
+  EMPLOYEE_ID_CONFIG,
+  SKILL_MATCH_CONFIG,
+  EMPLOYEE_IMPORT_CONFIG,
+  STORAGE_CONFIG,
+  AVATAR_CONFIG,
+  EMPLOYEE_DOCUMENT_CONFIG,
+  EMPLOYEE_HISTORY_CONFIG,
+  SEARCH_CONFIG,
+  IMPERSONATION_CONFIG
 };
@@ -0,0 +1,240 @@
+import ApiToken from '../models/ApiToken.js';
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { sanitizeInput } from '../utils/validation.js';
+import { hasPermission } from '../utils/permissions.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS,
+  API_TOKEN_TYPES,
+  API_TOKEN_SCOPES,
+  API_TOKEN_CONFIG,
+  SECURITY_EVENT_TYPES
+} from '../config/constants.js';
+
+/**
+ * API Token Controller
+ * Handles personal access tokens and admin-issued service keys
+ */
+class ApiTokenController {
+  /**
+   * Issue a token and send the one-time response
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} params - { type, userId }
+   */
+  static async issueToken(req, res, { type, userId }) {
+    const { name, scopes, expiresInDays = API_TOKEN_CONFIG.DEFAULT_EXPIRES_DAYS } = sanitizeInput(req.body);
+
+    const activeCount = await ApiToken.countActiveForUser(userId);
+    if (activeCount >= API_TOKEN_CONFIG.MAX_ACTIVE_PER_USER) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: ERROR_MESSAGES.VALIDATION_ERROR,
+        error: `A user can have at most ${API_TOKEN_CONFIG.MAX_ACTIVE_PER_USER} active API tokens`
+      });
+    }
+
+    const { apiToken, rawToken } = await ApiToken.issue({
+      name,
+      type,
+      userId,
+      createdBy: req.user._id,
+      scopes,
+      expiresInDays: parseInt(expiresInDays)
+    });
+
+    await SecurityEvent.record({
+      type: SECURITY_EVENT_TYPES.API_TOKEN_CREATED,
+      user: userId,
+      actor: req.user._id,
+      req,
+      metadata: { tokenId: apiToken._id, tokenType: type, scopes: apiToken.scopes }
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: SUCCESS_MESSAGES.API_TOKEN_CREATED,
+      data: {
+        apiToken,
+        token: rawToken
+      }
+    });
+  }
+
+  /**
+   * List the scopes that can be granted
+   * GET /api/tokens/scopes
+   */
+  static async getScopes(req, res) {
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Scopes retrieved successfully',
+      data: { scopes: Object.values(API_TOKEN_SCOPES) }
+    });
+  }
+
+  /**
+   * List API tokens owned by the current user
+   * GET /api/tokens
+   */
+  static async getTokens(req, res) {
+    try {
+      let userId = req.user._id;
+
+      // Token managers may inspect another user's tokens
+      if (req.query.userId && req.query.userId !== userId.toString()) {
+        if (!(await hasPermission(req.user, PERMISSIONS.MANAGE_API_TOKENS))) {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+            error: 'You don\'t have permission to view other users\' tokens'
+          });
+        }
+        userId = req.query.userId;
+      }
+
+      const apiTokens = await ApiToken.find({ user: userId })
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'API tokens retrieved successfully',
+        data: { apiTokens }
+      });
+    } catch (error) {
+      console.error('Get API tokens error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve API tokens'
+      });
+    }
+  }
+
+  /**
+   * Create a personal access token for the current user
+   * POST /api/tokens
+   */
+  static async createPersonalToken(req, res) {
+    try {
+      await ApiTokenController.issueToken(req, res, {
+        type: API_TOKEN_TYPES.PERSONAL,
+        userId: req.user._id
+      });
+    } catch (error) {
+      console.error('Create API token error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to create API token'
+      });
+    }
+  }
+
+  /**
+   * List all service keys
+   * GET /api/tokens/service
+   */
+  static async getServiceKeys(req, res) {
+    try {
+      const apiTokens = await ApiToken.find({ type: API_TOKEN_TYPES.SERVICE })
+        .populate('user', 'firstName lastName email employeeId')
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Service keys retrieved successfully',
+        data: { apiTokens }
+      });
+    } catch (error) {
+      console.error('Get service keys error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve service keys'
+      });
+    }
+  }
+
+  /**
+   * Create a service key that acts as the given account (typically a bot user)
+   * POST /api/tokens/service
+   */
+  static async createServiceKey(req, res) {
+    try {
+      const { userId } = req.body;
+
+      const owner = await User.findById(userId);
+      if (!owner || !owner.isActive) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Service keys must belong to an active user'
+        });
+      }
+
+      await ApiTokenController.issueToken(req, res, {
+        type: API_TOKEN_TYPES.SERVICE,
+        userId: owner._id
+      });
+    } catch (error) {
+      console.error('Create service key error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to create service key'
+      });
+    }
+  }
+
+  /**
+   * Revoke an API token
+   * DELETE /api/tokens/:id
+   */
+  static async revokeToken(req, res) {
+    try {
+      const apiToken = await ApiToken.findOne({ _id: req.params.id, revokedAt: null });
+
+      const isOwner = apiToken && apiToken.user.toString() === req.user._id.toString();
+      if (!apiToken || (!isOwner && !(await hasPermission(req.user, PERMISSIONS.MANAGE_API_TOKENS)))) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.API_TOKEN_NOT_FOUND,
+          error: 'API token not found'
+        });
+      }
+
+      apiToken.revokedAt = new Date();
+      apiToken.revokedBy = req.user._id;
+      await apiToken.save();
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.API_TOKEN_REVOKED,
+        user: apiToken.user,
+        actor: req.user._id,
+        req,
+        metadata: { tokenId: apiToken._id, tokenType: apiToken.type }
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.API_TOKEN_REVOKED,
+        data: { apiToken }
+      });
+    } catch (error) {
+      console.error('Revoke API token error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to revoke API token'
+      });
+    }
+  }
+}
+
+export default ApiTokenController;
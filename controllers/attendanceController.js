@@ -1,5 +1,6 @@
 import Attendance from '../models/Attendance.js';
 import { validatePagination, sanitizeInput } from '../utils/validation.js';
+import { canViewUser, getAttendanceVisibilityFilter } from '../utils/visibilityPolicy.js';
 import {
   HTTP_STATUS,
   ERROR_MESSAGES,
@@ -11,6 +12,19 @@ import {
  * Handles employee check-in, check-out, and attendance management
  */
 class AttendanceController {
+  /**
+   * Resolve whose attendance a request is about: the `employee` query
+   * parameter when the caller may see that employee, otherwise the caller
+   * @param {Object} req - Express request object
+   * @returns {Promise<string|null>} Employee ID, or null if not visible
+   */
+  static async resolveEmployee(req) {
+    const { employee } = req.query;
+    if (!employee) return req.user._id;
+
+    return (await canViewUser(req.user, employee)) ? employee : null;
+  }
+
   /**
    * Check-in employee
    * POST /api/attendance/check-in
@@ -183,6 +197,7 @@ class AttendanceController {
 
   /**
    * Get attendance history for employee
+   * Managers may pass ?employee=<id> for one of their reports.
    * GET /api/attendance/history
    */
   static async getAttendanceHistory(req, res) {
@@ -196,7 +211,16 @@ class AttendanceController {
 
       const { page: validPage, limit: validLimit, skip } = validatePagination(page, limit);
 
-      let filter = { employee: req.user._id };
+      const employee = await AttendanceController.resolveEmployee(req);
+      if (!employee) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'You can only view your own attendance and that of your reports'
+        });
+      }
+
+      let filter = { employee };
 
       if (startDate || endDate) {
         filter.date = {};
@@ -243,6 +267,7 @@ class AttendanceController {
 
   /**
    * Get attendance summary for date range
+   * Managers may pass ?employee=<id> for one of their reports.
    * GET /api/attendance/summary
    */
   static async getAttendanceSummary(req, res) {
@@ -257,8 +282,17 @@ class AttendanceController {
         });
       }
 
+      const employee = await AttendanceController.resolveEmployee(req);
+      if (!employee) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'You can only view your own attendance and that of your reports'
+        });
+      }
+
       const summary = await Attendance.getAttendanceSummary(
-        req.user._id,
+        employee,
         new Date(startDate),
         new Date(endDate)
       );
@@ -280,6 +314,7 @@ class AttendanceController {
 
   /**
    * Admin: Get all attendance records
+   * Managers only see their own reporting chain.
    * GET /api/attendance/admin/all
    */
   static async getAllAttendance(req, res) {
@@ -298,7 +333,19 @@ class AttendanceController {
 
       let filter = {};
 
-      if (employee) filter.employee = employee;
+      if (employee) {
+        if (!(await canViewUser(req.user, employee))) {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+            error: 'You can only view attendance for your reports'
+          });
+        }
+        filter.employee = employee;
+      } else {
+        filter = { ...(await getAttendanceVisibilityFilter(req.user)) };
+      }
+
       if (status) filter.status = status;
 
       if (date) {
@@ -356,6 +403,7 @@ class AttendanceController {
 
   /**
    * Admin: Get attendance summary for all employees
+   * Managers only see their own reporting chain.
    * GET /api/attendance/admin/summary
    */
   static async getAllAttendanceSummary(req, res) {
@@ -372,6 +420,7 @@ class AttendanceController {
 
       // Get all employees and their attendance summaries
       const attendanceRecords = await Attendance.find({
+        ...(await getAttendanceVisibilityFilter(req.user)),
         date: { $gte: new Date(startDate), $lte: new Date(endDate) }
       }).populate('employee', 'firstName lastName email employeeId designation');
 
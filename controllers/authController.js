@@ -1,12 +1,28 @@
 import User from '../models/User.js';
+import Setting from '../models/Setting.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import Session from '../models/Session.js';
+import Invitation from '../models/Invitation.js';
+import Skill from '../models/Skill.js';
 import jwtUtils from '../utils/jwt.js';
+import oidcClient from '../utils/oidc.js';
+import emailService from '../utils/emailService.js';
+import { sendVerificationEmail } from '../utils/emailVerification.js';
+import { getPasswordPolicy as loadPasswordPolicy, isPasswordExpired } from '../utils/passwordPolicy.js';
+import { hasPermission } from '../utils/permissions.js';
 import { validatePagination, sanitizeInput } from '../utils/validation.js';
 import { 
   HTTP_STATUS, 
   ERROR_MESSAGES, 
   SUCCESS_MESSAGES, 
   USER_ROLES,
-  USER_DESIGNATIONS 
+  USER_DESIGNATIONS,
+  PASSWORD_RESET_CONFIG,
+  TWO_FACTOR_CONFIG,
+  OIDC_CONFIG,
+  PERMISSIONS,
+  EMPLOYEE_HISTORY_FIELDS,
+  SECURITY_EVENT_TYPES
 } from '../config/constants.js';
 
 /**
@@ -15,29 +31,166 @@ import {
  */
 class AuthController {
   /**
-   * Register a new user
+   * Extract client details recorded alongside issued tokens
+   * @param {Object} req - Express request object
+   * @returns {Object} { ip, userAgent }
+   */
+  static getClientContext(req) {
+    return {
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null
+    };
+  }
+
+  /**
+   * Record a failed sign-in attempt and lock the account when the limit is reached
+   * The user is emailed when this attempt triggers the lock.
+   * @param {Object} req - Express request object
+   * @param {Object|null} user - User document, or null when the email is unknown
+   * @param {string} reason - Why the attempt failed
+   */
+  static async handleFailedLogin(req, user, reason) {
+    if (!user) {
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+        req,
+        metadata: { reason, email: req.body.email }
+      });
+      return;
+    }
+
+    const lockedNow = await user.incrementLoginAttempts();
+
+    await SecurityEvent.record({
+      type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+      user: user._id,
+      req,
+      metadata: { reason, attempts: user.loginAttempts }
+    });
+
+    if (!lockedNow) return;
+
+    await SecurityEvent.record({
+      type: SECURITY_EVENT_TYPES.ACCOUNT_LOCKED,
+      user: user._id,
+      req,
+      metadata: { attempts: user.loginAttempts, lockUntil: user.lockUntil }
+    });
+
+    try {
+      await emailService.sendAccountLockedEmail(user.email, user, user.lockUntil, req.ip);
+    } catch (emailError) {
+      console.error('Account locked email error:', emailError);
+    }
+  }
+
+  /**
+   * Check whether a user must replace their password before signing in
+   * @param {Object} user - User document
+   * @param {Object} passwordPolicy - Organization password policy
+   * @returns {boolean}
+   */
+  static isPasswordChangeRequired(user, passwordPolicy) {
+    return !!user.mustChangePassword || isPasswordExpired(user, passwordPolicy);
+  }
+
+  /**
+   * Build the 403 body for a login held back until the password is replaced
+   * @param {Object} user - User document
+   * @param {Object} passwordPolicy - Organization password policy
+   * @param {Object} data - Extra details, e.g. { resetEmailSent } or { resetToken, expiresInMinutes }
+   * @returns {Object}
+   */
+  static passwordChangeResponse(user, passwordPolicy, data) {
+    return {
+      success: false,
+      message: ERROR_MESSAGES.PASSWORD_EXPIRED,
+      error: user.mustChangePassword
+        ? 'An administrator requires you to set a new password'
+        : `Passwords must be changed every ${passwordPolicy.maxAgeDays} days`,
+      data: { passwordChangeRequired: true, ...data }
+    };
+  }
+
+  /**
+   * Email a password reset link to the account owner
+   * The token is cleared again if the email cannot be sent.
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  static async sendPasswordResetLink(user) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+
+    try {
+      await emailService.sendPasswordResetEmail(
+        user.email,
+        user,
+        resetUrl,
+        PASSWORD_RESET_CONFIG.TOKEN_EXPIRES_MINUTES
+      );
+      return true;
+    } catch (emailError) {
+      console.error('Password reset email error:', emailError);
+
+      // Don't leave a usable token behind if the user never received it
+      user.clearPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      return false;
+    }
+  }
+
+  /**
+   * Register a new user from an invitation
+   * Email, role, designation, department and manager come from the invitation;
+   * the invitee only supplies their own name, password and optional profile details.
    * POST /api/auth/register
    */
   static async register(req, res) {
+    let invitation = null;
+
     try {
       const sanitizedData = sanitizeInput(req.body);
       const {
+        inviteToken,
         firstName,
         lastName,
-        email,
         password,
-        role = USER_ROLES.EMPLOYEE,
-        designation,
         phone,
-        department,
-        salary,
-        skills = [],
-        manager
+        skills = []
       } = sanitizedData;
 
+      // Claim the invitation first so the same link cannot create two accounts
+      invitation = await Invitation.claim(inviteToken);
+      if (!invitation) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_INVITATION,
+          error: 'Invitation is invalid, already used, or has expired'
+        });
+      }
+
+      const invalidSkills = await Skill.findInvalidIds(skills.map(entry => entry.skill));
+      if (invalidSkills.length > 0) {
+        await Invitation.releaseClaim(invitation._id);
+        invitation = null;
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: `Unknown or inactive skill(s): ${invalidSkills.join(', ')}`
+        });
+      }
+
       // Check if user already exists
-      const existingUser = await User.findOne({ email });
+      const existingUser = await User.findOne({ email: invitation.email });
       if (existingUser) {
+        await Invitation.releaseClaim(invitation._id);
+        invitation = null;
+
         return res.status(HTTP_STATUS.CONFLICT).json({
           success: false,
           message: ERROR_MESSAGES.USER_ALREADY_EXISTS,
@@ -45,30 +198,45 @@ class AuthController {
         });
       }
 
-      // Allow anyone to create accounts during signup (no authentication required)
-      // Admin restrictions only apply to authenticated users creating accounts through employee management
-      // The role will be properly saved and used for permissions after login
-
-      // Create new user
-      const userData = {
+      const newUser = new User({
         firstName,
         lastName,
-        email,
+        email: invitation.email,
         password,
-        role,
-        designation,
+        role: invitation.role,
+        designation: invitation.designation,
+        department: invitation.department,
+        manager: invitation.manager,
         phone,
-        department,
-        salary,
-        skills,
-        manager
-      };
+        skills
+      });
 
-      const newUser = new User(userData);
+      // The invitation link was delivered to this address, which proves ownership
+      newUser.markEmailVerified();
       await newUser.save();
 
+      invitation.acceptedUser = newUser._id;
+      await invitation.save();
+      invitation = null;
+
+      // Roles that require 2FA must enroll before receiving tokens, just like at login
+      const settings = await Setting.getSettings();
+      if (settings.twoFactor.requiredRoles.includes(newUser.role)) {
+        return res.status(HTTP_STATUS.CREATED).json({
+          success: true,
+          message: ERROR_MESSAGES.TWO_FACTOR_REQUIRED,
+          data: {
+            user: newUser.toJSON(),
+            twoFactorRequired: true,
+            enrollmentRequired: true,
+            challengeToken: jwtUtils.generateTwoFactorChallenge(newUser, { purpose: 'enroll' }),
+            expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_EXPIRES_IN
+          }
+        });
+      }
+
       // Generate tokens
-      const tokenPair = jwtUtils.generateTokenPair(newUser);
+      const tokenPair = await jwtUtils.generateTokenPair(newUser, AuthController.getClientContext(req));
 
       // Remove sensitive data from response
       const userResponse = newUser.toJSON();
@@ -84,6 +252,11 @@ class AuthController {
     } catch (error) {
       console.error('Registration error:', error);
 
+      // Registration failed after claiming: make the invitation usable again
+      if (invitation) {
+        await Invitation.releaseClaim(invitation._id).catch(() => {});
+      }
+
       if (error.code === 11000) {
         // Duplicate key error
         const field = Object.keys(error.keyPattern)[0];
@@ -127,6 +300,7 @@ class AuthController {
       // Find user by email and include password
       const user = await User.findOne({ email }).select('+password');
       if (!user) {
+        await AuthController.handleFailedLogin(req, null, 'unknown_email');
         return res.status(HTTP_STATUS.UNAUTHORIZED).json({
           success: false,
           message: ERROR_MESSAGES.INVALID_CREDENTIALS,
@@ -145,6 +319,13 @@ class AuthController {
 
       // Check if account is locked
       if (user.isLocked) {
+        await SecurityEvent.record({
+          type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+          user: user._id,
+          req,
+          metadata: { reason: 'account_locked' }
+        });
+
         const lockTimeRemaining = Math.ceil((user.lockUntil - Date.now()) / (1000 * 60));
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
@@ -156,8 +337,7 @@ class AuthController {
       // Verify password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
-        // Increment login attempts
-        await user.incrementLoginAttempts();
+        await AuthController.handleFailedLogin(req, user, 'invalid_password');
 
         return res.status(HTTP_STATUS.UNAUTHORIZED).json({
           success: false,
@@ -166,11 +346,73 @@ class AuthController {
         });
       }
 
+      // With SSO enforced, passwords only remain for admin break-glass accounts
+      if (OIDC_CONFIG.ENFORCE_SSO && oidcClient.isConfigured() && user.role !== USER_ROLES.ADMIN) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.SSO_REQUIRED,
+          error: 'Password sign-in is disabled for this organization. Use single sign-on'
+        });
+      }
+
+      const settings = await Setting.getSettings();
+
+      // Block unverified accounts when the organization requires it.
+      // Admins are exempt so a misconfigured mail server cannot lock everyone out.
+      if (!user.isEmailVerified && user.role !== USER_ROLES.ADMIN && settings.emailVerification.requiredForLogin) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.EMAIL_NOT_VERIFIED,
+          error: 'Please verify your email address before logging in'
+        });
+      }
+
+      // With 2FA the password only earns a short-lived challenge; tokens are issued
+      // by /api/auth/2fa/verify (or /api/auth/2fa/enable when enrollment is required).
+      // A required password change is also only handled after the second factor.
+      const enrollmentRequired = !user.twoFactor?.enabled
+        && settings.twoFactor.requiredRoles.includes(user.role);
+
+      if (user.twoFactor?.enabled || enrollmentRequired) {
+        const challengeToken = jwtUtils.generateTwoFactorChallenge(user, {
+          purpose: enrollmentRequired ? 'enroll' : 'verify'
+        });
+
+        return res.status(HTTP_STATUS.OK).json({
+          success: true,
+          message: enrollmentRequired ? ERROR_MESSAGES.TWO_FACTOR_REQUIRED : SUCCESS_MESSAGES.TWO_FACTOR_CHALLENGE,
+          data: {
+            twoFactorRequired: true,
+            enrollmentRequired,
+            challengeToken,
+            expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_EXPIRES_IN
+          }
+        });
+      }
+
+      // Expired or admin-flagged passwords must be replaced before signing in.
+      // The password may be the very thing that leaked, so it never earns a
+      // reset token by itself: the link goes to the account's email address.
+      const passwordPolicy = settings.passwordPolicy;
+      if (AuthController.isPasswordChangeRequired(user, passwordPolicy)) {
+        const resetEmailSent = await AuthController.sendPasswordResetLink(user);
+
+        return res.status(HTTP_STATUS.FORBIDDEN).json(
+          AuthController.passwordChangeResponse(user, passwordPolicy, { resetEmailSent })
+        );
+      }
+
       // Update last login and clear login attempts
       await user.updateLastLogin();
 
       // Generate tokens
-      const tokenPair = jwtUtils.generateTokenPair(user);
+      const tokenPair = await jwtUtils.generateTokenPair(user, AuthController.getClientContext(req));
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+        user: user._id,
+        req
+      });
 
       // Remove sensitive data from response
       const userResponse = user.toJSON();
@@ -199,9 +441,33 @@ class AuthController {
    */
   static async logout(req, res) {
     try {
-      // Blacklist the current token
+      const revokeOptions = { reason: 'logout', revokedBy: req.user._id };
+
+      // Blacklist the current access token
       if (req.token) {
-        jwtUtils.blacklistToken(req.token);
+        await jwtUtils.blacklistToken(req.token, revokeOptions);
+      }
+
+      // End the refresh token family behind this login so it cannot mint new access tokens
+      const families = new Set();
+      if (req.tokenPayload?.family) {
+        families.add(req.tokenPayload.family);
+      }
+
+      const { refreshToken } = req.body || {};
+      if (refreshToken) {
+        try {
+          const decoded = jwtUtils.verifyRefreshToken(refreshToken);
+          if (decoded.userId === req.user._id.toString()) {
+            families.add(decoded.family);
+          }
+        } catch (error) {
+          // An invalid or expired refresh token is already unusable
+        }
+      }
+
+      for (const family of families) {
+        await jwtUtils.revokeTokenFamily(family, req.user._id, revokeOptions);
       }
 
       res.status(HTTP_STATUS.OK).json({
@@ -227,6 +493,8 @@ class AuthController {
     try {
       const user = await User.findById(req.user._id)
         .populate('manager', 'firstName lastName email designation')
+        .populate('department', 'name')
+        .populate('skills.skill', 'name category')
         .select('-password');
 
       if (!user) {
@@ -237,10 +505,22 @@ class AuthController {
         });
       }
 
+      const data = { user };
+
+      // Lets the client show who is really behind an impersonated session
+      if (req.impersonator) {
+        data.impersonatedBy = {
+          _id: req.impersonator._id,
+          firstName: req.impersonator.firstName,
+          lastName: req.impersonator.lastName,
+          email: req.impersonator.email
+        };
+      }
+
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: 'Profile retrieved successfully',
-        data: { user }
+        data
       });
     } catch (error) {
       console.error('Get profile error:', error);
@@ -264,20 +544,59 @@ class AuthController {
       // Remove fields that shouldn't be updated through this endpoint
       const {
         password,
-        role,
         employeeId,
         isActive,
         isEmailVerified,
         loginAttempts,
         lockUntil,
+        mustChangePassword,
+        passwordChangedAt,
+        twoFactor,
+        sso,
+        customRoles,
+        hireDate,
+        avatar,
+        avatarFiles,
         ...allowedUpdates
       } = sanitizedData;
 
+      // Fields with effective-dated history only change through the employee
+      // endpoints, which record the change
+      for (const field of EMPLOYEE_HISTORY_FIELDS) {
+        delete allowedUpdates[field];
+      }
+
+      // Newly listed skills must come from the active catalog; free-text
+      // skills from before the catalog are not carried over
+      if (Array.isArray(allowedUpdates.skills)) {
+        const currentSkills = new Set(req.user.skills
+          .filter(entry => entry.skill)
+          .map(entry => entry.skill.toString()));
+        const invalidSkills = await Skill.findInvalidIds(
+          allowedUpdates.skills.map(entry => entry.skill).filter(skill => !currentSkills.has(skill))
+        );
+        if (invalidSkills.length > 0) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: `Unknown or inactive skill(s): ${invalidSkills.join(', ')}`
+          });
+        }
+      }
+
+      // A new address has to be verified again
+      const isEmailChange = allowedUpdates.email && allowedUpdates.email.toLowerCase() !== req.user.email;
+      if (isEmailChange) {
+        allowedUpdates.isEmailVerified = false;
+        allowedUpdates.emailVerifiedAt = null;
+      }
+
       const updatedUser = await User.findByIdAndUpdate(
         userId,
         { ...allowedUpdates, updatedAt: new Date() },
         { new: true, runValidators: true }
-      ).select('-password');
+      ).select('-password')
+        .populate('skills.skill', 'name category');
 
       if (!updatedUser) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -287,6 +606,14 @@ class AuthController {
         });
       }
 
+      if (isEmailChange) {
+        try {
+          await sendVerificationEmail(updatedUser);
+        } catch (emailError) {
+          console.error('Verification email error:', emailError);
+        }
+      }
+
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: SUCCESS_MESSAGES.USER_UPDATED,
@@ -346,14 +673,42 @@ class AuthController {
         });
       }
 
-      // Update password
+      const passwordPolicy = await loadPasswordPolicy();
+      if (await user.isPasswordReused(newPassword, passwordPolicy.historyCount)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.PASSWORD_REUSED,
+          error: `New password must differ from your last ${passwordPolicy.historyCount} passwords`
+        });
+      }
+
+      // Update password (invalidates all previously issued tokens)
       user.password = newPassword;
       await user.save();
 
+      // Sign out every other session; the current one continues with a fresh pair
+      const currentFamily = req.tokenPayload?.family || null;
+      await jwtUtils.revokeOtherSessions(user._id, currentFamily, {
+        reason: 'password_changed',
+        revokedBy: user._id
+      });
+
+      const tokenPair = await jwtUtils.generateTokenPair(user, {
+        ...AuthController.getClientContext(req),
+        family: currentFamily || undefined
+      });
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.PASSWORD_CHANGED,
+        user: user._id,
+        actor: user._id,
+        req
+      });
+
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: 'Password changed successfully',
-        data: null
+        data: { tokens: tokenPair }
       });
     } catch (error) {
       console.error('Change password error:', error);
@@ -384,7 +739,7 @@ class AuthController {
       // Verify refresh token
       let decoded;
       try {
-        decoded = jwtUtils.verifyToken(refreshToken);
+        decoded = jwtUtils.verifyRefreshToken(refreshToken);
       } catch (error) {
         return res.status(HTTP_STATUS.UNAUTHORIZED).json({
           success: false,
@@ -393,12 +748,39 @@ class AuthController {
         });
       }
 
-      // Check if it's actually a refresh token
-      if (decoded.type !== 'refresh') {
+      if (await jwtUtils.isTokenBlacklisted(decoded)) {
         return res.status(HTTP_STATUS.UNAUTHORIZED).json({
           success: false,
           message: ERROR_MESSAGES.INVALID_TOKEN,
-          error: 'Invalid token type'
+          error: 'Refresh token has been revoked'
+        });
+      }
+
+      // Each refresh token is single-use
+      const { status } = await jwtUtils.consumeRefreshToken(decoded);
+
+      if (status === 'reused') {
+        // A spent token came back: assume it was stolen and end the whole login
+        await jwtUtils.revokeTokenFamily(decoded.family, decoded.userId, { reason: 'refresh_token_reuse' });
+        await SecurityEvent.record({
+          type: SECURITY_EVENT_TYPES.REFRESH_TOKEN_REUSE,
+          user: decoded.userId,
+          req,
+          metadata: { family: decoded.family, jti: decoded.jti }
+        });
+
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TOKEN,
+          error: 'Refresh token has already been used. Please log in again'
+        });
+      }
+
+      if (status !== 'valid') {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TOKEN,
+          error: 'Invalid or expired refresh token'
         });
       }
 
@@ -412,8 +794,28 @@ class AuthController {
         });
       }
 
-      // Generate new tokens
-      const tokenPair = jwtUtils.generateTokenPair(user);
+      // Refresh tokens issued before a password change/reset are no longer valid
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.SESSION_INVALIDATED,
+          error: 'Password was changed after this token was issued'
+        });
+      }
+
+      // Rotate: new pair in the same family
+      const tokenPair = await jwtUtils.generateTokenPair(user, {
+        ...AuthController.getClientContext(req),
+        family: decoded.family
+      });
+      await jwtUtils.markRefreshTokenReplaced(decoded.jti, tokenPair.refreshToken);
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.TOKEN_REFRESHED,
+        user: user._id,
+        req,
+        metadata: { family: decoded.family }
+      });
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
@@ -430,6 +832,311 @@ class AuthController {
     }
   }
 
+  /**
+   * Request a password reset email
+   * POST /api/auth/forgot-password
+   */
+  static async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      // Always respond the same way so the endpoint cannot be used to discover accounts
+      const genericResponse = {
+        success: true,
+        message: SUCCESS_MESSAGES.PASSWORD_RESET_REQUESTED,
+        data: null
+      };
+
+      const user = await User.findOne({ email });
+      if (!user || !user.isActive) {
+        return res.status(HTTP_STATUS.OK).json(genericResponse);
+      }
+
+      await AuthController.sendPasswordResetLink(user);
+
+      res.status(HTTP_STATUS.OK).json(genericResponse);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to process password reset request'
+      });
+    }
+  }
+
+  /**
+   * Reset password using a reset token
+   * POST /api/auth/reset-password
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { resetToken, newPassword } = req.body;
+
+      const user = await User.findByPasswordResetToken(resetToken);
+      if (!user || !user.isActive) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_RESET_TOKEN,
+          error: 'Invalid or expired reset token'
+        });
+      }
+
+      const passwordPolicy = await loadPasswordPolicy();
+      if (await user.isPasswordReused(newPassword, passwordPolicy.historyCount)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.PASSWORD_REUSED,
+          error: `New password must differ from your last ${passwordPolicy.historyCount} passwords`
+        });
+      }
+
+      // Captured before saving, since setting a password clears the flag
+      const wasForced = user.mustChangePassword;
+
+      // Setting the password updates passwordChangedAt, which invalidates
+      // every access and refresh token issued before now
+      user.password = newPassword;
+      user.clearPasswordResetToken();
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      // Close the session records so they no longer show up as signed in
+      await jwtUtils.revokeOtherSessions(user._id, null, {
+        reason: 'password_reset',
+        revokedBy: user._id
+      });
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.PASSWORD_RESET,
+        user: user._id,
+        actor: user._id,
+        req,
+        metadata: { forced: wasForced }
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.PASSWORD_RESET_SUCCESS,
+        data: null
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to reset password'
+      });
+    }
+  }
+
+  /**
+   * Verify email address using a verification token
+   * POST /api/auth/verify-email
+   */
+  static async verifyEmail(req, res) {
+    try {
+      const { verificationToken } = req.body;
+
+      const user = await User.findByEmailVerificationToken(verificationToken);
+      if (!user) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_VERIFICATION_TOKEN,
+          error: 'Invalid or expired verification token'
+        });
+      }
+
+      user.markEmailVerified();
+      await user.save({ validateBeforeSave: false });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.EMAIL_VERIFIED,
+        data: { user: user.toJSON() }
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to verify email address'
+      });
+    }
+  }
+
+  /**
+   * Resend email verification link to the current user
+   * POST /api/auth/resend-verification
+   */
+  static async resendVerification(req, res) {
+    try {
+      const user = await User.findById(req.user._id);
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'User not found'
+        });
+      }
+
+      if (user.isEmailVerified) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Email address is already verified'
+        });
+      }
+
+      await sendVerificationEmail(user);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.VERIFICATION_EMAIL_SENT,
+        data: null
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to send verification email'
+      });
+    }
+  }
+
+  /**
+   * Get the password requirements so clients can show them before submitting
+   * GET /api/auth/password-policy
+   */
+  static async getPasswordPolicy(req, res) {
+    try {
+      const passwordPolicy = await loadPasswordPolicy();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Password policy retrieved successfully',
+        data: { passwordPolicy }
+      });
+    } catch (error) {
+      console.error('Get password policy error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve password policy'
+      });
+    }
+  }
+
+  /**
+   * List active sessions
+   * GET /api/auth/sessions
+   */
+  static async getSessions(req, res) {
+    try {
+      let userId = req.user._id;
+
+      // Session managers may inspect another user's sessions
+      if (req.query.userId && req.query.userId !== userId.toString()) {
+        if (!(await hasPermission(req.user, PERMISSIONS.MANAGE_SESSIONS))) {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+            error: 'You don\'t have permission to view other users\' sessions'
+          });
+        }
+        userId = req.query.userId;
+      }
+
+      const currentFamily = req.tokenPayload?.family;
+      const sessions = await Session.findActiveForUser(userId);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Sessions retrieved successfully',
+        data: {
+          sessions: sessions.map(session => ({
+            ...session.toJSON(),
+            current: !!currentFamily && session.family === currentFamily
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve sessions'
+      });
+    }
+  }
+
+  /**
+   * Sign out a single session
+   * DELETE /api/auth/sessions/:id
+   */
+  static async revokeSession(req, res) {
+    try {
+      const session = await Session.findOne({ _id: req.params.id, revokedAt: null });
+
+      const isOwner = session && session.user.toString() === req.user._id.toString();
+      if (!session || (!isOwner && !(await hasPermission(req.user, PERMISSIONS.MANAGE_SESSIONS)))) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.SESSION_NOT_FOUND,
+          error: 'Session not found'
+        });
+      }
+
+      await jwtUtils.revokeTokenFamily(session.family, session.user, {
+        reason: isOwner ? 'session_revoked' : 'session_revoked_by_admin',
+        revokedBy: req.user._id
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.SESSION_REVOKED,
+        data: {
+          current: session.family === req.tokenPayload?.family
+        }
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to revoke session'
+      });
+    }
+  }
+
+  /**
+   * Sign out of every session, including the current one
+   * POST /api/auth/logout-all
+   */
+  static async logoutAll(req, res) {
+    try {
+      await jwtUtils.revokeAllUserTokens(req.user._id, {
+        reason: 'logout_all',
+        revokedBy: req.user._id
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.LOGOUT_ALL_SUCCESS,
+        data: null
+      });
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to sign out of all sessions'
+      });
+    }
+  }
+
   /**
    * Get user's dashboard statistics
    * GET /api/auth/dashboard-stats
@@ -532,4 +1239,4 @@ class AuthController {
 export default AuthController;
 
 // Export individual methods for backward compatibility
-export const { login, verify, register, logout, getProfile, updateProfile, changePassword, refreshToken, getDashboardStats } = AuthController;
+export const { login, verify, register, logout, getProfile, updateProfile, changePassword, refreshToken, forgotPassword, resetPassword, verifyEmail, resendVerification, getPasswordPolicy, getSessions, revokeSession, logoutAll, getDashboardStats } = AuthController;
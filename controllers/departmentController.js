@@ -0,0 +1,374 @@
+import Department from '../models/Department.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import { validatePagination, sanitizeInput } from '../utils/validation.js';
+import { searchRegex } from '../utils/textSearch.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * Department Controller
+ * CRUD for departments. Departments still referenced by employees,
+ * invitations or child departments are deactivated instead of deleted.
+ */
+class DepartmentController {
+  /**
+   * Send a 400 response for a mongoose validation error
+   * @param {Object} res - Express response object
+   * @param {Object} error - ValidationError
+   */
+  static sendValidationError(res, error) {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      errors: validationErrors
+    });
+  }
+
+  /**
+   * Check the head and parent of a department being created or updated
+   * @param {Object} data - { head, parent } from the request
+   * @param {Object|null} department - Existing department when updating
+   * @returns {Promise<string|null>} Error message, or null if valid
+   */
+  static async validateReferences({ head, parent }, department = null) {
+    if (head) {
+      const headExists = await User.exists({ _id: head, isActive: true });
+      if (!headExists) {
+        return 'Department head must be an active employee';
+      }
+    }
+
+    if (parent) {
+      const parentExists = await Department.exists({ _id: parent, isActive: true });
+      if (!parentExists) {
+        return 'Parent department must be an active department';
+      }
+
+      if (department && await Department.wouldCreateCycle(department._id, parent)) {
+        return 'A department cannot be nested inside itself or one of its sub-departments';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count active employees per department
+   * @param {Array} departmentIds - Department IDs to count for
+   * @returns {Promise<Map<string, number>>}
+   */
+  static async countEmployees(departmentIds) {
+    const counts = await User.aggregate([
+      { $match: { department: { $in: departmentIds }, isActive: true } },
+      { $group: { _id: '$department', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+  }
+
+  /**
+   * List departments with filtering and pagination
+   * GET /api/department
+   */
+  static async getAllDepartments(req, res) {
+    try {
+      const { page = 1, limit = 50, parent, isActive, search } = req.query;
+      const { page: validPage, limit: validLimit, skip } = validatePagination(page, limit);
+
+      const filter = {};
+      if (parent) filter.parent = parent;
+      if (isActive !== undefined) filter.isActive = isActive === 'true';
+      if (search) {
+        filter.name = searchRegex(search);
+      }
+
+      const [departments, total] = await Promise.all([
+        Department.find(filter)
+          .populate('head', 'firstName lastName email employeeId')
+          .populate('parent', 'name')
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(validLimit),
+        Department.countDocuments(filter)
+      ]);
+
+      const employeeCounts = await DepartmentController.countEmployees(departments.map(d => d._id));
+
+      const totalPages = Math.ceil(total / validLimit);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Departments retrieved successfully',
+        data: {
+          departments: departments.map(department => ({
+            ...department.toObject(),
+            employeeCount: employeeCounts.get(department._id.toString()) || 0
+          })),
+          pagination: {
+            currentPage: validPage,
+            totalPages,
+            totalItems: total,
+            itemsPerPage: validLimit,
+            hasNextPage: validPage < totalPages,
+            hasPrevPage: validPage > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get departments error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve departments'
+      });
+    }
+  }
+
+  /**
+   * Get a department with its sub-departments and employee count
+   * GET /api/department/:id
+   */
+  static async getDepartmentById(req, res) {
+    try {
+      const department = await Department.findById(req.params.id)
+        .populate('head', 'firstName lastName email employeeId designation')
+        .populate('parent', 'name isActive');
+
+      if (!department) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.DEPARTMENT_NOT_FOUND,
+          error: 'Department not found'
+        });
+      }
+
+      const [children, employeeCount] = await Promise.all([
+        Department.find({ parent: department._id }).select('name isActive costCenter').sort({ name: 1 }),
+        User.countDocuments({ department: department._id, isActive: true })
+      ]);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Department retrieved successfully',
+        data: {
+          department: {
+            ...department.toObject(),
+            children,
+            employeeCount
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get department error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve department'
+      });
+    }
+  }
+
+  /**
+   * Create a department
+   * POST /api/department
+   */
+  static async createDepartment(req, res) {
+    try {
+      const { name, description, head, parent, costCenter, isActive } = sanitizeInput(req.body);
+
+      if (await Department.findByName(name)) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.DEPARTMENT_ALREADY_EXISTS,
+          error: 'A department with this name already exists'
+        });
+      }
+
+      const referenceError = await DepartmentController.validateReferences({ head, parent });
+      if (referenceError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: referenceError
+        });
+      }
+
+      const department = await Department.create({
+        name,
+        description,
+        head,
+        parent,
+        costCenter,
+        isActive,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: SUCCESS_MESSAGES.DEPARTMENT_CREATED,
+        data: { department }
+      });
+    } catch (error) {
+      console.error('Create department error:', error);
+
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.DEPARTMENT_ALREADY_EXISTS,
+          error: 'A department with this name already exists'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return DepartmentController.sendValidationError(res, error);
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to create department'
+      });
+    }
+  }
+
+  /**
+   * Update a department
+   * PUT /api/department/:id
+   */
+  static async updateDepartment(req, res) {
+    try {
+      const { name, description, head, parent, costCenter, isActive } = sanitizeInput(req.body);
+
+      const department = await Department.findById(req.params.id);
+      if (!department) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.DEPARTMENT_NOT_FOUND,
+          error: 'Department not found'
+        });
+      }
+
+      if (name !== undefined) {
+        const existing = await Department.findByName(name);
+        if (existing && !existing._id.equals(department._id)) {
+          return res.status(HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: ERROR_MESSAGES.DEPARTMENT_ALREADY_EXISTS,
+            error: 'A department with this name already exists'
+          });
+        }
+      }
+
+      const referenceError = await DepartmentController.validateReferences({ head, parent }, department);
+      if (referenceError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: referenceError
+        });
+      }
+
+      if (name !== undefined) department.name = name;
+      if (description !== undefined) department.description = description;
+      if (head !== undefined) department.head = head;
+      if (parent !== undefined) department.parent = parent;
+      if (costCenter !== undefined) department.costCenter = costCenter;
+      if (isActive !== undefined) department.isActive = isActive;
+      department.updatedBy = req.user._id;
+      await department.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.DEPARTMENT_UPDATED,
+        data: { department }
+      });
+    } catch (error) {
+      console.error('Update department error:', error);
+
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.DEPARTMENT_ALREADY_EXISTS,
+          error: 'A department with this name already exists'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return DepartmentController.sendValidationError(res, error);
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to update department'
+      });
+    }
+  }
+
+  /**
+   * Delete a department, or deactivate it while anything still references it
+   * DELETE /api/department/:id
+   */
+  static async deleteDepartment(req, res) {
+    try {
+      const department = await Department.findById(req.params.id);
+      if (!department) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.DEPARTMENT_NOT_FOUND,
+          error: 'Department not found'
+        });
+      }
+
+      const [employeeCount, invitationCount, childCount] = await Promise.all([
+        User.countDocuments({ department: department._id }),
+        Invitation.countDocuments({ department: department._id }),
+        Department.countDocuments({ parent: department._id })
+      ]);
+
+      if (employeeCount + invitationCount + childCount > 0) {
+        department.isActive = false;
+        department.updatedBy = req.user._id;
+        await department.save();
+
+        return res.status(HTTP_STATUS.OK).json({
+          success: true,
+          message: SUCCESS_MESSAGES.DEPARTMENT_DEACTIVATED,
+          data: {
+            department,
+            deleted: false,
+            references: { employees: employeeCount, invitations: invitationCount, departments: childCount }
+          }
+        });
+      }
+
+      await department.deleteOne();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.DEPARTMENT_DELETED,
+        data: { deleted: true }
+      });
+    } catch (error) {
+      console.error('Delete department error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to delete department'
+      });
+    }
+  }
+}
+
+export default DepartmentController;
@@ -0,0 +1,345 @@
+import path from 'path';
+import User from '../models/User.js';
+import EmployeeDocument from '../models/EmployeeDocument.js';
+import { sanitizeInput } from '../utils/validation.js';
+import { getStorage, generateStorageKey, removeStoredFiles } from '../utils/storage.js';
+import { canManageEmployeeDocuments, canViewEmployeeDocuments } from '../utils/visibilityPolicy.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  EMPLOYEE_DOCUMENT_CONFIG
+} from '../config/constants.js';
+
+/**
+ * Employee Document Controller
+ * HR documents per employee. Employees can list and download their own;
+ * everything else needs MANAGE_EMPLOYEE_DOCUMENTS (admins always have it).
+ */
+class DocumentController {
+  /**
+   * Send a 403 response for document access
+   * @param {Object} res - Express response object
+   * @param {string} error - Error detail
+   */
+  static sendForbidden(res, error) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+      error
+    });
+  }
+
+  /**
+   * Load a document belonging to the employee in the URL
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object|null>}
+   */
+  static findDocument(req) {
+    return EmployeeDocument.findOne({ _id: req.params.documentId, employee: req.params.id });
+  }
+
+  /**
+   * List an employee's documents
+   * GET /api/employees/:id/documents
+   */
+  static async getDocuments(req, res) {
+    try {
+      const { id } = req.params;
+      const { type } = req.query;
+
+      if (!(await canViewEmployeeDocuments(req.user, id))) {
+        return DocumentController.sendForbidden(res, 'You can only view your own documents');
+      }
+
+      const employeeExists = await User.exists({ _id: id });
+      if (!employeeExists) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'Employee not found'
+        });
+      }
+
+      const filter = { employee: id };
+      if (type) filter.type = type;
+
+      const documents = await EmployeeDocument.find(filter)
+        .populate('uploadedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Documents retrieved successfully',
+        data: { documents }
+      });
+    } catch (error) {
+      console.error('Get documents error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve documents'
+      });
+    }
+  }
+
+  /**
+   * Upload a document for an employee
+   * POST /api/employees/:id/documents
+   */
+  static async uploadDocument(req, res) {
+    let storageKey = null;
+
+    try {
+      const { id } = req.params;
+      const { type, title, description, issuedAt, expiresAt } = sanitizeInput(req.body);
+
+      if (!(await canManageEmployeeDocuments(req.user))) {
+        return DocumentController.sendForbidden(res, 'You are not allowed to upload employee documents');
+      }
+
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'A file is required in the "file" field'
+        });
+      }
+
+      const employeeExists = await User.exists({ _id: id });
+      if (!employeeExists) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'Employee not found'
+        });
+      }
+
+      storageKey = generateStorageKey(`documents/${id}`, path.extname(req.file.originalname));
+      await getStorage().put(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+
+      const document = await EmployeeDocument.create({
+        employee: id,
+        type,
+        title: title || req.file.originalname,
+        description,
+        issuedAt: issuedAt || null,
+        expiresAt: expiresAt || null,
+        storageKey,
+        fileName: req.file.originalname,
+        contentType: req.file.mimetype,
+        size: req.file.size,
+        uploadedBy: req.user._id
+      });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: SUCCESS_MESSAGES.DOCUMENT_UPLOADED,
+        data: { document }
+      });
+    } catch (error) {
+      console.error('Upload document error:', error);
+
+      // Don't leave an orphaned file behind
+      if (storageKey) {
+        await removeStoredFiles([storageKey]);
+      }
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message,
+          value: err.value
+        }));
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to upload document'
+      });
+    }
+  }
+
+  /**
+   * Download a document
+   * GET /api/employees/:id/documents/:documentId/download
+   */
+  static async downloadDocument(req, res) {
+    try {
+      if (!(await canViewEmployeeDocuments(req.user, req.params.id))) {
+        return DocumentController.sendForbidden(res, 'You can only download your own documents');
+      }
+
+      const document = await DocumentController.findDocument(req);
+      if (!document) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.DOCUMENT_NOT_FOUND,
+          error: 'Document not found'
+        });
+      }
+
+      const stream = await getStorage().get(document.storageKey);
+      if (!stream) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.FILE_NOT_FOUND,
+          error: 'The stored file for this document is missing'
+        });
+      }
+
+      res.attachment(document.fileName);
+      res.setHeader('Content-Type', document.contentType);
+      res.setHeader('Cache-Control', 'private, no-store');
+
+      stream.on('error', (streamError) => {
+        console.error('Document stream error:', streamError);
+        res.destroy();
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Download document error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to download document'
+      });
+    }
+  }
+
+  /**
+   * Update a document's details (the file itself is replaced by uploading a new document)
+   * PUT /api/employees/:id/documents/:documentId
+   */
+  static async updateDocument(req, res) {
+    try {
+      const { type, title, description, issuedAt, expiresAt } = sanitizeInput(req.body);
+
+      if (!(await canManageEmployeeDocuments(req.user))) {
+        return DocumentController.sendForbidden(res, 'You are not allowed to edit employee documents');
+      }
+
+      const document = await DocumentController.findDocument(req);
+      if (!document) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.DOCUMENT_NOT_FOUND,
+          error: 'Document not found'
+        });
+      }
+
+      if (type !== undefined) document.type = type;
+      if (title !== undefined) document.title = title;
+      if (description !== undefined) document.description = description;
+      if (issuedAt !== undefined) document.issuedAt = issuedAt || null;
+      if (expiresAt !== undefined) document.expiresAt = expiresAt || null;
+      await document.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.DOCUMENT_UPDATED,
+        data: { document }
+      });
+    } catch (error) {
+      console.error('Update document error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message,
+          value: err.value
+        }));
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to update document'
+      });
+    }
+  }
+
+  /**
+   * Delete a document and its file
+   * DELETE /api/employees/:id/documents/:documentId
+   */
+  static async deleteDocument(req, res) {
+    try {
+      if (!(await canManageEmployeeDocuments(req.user))) {
+        return DocumentController.sendForbidden(res, 'You are not allowed to delete employee documents');
+      }
+
+      const document = await DocumentController.findDocument(req);
+      if (!document) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.DOCUMENT_NOT_FOUND,
+          error: 'Document not found'
+        });
+      }
+
+      await document.deleteOne();
+      await removeStoredFiles([document.storageKey]);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.DOCUMENT_DELETED,
+        data: null
+      });
+    } catch (error) {
+      console.error('Delete document error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to delete document'
+      });
+    }
+  }
+
+  /**
+   * List documents across all employees that have expired or expire soon
+   * GET /api/employees/documents/expiring
+   */
+  static async getExpiringDocuments(req, res) {
+    try {
+      if (!(await canManageEmployeeDocuments(req.user))) {
+        return DocumentController.sendForbidden(res, 'You are not allowed to view employee documents');
+      }
+
+      const days = parseInt(req.query.days) || EMPLOYEE_DOCUMENT_CONFIG.EXPIRY_WARNING_DAYS;
+      const documents = await EmployeeDocument.findExpiring(days);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Expiring documents retrieved successfully',
+        data: {
+          documents,
+          days,
+          expired: documents.filter(document => document.isExpired).length
+        }
+      });
+    } catch (error) {
+      console.error('Get expiring documents error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve expiring documents'
+      });
+    }
+  }
+}
+
+export default DocumentController;
@@ -1,18 +1,72 @@
 import User from '../models/User.js';
+import Department from '../models/Department.js';
+import Skill from '../models/Skill.js';
+import PasswordHistory from '../models/PasswordHistory.js';
+import EmployeeDocument from '../models/EmployeeDocument.js';
+import EmployeeChange from '../models/EmployeeChange.js';
+import ApiToken from '../models/ApiToken.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import TaskController from './taskController.js';
+import jwtUtils from '../utils/jwt.js';
 import { validatePagination, sanitizeInput } from '../utils/validation.js';
+import { sendVerificationEmail } from '../utils/emailVerification.js';
+import { importEmployees } from '../utils/employeeImport.js';
+import { checkEmployeeReferences } from '../utils/employeeHistory.js';
+import { buildOffboardingPlan, summarizeOffboardingPlan, applyOffboarding } from '../utils/offboarding.js';
+import { EXPORT_FORMATS, resolveExportColumns, streamCsv, buildEmployeeXlsx } from '../utils/employeeExport.js';
+import { canViewUser, getMaskedFields, maskSensitiveFields } from '../utils/visibilityPolicy.js';
+import { processAvatar } from '../utils/images.js';
+import { buildSkillConditions } from '../utils/skillMatch.js';
+import { searchRegex } from '../utils/textSearch.js';
+import { getStorage, generateStorageKey, removeStoredFiles } from '../utils/storage.js';
 import { 
   HTTP_STATUS, 
   ERROR_MESSAGES, 
   SUCCESS_MESSAGES, 
   USER_ROLES,
-  USER_DESIGNATIONS 
+  USER_DESIGNATIONS,
+  SECURITY_EVENT_TYPES,
+  ORG_CHART_CONFIG
 } from '../config/constants.js';
 
+// Fields shown for each person in the org chart
+const ORG_CHART_FIELDS = 'firstName lastName email employeeId designation department avatar manager';
+
 /**
  * Employee Management Controller
  * Handles CRUD operations for employees and user management
  */
 class EmployeeController {
+  /**
+   * Build the employee list filter shared by the list and export endpoints
+   * @param {Object} query - { role, designation, department, isActive, skills, search }
+   * @returns {Promise<Object>} Mongoose filter
+   */
+  static async buildEmployeeFilter({ role, designation, department, isActive, skills, search }) {
+    const filter = {};
+
+    if (role) filter.role = role;
+    if (designation) filter.designation = designation;
+    if (department) filter.department = department;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (skills) filter.$and = await buildSkillConditions(skills);
+
+    // Search functionality
+    if (search) {
+      const pattern = searchRegex(search);
+      const matchingDepartments = await Department.find({ name: pattern }).distinct('_id');
+      filter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { employeeId: pattern },
+        { department: { $in: matchingDepartments } }
+      ];
+    }
+
+    return filter;
+  }
+
   /**
    * Get all employees with filtering and pagination
    * GET /api/employees
@@ -26,6 +80,7 @@ class EmployeeController {
         designation, 
         department, 
         isActive, 
+        skills,
         search,
         sortBy = 'createdAt',
         sortOrder = 'desc'
@@ -35,33 +90,20 @@ class EmployeeController {
       const { page: validPage, limit: validLimit, skip } = validatePagination(page, limit);
 
       // Build filter query
-      const filter = {};
-      
-      if (role) filter.role = role;
-      if (designation) filter.designation = designation;
-      if (department) filter.department = new RegExp(department, 'i');
-      if (isActive !== undefined) filter.isActive = isActive === 'true';
-
-      // Search functionality
-      if (search) {
-        filter.$or = [
-          { firstName: new RegExp(search, 'i') },
-          { lastName: new RegExp(search, 'i') },
-          { email: new RegExp(search, 'i') },
-          { employeeId: new RegExp(search, 'i') },
-          { department: new RegExp(search, 'i') }
-        ];
-      }
-
-      // Build sort object
+      const filter = await EmployeeController.buildEmployeeFilter({ role, designation, department, isActive, skills, search });
+
+      // Build sort object; ordering by a masked field would reveal it
+      const maskedFields = await getMaskedFields(req.user);
       const sort = {};
-      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+      sort[maskedFields.includes(sortBy) ? 'createdAt' : sortBy] = sortOrder === 'desc' ? -1 : 1;
 
       // Execute query
       const [employees, total] = await Promise.all([
         User.find(filter)
           .select('-password')
           .populate('manager', 'firstName lastName email employeeId')
+          .populate('department', 'name')
+          .populate('skills.skill', 'name category')
           .sort(sort)
           .skip(skip)
           .limit(validLimit),
@@ -77,7 +119,7 @@ class EmployeeController {
         success: true,
         message: 'Employees retrieved successfully',
         data: {
-          employees,
+          employees: await maskSensitiveFields(req.user, employees, ['', 'manager']),
           pagination: {
             currentPage: validPage,
             totalPages,
@@ -98,17 +140,85 @@ class EmployeeController {
     }
   }
 
+  /**
+   * Export the employee directory as CSV or XLSX
+   * Takes the same filters as the list endpoint and returns every match.
+   * GET /api/employees/export
+   */
+  static async exportEmployees(req, res) {
+    try {
+      const { format = 'csv', columns: requestedColumns, role, designation, department, isActive, skills, search } = req.query;
+
+      const maskedFields = await getMaskedFields(req.user);
+      const { columns, forbidden } = resolveExportColumns(requestedColumns, maskedFields);
+
+      if (forbidden.length > 0) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: `You are not allowed to export: ${forbidden.join(', ')}`
+        });
+      }
+
+      const filter = await EmployeeController.buildEmployeeFilter({ role, designation, department, isActive, skills, search });
+
+      const cursor = User.find(filter)
+        .select('-password')
+        .populate('manager', 'firstName lastName email')
+        .populate('department', 'name')
+        .populate('skills.skill', 'name')
+        .sort({ lastName: 1, firstName: 1 })
+        .cursor();
+
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      const filename = `employees-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'xlsx') {
+        res.send(await buildEmployeeXlsx(cursor, columns));
+      } else {
+        await streamCsv(res, cursor, columns);
+      }
+    } catch (error) {
+      console.error('Export employees error:', error);
+
+      // Part of the file is already out; cut the download short rather than append JSON
+      if (res.headersSent) {
+        return res.destroy();
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to export employees'
+      });
+    }
+  }
+
   /**
    * Get employee by ID
+   * Employees can view themselves and anyone in their reporting chain.
    * GET /api/employees/:id
    */
   static async getEmployeeById(req, res) {
     try {
       const { id } = req.params;
 
+      if (!(await canViewUser(req.user, id))) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'You can only view your own profile and those of your reports'
+        });
+      }
+
       const employee = await User.findById(id)
         .select('-password')
-        .populate('manager', 'firstName lastName email employeeId designation');
+        .populate('manager', 'firstName lastName email employeeId designation')
+        .populate('department', 'name costCenter')
+        .populate('skills.skill', 'name category');
 
       if (!employee) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -121,7 +231,7 @@ class EmployeeController {
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: 'Employee retrieved successfully',
-        data: { employee }
+        data: { employee: await maskSensitiveFields(req.user, employee, ['', 'manager']) }
       });
     } catch (error) {
       console.error('Get employee error:', error);
@@ -186,6 +296,26 @@ class EmployeeController {
         }
       }
 
+      if (department) {
+        const departmentExists = await Department.exists({ _id: department, isActive: true });
+        if (!departmentExists) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: 'Invalid department ID'
+          });
+        }
+      }
+
+      const invalidSkills = await Skill.findInvalidIds(skills.map(entry => entry.skill));
+      if (invalidSkills.length > 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: `Unknown or inactive skill(s): ${invalidSkills.join(', ')}`
+        });
+      }
+
       // Create new employee
       const employeeData = {
         firstName,
@@ -205,8 +335,14 @@ class EmployeeController {
       const newEmployee = new User(employeeData);
       await newEmployee.save();
 
+      try {
+        await sendVerificationEmail(newEmployee);
+      } catch (emailError) {
+        console.error('Verification email error:', emailError);
+      }
+
       // Remove sensitive data
-      const employeeResponse = newEmployee.toJSON();
+      const employeeResponse = await maskSensitiveFields(req.user, newEmployee);
 
       res.status(HTTP_STATUS.CREATED).json({
         success: true,
@@ -247,6 +383,51 @@ class EmployeeController {
     }
   }
 
+  /**
+   * Import employees from a CSV file
+   * POST /api/employees/import
+   */
+  static async importEmployees(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_IMPORT_FILE,
+          error: 'A CSV file is required in the "file" field'
+        });
+      }
+
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+      const sendWelcomeEmail = req.body.sendWelcomeEmail === true || req.body.sendWelcomeEmail === 'true';
+
+      const result = await importEmployees(req.file.buffer.toString('utf8'), req.user, {
+        dryRun,
+        sendWelcomeEmail
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: dryRun ? SUCCESS_MESSAGES.EMPLOYEE_IMPORT_VALIDATED : SUCCESS_MESSAGES.EMPLOYEE_IMPORT_COMPLETED,
+        data: result
+      });
+    } catch (error) {
+      if (error.name === 'ImportFileError') {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_IMPORT_FILE,
+          error: error.message
+        });
+      }
+
+      console.error('Import employees error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to import employees'
+      });
+    }
+  }
+
   /**
    * Update employee
    * PUT /api/employees/:id
@@ -293,32 +474,97 @@ class EmployeeController {
         loginAttempts,
         lockUntil,
         isEmailVerified,
+        mustChangePassword,
+        passwordChangedAt,
+        twoFactor,
+        sso,
+        customRoles,
+        avatar,
+        avatarFiles,
+        reason,
+        effectiveDate,
         ...allowedUpdates
       } = sanitizedData;
 
-      // Validate manager if provided
-      if (allowedUpdates.manager && allowedUpdates.manager !== employee.manager?.toString()) {
-        const managerExists = await User.findById(allowedUpdates.manager);
-        if (!managerExists) {
+      // Validate manager and department if provided
+      const referenceError = await checkEmployeeReferences(id, allowedUpdates, employee);
+      if (referenceError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: referenceError
+        });
+      }
+
+      // Newly listed skills must come from the active catalog; ones the employee
+      // already has stay valid even if the skill was deactivated since
+      if (Array.isArray(allowedUpdates.skills)) {
+        const currentSkills = new Set(employee.skills
+          .filter(entry => entry.skill)
+          .map(entry => entry.skill.toString()));
+        const invalidSkills = await Skill.findInvalidIds(
+          allowedUpdates.skills.map(entry => entry.skill).filter(skill => !currentSkills.has(skill))
+        );
+        if (invalidSkills.length > 0) {
           return res.status(HTTP_STATUS.BAD_REQUEST).json({
             success: false,
             message: ERROR_MESSAGES.VALIDATION_ERROR,
-            error: 'Invalid manager ID'
+            error: `Unknown or inactive skill(s): ${invalidSkills.join(', ')}`
           });
         }
       }
 
+      // A corrected address has to be verified again
+      const isEmailChange = allowedUpdates.email && allowedUpdates.email.toLowerCase() !== employee.email;
+      if (isEmailChange) {
+        allowedUpdates.isEmailVerified = false;
+        allowedUpdates.emailVerifiedAt = null;
+      }
+
       // Update employee
       const updatedEmployee = await User.findByIdAndUpdate(
         id,
         { ...allowedUpdates, updatedAt: new Date() },
         { new: true, runValidators: true }
-      ).select('-password').populate('manager', 'firstName lastName email employeeId');
+      ).select('-password')
+        .populate('manager', 'firstName lastName email employeeId')
+        .populate('department', 'name')
+        .populate('skills.skill', 'name category');
+
+      // Salary, designation, department, role and manager changes go into the
+      // employee's history, back-dated when an effective date is given
+      try {
+        await EmployeeChange.recordApplied(employee, allowedUpdates, {
+          actor: req.user,
+          reason,
+          effectiveDate: effectiveDate ? new Date(effectiveDate) : undefined
+        });
+      } catch (historyError) {
+        console.error('Employee history error:', historyError);
+      }
+
+      if (allowedUpdates.role && allowedUpdates.role !== employee.role) {
+        await SecurityEvent.record({
+          type: SECURITY_EVENT_TYPES.ROLE_CHANGED,
+          user: employee._id,
+          actor: req.user._id,
+          req,
+          metadata: { from: employee.role, to: allowedUpdates.role }
+        });
+      }
+
+      if (isEmailChange) {
+        try {
+          await sendVerificationEmail(updatedEmployee);
+        } catch (emailError) {
+          console.error('Verification email error:', emailError);
+        }
+      }
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: SUCCESS_MESSAGES.USER_UPDATED,
-        data: { employee: updatedEmployee }
+        data: { employee: await maskSensitiveFields(req.user, updatedEmployee, ['', 'manager']) }
       });
     } catch (error) {
       console.error('Update employee error:', error);
@@ -345,6 +591,157 @@ class EmployeeController {
     }
   }
 
+  /**
+   * Upload or replace an employee's avatar
+   * The image is re-encoded and stored with its thumbnails; `avatar` then
+   * points at GET /api/employees/:id/avatar.
+   * PUT /api/employees/:id/avatar
+   */
+  static async uploadAvatar(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'An image is required in the "avatar" field'
+        });
+      }
+
+      const employee = await User.findById(id);
+      if (!employee) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'Employee not found'
+        });
+      }
+
+      const images = await processAvatar(req.file.buffer);
+
+      const storage = getStorage();
+      const avatarFiles = {};
+      for (const [size, buffer] of Object.entries(images)) {
+        avatarFiles[size] = generateStorageKey(`avatars/${id}`, `-${size}.webp`);
+        await storage.put(avatarFiles[size], buffer, { contentType: 'image/webp' });
+      }
+
+      const previousFiles = employee.avatarFiles ? [...employee.avatarFiles.values()] : [];
+
+      employee.avatarFiles = avatarFiles;
+      // The version busts browser caches when the avatar is replaced
+      employee.avatar = `/api/employees/${id}/avatar?v=${Date.now()}`;
+      await employee.save({ validateBeforeSave: false });
+
+      await removeStoredFiles(previousFiles);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.AVATAR_UPDATED,
+        data: {
+          avatar: employee.avatar,
+          sizes: Object.keys(avatarFiles)
+        }
+      });
+    } catch (error) {
+      console.error('Upload avatar error:', error);
+
+      if (error.name === 'InvalidImageError') {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: error.message
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to update avatar'
+      });
+    }
+  }
+
+  /**
+   * Get an employee's avatar image
+   * GET /api/employees/:id/avatar
+   */
+  static async getAvatar(req, res) {
+    try {
+      const { id } = req.params;
+      const { size = 'medium' } = req.query;
+
+      const employee = await User.findById(id).select('avatarFiles');
+      const storageKey = employee?.avatarFiles?.get(size);
+      const stream = storageKey ? await getStorage().get(storageKey) : null;
+
+      if (!stream) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.FILE_NOT_FOUND,
+          error: 'Avatar not found'
+        });
+      }
+
+      res.setHeader('Content-Type', 'image/webp');
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+
+      stream.on('error', (streamError) => {
+        console.error('Avatar stream error:', streamError);
+        res.destroy();
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Get avatar error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve avatar'
+      });
+    }
+  }
+
+  /**
+   * Remove an employee's avatar
+   * DELETE /api/employees/:id/avatar
+   */
+  static async deleteAvatar(req, res) {
+    try {
+      const { id } = req.params;
+
+      const employee = await User.findById(id);
+      if (!employee) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'Employee not found'
+        });
+      }
+
+      const previousFiles = employee.avatarFiles ? [...employee.avatarFiles.values()] : [];
+
+      employee.avatarFiles = undefined;
+      employee.avatar = null;
+      await employee.save({ validateBeforeSave: false });
+
+      await removeStoredFiles(previousFiles);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.AVATAR_REMOVED,
+        data: null
+      });
+    } catch (error) {
+      console.error('Delete avatar error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to remove avatar'
+      });
+    }
+  }
+
   /**
    * Delete/Deactivate employee
    * DELETE /api/employees/:id
@@ -393,6 +790,15 @@ class EmployeeController {
       if (permanent === 'true' && req.user.role === USER_ROLES.ADMIN) {
         // Permanent deletion (only admin)
         result = await User.findByIdAndDelete(id);
+        await PasswordHistory.deleteMany({ user: id });
+        await EmployeeChange.deleteMany({ employee: id });
+
+        const documents = await EmployeeDocument.find({ employee: id }).select('storageKey');
+        await EmployeeDocument.deleteMany({ employee: id });
+        await removeStoredFiles([
+          ...(employee.avatarFiles ? employee.avatarFiles.values() : []),
+          ...documents.map(document => document.storageKey)
+        ]);
         message = 'Employee permanently deleted';
       } else {
         // Soft delete (deactivation)
@@ -404,6 +810,13 @@ class EmployeeController {
         message = 'Employee deactivated successfully';
       }
 
+      // Sign the user out everywhere so a reactivated account starts with fresh sessions
+      await jwtUtils.revokeAllUserTokens(id, {
+        reason: permanent === 'true' ? 'account_deleted' : 'account_deactivated',
+        revokedBy: req.user._id
+      });
+      await ApiToken.revokeAllForUser(id, req.user._id);
+
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message,
@@ -419,6 +832,164 @@ class EmployeeController {
     }
   }
 
+  /**
+   * Offboard an employee: hand over open tasks, stop running timers, move
+   * direct reports to a new manager, revoke access and deactivate the account.
+   * With `preview` nothing changes and the plan is returned instead.
+   * POST /api/employees/:id/offboard
+   */
+  static async offboardEmployee(req, res) {
+    try {
+      const { id } = req.params;
+      const { handoverTo: handoverToId, reason } = sanitizeInput(req.body);
+      const preview = req.body.preview === true || req.body.preview === 'true';
+
+      const employee = await User.findById(id);
+      if (!employee) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'Employee not found'
+        });
+      }
+
+      if (req.user._id.equals(employee._id)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'You cannot offboard your own account'
+        });
+      }
+
+      if (employee.role === USER_ROLES.ADMIN && req.user.role !== USER_ROLES.ADMIN) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'Only administrators can offboard admin accounts'
+        });
+      }
+
+      if (!employee.isActive) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Employee is already deactivated'
+        });
+      }
+
+      // Handover user receives the open tasks; without one they are unassigned
+      let handoverTo = null;
+      if (handoverToId) {
+        handoverTo = await User.findById(handoverToId);
+        if (!handoverTo || !handoverTo.isActive || handoverTo._id.equals(employee._id)) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: 'Handover user must be another active employee'
+          });
+        }
+
+        if (!(await TaskController.canReceiveAssignments(handoverTo))) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.EMAIL_NOT_VERIFIED,
+            error: 'Tasks cannot be handed over to users who have not verified their email address'
+          });
+        }
+      }
+
+      // Direct reports move to the leaver's own manager unless told otherwise
+      const newManagerId = req.body.newManager !== undefined ? req.body.newManager : employee.manager;
+      let newManager = null;
+      if (newManagerId) {
+        newManager = await User.findById(newManagerId);
+        if (!newManager || !newManager.isActive || newManager._id.equals(employee._id)) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: 'New manager must be another active employee'
+          });
+        }
+
+        // A direct report may take over; anyone further down would end up managing their own manager
+        const isDirectReport = newManager.manager && newManager.manager.equals(employee._id);
+        if (!isDirectReport && await User.wouldCreateManagerCycle(employee._id, newManager._id)) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: 'New manager cannot be someone who reports indirectly to the departing employee'
+          });
+        }
+      }
+
+      const plan = await buildOffboardingPlan(employee, { handoverTo, newManager });
+
+      if (preview) {
+        return res.status(HTTP_STATUS.OK).json({
+          success: true,
+          message: SUCCESS_MESSAGES.OFFBOARDING_PREVIEW,
+          data: { preview: true, ...summarizeOffboardingPlan(plan) }
+        });
+      }
+
+      const result = await applyOffboarding(plan, req.user, { req, reason });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.EMPLOYEE_OFFBOARDED,
+        data: { preview: false, ...result }
+      });
+    } catch (error) {
+      console.error('Offboard employee error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to offboard employee'
+      });
+    }
+  }
+
+  /**
+   * Revoke all tokens for an employee (force sign-out)
+   * POST /api/employees/:id/revoke-tokens
+   */
+  static async revokeEmployeeTokens(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason = 'admin_revoked' } = sanitizeInput(req.body || {});
+
+      const employee = await User.findById(id);
+      if (!employee) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'Employee not found'
+        });
+      }
+
+      const revocation = await jwtUtils.revokeAllUserTokens(id, {
+        reason,
+        revokedBy: req.user._id
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'All sessions for this employee have been revoked',
+        data: {
+          userId: employee._id,
+          revokedAt: revocation.revokedAt
+        }
+      });
+    } catch (error) {
+      console.error('Revoke employee tokens error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to revoke employee sessions'
+      });
+    }
+  }
+
   /**
    * Reactivate employee
    * POST /api/employees/:id/reactivate
@@ -479,6 +1050,7 @@ class EmployeeController {
         User.find({ role, isActive: true })
           .select('-password')
           .populate('manager', 'firstName lastName email')
+          .populate('department', 'name')
           .skip(skip)
           .limit(validLimit)
           .sort({ createdAt: -1 }),
@@ -491,7 +1063,7 @@ class EmployeeController {
         success: true,
         message: `${role} employees retrieved successfully`,
         data: {
-          employees,
+          employees: await maskSensitiveFields(req.user, employees, ['', 'manager']),
           pagination: {
             currentPage: validPage,
             totalPages,
@@ -533,6 +1105,7 @@ class EmployeeController {
         User.find({ designation, isActive: true })
           .select('-password')
           .populate('manager', 'firstName lastName email')
+          .populate('department', 'name')
           .skip(skip)
           .limit(validLimit)
           .sort({ createdAt: -1 }),
@@ -545,7 +1118,7 @@ class EmployeeController {
         success: true,
         message: `${designation} employees retrieved successfully`,
         data: {
-          employees,
+          employees: await maskSensitiveFields(req.user, employees, ['', 'manager']),
           pagination: {
             currentPage: validPage,
             totalPages,
@@ -575,7 +1148,8 @@ class EmployeeController {
         activeEmployees,
         inactiveEmployees,
         roleStats,
-        designationStats
+        designationStats,
+        departmentStats
       ] = await Promise.all([
         User.countDocuments(),
         User.countDocuments({ isActive: true }),
@@ -585,6 +1159,12 @@ class EmployeeController {
         ]),
         User.aggregate([
           { $group: { _id: '$designation', count: { $sum: 1 } } }
+        ]),
+        User.aggregate([
+          { $group: { _id: '$department', count: { $sum: 1 } } },
+          { $lookup: { from: Department.collection.name, localField: '_id', foreignField: '_id', as: 'department' } },
+          { $project: { count: 1, name: { $ifNull: [{ $arrayElemAt: ['$department.name', 0] }, 'Unassigned'] } } },
+          { $sort: { name: 1 } }
         ])
       ]);
 
@@ -599,7 +1179,12 @@ class EmployeeController {
         byDesignation: designationStats.reduce((acc, stat) => {
           acc[stat._id] = stat.count;
           return acc;
-        }, {})
+        }, {}),
+        byDepartment: departmentStats.map(stat => ({
+          department: stat._id,
+          name: stat.name,
+          count: stat.count
+        }))
       };
 
       res.status(HTTP_STATUS.OK).json({
@@ -633,20 +1218,23 @@ class EmployeeController {
         });
       }
 
-      const searchRegex = new RegExp(q.trim(), 'i');
+      const pattern = searchRegex(q);
       const validLimit = Math.min(parseInt(limit) || 10, 50);
 
+      const matchingDepartments = await Department.find({ name: pattern }).distinct('_id');
+
       const employees = await User.find({
         $or: [
-          { firstName: searchRegex },
-          { lastName: searchRegex },
-          { email: searchRegex },
-          { employeeId: searchRegex },
-          { department: searchRegex }
+          { firstName: pattern },
+          { lastName: pattern },
+          { email: pattern },
+          { employeeId: pattern },
+          { department: { $in: matchingDepartments } }
         ],
         isActive: true
       })
         .select('firstName lastName email employeeId designation department role')
+        .populate('department', 'name')
         .limit(validLimit)
         .sort({ firstName: 1 });
 
@@ -654,7 +1242,7 @@ class EmployeeController {
         success: true,
         message: 'Search completed successfully',
         data: { 
-          employees,
+          employees: await maskSensitiveFields(req.user, employees),
           query: q,
           count: employees.length
         }
@@ -668,6 +1256,206 @@ class EmployeeController {
       });
     }
   }
+
+  /**
+   * Nest users under their managers
+   * Anyone whose manager is outside `users` becomes a root. Each person appears
+   * once, so a manager cycle in existing data cannot recurse forever.
+   * @param {Array} users - Plain user objects
+   * @param {number} maxDepth - Levels to include below each root
+   * @param {Array<string>|null} rootIds - Explicit roots (default: computed)
+   * @returns {Array} Tree nodes with `reports` and `directReportCount`
+   */
+  static buildOrgTree(users, maxDepth, rootIds = null) {
+    const userIds = new Set(users.map(user => user._id.toString()));
+    const reportsByManager = new Map();
+
+    for (const user of users) {
+      const managerId = user.manager?.toString();
+      if (managerId && userIds.has(managerId)) {
+        if (!reportsByManager.has(managerId)) reportsByManager.set(managerId, []);
+        reportsByManager.get(managerId).push(user);
+      }
+    }
+
+    const placed = new Set();
+    const buildNode = (user, level) => {
+      const id = user._id.toString();
+      placed.add(id);
+
+      const directReports = (reportsByManager.get(id) || []).filter(report => !placed.has(report._id.toString()));
+      directReports.forEach(report => placed.add(report._id.toString()));
+
+      return {
+        ...user,
+        directReportCount: (reportsByManager.get(id) || []).length,
+        reports: level < maxDepth ? directReports.map(report => buildNode(report, level + 1)) : []
+      };
+    };
+
+    const roots = rootIds
+      ? users.filter(user => rootIds.includes(user._id.toString()))
+      : users.filter(user => !user.manager || !userIds.has(user.manager.toString()));
+
+    // People caught in a manager cycle are unreachable from any root; each
+    // cycle is shown starting from one of its members
+    if (!rootIds) {
+      const reachable = new Set();
+      const markReachable = (user) => {
+        const id = user._id.toString();
+        if (reachable.has(id)) return;
+        reachable.add(id);
+        (reportsByManager.get(id) || []).forEach(markReachable);
+      };
+
+      roots.forEach(markReachable);
+      for (const user of users) {
+        if (!reachable.has(user._id.toString())) {
+          roots.push(user);
+          markReachable(user);
+        }
+      }
+    }
+
+    return roots.map(root => buildNode(root, 0));
+  }
+
+  /**
+   * Get the reporting tree, optionally rooted at a person or limited to a department
+   * (`root` takes precedence over `department`)
+   * GET /api/employees/org-chart
+   */
+  static async getOrgChart(req, res) {
+    try {
+      const { root, department } = req.query;
+      const depth = parseInt(req.query.depth) || ORG_CHART_CONFIG.MAX_DEPTH;
+
+      let users;
+      let rootIds = null;
+
+      if (root) {
+        const rootUser = await User.findOne({ _id: root, isActive: true })
+          .select(ORG_CHART_FIELDS)
+          .populate('department', 'name')
+          .lean();
+
+        if (!rootUser) {
+          return res.status(HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: ERROR_MESSAGES.USER_NOT_FOUND,
+            error: 'Employee not found'
+          });
+        }
+
+        const reports = await User.getReports(root, { depth });
+        users = [rootUser, ...reports];
+        rootIds = [root];
+      } else {
+        const filter = { isActive: true };
+        if (department) filter.department = department;
+
+        users = await User.find(filter)
+          .select(ORG_CHART_FIELDS)
+          .populate('department', 'name')
+          .sort({ firstName: 1, lastName: 1 })
+          .lean();
+      }
+
+      const tree = EmployeeController.buildOrgTree(users, depth, rootIds);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Org chart retrieved successfully',
+        data: {
+          tree,
+          totalEmployees: users.length
+        }
+      });
+    } catch (error) {
+      console.error('Get org chart error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve org chart'
+      });
+    }
+  }
+
+  /**
+   * Get the chain of managers above an employee, nearest first
+   * GET /api/employees/:id/reporting-chain
+   */
+  static async getReportingChain(req, res) {
+    try {
+      const { id } = req.params;
+
+      const employee = await User.findById(id)
+        .select(ORG_CHART_FIELDS)
+        .populate('department', 'name');
+
+      if (!employee) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'Employee not found'
+        });
+      }
+
+      const chain = await User.getReportingChain(id);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Reporting chain retrieved successfully',
+        data: { employee, chain }
+      });
+    } catch (error) {
+      console.error('Get reporting chain error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve reporting chain'
+      });
+    }
+  }
+
+  /**
+   * Get an employee's reports down to the requested depth (default: direct reports)
+   * GET /api/employees/:id/reports
+   */
+  static async getReports(req, res) {
+    try {
+      const { id } = req.params;
+      const depth = parseInt(req.query.depth) || 1;
+
+      const employeeExists = await User.exists({ _id: id });
+      if (!employeeExists) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'Employee not found'
+        });
+      }
+
+      const reports = await User.getReports(id, { depth });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Reports retrieved successfully',
+        data: {
+          reports,
+          depth,
+          count: reports.length
+        }
+      });
+    } catch (error) {
+      console.error('Get reports error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve reports'
+      });
+    }
+  }
 }
 
 export default EmployeeController;
@@ -0,0 +1,335 @@
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import EmployeeChange from '../models/EmployeeChange.js';
+import { validatePagination, sanitizeInput } from '../utils/validation.js';
+import { checkEmployeeReferences } from '../utils/employeeHistory.js';
+import { canViewUser, getMaskedFields } from '../utils/visibilityPolicy.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  USER_ROLES,
+  EMPLOYEE_HISTORY_FIELDS,
+  EMPLOYEE_CHANGE_STATUS,
+  EMPLOYEE_CHANGE_SOURCES
+} from '../config/constants.js';
+
+// Fields shown for managers and the people who made changes
+const PERSON_FIELDS = 'firstName lastName email employeeId';
+
+/**
+ * Employee History Controller
+ * Effective-dated history of salary, designation, department, role and
+ * manager changes, and scheduling changes for a later date. Anyone who can
+ * view an employee can read their history; salary entries follow the same
+ * masking as the profile.
+ */
+class EmployeeHistoryController {
+  /**
+   * Send a 404 response for a missing employee
+   * @param {Object} res - Express response object
+   */
+  static sendEmployeeNotFound(res) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.USER_NOT_FOUND,
+      error: 'Employee not found'
+    });
+  }
+
+  /**
+   * Replace department and manager IDs with short descriptions of them
+   * @param {Array<Object>} valueSets - Objects keyed by tracked field, updated in place
+   * @returns {Promise<void>}
+   */
+  static async describeReferences(valueSets) {
+    const idsFor = field => valueSets.map(values => values[field]).filter(Boolean);
+
+    const [departments, managers] = await Promise.all([
+      Department.find({ _id: { $in: idsFor('department') } }).select('name').lean(),
+      User.find({ _id: { $in: idsFor('manager') } }).select(PERSON_FIELDS).lean()
+    ]);
+    const byId = new Map([...departments, ...managers].map(doc => [doc._id.toString(), doc]));
+
+    for (const values of valueSets) {
+      for (const field of ['department', 'manager']) {
+        if (values[field]) {
+          values[field] = byId.get(values[field].toString()) || { _id: values[field] };
+        }
+      }
+    }
+  }
+
+  /**
+   * Shape history entries for a response: hide masked fields and describe references
+   * @param {Array<Object>} entries - Lean EmployeeChange documents
+   * @param {Array<string>} hiddenFields - Tracked fields the viewer may not see
+   * @returns {Promise<Array<Object>>}
+   */
+  static async describeEntries(entries, hiddenFields) {
+    const visible = entries
+      .map(entry => ({ ...entry, changes: entry.changes.filter(change => !hiddenFields.includes(change.field)) }))
+      .filter(entry => entry.changes.length > 0);
+
+    const changes = visible.flatMap(entry => entry.changes);
+    const valueSets = changes.flatMap(change => [
+      { [change.field]: change.from },
+      { [change.field]: change.to }
+    ]);
+    await EmployeeHistoryController.describeReferences(valueSets);
+
+    changes.forEach((change, index) => {
+      change.from = valueSets[index * 2][change.field];
+      change.to = valueSets[index * 2 + 1][change.field];
+    });
+
+    return visible.map(({ __v, ...entry }) => entry);
+  }
+
+  /**
+   * Get an employee's change history, optionally with their values on a date
+   * GET /api/employees/:id/history
+   */
+  static async getHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const { field, status, from, to, asOf, page = 1, limit = 20 } = req.query;
+
+      if (!(await canViewUser(req.user, id))) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'You can only view your own history and that of your reports'
+        });
+      }
+
+      const employee = await User.findById(id).select(EMPLOYEE_HISTORY_FIELDS.join(' '));
+      if (!employee) {
+        return EmployeeHistoryController.sendEmployeeNotFound(res);
+      }
+
+      const hiddenFields = id === req.user._id.toString()
+        ? []
+        : (await getMaskedFields(req.user)).filter(masked => EMPLOYEE_HISTORY_FIELDS.includes(masked));
+
+      if (field && hiddenFields.includes(field)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: `You are not allowed to view ${field} history`
+        });
+      }
+
+      const { page: validPage, limit: validLimit, skip } = validatePagination(page, limit);
+
+      const filter = { employee: employee._id };
+      if (status) filter.status = status;
+      if (field) {
+        filter['changes.field'] = field;
+      } else if (hiddenFields.length > 0) {
+        filter['changes.field'] = { $in: EMPLOYEE_HISTORY_FIELDS.filter(tracked => !hiddenFields.includes(tracked)) };
+      }
+      if (from || to) {
+        filter.effectiveDate = {};
+        if (from) filter.effectiveDate.$gte = new Date(from);
+        if (to) filter.effectiveDate.$lte = new Date(to);
+      }
+
+      const [entries, total] = await Promise.all([
+        EmployeeChange.find(filter)
+          .populate('changedBy', PERSON_FIELDS)
+          .populate('cancelledBy', PERSON_FIELDS)
+          .sort({ effectiveDate: -1, createdAt: -1 })
+          .skip(skip)
+          .limit(validLimit)
+          .lean(),
+        EmployeeChange.countDocuments(filter)
+      ]);
+
+      const data = {
+        history: await EmployeeHistoryController.describeEntries(entries, hiddenFields)
+      };
+
+      if (asOf) {
+        const values = await EmployeeChange.valuesAsOf(employee, new Date(asOf));
+        hiddenFields.forEach(hidden => delete values[hidden]);
+        await EmployeeHistoryController.describeReferences([values]);
+        data.asOf = { date: new Date(asOf), values };
+      }
+
+      const totalPages = Math.ceil(total / validLimit);
+      data.pagination = {
+        currentPage: validPage,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: validLimit,
+        hasNextPage: validPage < totalPages,
+        hasPrevPage: validPage > 1
+      };
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Employee history retrieved successfully',
+        data
+      });
+    } catch (error) {
+      console.error('Get employee history error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve employee history'
+      });
+    }
+  }
+
+  /**
+   * Schedule changes to take effect on a later date
+   * POST /api/employees/:id/history
+   */
+  static async scheduleChange(req, res) {
+    try {
+      const { id } = req.params;
+      const { effectiveDate, reason, ...fields } = sanitizeInput(req.body);
+
+      const employee = await User.findById(id).select(EMPLOYEE_HISTORY_FIELDS.join(' '));
+      if (!employee) {
+        return EmployeeHistoryController.sendEmployeeNotFound(res);
+      }
+
+      const updates = Object.fromEntries(
+        EMPLOYEE_HISTORY_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+      );
+
+      if (updates.role !== undefined) {
+        if (req.user.role !== USER_ROLES.ADMIN) {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+            error: 'Only administrators can change user roles'
+          });
+        }
+
+        if (req.user._id.toString() === id && updates.role !== USER_ROLES.ADMIN) {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+            error: 'You cannot change your own admin role'
+          });
+        }
+      }
+
+      const referenceError = await checkEmployeeReferences(id, updates);
+      if (referenceError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: referenceError
+        });
+      }
+
+      // `from` is filled in when the change is applied
+      const change = await EmployeeChange.create({
+        employee: employee._id,
+        changes: Object.entries(updates).map(([field, value]) => ({
+          field,
+          to: EmployeeChange.normalizeValue(field, value)
+        })),
+        effectiveDate: new Date(effectiveDate),
+        status: EMPLOYEE_CHANGE_STATUS.SCHEDULED,
+        source: EMPLOYEE_CHANGE_SOURCES.SCHEDULED,
+        reason,
+        changedBy: req.user._id
+      });
+
+      const [history] = await EmployeeHistoryController.describeEntries([change.toObject()], []);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: SUCCESS_MESSAGES.EMPLOYEE_CHANGE_SCHEDULED,
+        data: { change: history }
+      });
+    } catch (error) {
+      console.error('Schedule employee change error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message,
+          value: err.value
+        }));
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to schedule change'
+      });
+    }
+  }
+
+  /**
+   * Cancel a change that has not taken effect yet
+   * DELETE /api/employees/:id/history/:changeId
+   */
+  static async cancelScheduledChange(req, res) {
+    try {
+      const { id, changeId } = req.params;
+
+      const change = await EmployeeChange.findOne({ _id: changeId, employee: id });
+      if (!change) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.EMPLOYEE_CHANGE_NOT_FOUND,
+          error: 'Scheduled change not found'
+        });
+      }
+
+      if (change.changes.some(({ field }) => field === 'role') && req.user.role !== USER_ROLES.ADMIN) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'Only administrators can cancel role changes'
+        });
+      }
+
+      // Conditional on the status so a change being applied right now is not cancelled
+      const cancelled = await EmployeeChange.findOneAndUpdate(
+        { _id: change._id, status: EMPLOYEE_CHANGE_STATUS.SCHEDULED },
+        {
+          status: EMPLOYEE_CHANGE_STATUS.CANCELLED,
+          cancelledBy: req.user._id,
+          cancelledAt: new Date()
+        },
+        { new: true }
+      );
+      if (!cancelled) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: `This change is ${change.status} and can no longer be cancelled`
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.EMPLOYEE_CHANGE_CANCELLED,
+        data: { change: cancelled }
+      });
+    } catch (error) {
+      console.error('Cancel employee change error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to cancel change'
+      });
+    }
+  }
+}
+
+export default EmployeeHistoryController;
@@ -0,0 +1,147 @@
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import jwtUtils from '../utils/jwt.js';
+import { sanitizeInput } from '../utils/validation.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  USER_ROLES,
+  IMPERSONATION_CONFIG,
+  SECURITY_EVENT_TYPES
+} from '../config/constants.js';
+
+/**
+ * Impersonation Controller
+ * Lets admins see the application exactly as another user does ("view as user").
+ * Every request made with an impersonation token is audited by the authenticate
+ * middleware; see SECURITY_EVENT_TYPES.IMPERSONATED_REQUEST.
+ */
+class ImpersonationController {
+  /**
+   * Start impersonating a user
+   * POST /api/impersonation
+   */
+  static async startImpersonation(req, res) {
+    try {
+      const {
+        userId,
+        reason,
+        expiresInMinutes = IMPERSONATION_CONFIG.DEFAULT_MINUTES
+      } = sanitizeInput(req.body);
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'User not found'
+        });
+      }
+
+      if (user._id.toString() === req.user._id.toString()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'You cannot impersonate yourself'
+        });
+      }
+
+      // Impersonating another admin would hand over that admin's privileges
+      if (user.role === USER_ROLES.ADMIN) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'Administrators cannot be impersonated'
+        });
+      }
+
+      if (!user.isActive || user.isLocked) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Only active, unlocked users can be impersonated'
+        });
+      }
+
+      const minutes = parseInt(expiresInMinutes);
+      const token = jwtUtils.generateImpersonationToken(user, req.user, minutes);
+      const decoded = jwtUtils.decodeToken(token).payload;
+      const expiresAt = new Date(decoded.exp * 1000);
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.IMPERSONATION_STARTED,
+        user: user._id,
+        actor: req.user._id,
+        req,
+        metadata: { jti: decoded.jti, reason, expiresAt }
+      });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: SUCCESS_MESSAGES.IMPERSONATION_STARTED,
+        data: {
+          user,
+          impersonation: {
+            token,
+            tokenType: 'Bearer',
+            expiresIn: `${minutes}m`,
+            expiresAt
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Start impersonation error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to start impersonation'
+      });
+    }
+  }
+
+  /**
+   * End the current impersonation before its token expires
+   * Must be called with the impersonation token itself.
+   * POST /api/impersonation/stop
+   */
+  static async stopImpersonation(req, res) {
+    try {
+      if (!req.impersonator) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'This request is not using an impersonation token'
+        });
+      }
+
+      await jwtUtils.blacklistToken(req.token, {
+        reason: 'impersonation_ended',
+        revokedBy: req.impersonator._id
+      });
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.IMPERSONATION_ENDED,
+        user: req.user._id,
+        actor: req.impersonator._id,
+        req,
+        metadata: { jti: req.tokenPayload.jti }
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.IMPERSONATION_ENDED,
+        data: null
+      });
+    } catch (error) {
+      console.error('Stop impersonation error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to stop impersonation'
+      });
+    }
+  }
+}
+
+export default ImpersonationController;
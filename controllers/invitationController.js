@@ -0,0 +1,388 @@
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import emailService from '../utils/emailService.js';
+import { validatePagination, sanitizeInput } from '../utils/validation.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  USER_ROLES,
+  INVITATION_STATUS,
+  INVITATION_CONFIG
+} from '../config/constants.js';
+
+/**
+ * Invitation Controller
+ * Handles invitation-based onboarding: admins and PMs invite people with
+ * pre-approved account details, and registration requires a valid invite.
+ */
+class InvitationController {
+  /**
+   * Issue a fresh link token and email it to the invitee
+   * The invitation is saved even if the email fails, so it can be resent later.
+   * @param {Object} invitation - Invitation document (saved by this method)
+   * @param {Object} inviter - User sending the invitation
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  static async deliver(invitation, inviter) {
+    const inviteToken = invitation.createToken();
+    await invitation.save();
+    await invitation.populate('department', 'name');
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const inviteUrl = `${clientUrl}/accept-invite?token=${inviteToken}`;
+
+    try {
+      await emailService.sendInvitationEmail(
+        invitation.email,
+        invitation,
+        inviter,
+        inviteUrl,
+        INVITATION_CONFIG.EXPIRES_DAYS
+      );
+    } catch (emailError) {
+      console.error('Invitation email error:', emailError);
+      return false;
+    }
+
+    invitation.sendCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    return true;
+  }
+
+  /**
+   * Check whether a user may manage (resend/revoke) an invitation
+   * Admins manage every invitation; PMs only the ones they issued.
+   * @param {Object} user - Current user
+   * @param {Object} invitation - Invitation document
+   * @returns {boolean}
+   */
+  static canManage(user, invitation) {
+    return user.role === USER_ROLES.ADMIN
+      || invitation.invitedBy.toString() === user._id.toString();
+  }
+
+  /**
+   * Create and send an invitation
+   * POST /api/invitations
+   */
+  static async createInvitation(req, res) {
+    try {
+      const sanitizedData = sanitizeInput(req.body);
+      const {
+        email,
+        role = USER_ROLES.EMPLOYEE,
+        designation,
+        department,
+        manager
+      } = sanitizedData;
+
+      // Only admin can invite admin users
+      if (role === USER_ROLES.ADMIN && req.user.role !== USER_ROLES.ADMIN) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'Only administrators can invite admin accounts'
+        });
+      }
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_ALREADY_EXISTS,
+          error: 'A user with this email address already exists'
+        });
+      }
+
+      const openInvitation = await Invitation.findOpenByEmail(email);
+      if (openInvitation) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'An invitation is already pending for this email address. Resend it instead'
+        });
+      }
+
+      // Validate manager exists if provided
+      if (manager) {
+        const managerExists = await User.exists({ _id: manager, isActive: true });
+        if (!managerExists) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: 'Invalid manager ID'
+          });
+        }
+      }
+
+      if (department) {
+        const departmentExists = await Department.exists({ _id: department, isActive: true });
+        if (!departmentExists) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: 'Invalid department ID'
+          });
+        }
+      }
+
+      const invitation = new Invitation({
+        email,
+        role,
+        designation,
+        department,
+        manager,
+        invitedBy: req.user._id
+      });
+
+      const emailSent = await InvitationController.deliver(invitation, req.user);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: emailSent ? SUCCESS_MESSAGES.INVITATION_SENT : 'Invitation created, but the email could not be sent. Try resending it',
+        data: { invitation, emailSent }
+      });
+    } catch (error) {
+      console.error('Create invitation error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message,
+          value: err.value
+        }));
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to send invitation'
+      });
+    }
+  }
+
+  /**
+   * List invitations with filtering and pagination
+   * GET /api/invitations
+   */
+  static async getInvitations(req, res) {
+    try {
+      const { page = 1, limit = 10, status, email } = req.query;
+
+      const { page: validPage, limit: validLimit, skip } = validatePagination(page, limit);
+
+      const filter = {};
+
+      // PMs only see the invitations they sent
+      if (req.user.role !== USER_ROLES.ADMIN) {
+        filter.invitedBy = req.user._id;
+      }
+
+      if (email) filter.email = email.toLowerCase();
+
+      // Expiry is not stored, so "pending" and "expired" are split on expiresAt
+      const now = new Date();
+      if (status === INVITATION_STATUS.EXPIRED) {
+        filter.status = INVITATION_STATUS.PENDING;
+        filter.expiresAt = { $lte: now };
+      } else if (status === INVITATION_STATUS.PENDING) {
+        filter.status = INVITATION_STATUS.PENDING;
+        filter.expiresAt = { $gt: now };
+      } else if (status) {
+        filter.status = status;
+      }
+
+      const [invitations, total] = await Promise.all([
+        Invitation.find(filter)
+          .populate('invitedBy', 'firstName lastName email')
+          .populate('manager', 'firstName lastName email employeeId')
+          .populate('department', 'name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(validLimit),
+        Invitation.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(total / validLimit);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Invitations retrieved successfully',
+        data: {
+          invitations,
+          pagination: {
+            currentPage: validPage,
+            totalPages,
+            totalItems: total,
+            itemsPerPage: validLimit,
+            hasNextPage: validPage < totalPages,
+            hasPrevPage: validPage > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get invitations error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve invitations'
+      });
+    }
+  }
+
+  /**
+   * Look up the details behind an invitation link (used to prefill the signup form)
+   * GET /api/invitations/lookup?token=
+   */
+  static async lookupInvitation(req, res) {
+    try {
+      const invitation = await Invitation.findValidByToken(req.query.token)
+        .populate('manager', 'firstName lastName email')
+        .populate('department', 'name');
+
+      if (!invitation) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_INVITATION,
+          error: 'Invitation is invalid, already used, or has expired'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Invitation retrieved successfully',
+        data: {
+          invitation: {
+            email: invitation.email,
+            role: invitation.role,
+            designation: invitation.designation,
+            department: invitation.department,
+            manager: invitation.manager,
+            expiresAt: invitation.expiresAt
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Lookup invitation error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve invitation'
+      });
+    }
+  }
+
+  /**
+   * Resend an invitation with a new link and a fresh expiry
+   * POST /api/invitations/:id/resend
+   */
+  static async resendInvitation(req, res) {
+    try {
+      const invitation = await Invitation.findById(req.params.id);
+
+      if (!invitation || !InvitationController.canManage(req.user, invitation)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.INVITATION_NOT_FOUND,
+          error: 'Invitation not found'
+        });
+      }
+
+      // Expired invitations can be resent; accepted and revoked ones are final
+      if (invitation.status !== INVITATION_STATUS.PENDING) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: `Cannot resend an invitation that has been ${invitation.status}`
+        });
+      }
+
+      if (await User.exists({ email: invitation.email })) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_ALREADY_EXISTS,
+          error: 'A user with this email address already exists'
+        });
+      }
+
+      const emailSent = await InvitationController.deliver(invitation, req.user);
+      if (!emailSent) {
+        return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+          success: false,
+          message: ERROR_MESSAGES.SERVER_ERROR,
+          error: 'Failed to send invitation email'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.INVITATION_SENT,
+        data: { invitation }
+      });
+    } catch (error) {
+      console.error('Resend invitation error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to resend invitation'
+      });
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   * POST /api/invitations/:id/revoke
+   */
+  static async revokeInvitation(req, res) {
+    try {
+      const invitation = await Invitation.findById(req.params.id);
+
+      if (!invitation || !InvitationController.canManage(req.user, invitation)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.INVITATION_NOT_FOUND,
+          error: 'Invitation not found'
+        });
+      }
+
+      if (invitation.status !== INVITATION_STATUS.PENDING) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: `Cannot revoke an invitation that has been ${invitation.status}`
+        });
+      }
+
+      invitation.status = INVITATION_STATUS.REVOKED;
+      invitation.revokedAt = new Date();
+      invitation.revokedBy = req.user._id;
+      invitation.token = undefined;
+      await invitation.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.INVITATION_REVOKED,
+        data: { invitation }
+      });
+    } catch (error) {
+      console.error('Revoke invitation error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to revoke invitation'
+      });
+    }
+  }
+}
+
+export default InvitationController;
@@ -0,0 +1,549 @@
+import Role from '../models/Role.js';
+import Permission from '../models/Permission.js';
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import {
+  invalidatePermissionCache,
+  getUserRoleKeys,
+  getEffectivePermissions
+} from '../utils/permissions.js';
+import { sanitizeInput } from '../utils/validation.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  USER_ROLES,
+  PERMISSIONS,
+  SECURITY_EVENT_TYPES
+} from '../config/constants.js';
+
+/**
+ * Role Controller
+ * Admin management of roles, permissions and custom role assignments
+ */
+class RoleController {
+  /**
+   * Reject permission keys that do not exist
+   * @param {Object} res - Express response object
+   * @param {Array<string>} permissions - Requested permission keys
+   * @returns {Promise<boolean>} True if a response was sent
+   */
+  static async rejectUnknownPermissions(res, permissions) {
+    const unknown = await Permission.findUnknownKeys(permissions);
+    if (unknown.length === 0) return false;
+
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      error: `Unknown permissions: ${unknown.join(', ')}`
+    });
+    return true;
+  }
+
+  /**
+   * Send a 400 response for a mongoose validation error
+   * @param {Object} res - Express response object
+   * @param {Object} error - ValidationError
+   */
+  static sendValidationError(res, error) {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      errors: validationErrors
+    });
+  }
+
+  /**
+   * List all permissions
+   * GET /api/roles/permissions
+   */
+  static async getPermissions(req, res) {
+    try {
+      const permissions = await Permission.find().sort({ category: 1, key: 1 });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Permissions retrieved successfully',
+        data: { permissions }
+      });
+    } catch (error) {
+      console.error('Get permissions error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve permissions'
+      });
+    }
+  }
+
+  /**
+   * Create a custom permission
+   * POST /api/roles/permissions
+   */
+  static async createPermission(req, res) {
+    try {
+      const { key, description, category } = sanitizeInput(req.body);
+
+      if (await Permission.exists({ key: key.toLowerCase() })) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'A permission with this key already exists'
+        });
+      }
+
+      const permission = await Permission.create({ key, description, category });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: SUCCESS_MESSAGES.PERMISSION_CREATED,
+        data: { permission }
+      });
+    } catch (error) {
+      console.error('Create permission error:', error);
+
+      if (error.name === 'ValidationError') {
+        return RoleController.sendValidationError(res, error);
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to create permission'
+      });
+    }
+  }
+
+  /**
+   * Update a permission's description or category (keys are immutable)
+   * PUT /api/roles/permissions/:id
+   */
+  static async updatePermission(req, res) {
+    try {
+      const { description, category } = sanitizeInput(req.body);
+
+      const permission = await Permission.findById(req.params.id);
+      if (!permission) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.PERMISSION_NOT_FOUND,
+          error: 'Permission not found'
+        });
+      }
+
+      if (description !== undefined) permission.description = description;
+      if (category !== undefined) permission.category = category;
+      await permission.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.PERMISSION_UPDATED,
+        data: { permission }
+      });
+    } catch (error) {
+      console.error('Update permission error:', error);
+
+      if (error.name === 'ValidationError') {
+        return RoleController.sendValidationError(res, error);
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to update permission'
+      });
+    }
+  }
+
+  /**
+   * Delete a custom permission and remove it from every role
+   * DELETE /api/roles/permissions/:id
+   */
+  static async deletePermission(req, res) {
+    try {
+      const permission = await Permission.findById(req.params.id);
+      if (!permission) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.PERMISSION_NOT_FOUND,
+          error: 'Permission not found'
+        });
+      }
+
+      if (permission.isSystem) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'Built-in permissions cannot be deleted'
+        });
+      }
+
+      await Role.updateMany({ permissions: permission.key }, { $pull: { permissions: permission.key } });
+      await permission.deleteOne();
+      invalidatePermissionCache();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.PERMISSION_DELETED,
+        data: null
+      });
+    } catch (error) {
+      console.error('Delete permission error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to delete permission'
+      });
+    }
+  }
+
+  /**
+   * List all roles with the number of users holding each
+   * GET /api/roles
+   */
+  static async getRoles(req, res) {
+    try {
+      const [roles, builtInCounts, customCounts] = await Promise.all([
+        Role.find().sort({ isSystem: -1, name: 1 }),
+        User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+        User.aggregate([
+          { $unwind: '$customRoles' },
+          { $group: { _id: '$customRoles', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const countByKey = new Map(builtInCounts.map(entry => [entry._id, entry.count]));
+      const countById = new Map(customCounts.map(entry => [entry._id.toString(), entry.count]));
+
+      const data = roles.map(role => ({
+        ...role.toObject(),
+        userCount: role.isSystem
+          ? countByKey.get(role.key) || 0
+          : countById.get(role._id.toString()) || 0
+      }));
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Roles retrieved successfully',
+        data: { roles: data }
+      });
+    } catch (error) {
+      console.error('Get roles error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve roles'
+      });
+    }
+  }
+
+  /**
+   * Get a role by ID
+   * GET /api/roles/:id
+   */
+  static async getRoleById(req, res) {
+    try {
+      const role = await Role.findById(req.params.id)
+        .populate('createdBy', 'firstName lastName email')
+        .populate('updatedBy', 'firstName lastName email');
+
+      if (!role) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.ROLE_NOT_FOUND,
+          error: 'Role not found'
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Role retrieved successfully',
+        data: { role }
+      });
+    } catch (error) {
+      console.error('Get role error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve role'
+      });
+    }
+  }
+
+  /**
+   * Create a custom role
+   * POST /api/roles
+   */
+  static async createRole(req, res) {
+    try {
+      const { key, name, description, permissions = [] } = sanitizeInput(req.body);
+
+      if (await Role.exists({ key: key.toLowerCase() })) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'A role with this key already exists'
+        });
+      }
+
+      const uniquePermissions = [...new Set(permissions)];
+      if (await RoleController.rejectUnknownPermissions(res, uniquePermissions)) return;
+
+      const role = await Role.create({
+        key,
+        name,
+        description,
+        permissions: uniquePermissions,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      invalidatePermissionCache();
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: SUCCESS_MESSAGES.ROLE_CREATED,
+        data: { role }
+      });
+    } catch (error) {
+      console.error('Create role error:', error);
+
+      if (error.name === 'ValidationError') {
+        return RoleController.sendValidationError(res, error);
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to create role'
+      });
+    }
+  }
+
+  /**
+   * Update a role's name, description or permissions
+   * Built-in roles can be edited too; their keys never change.
+   * PUT /api/roles/:id
+   */
+  static async updateRole(req, res) {
+    try {
+      const { name, description, permissions } = sanitizeInput(req.body);
+
+      const role = await Role.findById(req.params.id);
+      if (!role) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.ROLE_NOT_FOUND,
+          error: 'Role not found'
+        });
+      }
+
+      if (permissions !== undefined) {
+        const uniquePermissions = [...new Set(permissions)];
+        if (await RoleController.rejectUnknownPermissions(res, uniquePermissions)) return;
+
+        // Otherwise no one would be able to manage roles any more
+        if (role.key === USER_ROLES.ADMIN && !uniquePermissions.includes(PERMISSIONS.MANAGE_ROLES)) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: `The admin role must keep the ${PERMISSIONS.MANAGE_ROLES} permission`
+          });
+        }
+
+        role.permissions = uniquePermissions;
+      }
+
+      if (name !== undefined) role.name = name;
+      if (description !== undefined) role.description = description;
+      role.updatedBy = req.user._id;
+      await role.save();
+
+      invalidatePermissionCache();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.ROLE_UPDATED,
+        data: { role }
+      });
+    } catch (error) {
+      console.error('Update role error:', error);
+
+      if (error.name === 'ValidationError') {
+        return RoleController.sendValidationError(res, error);
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to update role'
+      });
+    }
+  }
+
+  /**
+   * Delete a custom role and unassign it from every user
+   * DELETE /api/roles/:id
+   */
+  static async deleteRole(req, res) {
+    try {
+      const role = await Role.findById(req.params.id);
+      if (!role) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.ROLE_NOT_FOUND,
+          error: 'Role not found'
+        });
+      }
+
+      if (role.isSystem) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'Built-in roles cannot be deleted'
+        });
+      }
+
+      const { modifiedCount } = await User.updateMany(
+        { customRoles: role._id },
+        { $pull: { customRoles: role._id } }
+      );
+      await role.deleteOne();
+      invalidatePermissionCache();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.ROLE_DELETED,
+        data: { unassignedUsers: modifiedCount }
+      });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to delete role'
+      });
+    }
+  }
+
+  /**
+   * Get a user's roles and effective permissions
+   * GET /api/roles/users/:userId
+   */
+  static async getUserRoles(req, res) {
+    try {
+      const user = await User.findById(req.params.userId).populate('customRoles', 'key name');
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'User not found'
+        });
+      }
+
+      const [roleKeys, permissions] = await Promise.all([
+        getUserRoleKeys(user),
+        getEffectivePermissions(user)
+      ]);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'User roles retrieved successfully',
+        data: {
+          role: user.role,
+          customRoles: user.customRoles,
+          roleKeys,
+          permissions
+        }
+      });
+    } catch (error) {
+      console.error('Get user roles error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve user roles'
+      });
+    }
+  }
+
+  /**
+   * Replace the custom roles assigned to a user
+   * The built-in role is changed through PUT /api/employees/:id.
+   * PUT /api/roles/users/:userId
+   */
+  static async assignUserRoles(req, res) {
+    try {
+      const roleIds = [...new Set(req.body.roles)];
+
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'User not found'
+        });
+      }
+
+      const roles = await Role.find({ _id: { $in: roleIds } });
+      if (roles.length !== roleIds.length) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.ROLE_NOT_FOUND,
+          error: 'One or more roles do not exist'
+        });
+      }
+
+      if (roles.some(role => role.isSystem)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Built-in roles are assigned through the user\'s role field, not as custom roles'
+        });
+      }
+
+      const previousKeys = await getUserRoleKeys(user);
+
+      user.customRoles = roles.map(role => role._id);
+      await user.save({ validateBeforeSave: false });
+      await user.populate('customRoles', 'key name');
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.ROLE_CHANGED,
+        user: user._id,
+        actor: req.user._id,
+        req,
+        metadata: {
+          customRoles: {
+            from: previousKeys.slice(1),
+            to: roles.map(role => role.key)
+          }
+        }
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.USER_UPDATED,
+        data: {
+          role: user.role,
+          customRoles: user.customRoles,
+          permissions: await getEffectivePermissions(user)
+        }
+      });
+    } catch (error) {
+      console.error('Assign user roles error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to assign roles'
+      });
+    }
+  }
+}
+
+export default RoleController;
@@ -0,0 +1,161 @@
+import User from '../models/User.js';
+import Task from '../models/Task.js';
+import { getVisibleUserIds, getTaskVisibilityFilter } from '../utils/visibilityPolicy.js';
+import { escapeRegex, parseSearchTerms, buildSnippet, buildSnippets } from '../utils/textSearch.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SEARCH_CONFIG
+} from '../config/constants.js';
+
+const USER_RESULT_FIELDS = 'firstName lastName email employeeId designation department role avatar';
+const TASK_RESULT_FIELDS = 'title description status priority dueDate category tags assignedTo assignedBy comments';
+const PERSON_FIELDS = 'firstName lastName email employeeId';
+
+const TEXT_SCORE = { $meta: 'textScore' };
+
+/**
+ * Search Controller
+ * One search box across employees and tasks (including task comments),
+ * backed by MongoDB text indexes and ranked by text score. Results are limited
+ * to the employees and tasks the caller can already see elsewhere, and come
+ * with snippets marking where the terms matched.
+ */
+class SearchController {
+  /**
+   * Search active employees the user can see
+   * Text search matches whole words, so when it finds nobody the query is
+   * also tried as the start of a name, email or employee ID (e.g. "jo").
+   * @param {Object} viewer - Searching user
+   * @param {string} q - Search query
+   * @param {Array<string>} terms - From parseSearchTerms
+   * @param {number} limit - Maximum results
+   * @returns {Promise<Array<Object>>}
+   */
+  static async searchUsers(viewer, q, terms, limit) {
+    const visibleUserIds = await getVisibleUserIds(viewer);
+    const visibility = visibleUserIds ? { _id: { $in: visibleUserIds } } : {};
+
+    let users = await User.find({ $text: { $search: q }, isActive: true, ...visibility })
+      .select({ score: TEXT_SCORE })
+      .select(USER_RESULT_FIELDS)
+      .populate('department', 'name')
+      .sort({ score: TEXT_SCORE })
+      .limit(limit)
+      .lean();
+
+    if (users.length === 0) {
+      const prefix = new RegExp(`^${escapeRegex(q.trim())}`, 'i');
+      users = await User.find({
+        $or: [{ firstName: prefix }, { lastName: prefix }, { email: prefix }, { employeeId: prefix }],
+        isActive: true,
+        ...visibility
+      })
+        .select(USER_RESULT_FIELDS)
+        .populate('department', 'name')
+        .sort({ firstName: 1, lastName: 1 })
+        .limit(limit)
+        .lean();
+
+      // Highlight the typed prefix rather than whole-word terms
+      terms = [q.trim().toLowerCase()];
+    }
+
+    return users.map(user => ({
+      ...user,
+      score: user.score || 0,
+      snippets: buildSnippets(
+        { ...user, name: `${user.firstName} ${user.lastName}` },
+        ['name', 'email', 'employeeId', 'designation'],
+        terms
+      )
+    }));
+  }
+
+  /**
+   * Search tasks the user can see, by title, tags, description and comments
+   * @param {Object} viewer - Searching user
+   * @param {string} q - Search query
+   * @param {Array<string>} terms - From parseSearchTerms
+   * @param {number} limit - Maximum results
+   * @returns {Promise<Array<Object>>}
+   */
+  static async searchTasks(viewer, q, terms, limit) {
+    const filter = { $text: { $search: q } };
+
+    // Kept separate from $text so the visibility $or stays intact
+    const visibilityFilter = await getTaskVisibilityFilter(viewer);
+    if (visibilityFilter) {
+      filter.$and = [visibilityFilter];
+    }
+
+    const tasks = await Task.find(filter)
+      .select({ score: TEXT_SCORE })
+      .select(TASK_RESULT_FIELDS)
+      .populate('assignedTo', PERSON_FIELDS)
+      .populate('assignedBy', PERSON_FIELDS)
+      .populate('comments.user', PERSON_FIELDS)
+      .sort({ score: TEXT_SCORE })
+      .limit(limit)
+      .lean();
+
+    return tasks.map(({ comments = [], ...task }) => {
+      const commentSnippets = comments
+        .map(comment => {
+          const snippet = buildSnippet(comment.message, terms);
+          return snippet && {
+            field: 'comments',
+            commentId: comment._id,
+            user: comment.user,
+            timestamp: comment.timestamp,
+            ...snippet
+          };
+        })
+        .filter(Boolean);
+
+      return {
+        ...task,
+        commentCount: comments.length,
+        snippets: [...buildSnippets(task, ['title', 'tags', 'description'], terms), ...commentSnippets]
+          .slice(0, SEARCH_CONFIG.MAX_SNIPPETS)
+      };
+    });
+  }
+
+  /**
+   * Search employees and tasks
+   * GET /api/search
+   */
+  static async search(req, res) {
+    try {
+      const { q, type = 'all', limit = SEARCH_CONFIG.DEFAULT_LIMIT } = req.query;
+      const validLimit = Math.min(Math.max(parseInt(limit) || SEARCH_CONFIG.DEFAULT_LIMIT, 1), SEARCH_CONFIG.MAX_LIMIT);
+      const terms = parseSearchTerms(q);
+
+      const [users, tasks] = await Promise.all([
+        type === 'tasks' ? null : SearchController.searchUsers(req.user, q, terms, validLimit),
+        type === 'users' ? null : SearchController.searchTasks(req.user, q, terms, validLimit)
+      ]);
+
+      const data = { query: q, type };
+      if (users) data.users = users;
+      if (tasks) data.tasks = tasks;
+      data.counts = { users: users ? users.length : 0, tasks: tasks ? tasks.length : 0 };
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Search completed successfully',
+        data
+      });
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Search failed'
+      });
+    }
+  }
+}
+
+export default SearchController;
@@ -0,0 +1,204 @@
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import jwtUtils from '../utils/jwt.js';
+import emailService from '../utils/emailService.js';
+import { validatePagination, sanitizeInput } from '../utils/validation.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PASSWORD_RESET_CONFIG,
+  SECURITY_EVENT_TYPES
+} from '../config/constants.js';
+
+/**
+ * Security Controller
+ * Admin access to the security event log and account recovery actions
+ */
+class SecurityController {
+  /**
+   * Query security events with filtering and pagination
+   * GET /api/security/events
+   */
+  static async getEvents(req, res) {
+    try {
+      const { page = 1, limit = 20, type, user, ip, from, to } = req.query;
+
+      const { page: validPage, limit: validLimit, skip } = validatePagination(page, limit);
+
+      const filter = {};
+      if (type) filter.type = type;
+      if (user) filter.user = user;
+      if (ip) filter.ip = ip;
+
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const [events, total] = await Promise.all([
+        SecurityEvent.find(filter)
+          .populate('user', 'firstName lastName email employeeId')
+          .populate('actor', 'firstName lastName email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(validLimit),
+        SecurityEvent.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(total / validLimit);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Security events retrieved successfully',
+        data: {
+          events,
+          pagination: {
+            currentPage: validPage,
+            totalPages,
+            totalItems: total,
+            itemsPerPage: validLimit,
+            hasNextPage: validPage < totalPages,
+            hasPrevPage: validPage > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get security events error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve security events'
+      });
+    }
+  }
+
+  /**
+   * Clear a user's failed login attempts and lock
+   * POST /api/security/users/:id/unlock
+   */
+  static async unlockUser(req, res) {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'User not found'
+        });
+      }
+
+      const wasLocked = user.isLocked;
+      const previousAttempts = user.loginAttempts;
+
+      await user.unlock();
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.ACCOUNT_UNLOCKED,
+        user: user._id,
+        actor: req.user._id,
+        req,
+        metadata: { wasLocked, previousAttempts }
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.ACCOUNT_UNLOCKED,
+        data: { user }
+      });
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to unlock user'
+      });
+    }
+  }
+
+  /**
+   * Sign a user out everywhere and require a new password at next login
+   * Optionally emails a reset link so the user can set one straight away.
+   * The new password can only be set through an emailed link or, for
+   * accounts with two-factor authentication, after the second factor.
+   * POST /api/security/users/:id/force-password-reset
+   */
+  static async forcePasswordReset(req, res) {
+    try {
+      const { sendEmail = true, reason } = sanitizeInput(req.body);
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.USER_NOT_FOUND,
+          error: 'User not found'
+        });
+      }
+
+      if (user._id.toString() === req.user._id.toString()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Use change password to replace your own password'
+        });
+      }
+
+      user.mustChangePassword = true;
+
+      let resetToken = null;
+      if (sendEmail) {
+        resetToken = user.createPasswordResetToken();
+      }
+
+      await user.save({ validateBeforeSave: false });
+
+      await jwtUtils.revokeAllUserTokens(user._id, {
+        reason: 'password_reset_forced',
+        revokedBy: req.user._id
+      });
+
+      let emailSent = false;
+      if (resetToken) {
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+        const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+
+        try {
+          await emailService.sendPasswordResetEmail(
+            user.email,
+            user,
+            resetUrl,
+            PASSWORD_RESET_CONFIG.TOKEN_EXPIRES_MINUTES
+          );
+          emailSent = true;
+        } catch (emailError) {
+          console.error('Forced password reset email error:', emailError);
+        }
+      }
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.PASSWORD_RESET_FORCED,
+        user: user._id,
+        actor: req.user._id,
+        req,
+        metadata: { reason: reason || null, emailSent }
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.PASSWORD_RESET_FORCED,
+        data: { emailSent }
+      });
+    } catch (error) {
+      console.error('Force password reset error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to force password reset'
+      });
+    }
+  }
+}
+
+export default SecurityController;
@@ -0,0 +1,69 @@
+import Setting from '../models/Setting.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * Setting Controller
+ * Handles organization-wide settings management
+ */
+class SettingController {
+  /**
+   * Get organization settings
+   * GET /api/settings
+   */
+  static async getSettings(req, res) {
+    try {
+      const settings = await Setting.getSettings();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Settings retrieved successfully',
+        data: { settings }
+      });
+    } catch (error) {
+      console.error('Get settings error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve settings'
+      });
+    }
+  }
+
+  /**
+   * Update organization settings
+   * PUT /api/settings
+   */
+  static async updateSettings(req, res) {
+    try {
+      const settings = await Setting.updateSettings(req.body, req.user._id);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.SETTINGS_UPDATED,
+        data: { settings }
+      });
+    } catch (error) {
+      console.error('Update settings error:', error);
+
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: error.message
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to update settings'
+      });
+    }
+  }
+}
+
+export default SettingController;
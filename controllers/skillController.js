@@ -0,0 +1,333 @@
+import Skill from '../models/Skill.js';
+import User from '../models/User.js';
+import { validatePagination, sanitizeInput } from '../utils/validation.js';
+import { searchRegex } from '../utils/textSearch.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * Skill Controller
+ * CRUD for the skill catalog employees pick their skills from. Skills still
+ * listed by employees are deactivated instead of deleted.
+ */
+class SkillController {
+  /**
+   * Send a 400 response for a mongoose validation error
+   * @param {Object} res - Express response object
+   * @param {Object} error - ValidationError
+   */
+  static sendValidationError(res, error) {
+    const validationErrors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      value: err.value
+    }));
+
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      errors: validationErrors
+    });
+  }
+
+  /**
+   * Send a 409 response for a name or alias already in the catalog
+   * @param {Object} res - Express response object
+   * @param {string} term - Conflicting name or alias
+   */
+  static sendConflict(res, term) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: ERROR_MESSAGES.SKILL_ALREADY_EXISTS,
+      error: term ? `"${term}" is already used by another skill` : 'A skill with this name already exists'
+    });
+  }
+
+  /**
+   * Find a name or alias that another skill already uses
+   * Names and aliases share one namespace so a task tag matches one skill.
+   * @param {Array<string>} terms - Proposed name and aliases
+   * @param {Object|null} skill - Skill being updated
+   * @returns {Promise<string|null>} The conflicting term, or null
+   */
+  static async findConflictingTerm(terms, skill = null) {
+    const others = (await Skill.findByTerms(terms)).filter(other => !skill || !other._id.equals(skill._id));
+
+    return terms.find(term => others.some(other => other.matches(term))) || null;
+  }
+
+  /**
+   * Count active employees per skill
+   * @param {Array} skillIds - Skill IDs to count for
+   * @returns {Promise<Map<string, number>>}
+   */
+  static async countEmployees(skillIds) {
+    const counts = await User.aggregate([
+      { $match: { 'skills.skill': { $in: skillIds }, isActive: true } },
+      { $unwind: '$skills' },
+      { $match: { 'skills.skill': { $in: skillIds } } },
+      { $group: { _id: '$skills.skill', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+  }
+
+  /**
+   * List skills with filtering and pagination
+   * GET /api/skills
+   */
+  static async getAllSkills(req, res) {
+    try {
+      const { page = 1, limit = 50, category, isActive, search } = req.query;
+      const { page: validPage, limit: validLimit, skip } = validatePagination(page, limit);
+
+      const filter = {};
+      if (category) filter.category = category.toLowerCase();
+      if (isActive !== undefined) filter.isActive = isActive === 'true';
+      if (search) {
+        const pattern = searchRegex(search);
+        filter.$or = [{ name: pattern }, { aliases: pattern }];
+      }
+
+      const [skills, total] = await Promise.all([
+        Skill.find(filter)
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(validLimit),
+        Skill.countDocuments(filter)
+      ]);
+
+      const employeeCounts = await SkillController.countEmployees(skills.map(skill => skill._id));
+
+      const totalPages = Math.ceil(total / validLimit);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Skills retrieved successfully',
+        data: {
+          skills: skills.map(skill => ({
+            ...skill.toObject(),
+            employeeCount: employeeCounts.get(skill._id.toString()) || 0
+          })),
+          pagination: {
+            currentPage: validPage,
+            totalPages,
+            totalItems: total,
+            itemsPerPage: validLimit,
+            hasNextPage: validPage < totalPages,
+            hasPrevPage: validPage > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get skills error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve skills'
+      });
+    }
+  }
+
+  /**
+   * Get a skill with the number of active employees at each level
+   * GET /api/skills/:id
+   */
+  static async getSkillById(req, res) {
+    try {
+      const skill = await Skill.findById(req.params.id);
+
+      if (!skill) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.SKILL_NOT_FOUND,
+          error: 'Skill not found'
+        });
+      }
+
+      const levels = await User.aggregate([
+        { $match: { 'skills.skill': skill._id, isActive: true } },
+        { $unwind: '$skills' },
+        { $match: { 'skills.skill': skill._id } },
+        { $group: { _id: '$skills.level', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Skill retrieved successfully',
+        data: {
+          skill: {
+            ...skill.toObject(),
+            employeeCount: levels.reduce((sum, level) => sum + level.count, 0),
+            levels: levels.map(level => ({ level: level._id, count: level.count }))
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get skill error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve skill'
+      });
+    }
+  }
+
+  /**
+   * Create a skill
+   * POST /api/skills
+   */
+  static async createSkill(req, res) {
+    try {
+      const { name, aliases = [], category, description, isActive } = sanitizeInput(req.body);
+
+      const conflict = await SkillController.findConflictingTerm([name, ...aliases]);
+      if (conflict) {
+        return SkillController.sendConflict(res, conflict);
+      }
+
+      const skill = await Skill.create({
+        name,
+        aliases,
+        category,
+        description,
+        isActive,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: SUCCESS_MESSAGES.SKILL_CREATED,
+        data: { skill }
+      });
+    } catch (error) {
+      console.error('Create skill error:', error);
+
+      if (error.code === 11000) {
+        return SkillController.sendConflict(res);
+      }
+
+      if (error.name === 'ValidationError') {
+        return SkillController.sendValidationError(res, error);
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to create skill'
+      });
+    }
+  }
+
+  /**
+   * Update a skill
+   * PUT /api/skills/:id
+   */
+  static async updateSkill(req, res) {
+    try {
+      const { name, aliases, category, description, isActive } = sanitizeInput(req.body);
+
+      const skill = await Skill.findById(req.params.id);
+      if (!skill) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.SKILL_NOT_FOUND,
+          error: 'Skill not found'
+        });
+      }
+
+      const terms = [...(name !== undefined ? [name] : []), ...(aliases || [])];
+      const conflict = terms.length > 0 && await SkillController.findConflictingTerm(terms, skill);
+      if (conflict) {
+        return SkillController.sendConflict(res, conflict);
+      }
+
+      if (name !== undefined) skill.name = name;
+      if (aliases !== undefined) skill.aliases = aliases;
+      if (category !== undefined) skill.category = category;
+      if (description !== undefined) skill.description = description;
+      if (isActive !== undefined) skill.isActive = isActive;
+      skill.updatedBy = req.user._id;
+      await skill.save();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.SKILL_UPDATED,
+        data: { skill }
+      });
+    } catch (error) {
+      console.error('Update skill error:', error);
+
+      if (error.code === 11000) {
+        return SkillController.sendConflict(res);
+      }
+
+      if (error.name === 'ValidationError') {
+        return SkillController.sendValidationError(res, error);
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to update skill'
+      });
+    }
+  }
+
+  /**
+   * Delete a skill, or deactivate it while employees still list it
+   * DELETE /api/skills/:id
+   */
+  static async deleteSkill(req, res) {
+    try {
+      const skill = await Skill.findById(req.params.id);
+      if (!skill) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.SKILL_NOT_FOUND,
+          error: 'Skill not found'
+        });
+      }
+
+      const employeeCount = await User.countDocuments({ 'skills.skill': skill._id });
+
+      if (employeeCount > 0) {
+        skill.isActive = false;
+        skill.updatedBy = req.user._id;
+        await skill.save();
+
+        return res.status(HTTP_STATUS.OK).json({
+          success: true,
+          message: SUCCESS_MESSAGES.SKILL_DEACTIVATED,
+          data: {
+            skill,
+            deleted: false,
+            references: { employees: employeeCount }
+          }
+        });
+      }
+
+      await skill.deleteOne();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.SKILL_DELETED,
+        data: { deleted: true }
+      });
+    } catch (error) {
+      console.error('Delete skill error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to delete skill'
+      });
+    }
+  }
+}
+
+export default SkillController;
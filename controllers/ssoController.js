@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import OidcLoginState from '../models/OidcLoginState.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import EmployeeChange from '../models/EmployeeChange.js';
+import AuthController from './authController.js';
+import jwtUtils from '../utils/jwt.js';
+import oidcClient from '../utils/oidc.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  USER_ROLES,
+  OIDC_CONFIG,
+  SECURITY_EVENT_TYPES,
+  EMPLOYEE_CHANGE_SOURCES
+} from '../config/constants.js';
+
+/**
+ * SSO Controller
+ * OpenID Connect login (authorization code + PKCE). Users are matched by their
+ * linked IdP identity, then by email; unknown users are provisioned on first
+ * login when OIDC_AUTO_PROVISION is on. Role and designation follow the
+ * user's IdP groups (see OIDC_ROLE_MAPPING / OIDC_DESIGNATION_MAPPING).
+ */
+class SsoController {
+  /**
+   * Reply that SSO is unavailable in this deployment
+   * @param {Object} res - Express response object
+   */
+  static notConfigured(res) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.SSO_NOT_CONFIGURED,
+      error: 'Single sign-on is not enabled for this deployment'
+    });
+  }
+
+  /**
+   * Only allow relative paths inside the client app as post-login destinations
+   * @param {string} returnTo - Requested destination
+   * @returns {string|null}
+   */
+  static sanitizeReturnTo(returnTo) {
+    if (typeof returnTo !== 'string') return null;
+    return /^\/(?![/\\])/.test(returnTo) ? returnTo : null;
+  }
+
+  /**
+   * Derive first and last name from the IdP's profile claims
+   * @param {Object} claims - Verified claims
+   * @param {string} email - User's email address
+   * @returns {Object} { firstName, lastName }
+   */
+  static getNames(claims, email) {
+    const [first, ...rest] = (claims.name || '').trim().split(/\s+/);
+
+    return {
+      firstName: (claims.given_name || first || email.split('@')[0]).slice(0, 50),
+      lastName: (claims.family_name || rest.join(' ') || '-').slice(0, 50)
+    };
+  }
+
+  /**
+   * Show whether SSO is available (used by the login page)
+   * GET /api/auth/oidc
+   */
+  static async getConfig(req, res) {
+    const enabled = oidcClient.isConfigured();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'SSO configuration retrieved successfully',
+      data: {
+        enabled,
+        enforced: enabled && OIDC_CONFIG.ENFORCE_SSO
+      }
+    });
+  }
+
+  /**
+   * Start an SSO login and return the identity provider URL to redirect to
+   * GET /api/auth/oidc/authorize
+   */
+  static async startLogin(req, res) {
+    try {
+      if (!oidcClient.isConfigured()) {
+        return SsoController.notConfigured(res);
+      }
+
+      const state = crypto.randomBytes(32).toString('base64url');
+      const nonce = crypto.randomBytes(32).toString('base64url');
+      const { codeVerifier, codeChallenge } = oidcClient.createPkcePair();
+
+      await OidcLoginState.create({
+        state,
+        nonce,
+        codeVerifier,
+        returnTo: SsoController.sanitizeReturnTo(req.query.returnTo),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + OIDC_CONFIG.STATE_EXPIRES_MINUTES * 60 * 1000)
+      });
+
+      const authorizationUrl = await oidcClient.buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Redirect to the identity provider to continue',
+        data: {
+          authorizationUrl,
+          expiresInMinutes: OIDC_CONFIG.STATE_EXPIRES_MINUTES
+        }
+      });
+    } catch (error) {
+      console.error('SSO start error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to start single sign-on'
+      });
+    }
+  }
+
+  /**
+   * Finish an SSO login: exchange the code, verify the ID token, then link or
+   * provision the user and issue the usual token pair
+   * The identity provider is responsible for MFA, so local 2FA and password
+   * expiry do not apply to SSO logins.
+   * POST /api/auth/oidc/callback
+   */
+  static async handleCallback(req, res) {
+    try {
+      if (!oidcClient.isConfigured()) {
+        return SsoController.notConfigured(res);
+      }
+
+      const { code, state } = req.body;
+
+      const loginState = await OidcLoginState.consume(state);
+      if (!loginState) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.SSO_LOGIN_FAILED,
+          error: 'Login attempt is invalid or has expired. Please start again'
+        });
+      }
+
+      let claims;
+      try {
+        const tokens = await oidcClient.exchangeCode(code, loginState.codeVerifier);
+        claims = await oidcClient.verifyIdToken(tokens.id_token, loginState.nonce);
+
+        // Some providers only release email or groups through userinfo
+        if (!claims.email || claims[OIDC_CONFIG.GROUPS_CLAIM] === undefined) {
+          const userInfo = await oidcClient.fetchUserInfo(tokens.access_token);
+          if (userInfo.sub === claims.sub) {
+            claims = { ...userInfo, ...claims };
+          }
+        }
+      } catch (error) {
+        console.error('SSO token exchange error:', error);
+        await SecurityEvent.record({
+          type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+          req,
+          metadata: { reason: 'sso_verification_failed', method: 'oidc', detail: error.message }
+        });
+
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.SSO_LOGIN_FAILED,
+          error: 'Could not verify the identity provider response'
+        });
+      }
+
+      const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : null;
+      if (!email || claims.email_verified === false) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.SSO_LOGIN_FAILED,
+          error: 'Your identity provider account has no verified email address'
+        });
+      }
+
+      const { role, designation } = oidcClient.mapGroups(oidcClient.getGroups(claims));
+      const identity = { issuer: claims.iss, subject: claims.sub };
+
+      let user = await User.findBySsoIdentity(identity.issuer, identity.subject);
+      let linked = false;
+      let provisioned = false;
+
+      if (!user) {
+        user = await User.findOne({ email });
+
+        if (user && user.sso?.subject) {
+          return res.status(HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: ERROR_MESSAGES.SSO_LOGIN_FAILED,
+            error: 'This account is already linked to a different single sign-on identity'
+          });
+        }
+
+        // Only an email the provider vouches for may take over a local account
+        if (user && claims.email_verified !== true) {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.SSO_LOGIN_FAILED,
+            error: 'Your identity provider has not verified this email address, so it cannot be linked to an existing account'
+          });
+        }
+
+        if (user) {
+          user.sso = { ...identity, linkedAt: new Date() };
+          linked = true;
+        }
+      }
+
+      if (!user) {
+        if (!OIDC_CONFIG.AUTO_PROVISION) {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.SSO_LOGIN_FAILED,
+            error: 'No account exists for this email address. Ask an administrator for an invitation'
+          });
+        }
+
+        user = new User({
+          ...SsoController.getNames(claims, email),
+          email,
+          // Never used: SSO users sign in through the identity provider
+          password: crypto.randomBytes(48).toString('base64url'),
+          role: role || USER_ROLES.EMPLOYEE,
+          designation: designation || OIDC_CONFIG.DEFAULT_DESIGNATION,
+          sso: { ...identity, linkedAt: new Date() }
+        });
+        provisioned = true;
+      }
+
+      if (!user.isActive) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'Your account has been deactivated. Please contact an administrator.'
+        });
+      }
+
+      if (user.isLocked) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'Account is locked. Please contact an administrator.'
+        });
+      }
+
+      // The IdP is the source of truth for access: keep role and designation in
+      // step with the user's groups whenever a mapping matches
+      const previousRole = user.role;
+      const previousValues = { _id: user._id, role: user.role, designation: user.designation };
+      if (role) user.role = role;
+      if (designation) user.designation = designation;
+
+      if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      user.sso.lastLoginAt = new Date();
+
+      // Saves every change above
+      await user.updateLastLogin();
+
+      if (!provisioned) {
+        try {
+          await EmployeeChange.recordApplied(previousValues, { role, designation }, {
+            source: EMPLOYEE_CHANGE_SOURCES.SSO,
+            reason: 'Synced from identity provider groups'
+          });
+        } catch (historyError) {
+          console.error('Employee history error:', historyError);
+        }
+      }
+
+      if (!provisioned && user.role !== previousRole) {
+        await SecurityEvent.record({
+          type: SECURITY_EVENT_TYPES.ROLE_CHANGED,
+          user: user._id,
+          req,
+          metadata: { from: previousRole, to: user.role, source: 'oidc' }
+        });
+      }
+
+      if (provisioned || linked) {
+        await SecurityEvent.record({
+          type: provisioned ? SECURITY_EVENT_TYPES.SSO_USER_PROVISIONED : SECURITY_EVENT_TYPES.SSO_ACCOUNT_LINKED,
+          user: user._id,
+          req,
+          metadata: identity
+        });
+      }
+
+      const tokenPair = await jwtUtils.generateTokenPair(user, AuthController.getClientContext(req));
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+        user: user._id,
+        req,
+        metadata: { method: 'oidc' }
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.LOGIN_SUCCESS,
+        data: {
+          user: user.toJSON(),
+          tokens: tokenPair,
+          returnTo: loginState.returnTo,
+          provisioned
+        }
+      });
+    } catch (error) {
+      console.error('SSO callback error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message,
+          value: err.value
+        }));
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          errors: validationErrors
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Single sign-on failed'
+      });
+    }
+  }
+}
+
+export default SsoController;
@@ -1,18 +1,45 @@
 import Task from '../models/Task.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
+import Setting from '../models/Setting.js';
 import { validatePagination, sanitizeInput } from '../utils/validation.js';
 import {
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   TASK_STATUS,
-  USER_ROLES,
-  NOTIFICATION_TYPES
+  NOTIFICATION_TYPES,
+  SKILL_MATCH_CONFIG
 } from '../config/constants.js';
 import emailService from '../utils/emailService.js';
+import { getTaskSkills, rankAssignees } from '../utils/skillMatch.js';
+import { OPEN_TASK_STATUSES } from '../utils/offboarding.js';
+import { searchRegex } from '../utils/textSearch.js';
+import {
+  getVisibleUserIds,
+  getTaskVisibilityFilter,
+  canViewTask,
+  canManageTask,
+  canAssignTaskTo,
+  maskSensitiveFields
+} from '../utils/visibilityPolicy.js';
+
+// Populated users on a task whose sensitive fields may need masking
+const TASK_USER_PATHS = ['assignedTo', 'assignedBy', 'comments.user', 'watchers'];
 
 class TaskController {
+  /**
+   * Check organization settings to see if a user may be assigned tasks
+   * @param {Object} user - Prospective assignee
+   * @returns {Promise<boolean>}
+   */
+  static async canReceiveAssignments(user) {
+    if (user.isEmailVerified) return true;
+
+    const settings = await Setting.getSettings();
+    return !settings.emailVerification.requiredForTaskAssignment;
+  }
+
   static async getAllTasks(req, res) {
     try {
       const {
@@ -42,24 +69,17 @@ class TaskController {
       }
 
       if (search) {
+        const pattern = searchRegex(search);
         filter.$or = [
-          { title: new RegExp(search, 'i') },
-          { description: new RegExp(search, 'i') }
+          { title: pattern },
+          { description: pattern }
         ];
       }
 
-      if (req.user.role === USER_ROLES.EMPLOYEE) {
-        // Employees can see tasks assigned to them
-        // Employees with project_manager designation can also see tasks they created
-        if (req.user.designation === 'project_manager') {
-          filter.$or = [
-            { assignedTo: req.user._id }, // Tasks assigned to them
-            { assignedBy: req.user._id }  // Tasks they created
-          ];
-        } else {
-          // Regular employees can only see their own tasks
-          filter.assignedTo = req.user._id;
-        }
+      // Kept separate from the search $or so neither overrides the other
+      const visibilityFilter = await getTaskVisibilityFilter(req.user);
+      if (visibilityFilter) {
+        filter.$and = [visibilityFilter];
       }
 
       const sort = {};
@@ -83,7 +103,7 @@ class TaskController {
         success: true,
         message: 'Tasks retrieved successfully',
         data: {
-          tasks,
+          tasks: await maskSensitiveFields(req.user, tasks, TASK_USER_PATHS),
           pagination: {
             currentPage: validPage,
             totalPages,
@@ -122,18 +142,18 @@ class TaskController {
         });
       }
 
-      if (req.user.role === USER_ROLES.EMPLOYEE && task.assignedTo._id.toString() !== req.user._id.toString()) {
+      if (!(await canViewTask(req.user, task))) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
-          error: 'You can only view your own tasks'
+          error: 'You can only view your own tasks and those of your reports'
         });
       }
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: 'Task retrieved successfully',
-        data: { task }
+        data: { task: await maskSensitiveFields(req.user, task, TASK_USER_PATHS) }
       });
     } catch (error) {
       console.error('Get task error:', error);
@@ -145,6 +165,84 @@ class TaskController {
     }
   }
 
+  /**
+   * Rank the employees the requester could assign a task to by how well their
+   * skills match the task's tags and category, and by their open workload
+   * GET /api/tasks/:id/suggested-assignees
+   */
+  static async getSuggestedAssignees(req, res) {
+    try {
+      const { id } = req.params;
+      const limit = parseInt(req.query.limit) || SKILL_MATCH_CONFIG.DEFAULT_SUGGESTIONS;
+
+      const task = await Task.findById(id);
+      if (!task) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: ERROR_MESSAGES.TASK_NOT_FOUND,
+          error: 'Task not found'
+        });
+      }
+
+      if (!(await canManageTask(req.user, task))) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'You can only get suggestions for tasks you can reassign'
+        });
+      }
+
+      // Only people the requester may assign to and who may receive assignments
+      const filter = { isActive: true };
+      const visibleUserIds = await getVisibleUserIds(req.user);
+      if (visibleUserIds) filter._id = { $in: visibleUserIds };
+      if (!(await TaskController.canReceiveAssignments({ isEmailVerified: false }))) {
+        filter.isEmailVerified = true;
+      }
+
+      const [taskSkills, candidates] = await Promise.all([
+        getTaskSkills(task),
+        User.find(filter)
+          .select('firstName lastName email employeeId designation department avatar skills')
+          .populate('department', 'name')
+          .lean()
+      ]);
+
+      const workloads = await Task.aggregate([
+        { $match: { assignedTo: { $in: candidates.map(candidate => candidate._id) }, status: { $in: OPEN_TASK_STATUSES } } },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+      ]);
+      const openTaskCounts = new Map(workloads.map(entry => [entry._id.toString(), entry.count]));
+
+      const suggestions = rankAssignees(taskSkills, candidates, openTaskCounts)
+        .slice(0, limit)
+        .map(({ employee: { skills, ...employee }, ...suggestion }) => ({
+          employee,
+          ...suggestion,
+          isCurrentAssignee: task.assignedTo?.toString() === employee._id.toString()
+        }));
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Suggested assignees retrieved successfully',
+        data: {
+          task: { _id: task._id, title: task.title, category: task.category, tags: task.tags },
+          requiredSkills: taskSkills.tagSkills.map(skill => ({ _id: skill._id, name: skill.name })),
+          categorySkills: taskSkills.categorySkills.map(skill => ({ _id: skill._id, name: skill.name })),
+          unmatchedTags: taskSkills.unmatchedTags,
+          suggestions
+        }
+      });
+    } catch (error) {
+      console.error('Get suggested assignees error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to suggest assignees'
+      });
+    }
+  }
+
   static async createTask(req, res) {
     try {
       const sanitizedData = sanitizeInput(req.body);
@@ -168,6 +266,22 @@ class TaskController {
         });
       }
 
+      if (!(await canAssignTaskTo(req.user, assignedUser))) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: 'You can only assign tasks to yourself and your reports'
+        });
+      }
+
+      if (!(await TaskController.canReceiveAssignments(assignedUser))) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.EMAIL_NOT_VERIFIED,
+          error: 'Tasks cannot be assigned to users who have not verified their email address'
+        });
+      }
+
       const taskData = {
         title,
         description,
@@ -202,7 +316,7 @@ class TaskController {
       res.status(HTTP_STATUS.CREATED).json({
         success: true,
         message: SUCCESS_MESSAGES.TASK_CREATED,
-        data: { task: newTask }
+        data: { task: await maskSensitiveFields(req.user, newTask, TASK_USER_PATHS) }
       });
     } catch (error) {
       console.error('Create task error:', error);
@@ -243,15 +357,19 @@ class TaskController {
         });
       }
 
-      if (req.user.role === USER_ROLES.EMPLOYEE && task.assignedTo.toString() !== req.user._id.toString()) {
+      // Creators and managers of the assignee may edit everything; the
+      // assignee alone may only move the task along
+      const canManage = await canManageTask(req.user, task);
+
+      if (!canManage && task.assignedTo?.toString() !== req.user._id.toString()) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
-          error: 'You can only update your own tasks'
+          error: 'You can only update your own tasks and those of your reports'
         });
       }
 
-      if (req.user.role === USER_ROLES.EMPLOYEE) {
+      if (!canManage) {
         const allowedFields = ['status', 'comments'];
         const requestedFields = Object.keys(sanitizedData);
         const unauthorizedFields = requestedFields.filter(field => !allowedFields.includes(field));
@@ -260,7 +378,35 @@ class TaskController {
           return res.status(HTTP_STATUS.FORBIDDEN).json({
             success: false,
             message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
-            error: `Employees can only update: ${allowedFields.join(', ')}`
+            error: `Assignees can only update: ${allowedFields.join(', ')}`
+          });
+        }
+      }
+
+      // Validate new assignee if the task is being reassigned
+      if (sanitizedData.assignedTo && sanitizedData.assignedTo !== task.assignedTo?.toString()) {
+        const newAssignee = await User.findById(sanitizedData.assignedTo);
+        if (!newAssignee || !newAssignee.isActive) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.VALIDATION_ERROR,
+            error: 'Invalid or inactive user assigned to task'
+          });
+        }
+
+        if (!(await canAssignTaskTo(req.user, newAssignee))) {
+          return res.status(HTTP_STATUS.FORBIDDEN).json({
+            success: false,
+            message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+            error: 'You can only assign tasks to yourself and your reports'
+          });
+        }
+
+        if (!(await TaskController.canReceiveAssignments(newAssignee))) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: ERROR_MESSAGES.EMAIL_NOT_VERIFIED,
+            error: 'Tasks cannot be assigned to users who have not verified their email address'
           });
         }
       }
@@ -316,7 +462,7 @@ class TaskController {
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: SUCCESS_MESSAGES.TASK_UPDATED,
-        data: { task: updatedTask }
+        data: { task: await maskSensitiveFields(req.user, updatedTask, TASK_USER_PATHS) }
       });
     } catch (error) {
       console.error('Update task error:', error);
@@ -356,16 +502,11 @@ class TaskController {
         });
       }
 
-      // Check if user has permission to delete tasks
-      const canDeleteTasks = req.user.role === USER_ROLES.ADMIN ||
-        req.user.role === USER_ROLES.PROJECT_MANAGER ||
-        (req.user.role === USER_ROLES.EMPLOYEE && req.user.designation === 'project_manager');
-
-      if (!canDeleteTasks) {
+      if (!(await canManageTask(req.user, task))) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
-          error: 'Only administrators and project managers can delete tasks'
+          error: 'You can only delete tasks you created or that belong to your reports'
         });
       }
 
@@ -399,7 +540,7 @@ class TaskController {
         });
       }
 
-      if (task.assignedTo.toString() !== req.user._id.toString()) {
+      if (task.assignedTo?.toString() !== req.user._id.toString()) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.TASK_NOT_ASSIGNED,
@@ -459,7 +600,7 @@ class TaskController {
         });
       }
 
-      if (task.assignedTo.toString() !== req.user._id.toString()) {
+      if (task.assignedTo?.toString() !== req.user._id.toString()) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.TASK_NOT_ASSIGNED,
@@ -506,7 +647,7 @@ class TaskController {
         });
       }
 
-      if (task.assignedTo.toString() !== req.user._id.toString()) {
+      if (task.assignedTo?.toString() !== req.user._id.toString()) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.TASK_NOT_ASSIGNED,
@@ -561,21 +702,7 @@ class TaskController {
 
   static async getTaskStats(req, res) {
     try {
-      let filter = {};
-
-      if (req.user.role === USER_ROLES.EMPLOYEE) {
-        // Employees can see tasks assigned to them
-        // Employees with project_manager designation can also see tasks they created
-        if (req.user.designation === 'project_manager') {
-          filter.$or = [
-            { assignedTo: req.user._id }, // Tasks assigned to them
-            { assignedBy: req.user._id }  // Tasks they created
-          ];
-        } else {
-          // Regular employees can only see their own tasks
-          filter.assignedTo = req.user._id;
-        }
-      }
+      const filter = (await getTaskVisibilityFilter(req.user)) || {};
 
       const [
         totalTasks,
@@ -638,11 +765,11 @@ class TaskController {
         });
       }
 
-      if (req.user.role === USER_ROLES.EMPLOYEE && task.assignedTo.toString() !== req.user._id.toString()) {
+      if (!(await canViewTask(req.user, task))) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
-          error: 'You can only comment on your own tasks'
+          error: 'You can only comment on your own tasks and those of your reports'
         });
       }
 
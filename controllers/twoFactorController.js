@@ -0,0 +1,438 @@
+import User from '../models/User.js';
+import Setting from '../models/Setting.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import AuthController from './authController.js';
+import jwtUtils from '../utils/jwt.js';
+import { buildOtpauthUri } from '../utils/totp.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  SECURITY_EVENT_TYPES,
+  PASSWORD_RESET_CONFIG
+} from '../config/constants.js';
+
+/**
+ * Two-Factor Controller
+ * Handles TOTP enrollment, recovery codes and the second step of login
+ */
+class TwoFactorController {
+  /**
+   * Check whether the organization requires 2FA for a user's role
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>}
+   */
+  static async isRequiredFor(user) {
+    const settings = await Setting.getSettings();
+    return settings.twoFactor.requiredRoles.includes(user.role);
+  }
+
+  /**
+   * Finish a login that was held back by a two-factor challenge
+   * @param {Object} req - Express request object
+   * @param {Object} user - Authenticated user
+   * @param {Object} challenge - Verified challenge payload
+   * @returns {Promise<Object>} { user, tokens }
+   */
+  static async completeLogin(req, user, challenge) {
+    await jwtUtils.consumeTwoFactorChallenge(challenge);
+    await user.updateLastLogin();
+
+    const tokens = await jwtUtils.generateTokenPair(user, AuthController.getClientContext(req));
+
+    await SecurityEvent.record({
+      type: SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+      user: user._id,
+      req,
+      metadata: { twoFactor: true }
+    });
+
+    return {
+      user: user.toJSON(),
+      tokens
+    };
+  }
+
+  /**
+   * Hold back a challenged login whose password must be replaced first
+   * The second factor has been checked by now, so unlike a password-only
+   * login the reset token is handed back directly.
+   * @param {Object} user - Authenticated user
+   * @param {Object} challenge - Verified challenge payload
+   * @returns {Promise<Object|null>} Response body, or null when no change is needed
+   */
+  static async requirePasswordChange(user, challenge) {
+    const { passwordPolicy } = await Setting.getSettings();
+    if (!AuthController.isPasswordChangeRequired(user, passwordPolicy)) return null;
+
+    await jwtUtils.consumeTwoFactorChallenge(challenge);
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    return AuthController.passwordChangeResponse(user, passwordPolicy, {
+      resetToken,
+      expiresInMinutes: PASSWORD_RESET_CONFIG.TOKEN_EXPIRES_MINUTES
+    });
+  }
+
+  /**
+   * Get two-factor status for the current user
+   * GET /api/auth/2fa
+   */
+  static async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Two-factor status retrieved successfully',
+        data: {
+          enabled: user.twoFactor.enabled,
+          enabledAt: user.twoFactor.enabledAt,
+          recoveryCodesRemaining: user.twoFactor.recoveryCodes?.length || 0,
+          required: await TwoFactorController.isRequiredFor(user)
+        }
+      });
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to retrieve two-factor status'
+      });
+    }
+  }
+
+  /**
+   * Start enrollment and return the secret as an otpauth URI
+   * POST /api/auth/2fa/setup
+   */
+  static async setup(req, res) {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (user.twoFactor.enabled) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = user.createTwoFactorSecret();
+      await user.save({ validateBeforeSave: false });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri(secret, user.email)
+        }
+      });
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to start two-factor setup'
+      });
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code and issue recovery codes
+   * When called with an enrollment challenge this also completes the login.
+   * POST /api/auth/2fa/enable
+   */
+  static async enable(req, res) {
+    try {
+      const { code } = req.body;
+
+      const user = await User.findById(req.user._id)
+        .select('+twoFactor.pendingSecret +twoFactor.lastUsedStep');
+
+      if (user.twoFactor.enabled) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Start two-factor setup before enabling it'
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(code, { pending: true })) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CODE,
+          error: 'The code does not match. Check the time on your device and try again'
+        });
+      }
+
+      user.enableTwoFactor();
+      const recoveryCodes = user.createRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.TWO_FACTOR_ENABLED,
+        user: user._id,
+        actor: user._id,
+        req
+      });
+
+      const data = { recoveryCodes };
+      if (req.twoFactorChallenge) {
+        // 2FA is on either way; the login itself waits for a new password
+        const passwordChange = await TwoFactorController.requirePasswordChange(user, req.twoFactorChallenge);
+        Object.assign(data, passwordChange
+          ? passwordChange.data
+          : await TwoFactorController.completeLogin(req, user, req.twoFactorChallenge));
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR_ENABLED,
+        data
+      });
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to enable two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Second login step: exchange a challenge and code for a token pair
+   * POST /api/auth/2fa/verify
+   */
+  static async verifyLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      let challenge;
+      try {
+        challenge = jwtUtils.verifyTwoFactorChallenge(challengeToken);
+      } catch (error) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CHALLENGE,
+          error: error.message
+        });
+      }
+
+      if (challenge.purpose !== 'verify' || await jwtUtils.isTokenBlacklisted(challenge)) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CHALLENGE,
+          error: 'Challenge token has already been used'
+        });
+      }
+
+      const user = await User.findById(challenge.userId)
+        .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+      if (!user || !user.isActive || !user.twoFactor.enabled || user.changedPasswordAfter(challenge.iat)) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CHALLENGE,
+          error: 'User is not allowed to continue this login'
+        });
+      }
+
+      if (user.isLocked) {
+        const lockTimeRemaining = Math.ceil((user.lockUntil - Date.now()) / (1000 * 60));
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+          error: `Account is locked due to too many failed login attempts. Try again in ${lockTimeRemaining} minutes.`
+        });
+      }
+
+      // Authenticator codes take precedence; recovery codes are the fallback
+      const usedRecoveryCode = !code;
+      const isValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+
+      if (!isValid) {
+        // Wrong codes count towards the same lockout as wrong passwords
+        await AuthController.handleFailedLogin(
+          req,
+          user,
+          usedRecoveryCode ? 'invalid_recovery_code' : 'invalid_two_factor_code'
+        );
+
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CODE,
+          error: usedRecoveryCode ? 'Invalid or already used recovery code' : 'Invalid authentication code'
+        });
+      }
+
+      if (usedRecoveryCode) {
+        await SecurityEvent.record({
+          type: SECURITY_EVENT_TYPES.RECOVERY_CODE_USED,
+          user: user._id,
+          actor: user._id,
+          req,
+          metadata: { remaining: user.twoFactor.recoveryCodes.length }
+        });
+      }
+
+      const passwordChange = await TwoFactorController.requirePasswordChange(user, challenge);
+      if (passwordChange) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json(passwordChange);
+      }
+
+      const data = await TwoFactorController.completeLogin(req, user, challenge);
+      if (usedRecoveryCode) {
+        data.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.LOGIN_SUCCESS,
+        data
+      });
+    } catch (error) {
+      console.error('Two-factor verify error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Two-factor verification failed'
+      });
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * POST /api/auth/2fa/disable
+   */
+  static async disable(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      if (await TwoFactorController.isRequiredFor(req.user)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.TWO_FACTOR_REQUIRED,
+          error: 'Two-factor authentication cannot be disabled for your role'
+        });
+      }
+
+      const user = await User.findById(req.user._id)
+        .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+      if (!user.twoFactor.enabled) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!(await user.comparePassword(password))) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_CREDENTIALS,
+          error: 'Password is incorrect'
+        });
+      }
+
+      const isValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+      if (!isValid) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CODE,
+          error: 'Invalid authentication or recovery code'
+        });
+      }
+
+      user.disableTwoFactor();
+      await user.save({ validateBeforeSave: false });
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.TWO_FACTOR_DISABLED,
+        user: user._id,
+        actor: user._id,
+        req
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR_DISABLED,
+        data: null
+      });
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to disable two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Replace all recovery codes with a new set
+   * POST /api/auth/2fa/recovery-codes
+   */
+  static async regenerateRecoveryCodes(req, res) {
+    try {
+      const { code } = req.body;
+
+      const user = await User.findById(req.user._id)
+        .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+      if (!user.twoFactor.enabled) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION_ERROR,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(code)) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CODE,
+          error: 'Invalid authentication code'
+        });
+      }
+
+      const recoveryCodes = user.createRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.RECOVERY_CODES_REGENERATED,
+        user: user._id,
+        actor: user._id,
+        req
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR,
+        error: 'Failed to regenerate recovery codes'
+      });
+    }
+  }
+}
+
+export default TwoFactorController;
@@ -10,14 +10,25 @@ import employeeRouter from "./routes/employeeRoutes.js";
 import taskRouter from "./routes/taskRoutes.js";
 import notificationRouter from "./routes/notificationRoutes.js";
 import attendanceRouter from "./routes/attendanceRoutes.js";
-// import departmentRouter from './routes/department.js'
+import settingRouter from "./routes/settingRoutes.js";
+import invitationRouter from "./routes/invitationRoutes.js";
+import apiTokenRouter from "./routes/apiTokenRoutes.js";
+import securityRouter from "./routes/securityRoutes.js";
+import impersonationRouter from "./routes/impersonationRoutes.js";
+import roleRouter from "./routes/roleRoutes.js";
+import departmentRouter from "./routes/departmentRoutes.js";
+import skillRouter from "./routes/skillRoutes.js";
+import searchRouter from "./routes/searchRoutes.js";
 // import salaryRouter from './routes/salary.js'
 // import leaveRouter from './routes/leave.js'
-// import settingRouter from './routes/setting.js'
 // import dashboardRouter from './routes/dashboard.js'
 import database from "./config/database.js";
+import { startScheduledChangeRunner } from "./utils/employeeHistory.js";
+import { ensureMigrationsApplied } from "./utils/dataMigrations.js";
 
-database.connect();
+// Don't start while data from an older schema still needs migrating (scripts/migrate-*)
+await database.connect();
+await ensureMigrationsApplied();
 const app = express();
 
 // Security middleware
@@ -50,8 +61,8 @@ app.use(morgan("combined"));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 
-// Static files
-// app.use(express.static('public/uploads'))
+// Uploaded files (avatars, HR documents) are not served statically; they are
+// streamed from the storage driver by routes that check access first
 
 // API routes
 app.use("/api/auth", authRouter);
@@ -59,10 +70,17 @@ app.use("/api/employees", employeeRouter);
 app.use("/api/tasks", taskRouter);
 app.use("/api/notifications", notificationRouter);
 app.use("/api/attendance", attendanceRouter);
-// app.use('/api/department', departmentRouter)
+app.use("/api/settings", settingRouter);
+app.use("/api/invitations", invitationRouter);
+app.use("/api/tokens", apiTokenRouter);
+app.use("/api/security", securityRouter);
+app.use("/api/impersonation", impersonationRouter);
+app.use("/api/roles", roleRouter);
+app.use("/api/department", departmentRouter);
+app.use("/api/skills", skillRouter);
+app.use("/api/search", searchRouter);
 // app.use('/api/salary', salaryRouter)
 // app.use('/api/leave', leaveRouter)
-// app.use('/api/setting', settingRouter)
 // app.use('/api/dashboard', dashboardRouter)
 
 // Health check endpoint
@@ -142,4 +160,7 @@ app.listen(PORT, () => {
   //   }`
   // );
   console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
+
+  // Apply scheduled employee changes (promotions, transfers) as they come due
+  startScheduledChangeRunner();
 });
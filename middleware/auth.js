@@ -1,9 +1,115 @@
+import rateLimit from 'express-rate-limit';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiToken from '../models/ApiToken.js';
+import SecurityEvent from '../models/SecurityEvent.js';
 import jwtUtils from '../utils/jwt.js';
-import { HTTP_STATUS, ERROR_MESSAGES, USER_ROLES } from '../config/constants.js';
+import { getUserRoleKeys, hasPermission } from '../utils/permissions.js';
+import { canAssignTasks } from '../utils/visibilityPolicy.js';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  USER_ROLES,
+  PERMISSIONS,
+  PASSWORD_RESET_CONFIG,
+  API_TOKEN_SCOPES,
+  SECURITY_EVENT_TYPES
+} from '../config/constants.js';
+
+/**
+ * Work out which scope an API token needs for a request
+ * The resource is the router's mount path (/api/tasks -> tasks); reads need
+ * `<resource>:read`, everything else `<resource>:write`. Routers without a
+ * matching scope (auth, settings, token management, ...) are closed to API tokens.
+ * @param {Object} req - Express request object
+ * @returns {string|null} Required scope, or null if API tokens are not allowed
+ */
+const getRequiredScope = (req) => {
+  const resource = req.baseUrl.replace(/^\/api\//, '');
+  const access = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+  const scope = `${resource}:${access}`;
+
+  return Object.values(API_TOKEN_SCOPES).includes(scope) ? scope : null;
+};
+
+/**
+ * Authenticate a request carrying a personal access token or service key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ * @param {string} token - Raw API token
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  const apiToken = await ApiToken.findActiveByRawToken(token);
+  if (!apiToken) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: ERROR_MESSAGES.INVALID_TOKEN,
+      error: 'API token is invalid, expired or revoked'
+    });
+  }
+
+  const requiredScope = getRequiredScope(req);
+  if (!requiredScope || !apiToken.hasScope(requiredScope)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.INSUFFICIENT_SCOPE,
+      error: requiredScope
+        ? `This endpoint requires the ${requiredScope} scope`
+        : 'This endpoint cannot be used with an API token'
+    });
+  }
+
+  // The token acts as its owner, so the owner's account must still be usable
+  const user = await User.findById(apiToken.user);
+  if (!user || !user.isActive || user.isLocked) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+      error: 'The account behind this API token is not active'
+    });
+  }
+
+  ApiToken.touch(apiToken._id, req.ip).catch((error) => {
+    console.error('API token usage update error:', error);
+  });
+
+  req.user = user;
+  req.apiToken = apiToken;
+
+  next();
+};
+
+/**
+ * Tag a request made with an impersonation token and audit it once it completes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User being impersonated
+ * @param {Object} impersonator - Admin behind the token
+ * @param {Object} decoded - Verified token payload
+ */
+const auditImpersonatedRequest = (req, res, user, impersonator, decoded) => {
+  res.set('X-Impersonated-By', impersonator._id.toString());
+
+  res.on('finish', () => {
+    SecurityEvent.record({
+      type: SECURITY_EVENT_TYPES.IMPERSONATED_REQUEST,
+      user: user._id,
+      actor: impersonator._id,
+      req,
+      metadata: {
+        jti: decoded.jti,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode
+      }
+    });
+  });
+};
 
 /**
  * Authentication middleware to verify JWT tokens
+ * Also accepts personal access tokens and service keys, limited to their scopes.
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -19,13 +125,9 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Check if token is blacklisted
-    if (jwtUtils.isTokenBlacklisted(token)) {
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-        success: false,
-        message: ERROR_MESSAGES.INVALID_TOKEN,
-        error: 'Token has been revoked'
-      });
+    // Personal access tokens and service keys are opaque, not JWTs
+    if (ApiToken.isApiToken(token)) {
+      return await authenticateApiToken(req, res, next, token);
     }
 
     // Verify token
@@ -40,6 +142,15 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Check if token is blacklisted
+    if (await jwtUtils.isTokenBlacklisted(decoded)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TOKEN,
+        error: 'Token has been revoked'
+      });
+    }
+
     // Validate token payload structure
     if (!jwtUtils.validateTokenPayload(decoded)) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -77,9 +188,47 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Reject tokens issued before the last password change/reset
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.SESSION_INVALIDATED,
+        error: 'Password was changed after this token was issued'
+      });
+    }
+
+    // Impersonation tokens only work while the admin behind them still qualifies
+    let impersonator = null;
+    if (decoded.impersonator) {
+      impersonator = await User.findById(decoded.impersonator);
+      if (
+        !impersonator ||
+        !impersonator.isActive ||
+        impersonator.changedPasswordAfter(decoded.iat) ||
+        !(await hasPermission(impersonator, PERMISSIONS.IMPERSONATE_USERS))
+      ) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TOKEN,
+          error: 'Impersonation is no longer valid'
+        });
+      }
+
+      auditImpersonatedRequest(req, res, user, impersonator, decoded);
+    }
+
+    // Record session activity without holding up the request
+    if (decoded.family) {
+      Session.touch(decoded.family, { ip: req.ip }).catch((error) => {
+        console.error('Session activity update error:', error);
+      });
+    }
+
     // Add user to request object
     req.user = user;
     req.token = token;
+    req.tokenPayload = decoded;
+    req.impersonator = impersonator;
     
     next();
   } catch (error) {
@@ -94,10 +243,11 @@ export const authenticate = async (req, res, next) => {
 
 /**
  * Authorization middleware to check user roles
- * @param {...string} allowedRoles - Allowed roles for the route
+ * Passes when the user's built-in role or any of their custom roles is allowed.
+ * @param {...string} allowedRoles - Allowed role keys for the route
  */
 export const authorize = (...allowedRoles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -107,7 +257,8 @@ export const authorize = (...allowedRoles) => {
         });
       }
 
-      if (!allowedRoles.includes(req.user.role)) {
+      const roleKeys = await getUserRoleKeys(req.user);
+      if (!roleKeys.some(key => allowedRoles.includes(key))) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
@@ -129,10 +280,11 @@ export const authorize = (...allowedRoles) => {
 
 /**
  * Check if user can perform specific action
- * @param {string} action - Action to check
+ * Permissions come from the Role collection (see utils/permissions.js).
+ * @param {string} action - Permission key
  */
 export const canPerformAction = (action) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -142,7 +294,7 @@ export const canPerformAction = (action) => {
         });
       }
 
-      if (!req.user.canPerformAction(action)) {
+      if (!(await req.user.canPerformAction(action))) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
@@ -168,9 +320,9 @@ export const canPerformAction = (action) => {
 export const isAdminOrPM = authorize(USER_ROLES.ADMIN, USER_ROLES.PROJECT_MANAGER);
 
 /**
- * Check if user can create tasks (Admin, PM role, or Employee with PM designation)
+ * Check if user can create tasks (Admin, PM, or anyone with reports)
  */
-export const canCreateTasks = (req, res, next) => {
+export const canCreateTasks = async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -180,26 +332,15 @@ export const canCreateTasks = (req, res, next) => {
       });
     }
 
-    // Admin can always create tasks
-    if (req.user.role === USER_ROLES.ADMIN) {
-      return next();
-    }
-
-    // Project Manager role can create tasks
-    if (req.user.role === USER_ROLES.PROJECT_MANAGER) {
-      return next();
-    }
-
-    // Employee with project_manager designation can create tasks
-    if (req.user.role === USER_ROLES.EMPLOYEE && req.user.designation === 'project_manager') {
-      return next();
+    if (!(await canAssignTasks(req.user))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+        error: 'You need Admin role, Project Manager role, or direct reports to create tasks'
+      });
     }
 
-    return res.status(HTTP_STATUS.FORBIDDEN).json({
-      success: false,
-      message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
-      error: 'You need Admin role, Project Manager role, or Employee with Project Manager designation to create tasks'
-    });
+    next();
   } catch (error) {
     console.error('Task creation permission error:', error);
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
@@ -211,10 +352,11 @@ export const canCreateTasks = (req, res, next) => {
 };
 
 /**
- * Check if user can manage tasks (Admin, PM role, or Employee with PM designation)
- * Used for task deletion and other management operations
+ * Check if user can manage tasks (Admin, PM, or anyone with reports)
+ * Used for task deletion; the controller then limits managers to tasks they
+ * created or that belong to their reporting chain.
  */
-export const canManageTasks = (req, res, next) => {
+export const canManageTasks = async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -224,28 +366,49 @@ export const canManageTasks = (req, res, next) => {
       });
     }
 
-    // Admin can always manage tasks
-    if (req.user.role === USER_ROLES.ADMIN) {
-      return next();
+    if (!(await canAssignTasks(req.user))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+        error: `Required role: admin or project_manager, or a manager of other employees, your role: ${req.user.role}`
+      });
     }
 
-    // Project Manager role can manage tasks
-    if (req.user.role === USER_ROLES.PROJECT_MANAGER) {
-      return next();
+    next();
+  } catch (error) {
+    console.error('Task management permission error:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: ERROR_MESSAGES.SERVER_ERROR,
+      error: 'Permission check failed'
+    });
+  }
+};
+
+/**
+ * Check if user can see team records such as attendance (Admin, PM, or anyone with reports)
+ */
+export const canViewTeam = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.UNAUTHORIZED_ACCESS,
+        error: 'Authentication required'
+      });
     }
 
-    // Employee with project_manager designation can manage tasks
-    if (req.user.role === USER_ROLES.EMPLOYEE && req.user.designation === 'project_manager') {
-      return next();
+    if (!(await canAssignTasks(req.user))) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+        error: 'Admin or Project Manager role, or direct reports, required'
+      });
     }
 
-    return res.status(HTTP_STATUS.FORBIDDEN).json({
-      success: false,
-      message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
-      error: `Required role: admin or project_manager, or employee with project_manager designation, your role: ${req.user.role}`
-    });
+    next();
   } catch (error) {
-    console.error('Task management permission error:', error);
+    console.error('Team visibility check error:', error);
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       success: false,
       message: ERROR_MESSAGES.SERVER_ERROR,
@@ -305,6 +468,23 @@ export const isOwnerOrAuthorized = (req, res, next) => {
   }
 };
 
+/**
+ * Block a route while an admin is impersonating another user
+ * Used for account-level and destructive actions the impersonated user
+ * would not expect support staff to take on their behalf.
+ */
+export const preventDuringImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.IMPERSONATION_FORBIDDEN,
+      error: 'Sign in as yourself to perform this action'
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication - doesn't fail if no token provided
  * Useful for routes that work differently for authenticated vs unauthenticated users
@@ -322,9 +502,14 @@ export const optionalAuthenticate = async (req, res, next) => {
     try {
       const decoded = jwtUtils.verifyToken(token);
       
-      if (jwtUtils.validateTokenPayload(decoded)) {
+      // Impersonation tokens are only honoured by authenticate, where they are audited
+      if (
+        jwtUtils.validateTokenPayload(decoded) &&
+        !decoded.impersonator &&
+        !(await jwtUtils.isTokenBlacklisted(decoded))
+      ) {
         const user = await User.findById(decoded.userId);
-        if (user && user.isActive && !user.isLocked) {
+        if (user && user.isActive && !user.isLocked && !user.changedPasswordAfter(decoded.iat)) {
           req.user = user;
           req.token = token;
         } else {
@@ -345,6 +530,60 @@ export const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate with either an access token or a two-factor enrollment challenge
+ * Lets users whose role requires 2FA set it up before they can finish logging in.
+ * The challenge token is read from req.body.challengeToken.
+ */
+export const authenticateOrEnrollmentChallenge = async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    let decoded;
+    try {
+      decoded = jwtUtils.verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CHALLENGE,
+        error: error.message
+      });
+    }
+
+    if (decoded.purpose !== 'enroll' || await jwtUtils.isTokenBlacklisted(decoded)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CHALLENGE,
+        error: 'Challenge token cannot be used for enrollment'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive || user.isLocked || user.changedPasswordAfter(decoded.iat)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.INVALID_TWO_FACTOR_CHALLENGE,
+        error: 'User is not allowed to continue this login'
+      });
+    }
+
+    req.user = user;
+    req.twoFactorChallenge = decoded;
+
+    next();
+  } catch (error) {
+    console.error('Enrollment challenge authentication error:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: ERROR_MESSAGES.SERVER_ERROR,
+      error: 'Authentication failed'
+    });
+  }
+};
+
 /**
  * Rate limiting by user ID
  * Prevents abuse by limiting requests per user
@@ -386,6 +625,26 @@ export const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
   };
 };
 
+/**
+ * Rate limiting by email address in the request body
+ * Stops password reset emails from being used to spam a single inbox.
+ * Must run after validation so the email is already normalized.
+ */
+export const passwordResetRateLimit = rateLimit({
+  windowMs: PASSWORD_RESET_CONFIG.WINDOW_MS,
+  max: PASSWORD_RESET_CONFIG.MAX_REQUESTS_PER_EMAIL,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => String(req.body.email || req.ip).toLowerCase(),
+  handler: (req, res) => {
+    res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+      success: false,
+      message: PASSWORD_RESET_CONFIG.MESSAGE,
+      error: 'Rate limit exceeded'
+    });
+  }
+});
+
 /**
  * Check if user has specific designation
  * @param {...string} allowedDesignations - Allowed designations
@@ -428,10 +687,14 @@ export default {
   isAdminOrPM,
   canCreateTasks,
   canManageTasks,
+  canViewTeam,
   isAdmin,
   isEmployee,
   isOwnerOrAuthorized,
+  preventDuringImpersonation,
   optionalAuthenticate,
+  authenticateOrEnrollmentChallenge,
   userRateLimit,
+  passwordResetRateLimit,
   hasDesignation
 };
@@ -0,0 +1,84 @@
+import path from 'path';
+import multer from 'multer';
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  EMPLOYEE_IMPORT_CONFIG,
+  AVATAR_CONFIG,
+  EMPLOYEE_DOCUMENT_CONFIG
+} from '../config/constants.js';
+
+const CSV_MIME_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/octet-stream'
+];
+
+/**
+ * Wrap a multer handler so upload problems become 400 responses
+ * @param {Function} handler - multer middleware (e.g. upload.single('file'))
+ * @returns {Function} Express middleware
+ */
+const handleUpload = (handler) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? 'File is too large'
+      : error.message;
+
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.VALIDATION_ERROR,
+      error: message
+    });
+  });
+};
+
+/**
+ * Single CSV file in the `file` field, kept in memory as req.file.buffer
+ */
+export const uploadCsv = handleUpload(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: EMPLOYEE_IMPORT_CONFIG.MAX_FILE_SIZE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv'
+      && CSV_MIME_TYPES.includes(file.mimetype);
+
+    cb(isCsv ? null : new Error('Only .csv files are allowed'), isCsv);
+  }
+}).single('file'));
+
+/**
+ * Single image in the `avatar` field, kept in memory for processing
+ */
+export const uploadAvatar = handleUpload(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_CONFIG.MAX_FILE_SIZE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isAllowed = AVATAR_CONFIG.ALLOWED_TYPES.includes(file.mimetype);
+    cb(isAllowed ? null : new Error(`Avatar must be one of: ${AVATAR_CONFIG.ALLOWED_TYPES.join(', ')}`), isAllowed);
+  }
+}).single('avatar'));
+
+/**
+ * Single HR document in the `file` field, kept in memory until stored
+ */
+export const uploadDocument = handleUpload(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: EMPLOYEE_DOCUMENT_CONFIG.MAX_FILE_SIZE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isAllowed = EMPLOYEE_DOCUMENT_CONFIG.ALLOWED_TYPES.includes(file.mimetype);
+    cb(isAllowed ? null : new Error('Documents must be PDF, Word, JPEG or PNG files'), isAllowed);
+  }
+}).single('file'));
+
+export default {
+  uploadCsv,
+  uploadAvatar,
+  uploadDocument
+};
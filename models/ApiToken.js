@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import {
+  API_TOKEN_TYPES,
+  API_TOKEN_SCOPES,
+  API_TOKEN_CONFIG
+} from '../config/constants.js';
+
+/**
+ * API Token Schema
+ * Personal access tokens and admin-issued service keys for integrations.
+ * A token acts as its owner, limited to its scopes. Only the SHA-256 hash
+ * of the token is stored; the raw value is returned once at creation.
+ */
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: Object.values(API_TOKEN_TYPES),
+    default: API_TOKEN_TYPES.PERSONAL
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token owner is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.values(API_TOKEN_SCOPES)
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+
+  // Token
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // First characters of the raw token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+
+  // Usage
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true
+  }
+});
+
+// Virtual for active status
+apiTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+apiTokenSchema.index({ tokenHash: 1 }, { unique: true });
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+apiTokenSchema.index({ type: 1, createdAt: -1 });
+
+/**
+ * Hash a raw API token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Instance Methods
+
+/**
+ * Check if the token grants a scope
+ * @param {string} scope - Scope such as 'tasks:read'
+ * @returns {boolean}
+ */
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static Methods
+
+/**
+ * Check whether a bearer credential looks like an API token rather than a JWT
+ * @param {string} token - Bearer credential
+ * @returns {boolean}
+ */
+apiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(`${API_TOKEN_CONFIG.PREFIX}_`);
+};
+
+/**
+ * Create a token and return the raw value alongside the record
+ * @param {Object} params - { name, type, userId, createdBy, scopes, expiresInDays }
+ * @returns {Promise<Object>} { apiToken, rawToken }
+ */
+apiTokenSchema.statics.issue = async function({
+  name,
+  type = API_TOKEN_TYPES.PERSONAL,
+  userId,
+  createdBy,
+  scopes,
+  expiresInDays = API_TOKEN_CONFIG.DEFAULT_EXPIRES_DAYS
+}) {
+  const kind = type === API_TOKEN_TYPES.SERVICE ? 'svc' : 'pat';
+  const rawToken = `${API_TOKEN_CONFIG.PREFIX}_${kind}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiToken = await this.create({
+    name,
+    type,
+    user: userId,
+    createdBy,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(rawToken),
+    tokenPrefix: rawToken.slice(0, 16),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { apiToken, rawToken };
+};
+
+/**
+ * Find an active token by its raw value
+ * @param {string} rawToken - Bearer credential
+ * @returns {Promise<ApiToken|null>}
+ */
+apiTokenSchema.statics.findActiveByRawToken = function(rawToken) {
+  return this.findOne({
+    tokenHash: hashToken(rawToken),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Record token usage (throttled to one write per interval)
+ * @param {ObjectId} tokenId - Token ID
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>}
+ */
+apiTokenSchema.statics.touch = function(tokenId, ip) {
+  const now = new Date();
+
+  return this.updateOne(
+    {
+      _id: tokenId,
+      $or: [
+        { lastUsedAt: null },
+        { lastUsedAt: { $lt: new Date(now.getTime() - API_TOKEN_CONFIG.LAST_USED_INTERVAL_MS) } }
+      ]
+    },
+    { lastUsedAt: now, lastUsedIp: ip || null }
+  );
+};
+
+/**
+ * Count active tokens owned by a user
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<number>}
+ */
+apiTokenSchema.statics.countActiveForUser = function(userId) {
+  return this.countDocuments({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Revoke every active token owned by a user
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} revokedBy - User performing the revocation
+ * @returns {Promise<Object>}
+ */
+apiTokenSchema.statics.revokeAllForUser = function(userId, revokedBy = null) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy }
+  );
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+export default ApiToken;
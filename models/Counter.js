@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { escapeRegex } from '../utils/textSearch.js';
+
+/**
+ * Counter Schema
+ * Named sequences incremented atomically, so concurrent requests never
+ * receive the same value (used for employee IDs).
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static Methods
+
+/**
+ * Increment a counter and return the new value, starting at 1
+ * @param {string} key - Counter name
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Make sure a counter is at least a value, e.g. above numbers issued elsewhere
+ * @param {string} key - Counter name
+ * @param {number} value - Minimum current value
+ * @returns {Promise<void>}
+ */
+counterSchema.statics.raiseTo = async function(key, value) {
+  await this.updateOne({ _id: key }, { $max: { seq: value } }, { upsert: true });
+};
+
+/**
+ * Delete every counter whose name starts with a prefix
+ * @param {string} prefix - Counter name prefix, e.g. 'employeeId:'
+ * @returns {Promise<number>} Number of counters removed
+ */
+counterSchema.statics.resetByPrefix = async function(prefix) {
+  const { deletedCount } = await this.deleteMany({
+    _id: { $regex: `^${escapeRegex(prefix)}` }
+  });
+  return deletedCount;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+// Department names are unique regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Normalize a department name: trim and collapse inner whitespace
+ * @param {string} name - Raw name
+ * @returns {string}
+ */
+const normalizeName = (name) => {
+  return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : name;
+};
+
+/**
+ * Department Schema
+ * Organizational units employees belong to (User.department). Departments can
+ * be nested through `parent` and are deactivated rather than deleted while
+ * employees still reference them.
+ */
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    set: normalizeName,
+    maxlength: [100, 'Department name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  costCenter: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Cost center cannot exceed 50 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+departmentSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+departmentSchema.index({ parent: 1 });
+departmentSchema.index({ isActive: 1 });
+
+// Static Methods
+
+departmentSchema.statics.normalizeName = normalizeName;
+
+/**
+ * Find a department by name, ignoring case and extra whitespace
+ * @param {string} name - Department name
+ * @returns {Promise<Object|null>}
+ */
+departmentSchema.statics.findByName = function(name) {
+  return this.findOne({ name: normalizeName(name) }).collation(NAME_COLLATION);
+};
+
+/**
+ * Check whether making `parentId` the parent of `departmentId` would create a cycle
+ * @param {string} departmentId - Department being moved
+ * @param {string} parentId - Proposed parent
+ * @returns {Promise<boolean>}
+ */
+departmentSchema.statics.wouldCreateCycle = async function(departmentId, parentId) {
+  let currentId = parentId;
+  const visited = new Set();
+
+  while (currentId) {
+    const key = currentId.toString();
+    if (key === departmentId.toString()) return true;
+    if (visited.has(key)) return false;
+    visited.add(key);
+
+    const current = await this.findById(currentId).select('parent').lean();
+    currentId = current?.parent;
+  }
+
+  return false;
+};
+
+const Department = mongoose.model('Department', departmentSchema);
+
+export default Department;
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import {
+  EMPLOYEE_HISTORY_FIELDS,
+  EMPLOYEE_CHANGE_STATUS,
+  EMPLOYEE_CHANGE_SOURCES
+} from '../config/constants.js';
+
+/**
+ * Employee Change Schema
+ * Effective-dated history of an employee's salary, designation, department,
+ * role and manager. Changes made directly are recorded as applied; changes
+ * scheduled for a later date are applied when they come due
+ * (utils/employeeHistory.js), filling in `from` at that point.
+ */
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: EMPLOYEE_HISTORY_FIELDS,
+    required: true
+  },
+  // Number for salary, string for designation and role, ObjectId for
+  // department and manager; null when unset
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const employeeChangeSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required']
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    validate: [
+      {
+        validator: changes => changes.length > 0,
+        message: 'At least one change is required'
+      },
+      {
+        validator: changes => new Set(changes.map(change => change.field)).size === changes.length,
+        message: 'Each field can only be changed once per entry'
+      }
+    ]
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  status: {
+    type: String,
+    enum: Object.values(EMPLOYEE_CHANGE_STATUS),
+    default: EMPLOYEE_CHANGE_STATUS.APPLIED
+  },
+  source: {
+    type: String,
+    enum: Object.values(EMPLOYEE_CHANGE_SOURCES),
+    default: EMPLOYEE_CHANGE_SOURCES.UPDATE
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Who made or scheduled the change; null for changes from the identity provider
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  // Why a scheduled change could not be applied
+  failureReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+employeeChangeSchema.index({ employee: 1, effectiveDate: -1 });
+employeeChangeSchema.index({ status: 1, effectiveDate: 1 });
+
+// Static Methods
+
+/**
+ * Normalize a field value so it can be compared and stored
+ * @param {string} field - Tracked field name
+ * @param {*} value - Raw value (ObjectId, populated document, string, number)
+ * @returns {*} Number for salary, ObjectId for references, string otherwise; null when unset
+ */
+employeeChangeSchema.statics.normalizeValue = function(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (field === 'salary') return Number(value);
+  if (field === 'department' || field === 'manager') {
+    return new mongoose.Types.ObjectId(String(value._id || value));
+  }
+  return String(value);
+};
+
+/**
+ * List the tracked fields an update would change
+ * @param {Object} current - Employee document or plain object with the current values
+ * @param {Object} updates - Proposed values; fields not present are ignored
+ * @returns {Array<Object>} [{ field, from, to }]
+ */
+employeeChangeSchema.statics.diff = function(current, updates) {
+  return EMPLOYEE_HISTORY_FIELDS
+    .filter(field => updates[field] !== undefined)
+    .map(field => ({
+      field,
+      from: this.normalizeValue(field, current[field]),
+      to: this.normalizeValue(field, updates[field])
+    }))
+    .filter(change => String(change.from) !== String(change.to));
+};
+
+/**
+ * Record changes that have already been made to an employee
+ * @param {Object} employee - Employee as it was before the change
+ * @param {Object} updates - Values written
+ * @param {Object} options - { actor, reason, effectiveDate, source }
+ * @returns {Promise<Object|null>} The history entry, or null when nothing tracked changed
+ */
+employeeChangeSchema.statics.recordApplied = async function(employee, updates, options = {}) {
+  const changes = this.diff(employee, updates);
+  if (changes.length === 0) return null;
+
+  const now = new Date();
+  return this.create({
+    employee: employee._id,
+    changes,
+    effectiveDate: options.effectiveDate || now,
+    status: EMPLOYEE_CHANGE_STATUS.APPLIED,
+    source: options.source || EMPLOYEE_CHANGE_SOURCES.UPDATE,
+    reason: options.reason,
+    changedBy: options.actor?._id || options.actor || null,
+    appliedAt: now
+  });
+};
+
+/**
+ * Work out an employee's tracked values on a given date
+ * Uses the latest applied change on or before the date for each field; for
+ * fields that have only changed since, the value they changed from.
+ * @param {Object} employee - Employee document with the current values
+ * @param {Date} date - Point in time
+ * @returns {Promise<Object>} { salary, designation, department, role, manager }
+ */
+employeeChangeSchema.statics.valuesAsOf = async function(employee, date) {
+  const entries = await this.find({
+    employee: employee._id,
+    status: EMPLOYEE_CHANGE_STATUS.APPLIED
+  }).sort({ effectiveDate: 1, appliedAt: 1 }).lean();
+
+  const values = {};
+  for (const field of EMPLOYEE_HISTORY_FIELDS) {
+    const changes = entries.flatMap(entry => entry.changes
+      .filter(change => change.field === field)
+      .map(change => ({ ...change, effectiveDate: entry.effectiveDate })));
+
+    const before = changes.filter(change => change.effectiveDate <= date);
+    const after = changes.filter(change => change.effectiveDate > date);
+
+    if (before.length > 0) {
+      values[field] = before[before.length - 1].to;
+    } else if (after.length > 0) {
+      values[field] = after[0].from;
+    } else {
+      values[field] = this.normalizeValue(field, employee[field]);
+    }
+  }
+
+  return values;
+};
+
+const EmployeeChange = mongoose.model('EmployeeChange', employeeChangeSchema);
+
+export default EmployeeChange;
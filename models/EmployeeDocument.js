@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { EMPLOYEE_DOCUMENT_TYPES } from '../config/constants.js';
+
+/**
+ * Employee Document Schema
+ * HR files kept per employee (contracts, ID documents, certificates). The file
+ * itself lives in the storage driver under `storageKey`; only metadata is here.
+ */
+const employeeDocumentSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required']
+  },
+  type: {
+    type: String,
+    enum: Object.values(EMPLOYEE_DOCUMENT_TYPES),
+    required: [true, 'Document type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Document title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  // Validity
+  issuedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.issuedAt || value > this.issuedAt;
+      },
+      message: 'Expiry date must be after the issue date'
+    }
+  },
+
+  // File
+  storageKey: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.storageKey;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true
+  }
+});
+
+// Virtual for whether the document has passed its expiry date
+employeeDocumentSchema.virtual('isExpired').get(function() {
+  return !!(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Indexes for better query performance
+employeeDocumentSchema.index({ employee: 1, type: 1 });
+employeeDocumentSchema.index({ expiresAt: 1 });
+
+// Static Methods
+
+/**
+ * Find documents expiring within a number of days (already expired included)
+ * @param {number} days - Look-ahead window in days
+ * @returns {Promise<Array>}
+ */
+employeeDocumentSchema.statics.findExpiring = function(days) {
+  const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return this.find({ expiresAt: { $ne: null, $lte: until } })
+    .populate('employee', 'firstName lastName email employeeId isActive')
+    .sort({ expiresAt: 1 });
+};
+
+const EmployeeDocument = mongoose.model('EmployeeDocument', employeeDocumentSchema);
+
+export default EmployeeDocument;
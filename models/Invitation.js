@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import {
+  USER_ROLES,
+  USER_DESIGNATIONS,
+  INVITATION_STATUS,
+  INVITATION_CONFIG
+} from '../config/constants.js';
+
+/**
+ * Invitation Schema
+ * Pre-approved account details for a person who has been invited to register.
+ * The invitee chooses their own name and password; everything else is fixed here.
+ */
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      'Please provide a valid email address'
+    ]
+  },
+
+  // Account details applied on registration
+  role: {
+    type: String,
+    enum: Object.values(USER_ROLES),
+    default: USER_ROLES.EMPLOYEE
+  },
+  designation: {
+    type: String,
+    enum: Object.values(USER_DESIGNATIONS),
+    required: [true, 'Designation is required']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Token (SHA-256 hash of the link token)
+  token: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: [INVITATION_STATUS.PENDING, INVITATION_STATUS.ACCEPTED, INVITATION_STATUS.REVOKED],
+    default: INVITATION_STATUS.PENDING
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.token;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true
+  }
+});
+
+// Virtual for the status as seen by clients (pending invitations past expiry read as expired)
+invitationSchema.virtual('effectiveStatus').get(function() {
+  if (this.status === INVITATION_STATUS.PENDING && this.expiresAt <= new Date()) {
+    return INVITATION_STATUS.EXPIRED;
+  }
+  return this.status;
+});
+
+// Indexes for better query performance
+invitationSchema.index({ token: 1 }, { unique: true, sparse: true });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ invitedBy: 1, createdAt: -1 });
+
+/**
+ * Hash a raw invitation token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Instance Methods
+
+/**
+ * Issue a new link token and restart the expiry window
+ * Any previously sent link stops working.
+ * @returns {string} Raw invitation token
+ */
+invitationSchema.methods.createToken = function() {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+
+  this.token = hashToken(rawToken);
+  this.expiresAt = new Date(Date.now() + INVITATION_CONFIG.EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+  return rawToken;
+};
+
+// Static Methods
+
+/**
+ * Find a pending, unexpired invitation by its raw token
+ * @param {string} rawToken - Token from the invitation link
+ * @returns {Promise<Invitation|null>}
+ */
+invitationSchema.statics.findValidByToken = function(rawToken) {
+  return this.findOne({
+    token: hashToken(rawToken),
+    status: INVITATION_STATUS.PENDING,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Atomically claim a pending invitation so it can only be used once
+ * @param {string} rawToken - Token from the invitation link
+ * @returns {Promise<Invitation|null>}
+ */
+invitationSchema.statics.claim = function(rawToken) {
+  return this.findOneAndUpdate(
+    {
+      token: hashToken(rawToken),
+      status: INVITATION_STATUS.PENDING,
+      expiresAt: { $gt: new Date() }
+    },
+    { status: INVITATION_STATUS.ACCEPTED, acceptedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Return a claimed invitation to pending (used when registration fails after claiming)
+ * @param {ObjectId} invitationId - Invitation ID
+ * @returns {Promise<Object>}
+ */
+invitationSchema.statics.releaseClaim = function(invitationId) {
+  return this.updateOne(
+    { _id: invitationId, status: INVITATION_STATUS.ACCEPTED, acceptedUser: null },
+    { status: INVITATION_STATUS.PENDING, acceptedAt: null }
+  );
+};
+
+/**
+ * Find the open (pending and unexpired) invitation for an email address
+ * @param {string} email - Email address
+ * @returns {Promise<Invitation|null>}
+ */
+invitationSchema.statics.findOpenByEmail = function(email) {
+  return this.findOne({
+    email: email.toLowerCase(),
+    status: INVITATION_STATUS.PENDING,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -392,6 +392,37 @@ notificationSchema.statics.createTaskNotification = async function({
   return await notification.save();
 };
 
+/**
+ * Create a notification about a user (e.g. a manager change)
+ * @param {Object} params - Notification parameters
+ * @returns {Promise<Notification>}
+ */
+notificationSchema.statics.createUserNotification = async function({
+  recipientId,
+  senderId = null,
+  userId,
+  title,
+  message,
+  action = 'updated',
+  data = {}
+}) {
+  const notification = new this({
+    recipient: recipientId,
+    sender: senderId,
+    type: NOTIFICATION_TYPES.GENERAL,
+    title,
+    message,
+    relatedEntity: {
+      entityType: 'user',
+      entityId: userId
+    },
+    action,
+    data
+  });
+
+  return await notification.save();
+};
+
 /**
  * Clean up expired notifications
  * @returns {Promise<Object>}
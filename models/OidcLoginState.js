@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+/**
+ * OIDC Login State Schema
+ * Holds the state, nonce and PKCE verifier of an SSO login between the
+ * redirect to the identity provider and the callback. Each record is
+ * single-use and expires after OIDC_CONFIG.STATE_EXPIRES_MINUTES.
+ */
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Where the client wants to land after login (a path within the client app)
+  returnTo: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+oidcLoginStateSchema.index({ state: 1 }, { unique: true });
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static Methods
+
+/**
+ * Look up and delete a login state in one step so it cannot be replayed
+ * @param {string} state - State value returned by the identity provider
+ * @returns {Promise<OidcLoginState|null>}
+ */
+oidcLoginStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({
+    state,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
+export default OidcLoginState;
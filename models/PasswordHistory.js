@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { PASSWORD_POLICY_LIMITS } from '../config/constants.js';
+
+/**
+ * Password History Schema
+ * Previous password hashes per user, used to block password reuse.
+ * Kept out of the User document so hashes are never loaded with profiles.
+ */
+const passwordHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  hash: {
+    type: String,
+    required: [true, 'Password hash is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+passwordHistorySchema.index({ user: 1, createdAt: -1 });
+
+// Static Methods
+
+/**
+ * Record a new password hash and drop entries beyond the retention limit
+ * @param {ObjectId} userId - User ID
+ * @param {string} hash - bcrypt hash of the new password
+ * @returns {Promise<void>}
+ */
+passwordHistorySchema.statics.record = async function(userId, hash) {
+  await this.create({ user: userId, hash });
+
+  const stale = await this.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .skip(PASSWORD_POLICY_LIMITS.MAX_HISTORY)
+    .select('_id');
+
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map(entry => entry._id) } });
+  }
+};
+
+/**
+ * Get the most recent password hashes for a user, newest first
+ * @param {ObjectId} userId - User ID
+ * @param {number} count - Number of hashes
+ * @returns {Promise<Array<string>>}
+ */
+passwordHistorySchema.statics.getRecentHashes = async function(userId, count) {
+  const entries = await this.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(count)
+    .select('hash');
+
+  return entries.map(entry => entry.hash);
+};
+
+const PasswordHistory = mongoose.model('PasswordHistory', passwordHistorySchema);
+
+export default PasswordHistory;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../config/constants.js';
+
+// Descriptions for the built-in permissions created by seedDefaults
+const DEFAULT_PERMISSION_DETAILS = {
+  [PERMISSIONS.CREATE_USER]: { category: 'users', description: 'Create employee accounts' },
+  [PERMISSIONS.UPDATE_USER]: { category: 'users', description: 'Update employee details' },
+  [PERMISSIONS.DELETE_USER]: { category: 'users', description: 'Deactivate or delete employees' },
+  [PERMISSIONS.VIEW_USER]: { category: 'users', description: 'View employee profiles' },
+  [PERMISSIONS.UPDATE_OWN_PROFILE]: { category: 'users', description: 'Update own profile' },
+  [PERMISSIONS.CREATE_TASK]: { category: 'tasks', description: 'Create tasks' },
+  [PERMISSIONS.UPDATE_TASK]: { category: 'tasks', description: 'Update any task' },
+  [PERMISSIONS.DELETE_TASK]: { category: 'tasks', description: 'Delete tasks' },
+  [PERMISSIONS.VIEW_TASK]: { category: 'tasks', description: 'View all tasks' },
+  [PERMISSIONS.ASSIGN_TASK]: { category: 'tasks', description: 'Assign tasks to employees' },
+  [PERMISSIONS.VIEW_OWN_TASKS]: { category: 'tasks', description: 'View tasks assigned to oneself' },
+  [PERMISSIONS.UPDATE_TASK_STATUS]: { category: 'tasks', description: 'Change the status of own tasks' },
+  [PERMISSIONS.START_TASK]: { category: 'tasks', description: 'Start the timer on own tasks' },
+  [PERMISSIONS.COMPLETE_TASK]: { category: 'tasks', description: 'Complete own tasks' },
+  [PERMISSIONS.VIEW_REPORTS]: { category: 'reports', description: 'View reports and statistics' },
+  [PERMISSIONS.MANAGE_ROLES]: { category: 'administration', description: 'Manage roles and permissions' },
+  [PERMISSIONS.SYSTEM_SETTINGS]: { category: 'administration', description: 'Change organization settings' },
+  [PERMISSIONS.VIEW_SALARY]: { category: 'users', description: 'View other employees\' salaries' },
+  [PERMISSIONS.VIEW_CONTACT_DETAILS]: { category: 'users', description: 'View other employees\' phone numbers and addresses' },
+  [PERMISSIONS.MANAGE_EMPLOYEE_DOCUMENTS]: { category: 'users', description: 'Upload, view and delete employees\' HR documents' },
+  [PERMISSIONS.VIEW_ALL_EMPLOYEES]: { category: 'users', description: 'See and manage every employee\'s tasks and attendance, not only their reports' },
+  [PERMISSIONS.MANAGE_SESSIONS]: { category: 'administration', description: 'View and sign out other users\' sessions' },
+  [PERMISSIONS.MANAGE_API_TOKENS]: { category: 'administration', description: 'View and revoke other users\' API tokens' },
+  [PERMISSIONS.IMPERSONATE_USERS]: { category: 'administration', description: 'Act as another user for support' }
+};
+
+/**
+ * Permission Schema
+ * An action that roles can grant, referenced by its key (e.g. 'create_task').
+ * Built-in permissions are checked by the application and cannot be deleted.
+ */
+const permissionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Permission key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Permission key may only contain lowercase letters, numbers and underscores'],
+    maxlength: [50, 'Permission key cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'general'
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+permissionSchema.index({ category: 1, key: 1 });
+
+// Static Methods
+
+/**
+ * Create any missing built-in permissions
+ * @returns {Promise<Array<string>>} Keys of the permissions created, e.g. ones added in a new release
+ */
+permissionSchema.statics.seedDefaults = async function() {
+  const entries = Object.entries(DEFAULT_PERMISSION_DETAILS);
+
+  const result = await this.bulkWrite(
+    entries.map(([key, details]) => ({
+      updateOne: {
+        filter: { key },
+        update: {
+          $setOnInsert: { key, ...details },
+          $set: { isSystem: true }
+        },
+        upsert: true
+      }
+    }))
+  );
+
+  // upsertedIds is keyed by operation index
+  return Object.keys(result.upsertedIds).map(index => entries[index][0]);
+};
+
+/**
+ * Find which of the given keys do not exist
+ * @param {Array<string>} keys - Permission keys
+ * @returns {Promise<Array<string>>}
+ */
+permissionSchema.statics.findUnknownKeys = async function(keys) {
+  const existing = await this.find({ key: { $in: keys } }).distinct('key');
+  return keys.filter(key => !existing.includes(key));
+};
+
+const Permission = mongoose.model('Permission', permissionSchema);
+
+export default Permission;
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+/**
+ * Refresh Token Schema
+ * Server-side record of every issued refresh token. Tokens that descend from the
+ * same login share a family; each token may be exchanged exactly once.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+
+  // Rotation
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Client Information
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Records are removed by MongoDB once the token has expired
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static Methods
+
+/**
+ * Atomically mark a refresh token as used
+ * Returns null if the token is unknown, already used, or revoked.
+ * @param {string} jti - Token ID
+ * @returns {Promise<RefreshToken|null>}
+ */
+refreshTokenSchema.statics.consume = function(jti) {
+  return this.findOneAndUpdate(
+    { jti, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every token in a family
+ * @param {string} family - Token family ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object>}
+ */
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'revoked') {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Revoke every token issued to a user
+ * @param {ObjectId} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object>}
+ */
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'revoked') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
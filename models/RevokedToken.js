@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+
+export const REVOCATION_SCOPES = {
+  TOKEN: 'token',
+  FAMILY: 'family',
+  USER: 'user'
+};
+
+/**
+ * Revoked Token Schema
+ * Persists logged-out and force-revoked JWTs until they would have expired anyway.
+ * A 'token' entry revokes a single token by its jti, a 'family' entry revokes every
+ * access token minted from one refresh token family, and a 'user' entry revokes
+ * every token issued to that user before revokedAt.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: Object.values(REVOCATION_SCOPES),
+    default: REVOCATION_SCOPES.TOKEN,
+    required: true
+  },
+  jti: {
+    type: String,
+    required: function() {
+      return this.scope === REVOCATION_SCOPES.TOKEN;
+    }
+  },
+  family: {
+    type: String,
+    required: function() {
+      return this.scope === REVOCATION_SCOPES.FAMILY;
+    }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: 'logout'
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Entries are removed by MongoDB once the revoked token(s) can no longer be used
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+revokedTokenSchema.index({ jti: 1 }, { unique: true, sparse: true });
+revokedTokenSchema.index({ family: 1 }, { sparse: true });
+revokedTokenSchema.index({ user: 1, scope: 1, revokedAt: -1 });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static Methods
+
+/**
+ * Revoke a single token by jti
+ * @param {Object} params - Revocation parameters
+ * @returns {Promise<RevokedToken>}
+ */
+revokedTokenSchema.statics.revokeToken = function({ jti, userId, expiresAt, reason = 'logout', revokedBy = null }) {
+  return this.findOneAndUpdate(
+    { jti },
+    {
+      $setOnInsert: {
+        scope: REVOCATION_SCOPES.TOKEN,
+        jti,
+        user: userId,
+        reason,
+        revokedBy,
+        revokedAt: new Date(),
+        expiresAt
+      }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Revoke every access token minted from a refresh token family
+ * @param {Object} params - Revocation parameters
+ * @returns {Promise<RevokedToken>}
+ */
+revokedTokenSchema.statics.revokeFamily = function({ family, userId, expiresAt, reason = 'revoked', revokedBy = null }) {
+  return this.create({
+    scope: REVOCATION_SCOPES.FAMILY,
+    family,
+    user: userId,
+    reason,
+    revokedBy,
+    revokedAt: new Date(),
+    expiresAt
+  });
+};
+
+/**
+ * Revoke every token issued to a user up to now
+ * @param {Object} params - Revocation parameters
+ * @returns {Promise<RevokedToken>}
+ */
+revokedTokenSchema.statics.revokeAllForUser = function({ userId, expiresAt, reason = 'revoked', revokedBy = null }) {
+  return this.create({
+    scope: REVOCATION_SCOPES.USER,
+    user: userId,
+    reason,
+    revokedBy,
+    revokedAt: new Date(),
+    expiresAt
+  });
+};
+
+/**
+ * Check whether a decoded token has been revoked
+ * @param {Object} decoded - Verified token payload (jti, family, userId, iat)
+ * @returns {Promise<boolean>}
+ */
+revokedTokenSchema.statics.isRevoked = async function({ jti, family, userId, iat }) {
+  const conditions = [];
+
+  if (jti) {
+    conditions.push({ jti });
+  }
+
+  if (family) {
+    conditions.push({ scope: REVOCATION_SCOPES.FAMILY, family });
+  }
+
+  if (userId && iat) {
+    // iat is in whole seconds, so only a revocation in a later second is known
+    // to come after the token; same as User.changedPasswordAfter
+    conditions.push({
+      scope: REVOCATION_SCOPES.USER,
+      user: userId,
+      revokedAt: { $gte: new Date((iat + 1) * 1000) }
+    });
+  }
+
+  if (conditions.length === 0) return false;
+
+  const match = await this.exists({ $or: conditions });
+  return !!match;
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
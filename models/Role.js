@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import { USER_ROLES, DEFAULT_ROLE_PERMISSIONS } from '../config/constants.js';
+
+// Display names for the built-in roles created by seedDefaults
+const DEFAULT_ROLE_DETAILS = {
+  [USER_ROLES.ADMIN]: { name: 'Administrator', description: 'Full access to the system' },
+  [USER_ROLES.PROJECT_MANAGER]: { name: 'Project Manager', description: 'Manages tasks and team members' },
+  [USER_ROLES.EMPLOYEE]: { name: 'Employee', description: 'Works on assigned tasks' }
+};
+
+/**
+ * Role Schema
+ * A named set of permissions. Every user has one built-in role (User.role);
+ * custom roles such as "HR" or "Team Lead" are assigned on top of it through
+ * User.customRoles, and their permissions are added to the built-in role's.
+ */
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role key may only contain lowercase letters, numbers and underscores'],
+    maxlength: [50, 'Role key cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [100, 'Role name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Permission keys (see the Permission collection)
+  permissions: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Built-in roles back User.role; they can be edited but not deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roleSchema.index({ permissions: 1 });
+
+// Static Methods
+
+/**
+ * Create any missing built-in roles with the default permission matrix
+ * Permissions that have only just been created (see Permission.seedDefaults)
+ * are also granted to the existing built-in roles that have them by default,
+ * so upgrades keep working; permissions removed from a role stay removed.
+ * @param {Object} options - { reset: also restore the default permissions of existing
+ *   built-in roles, addedPermissions: permission keys just created by Permission.seedDefaults }
+ * @returns {Promise<void>}
+ */
+roleSchema.statics.seedDefaults = async function({ reset = false, addedPermissions = [] } = {}) {
+  await this.bulkWrite(
+    Object.entries(DEFAULT_ROLE_DETAILS).map(([key, details]) => {
+      const permissions = DEFAULT_ROLE_PERMISSIONS[key];
+
+      return {
+        updateOne: {
+          filter: { key },
+          update: reset
+            ? { $setOnInsert: { key, ...details }, $set: { isSystem: true, permissions } }
+            : { $setOnInsert: { key, ...details, permissions }, $set: { isSystem: true } },
+          upsert: true
+        }
+      };
+    })
+  );
+
+  const grants = Object.keys(DEFAULT_ROLE_DETAILS)
+    .map(key => ({
+      key,
+      permissions: DEFAULT_ROLE_PERMISSIONS[key].filter(permission => addedPermissions.includes(permission))
+    }))
+    .filter(grant => grant.permissions.length > 0);
+
+  if (!reset && grants.length > 0) {
+    await this.bulkWrite(grants.map(({ key, permissions }) => ({
+      updateOne: {
+        filter: { key },
+        update: { $addToSet: { permissions: { $each: permissions } } }
+      }
+    })));
+  }
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { SECURITY_EVENT_TYPES, SECURITY_EVENT_CONFIG } from '../config/constants.js';
+
+/**
+ * Security Event Schema
+ * Append-only log of authentication and account security events
+ */
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(SECURITY_EVENT_TYPES),
+    required: [true, 'Event type is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+securityEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SECURITY_EVENT_CONFIG.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Static Methods
+
+/**
+ * Record a security event
+ * Logging failures are reported but never break the request that triggered them.
+ * @param {Object} params - { type, user, actor, req, metadata }
+ * @returns {Promise<SecurityEvent|null>}
+ */
+securityEventSchema.statics.record = async function({ type, user = null, actor = null, req = null, metadata = {} }) {
+  try {
+    return await this.create({
+      type,
+      user,
+      actor,
+      ip: req ? req.ip : null,
+      userAgent: req ? req.get('User-Agent') || null : null,
+      metadata
+    });
+  } catch (error) {
+    console.error('Security event logging error:', error);
+    return null;
+  }
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+export default SecurityEvent;
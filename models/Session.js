@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import { parseUserAgent } from '../utils/userAgent.js';
+
+// Last-seen timestamps are only written once per interval to keep requests cheap
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Session Schema
+ * One record per login. A session owns a refresh token family; revoking the
+ * session revokes the family and every access token minted from it.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+    unique: true
+  },
+
+  // Client Information
+  device: {
+    browser: {
+      type: String,
+      default: 'Unknown'
+    },
+    os: {
+      type: String,
+      default: 'Unknown'
+    },
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'other', 'unknown'],
+      default: 'unknown'
+    }
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Sessions are removed by MongoDB once their refresh token could no longer be used
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.family;
+      return ret;
+    }
+  },
+  toObject: {
+    virtuals: true
+  }
+});
+
+// Virtual for active status
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static Methods
+
+/**
+ * Start a new session
+ * @param {Object} params - { userId, family, ip, userAgent, expiresAt }
+ * @returns {Promise<Session>}
+ */
+sessionSchema.statics.start = function({ userId, family, ip = null, userAgent = null, expiresAt }) {
+  return this.create({
+    user: userId,
+    family,
+    device: parseUserAgent(userAgent),
+    ip,
+    userAgent,
+    lastSeenAt: new Date(),
+    expiresAt
+  });
+};
+
+/**
+ * Record activity on a session
+ * @param {string} family - Token family ID
+ * @param {Object} updates - { ip, userAgent, expiresAt } (all optional)
+ * @returns {Promise<Object>}
+ */
+sessionSchema.statics.touch = function(family, updates = {}) {
+  const now = new Date();
+  const $set = { lastSeenAt: now };
+
+  if (updates.ip) $set.ip = updates.ip;
+  if (updates.userAgent) {
+    $set.userAgent = updates.userAgent;
+    $set.device = parseUserAgent(updates.userAgent);
+  }
+  if (updates.expiresAt) $set.expiresAt = updates.expiresAt;
+
+  const filter = { family, revokedAt: null };
+
+  // Plain activity pings are throttled; refreshes (which move expiresAt) always write
+  if (!updates.expiresAt) {
+    filter.lastSeenAt = { $lt: new Date(now.getTime() - LAST_SEEN_INTERVAL_MS) };
+  }
+
+  return this.updateOne(filter, { $set });
+};
+
+/**
+ * Find active sessions for a user, most recently used first
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Array>}
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Mark a session as revoked
+ * @param {string} family - Token family ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object>}
+ */
+sessionSchema.statics.revokeByFamily = function(family, reason = 'revoked') {
+  return this.updateOne(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Mark every session of a user as revoked
+ * @param {ObjectId} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<Object>}
+ */
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import { USER_ROLES, PASSWORD_POLICY_LIMITS, EMPLOYEE_ID_CONFIG } from '../config/constants.js';
+
+const ORGANIZATION_KEY = 'organization';
+
+/**
+ * Setting Schema
+ * Holds organization-wide configuration that admins can change at runtime
+ */
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: ORGANIZATION_KEY,
+    unique: true,
+    immutable: true
+  },
+
+  // Email Verification
+  emailVerification: {
+    requiredForLogin: {
+      type: Boolean,
+      default: false
+    },
+    requiredForTaskAssignment: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Two-Factor Authentication
+  twoFactor: {
+    // Users in these roles must enroll before they can finish logging in
+    requiredRoles: [{
+      type: String,
+      enum: Object.values(USER_ROLES)
+    }]
+  },
+
+  // Password Policy
+  passwordPolicy: {
+    minLength: {
+      type: Number,
+      min: PASSWORD_POLICY_LIMITS.MIN_LENGTH,
+      max: PASSWORD_POLICY_LIMITS.MAX_LENGTH,
+      default: 8
+    },
+    requireUppercase: {
+      type: Boolean,
+      default: false
+    },
+    requireLowercase: {
+      type: Boolean,
+      default: false
+    },
+    requireNumber: {
+      type: Boolean,
+      default: false
+    },
+    requireSymbol: {
+      type: Boolean,
+      default: false
+    },
+    disallowCommon: {
+      type: Boolean,
+      default: true
+    },
+    // Number of previous passwords (including the current one) that cannot be reused; 0 disables
+    historyCount: {
+      type: Number,
+      min: 0,
+      max: PASSWORD_POLICY_LIMITS.MAX_HISTORY,
+      default: 5
+    },
+    // Days before a password must be changed at login; 0 disables expiry
+    maxAgeDays: {
+      type: Number,
+      min: 0,
+      max: PASSWORD_POLICY_LIMITS.MAX_AGE_DAYS,
+      default: 0
+    }
+  },
+
+  // Employee IDs (see utils/employeeIds.js for the template tokens)
+  employeeIds: {
+    format: {
+      type: String,
+      trim: true,
+      maxlength: EMPLOYEE_ID_CONFIG.MAX_FORMAT_LENGTH,
+      default: EMPLOYEE_ID_CONFIG.DEFAULT_FORMAT
+    },
+    // Restart numbering each year; needs a year token in the format
+    resetYearly: {
+      type: Boolean,
+      default: EMPLOYEE_ID_CONFIG.DEFAULT_RESET_YEARLY
+    }
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Fields that cannot be changed through updateSettings
+const PROTECTED_PATHS = ['_id', 'key', 'updatedBy', 'createdAt', 'updatedAt', '__v'];
+
+/**
+ * Flatten a nested object into dot-notation paths
+ * @param {Object} obj - Object to flatten
+ * @param {string} prefix - Current path prefix
+ * @returns {Object}
+ */
+function flattenPaths(obj, prefix = '') {
+  return Object.entries(obj).reduce((acc, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      Object.assign(acc, flattenPaths(value, path));
+    } else {
+      acc[path] = value;
+    }
+    return acc;
+  }, {});
+}
+
+// Static Methods
+
+/**
+ * Get organization settings, creating the defaults on first access
+ * @returns {Promise<Setting>}
+ */
+settingSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    { key: ORGANIZATION_KEY },
+    { $setOnInsert: { key: ORGANIZATION_KEY } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Update organization settings
+ * Only known schema paths are applied; unknown keys are ignored
+ * @param {Object} updates - Nested settings object
+ * @param {ObjectId} userId - Admin making the change
+ * @returns {Promise<Setting>}
+ */
+settingSchema.statics.updateSettings = async function(updates, userId) {
+  const $set = {};
+
+  for (const [path, value] of Object.entries(flattenPaths(updates))) {
+    if (!PROTECTED_PATHS.includes(path) && this.schema.path(path)) {
+      $set[path] = value;
+    }
+  }
+
+  $set.updatedBy = userId;
+
+  return this.findOneAndUpdate(
+    { key: ORGANIZATION_KEY },
+    { $set },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+
+// Skill names and aliases are matched regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Normalize a skill name: trim and collapse inner whitespace
+ * @param {string} name - Raw name
+ * @returns {string}
+ */
+const normalizeName = (name) => {
+  return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : name;
+};
+
+/**
+ * Skill Schema
+ * The managed catalog behind User.skills. Aliases let task tags such as
+ * "nodejs" or "node.js" match the "Node" skill; `category` is compared with
+ * Task.category. Skills are deactivated rather than deleted while employees
+ * still list them.
+ */
+const skillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Skill name is required'],
+    set: normalizeName,
+    maxlength: [50, 'Skill name cannot exceed 50 characters']
+  },
+  aliases: [{
+    type: String,
+    set: name => normalizeName(name)?.toLowerCase(),
+    maxlength: [50, 'Alias cannot exceed 50 characters']
+  }],
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Category cannot exceed 50 characters'],
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+skillSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+skillSchema.index({ aliases: 1 });
+skillSchema.index({ category: 1 });
+skillSchema.index({ isActive: 1 });
+
+// Instance Methods
+
+/**
+ * Check whether a term is this skill's name or one of its aliases
+ * @param {string} term - Name, alias or task tag
+ * @returns {boolean}
+ */
+skillSchema.methods.matches = function(term) {
+  const key = normalizeName(term)?.toLowerCase();
+  return this.name.toLowerCase() === key || this.aliases.includes(key);
+};
+
+// Static Methods
+
+skillSchema.statics.normalizeName = normalizeName;
+
+/**
+ * Find skills by name or alias, ignoring case and extra whitespace
+ * @param {Array<string>} terms - Names, aliases or task tags
+ * @returns {Promise<Array>}
+ */
+skillSchema.statics.findByTerms = function(terms) {
+  const names = terms.map(normalizeName).filter(Boolean);
+  if (names.length === 0) return Promise.resolve([]);
+
+  return this.find({
+    $or: [
+      { name: { $in: names } },
+      { aliases: { $in: names.map(name => name.toLowerCase()) } }
+    ]
+  }).collation(NAME_COLLATION);
+};
+
+/**
+ * Find a skill by name or alias
+ * @param {string} term - Name or alias
+ * @returns {Promise<Object|null>}
+ */
+skillSchema.statics.findByName = async function(term) {
+  const [skill] = await this.findByTerms([term]);
+  return skill || null;
+};
+
+/**
+ * Return the IDs that are not active skills
+ * @param {Array} skillIds - Skill IDs
+ * @returns {Promise<Array<string>>}
+ */
+skillSchema.statics.findInvalidIds = async function(skillIds) {
+  const ids = [...new Set(skillIds.map(id => id.toString()))];
+  const active = await this.find({ _id: { $in: ids }, isActive: true }).distinct('_id');
+  const activeIds = new Set(active.map(id => id.toString()));
+
+  return ids.filter(id => !activeIds.has(id));
+};
+
+const Skill = mongoose.model('Skill', skillSchema);
+
+export default Skill;
@@ -21,10 +21,11 @@ const taskSchema = new mongoose.Schema({
   },
   
   // Task Assignment
+  // Null while a task waits for a new assignee (e.g. after its assignee was offboarded)
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Task must be assigned to a user']
+    default: null
   },
   assignedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -236,6 +237,15 @@ taskSchema.index({ createdAt: -1 });
 taskSchema.index({ 'timeTracking.isActive': 1 });
 taskSchema.index({ category: 1 });
 taskSchema.index({ tags: 1 });
+// Full-text search (GET /api/search), comments included
+taskSchema.index(
+  { title: 'text', tags: 'text', description: 'text', 'comments.message': 'text' },
+  {
+    name: 'task_text_search',
+    weights: { title: 10, tags: 5, description: 3, 'comments.message': 1 },
+    default_language: 'english'
+  }
+);
 
 // Pre-save middleware to update status history
 taskSchema.pre('save', function(next) {
@@ -364,14 +374,17 @@ taskSchema.methods.markAsCompleted = async function(userId) {
 };
 
 /**
- * Assign task to a different user
- * @param {ObjectId} newAssigneeId - New assignee user ID
+ * Assign task to a different user, or unassign it
+ * Unassigning keeps the original assigner so they can pick the new assignee.
+ * @param {ObjectId|null} newAssigneeId - New assignee user ID, or null to unassign
  * @param {ObjectId} assignerId - User making the assignment
  * @returns {Promise<Task>}
  */
 taskSchema.methods.reassign = async function(newAssigneeId, assignerId) {
   this.assignedTo = newAssigneeId;
-  this.assignedBy = assignerId;
+  if (newAssigneeId) {
+    this.assignedBy = assignerId;
+  }
   this.modifiedBy = assignerId;
   
   return await this.save();
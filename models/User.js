@@ -1,6 +1,26 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import { USER_ROLES, USER_DESIGNATIONS } from '../config/constants.js';
+import crypto from 'crypto';
+import PasswordHistory from './PasswordHistory.js';
+import { hasPermission } from '../utils/permissions.js';
+import { generateEmployeeId } from '../utils/employeeIds.js';
+import { escapeRegex } from '../utils/textSearch.js';
+import {
+  USER_ROLES,
+  USER_DESIGNATIONS,
+  PASSWORD_RESET_CONFIG,
+  EMAIL_VERIFICATION_CONFIG,
+  ACCOUNT_LOCK_CONFIG,
+  SKILL_LEVELS
+} from '../config/constants.js';
+import {
+  generateSecret,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from '../utils/totp.js';
 
 /**
  * User Schema
@@ -34,7 +54,6 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
 
@@ -44,10 +63,17 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please provide a valid phone number']
   },
+  // URL of the avatar endpoint (with a cache-busting version), or null
   avatar: {
     type: String,
     default: null
   },
+  // Storage keys of the avatar image and its thumbnails ('original', 'small', ...)
+  avatarFiles: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
   address: {
     street: String,
     city: String,
@@ -74,8 +100,9 @@ const userSchema = new mongoose.Schema({
     sparse: true // Allow null values but enforce uniqueness when present
   },
   department: {
-    type: String,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
   },
   hireDate: {
     type: Date,
@@ -90,6 +117,11 @@ const userSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Custom roles (e.g. HR, Team Lead) granted on top of the built-in role
+  customRoles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
 
   // Account Status
   isActive: {
@@ -100,6 +132,18 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -113,11 +157,106 @@ const userSchema = new mongoose.Schema({
     default: null
   },
 
-  // Skills and Experience
-  skills: [{
+  // Password Reset
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by an administrator (or password expiry) to force a new password at next login
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetToken: {
     type: String,
-    trim: true
-  }],
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+
+  // Two-Factor Authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    // Encrypted TOTP secrets; pendingSecret holds an enrollment that is not yet confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    }
+  },
+
+  // Single Sign-On identity linked to this account (OpenID Connect issuer + subject)
+  sso: {
+    issuer: {
+      type: String,
+      default: null
+    },
+    subject: {
+      type: String,
+      default: null
+    },
+    linkedAt: {
+      type: Date,
+      default: null
+    },
+    lastLoginAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Skills and Experience (each skill from the Skill catalog, at most once)
+  skills: {
+    type: [{
+      _id: false,
+      skill: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+        required: [true, 'Skill is required']
+      },
+      level: {
+        type: Number,
+        min: [SKILL_LEVELS.BEGINNER, `Skill level must be at least ${SKILL_LEVELS.BEGINNER}`],
+        max: [SKILL_LEVELS.EXPERT, `Skill level cannot exceed ${SKILL_LEVELS.EXPERT}`],
+        default: SKILL_LEVELS.BEGINNER
+      },
+      years: {
+        type: Number,
+        min: [0, 'Years of experience cannot be negative'],
+        max: [50, 'Years of experience cannot exceed 50'],
+        default: null
+      }
+    }],
+    validate: {
+      validator: function(skills) {
+        const ids = skills.map(entry => entry.skill?._id?.toString());
+        return new Set(ids).size === ids.length;
+      },
+      message: 'Each skill can only be listed once'
+    }
+  },
   experience: {
     years: {
       type: Number,
@@ -159,6 +298,17 @@ const userSchema = new mongoose.Schema({
       delete ret.__v;
       delete ret.loginAttempts;
       delete ret.lockUntil;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      delete ret.avatarFiles;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.lastUsedStep;
+        delete ret.twoFactor.recoveryCodes;
+      }
       return ret;
     }
   },
@@ -183,7 +333,49 @@ userSchema.index({ role: 1 });
 userSchema.index({ designation: 1 });
 userSchema.index({ department: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ manager: 1 });
+userSchema.index({ customRoles: 1 });
+userSchema.index({ 'skills.skill': 1, 'skills.level': 1 });
 // userSchema.index({ employeeId: 1 });
+// Full-text search (GET /api/search). Names are not stemmed, and the
+// `language` preference must not be read as the document's text language.
+userSchema.index(
+  { firstName: 'text', lastName: 'text', email: 'text', employeeId: 'text', designation: 'text' },
+  {
+    name: 'user_text_search',
+    weights: { firstName: 10, lastName: 10, employeeId: 8, email: 5, designation: 2 },
+    default_language: 'none',
+    language_override: 'textSearchLanguage'
+  }
+);
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index(
+  { 'sso.issuer': 1, 'sso.subject': 1 },
+  { unique: true, partialFilterExpression: { 'sso.subject': { $type: 'string' } } }
+);
+
+// Public fields returned when walking the reporting structure
+const ORG_CHART_PROJECTION = {
+  firstName: 1,
+  lastName: 1,
+  email: 1,
+  employeeId: 1,
+  designation: 1,
+  department: 1,
+  avatar: 1,
+  manager: 1,
+  isActive: 1
+};
+
+/**
+ * Hash a single-use token (password reset, email verification) for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
 // Pre-save middleware for password hashing
 userSchema.pre('save', async function(next) {
@@ -194,33 +386,39 @@ userSchema.pre('save', async function(next) {
     // Hash password with salt rounds of 12
     const saltRounds = 12;
     this.password = await bcrypt.hash(this.password, saltRounds);
+
+    // Record when the password changed so tokens issued earlier are rejected.
+    // Backdated by a second because JWT iat has one-second resolution.
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
+    this.mustChangePassword = false;
+
+    // Picked up by the post-save hook to add the hash to the password history
+    this.$locals.passwordHashed = true;
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Post-save middleware for password history
+userSchema.post('save', async function(doc) {
+  if (!doc.$locals.passwordHashed) return;
+  doc.$locals.passwordHashed = false;
+
+  try {
+    await PasswordHistory.record(doc._id, doc.password);
+  } catch (error) {
+    console.error('Password history error:', error);
+  }
+});
+
 // Pre-save middleware for employee ID generation
 userSchema.pre('save', async function(next) {
   if (this.isNew && !this.employeeId) {
     try {
-      const year = new Date().getFullYear();
-      const designation = this.designation.toUpperCase().substring(0, 3);
-      
-      // Find the last employee with similar pattern
-      const lastEmployee = await this.constructor.findOne(
-        { employeeId: new RegExp(`^${year}${designation}`) },
-        {},
-        { sort: { employeeId: -1 } }
-      );
-
-      let nextNumber = 1;
-      if (lastEmployee && lastEmployee.employeeId) {
-        const lastNumber = parseInt(lastEmployee.employeeId.slice(-4));
-        nextNumber = lastNumber + 1;
-      }
-
-      this.employeeId = `${year}${designation}${nextNumber.toString().padStart(4, '0')}`;
+      this.employeeId = await generateEmployeeId(this);
     } catch (error) {
       return next(error);
     }
@@ -244,56 +442,219 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 };
 
 /**
- * Check if user can perform action based on role
- * @param {string} action - Action to check
- * @param {string} targetRole - Target user role (optional)
+ * Check if password was changed after a token was issued
+ * @param {number} tokenIssuedAt - Token iat claim (seconds since epoch)
  * @returns {boolean}
  */
-userSchema.methods.canPerformAction = function(action, targetRole = null) {
-  const permissions = {
-    [USER_ROLES.ADMIN]: [
-      'create_user', 'update_user', 'delete_user', 'view_user',
-      'create_task', 'update_task', 'delete_task', 'view_task', 'assign_task',
-      'view_reports', 'manage_roles', 'system_settings'
-    ],
-    [USER_ROLES.PROJECT_MANAGER]: [
-      'view_user', 'update_user',
-      'create_task', 'update_task', 'delete_task', 'view_task', 'assign_task',
-      'view_reports'
-    ],
-    [USER_ROLES.EMPLOYEE]: [
-      'view_user', 'update_own_profile',
-      'view_own_tasks', 'update_task_status', 'start_task', 'complete_task'
-    ]
-  };
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+/**
+ * Check a candidate password against the current and recent passwords
+ * Requires +password to be selected.
+ * @param {string} candidatePassword - New password being set
+ * @param {number} historyCount - Number of passwords (including the current one) to check
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.isPasswordReused = async function(candidatePassword, historyCount) {
+  if (!historyCount) return false;
+
+  const recentHashes = await PasswordHistory.getRecentHashes(this._id, historyCount);
+  const hashes = [...new Set([this.password, ...recentHashes].filter(Boolean))].slice(0, historyCount);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Generate a single-use password reset token
+ * Only the SHA-256 hash is stored; the raw token is returned for the email link
+ * @returns {string} Raw reset token
+ */
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(
+    Date.now() + PASSWORD_RESET_CONFIG.TOKEN_EXPIRES_MINUTES * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+/**
+ * Clear any pending password reset token
+ */
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+/**
+ * Generate a single-use email verification token
+ * Only the SHA-256 hash is stored; the raw token is returned for the email link
+ * @returns {string} Raw verification token
+ */
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(
+    Date.now() + EMAIL_VERIFICATION_CONFIG.TOKEN_EXPIRES_HOURS * 60 * 60 * 1000
+  );
+
+  return verificationToken;
+};
+
+/**
+ * Mark the email address as verified and clear the verification token
+ */
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
 
-  return permissions[this.role]?.includes(action) || false;
+/**
+ * Start two-factor enrollment with a new pending secret
+ * Any previous unconfirmed enrollment is replaced
+ * @returns {string} Raw base32 secret for the authenticator app
+ */
+userSchema.methods.createTwoFactorSecret = function() {
+  const secret = generateSecret();
+  this.twoFactor.pendingSecret = encryptSecret(secret);
+  return secret;
+};
+
+/**
+ * Verify a TOTP code against the active (or pending) secret
+ * Requires +twoFactor.secret / +twoFactor.pendingSecret and +twoFactor.lastUsedStep.
+ * A successful check records the time step so the same code cannot be reused.
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { pending: true } to check the enrollment secret
+ * @returns {boolean}
+ */
+userSchema.methods.verifyTwoFactorCode = function(code, options = {}) {
+  const storedSecret = options.pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!storedSecret) return false;
+
+  const step = verifyTotp(decryptSecret(storedSecret), code, {
+    afterStep: this.twoFactor.lastUsedStep
+  });
+  if (step === null) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * Promote the pending secret and turn two-factor authentication on
+ */
+userSchema.methods.enableTwoFactor = function() {
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+};
+
+/**
+ * Turn two-factor authentication off and discard its secrets
+ */
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = null;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = undefined;
+  this.twoFactor.recoveryCodes = [];
+};
+
+/**
+ * Replace the recovery codes with a fresh set
+ * Only the SHA-256 hashes are stored; the raw codes are returned to show once
+ * @returns {Array<string>} Raw recovery codes
+ */
+userSchema.methods.createRecoveryCodes = function() {
+  const codes = generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+/**
+ * Consume a recovery code
+ * Requires +twoFactor.recoveryCodes
+ * @param {string} code - Recovery code entered by the user
+ * @returns {boolean} True if the code was valid and has now been used up
+ */
+userSchema.methods.useRecoveryCode = function(code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+
+  const hashed = hashToken(normalized);
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed);
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Check if user can perform action based on their roles
+ * Resolved against the Role collection (built-in role plus custom roles).
+ * @param {string} action - Permission key
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.canPerformAction = function(action) {
+  return hasPermission(this, action);
 };
 
 /**
  * Update last login timestamp
+ * Written directly rather than through save(), so fields a pending data
+ * migration has not converted yet can't fail validation and block logins.
  */
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
   this.loginAttempts = 0;
   this.lockUntil = undefined;
-  return this.save();
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastLogin: this.lastLogin, loginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
 };
 
 /**
  * Increment login attempts and lock account if necessary
+ * @returns {Promise<boolean>} True if this attempt locked the account
  */
-userSchema.methods.incrementLoginAttempts = function() {
-  const maxAttempts = 5;
-  const lockTime = 30 * 60 * 1000; // 30 minutes
-
+userSchema.methods.incrementLoginAttempts = async function() {
   this.loginAttempts += 1;
 
-  if (this.loginAttempts >= maxAttempts && !this.isLocked) {
-    this.lockUntil = Date.now() + lockTime;
+  let lockedNow = false;
+  if (this.loginAttempts >= ACCOUNT_LOCK_CONFIG.MAX_LOGIN_ATTEMPTS && !this.isLocked) {
+    this.lockUntil = Date.now() + ACCOUNT_LOCK_CONFIG.LOCK_MINUTES * 60 * 1000;
+    lockedNow = true;
   }
 
-  return this.save();
+  await this.save({ validateBeforeSave: false });
+  return lockedNow;
+};
+
+/**
+ * Clear failed login attempts and any lock
+ */
+userSchema.methods.unlock = function() {
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.save({ validateBeforeSave: false });
 };
 
 // Static Methods
@@ -316,13 +677,125 @@ userSchema.statics.findByDesignation = function(designation) {
   return this.find({ designation, isActive: true });
 };
 
+/**
+ * Find user by a raw (unhashed) password reset token that has not expired
+ * @param {string} resetToken - Raw reset token from the email link
+ * @returns {Promise<User|null>}
+ */
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordResetToken +passwordResetExpires');
+};
+
+/**
+ * Find user by a raw (unhashed) email verification token that has not expired
+ * @param {string} verificationToken - Raw verification token from the email link
+ * @returns {Promise<User|null>}
+ */
+userSchema.statics.findByEmailVerificationToken = function(verificationToken) {
+  return this.findOne({
+    emailVerificationToken: hashToken(verificationToken),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+/**
+ * Find the user linked to an SSO identity
+ * @param {string} issuer - OpenID Connect issuer
+ * @param {string} subject - Subject identifier at that issuer
+ * @returns {Promise<User|null>}
+ */
+userSchema.statics.findBySsoIdentity = function(issuer, subject) {
+  return this.findOne({ 'sso.issuer': issuer, 'sso.subject': subject });
+};
+
+/**
+ * Get the managers above a user, nearest first, up to the top of the org
+ * A manager cycle in existing data ends the chain instead of looping.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Managers with `level` (1 = direct manager)
+ */
+userSchema.statics.getReportingChain = async function(userId) {
+  const _id = new mongoose.Types.ObjectId(userId.toString());
+
+  const chain = await this.aggregate([
+    { $match: { _id } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$manager',
+        connectFromField: 'manager',
+        connectToField: '_id',
+        as: 'chain',
+        depthField: 'level'
+      }
+    },
+    { $unwind: '$chain' },
+    { $replaceRoot: { newRoot: '$chain' } },
+    { $match: { _id: { $ne: _id } } },
+    { $project: { ...ORG_CHART_PROJECTION, level: { $add: ['$level', 1] } } },
+    { $sort: { level: 1 } }
+  ]);
+
+  return this.populate(chain, { path: 'department', select: 'name' });
+};
+
+/**
+ * Get everyone reporting to a user, directly or through other managers
+ * @param {string} userId - User ID
+ * @param {Object} options - { depth: levels to include (1 = direct reports only), activeOnly }
+ * @returns {Promise<Array>} Reports with `level` (1 = direct report)
+ */
+userSchema.statics.getReports = async function(userId, { depth = null, activeOnly = true } = {}) {
+  const _id = new mongoose.Types.ObjectId(userId.toString());
+
+  const reports = await this.aggregate([
+    { $match: { _id } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'manager',
+        as: 'reports',
+        depthField: 'level',
+        ...(depth ? { maxDepth: depth - 1 } : {}),
+        ...(activeOnly ? { restrictSearchWithMatch: { isActive: true } } : {})
+      }
+    },
+    { $unwind: '$reports' },
+    { $replaceRoot: { newRoot: '$reports' } },
+    { $match: { _id: { $ne: _id } } },
+    { $project: { ...ORG_CHART_PROJECTION, level: { $add: ['$level', 1] } } },
+    { $sort: { level: 1, firstName: 1, lastName: 1 } }
+  ]);
+
+  return this.populate(reports, { path: 'department', select: 'name' });
+};
+
+/**
+ * Check whether making `managerId` the manager of `userId` would create a
+ * reporting cycle (including a user managing themselves)
+ * @param {string} userId - User whose manager is changing
+ * @param {string} managerId - Proposed manager
+ * @returns {Promise<boolean>}
+ */
+userSchema.statics.wouldCreateManagerCycle = async function(userId, managerId) {
+  if (userId.toString() === managerId.toString()) return true;
+
+  const chain = await this.getReportingChain(managerId);
+  return chain.some(manager => manager._id.toString() === userId.toString());
+};
+
 /**
  * Search users by query
  * @param {string} query - Search query
  * @returns {Promise<Array>}
  */
 userSchema.statics.searchUsers = function(query) {
-  const searchRegex = new RegExp(query, 'i');
+  const searchRegex = new RegExp(escapeRegex(query), 'i');
   return this.find({
     $or: [
       { firstName: searchRegex },
@@ -0,0 +1,84 @@
+import express from 'express';
+import ApiTokenController from '../controllers/apiTokenController.js';
+import { authenticate, isAdmin, preventDuringImpersonation } from '../middleware/auth.js';
+import {
+  validateApiTokenCreation,
+  validateServiceKeyCreation,
+  validateApiTokenQuery,
+  validateObjectId
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * API Token Routes
+ * Base path: /api/tokens
+ * All routes require authentication (API tokens cannot manage tokens,
+ * and admins cannot mint tokens for a user they are impersonating)
+ */
+
+router.use(authenticate, preventDuringImpersonation);
+
+/**
+ * @route   GET /api/tokens/scopes
+ * @desc    List the scopes that can be granted to API tokens
+ * @access  Private
+ */
+router.get('/scopes', ApiTokenController.getScopes);
+
+/**
+ * @route   GET /api/tokens/service
+ * @desc    List all service keys
+ * @access  Private (Admin)
+ */
+router.get('/service',
+  isAdmin,
+  ApiTokenController.getServiceKeys
+);
+
+/**
+ * @route   POST /api/tokens/service
+ * @desc    Issue a service key acting as the given account; the raw key is returned once
+ * @access  Private (Admin)
+ * @body    { name, scopes, userId, expiresInDays? }
+ */
+router.post('/service',
+  isAdmin,
+  validateServiceKeyCreation,
+  ApiTokenController.createServiceKey
+);
+
+/**
+ * @route   GET /api/tokens
+ * @desc    List the current user's API tokens
+ * @access  Private (manage_api_tokens may pass ?userId= to inspect another user)
+ * @query   userId (optional)
+ */
+router.get('/',
+  validateApiTokenQuery,
+  ApiTokenController.getTokens
+);
+
+/**
+ * @route   POST /api/tokens
+ * @desc    Create a personal access token; the raw token is returned once
+ * @access  Private
+ * @body    { name, scopes, expiresInDays? }
+ */
+router.post('/',
+  validateApiTokenCreation,
+  ApiTokenController.createPersonalToken
+);
+
+/**
+ * @route   DELETE /api/tokens/:id
+ * @desc    Revoke an API token
+ * @access  Private (own tokens, or any token with manage_api_tokens)
+ * @params  id (ObjectId)
+ */
+router.delete('/:id',
+  validateObjectId('id'),
+  ApiTokenController.revokeToken
+);
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import AttendanceController from '../controllers/attendanceController.js';
-import { authenticate } from '../middleware/auth.js';
-import { USER_ROLES } from '../config/constants.js';
+import { authenticate, canViewTeam, preventDuringImpersonation } from '../middleware/auth.js';
+import { validateAttendanceQuery } from '../utils/validation.js';
 
 const router = express.Router();
 
@@ -12,31 +12,13 @@ router.use(authenticate);
 router.post('/check-in', AttendanceController.checkIn);
 router.post('/check-out', AttendanceController.checkOut);
 router.get('/today', AttendanceController.getTodayAttendance);
-router.get('/history', AttendanceController.getAttendanceHistory);
-router.get('/summary', AttendanceController.getAttendanceSummary);
-router.delete('/reset-today', AttendanceController.resetTodayAttendance);
+router.get('/history', validateAttendanceQuery, AttendanceController.getAttendanceHistory);
+router.get('/summary', validateAttendanceQuery, AttendanceController.getAttendanceSummary);
+router.delete('/reset-today', preventDuringImpersonation, AttendanceController.resetTodayAttendance);
 
-// Admin routes (require admin or project_manager role)
-router.get('/admin/all', (req, res, next) => {
-  if (req.user.role !== USER_ROLES.ADMIN && req.user.role !== USER_ROLES.PROJECT_MANAGER) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin or Project Manager role required.',
-      error: 'Insufficient permissions'
-    });
-  }
-  next();
-}, AttendanceController.getAllAttendance);
+// Team routes (admin and project_manager see everyone; managers see their reports)
+router.get('/admin/all', canViewTeam, validateAttendanceQuery, AttendanceController.getAllAttendance);
 
-router.get('/admin/summary', (req, res, next) => {
-  if (req.user.role !== USER_ROLES.ADMIN && req.user.role !== USER_ROLES.PROJECT_MANAGER) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin or Project Manager role required.',
-      error: 'Insufficient permissions'
-    });
-  }
-  next();
-}, AttendanceController.getAllAttendanceSummary);
+router.get('/admin/summary', canViewTeam, AttendanceController.getAllAttendanceSummary);
 
 export default router;
\ No newline at end of file
@@ -1,13 +1,31 @@
 import express from 'express';
 import AuthController from '../controllers/authController.js';
-import { authenticate, optionalAuthenticate } from '../middleware/auth.js';
+import TwoFactorController from '../controllers/twoFactorController.js';
+import SsoController from '../controllers/ssoController.js';
 import {
-  validateUserRegistration,
+  authenticate,
+  authenticateOrEnrollmentChallenge,
+  preventDuringImpersonation,
+  passwordResetRateLimit,
+  userRateLimit
+} from '../middleware/auth.js';
+import {
+  validateInvitedRegistration,
   validateUserLogin,
   validateUserUpdate,
   validatePasswordChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateSessionQuery,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateObjectId,
+  validateOidcCallback,
   handleValidationErrors
 } from '../utils/validation.js';
+import { EMAIL_VERIFICATION_CONFIG } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -18,19 +36,19 @@ const router = express.Router();
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
- * @access  Public (but admin role creation requires admin privileges)
- * @body    { firstName, lastName, email, password, designation, role?, phone?, department?, salary?, skills?, manager? }
+ * @desc    Register a new user from an invitation (email, role, designation, department and manager come from the invite)
+ * @access  Public (requires a valid, unexpired invitation token)
+ * @body    { inviteToken, firstName, lastName, password, phone?, skills? }
  */
-router.post('/register', 
-  optionalAuthenticate, // Optional auth to check if admin is creating admin account
-  validateUserRegistration,
+router.post('/register',
+  validateInvitedRegistration,
   AuthController.register
 );
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user and return JWT token
+ * @desc    Login user and return JWT token, or a two-factor challenge when 2FA is enabled/required.
+ *          When the password must be changed, a reset link is emailed (403, passwordChangeRequired)
  * @access  Public
  * @body    { email, password }
  */
@@ -39,17 +57,161 @@ router.post('/login',
   AuthController.login
 );
 
+/**
+ * @route   GET /api/auth/oidc
+ * @desc    Show whether single sign-on is enabled (and whether password login is disabled)
+ * @access  Public
+ */
+router.get('/oidc', SsoController.getConfig);
+
+/**
+ * @route   GET /api/auth/oidc/authorize
+ * @desc    Start an SSO login; returns the identity provider URL to redirect the browser to
+ * @access  Public
+ * @query   returnTo (optional, client path to land on after login)
+ */
+router.get('/oidc/authorize', SsoController.startLogin);
+
+/**
+ * @route   POST /api/auth/oidc/callback
+ * @desc    Finish an SSO login with the code and state from the identity provider redirect
+ * @access  Public
+ * @body    { code, state }
+ */
+router.post('/oidc/callback',
+  validateOidcCallback,
+  SsoController.handleCallback
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step: exchange a challenge token and code for a token pair, or for a
+ *          password reset token (403, passwordChangeRequired) when the password must be changed first
+ * @access  Public (requires a challenge token from /login)
+ * @body    { challengeToken, code?, recoveryCode? }
+ */
+router.post('/2fa/verify',
+  validateTwoFactorLogin,
+  TwoFactorController.verifyLogin
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status for the current user
+ * @access  Private
+ * @headers Authorization: Bearer <token>
+ */
+router.get('/2fa',
+  authenticate,
+  TwoFactorController.getStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment and return the otpauth URI
+ * @access  Private (or an enrollment challenge token from /login)
+ * @headers Authorization: Bearer <token>
+ * @body    { challengeToken? }
+ */
+router.post('/2fa/setup',
+  authenticateOrEnrollmentChallenge,
+  preventDuringImpersonation,
+  TwoFactorController.setup
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes (and tokens when enrolling during login)
+ * @access  Private (or an enrollment challenge token from /login)
+ * @headers Authorization: Bearer <token>
+ * @body    { code, challengeToken? }
+ */
+router.post('/2fa/enable',
+  authenticateOrEnrollmentChallenge,
+  preventDuringImpersonation,
+  validateTwoFactorCode,
+  TwoFactorController.enable
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication (not allowed for roles that require it)
+ * @access  Private
+ * @headers Authorization: Bearer <token>
+ * @body    { password, code?, recoveryCode? }
+ */
+router.post('/2fa/disable',
+  authenticate,
+  preventDuringImpersonation,
+  validateTwoFactorDisable,
+  TwoFactorController.disable
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes with a new set
+ * @access  Private
+ * @headers Authorization: Bearer <token>
+ * @body    { code }
+ */
+router.post('/2fa/recovery-codes',
+  authenticate,
+  preventDuringImpersonation,
+  validateTwoFactorCode,
+  TwoFactorController.regenerateRecoveryCodes
+);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user and blacklist token
+ * @desc    Logout user and blacklist the access token (and refresh token if provided)
  * @access  Private
  * @headers Authorization: Bearer <token>
+ * @body    { refreshToken? }
  */
 router.post('/logout',
   authenticate,
   AuthController.logout
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out of every session on every device, including this one
+ * @access  Private
+ * @headers Authorization: Bearer <token>
+ */
+router.post('/logout-all',
+  authenticate,
+  preventDuringImpersonation,
+  AuthController.logoutAll
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (device, IP, user agent, last seen)
+ * @access  Private (manage_sessions may pass ?userId= to inspect another user)
+ * @headers Authorization: Bearer <token>
+ * @query   userId (optional, ObjectId)
+ */
+router.get('/sessions',
+  authenticate,
+  validateSessionQuery,
+  AuthController.getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out a single session
+ * @access  Private (own sessions, or any session with manage_sessions)
+ * @headers Authorization: Bearer <token>
+ * @params  id - Session ID
+ */
+router.delete('/sessions/:id',
+  authenticate,
+  preventDuringImpersonation,
+  validateObjectId('id'),
+  AuthController.revokeSession
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -63,13 +225,15 @@ router.get('/me',
 
 /**
  * @route   PUT /api/auth/profile
- * @desc    Update current user profile
+ * @desc    Update current user profile (employment details such as manager,
+ *          designation and salary are changed through PUT /api/employees/:id)
  * @access  Private
  * @headers Authorization: Bearer <token>
- * @body    { firstName?, lastName?, phone?, department?, skills?, ... }
+ * @body    { firstName?, lastName?, phone?, skills?, ... }
  */
 router.put('/profile',
   authenticate,
+  preventDuringImpersonation,
   validateUserUpdate,
   AuthController.updateProfile
 );
@@ -83,6 +247,7 @@ router.put('/profile',
  */
 router.put('/change-password',
   authenticate,
+  preventDuringImpersonation,
   validatePasswordChange,
   AuthController.changePassword
 );
@@ -120,62 +285,58 @@ router.get('/verify',
 );
 
 /**
- * @route   POST /api/auth/forgot-password
- * @desc    Send password reset email (placeholder)
+ * @route   GET /api/auth/password-policy
+ * @desc    Get the organization's password requirements
  * @access  Public
+ */
+router.get('/password-policy',
+  AuthController.getPasswordPolicy
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send password reset email
+ * @access  Public (rate limited per email)
  * @body    { email }
  */
-router.post('/forgot-password', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Password reset feature not implemented yet',
-    error: 'This feature will be available in a future update'
-  });
-});
+router.post('/forgot-password',
+  validateForgotPassword,
+  passwordResetRateLimit,
+  AuthController.forgotPassword
+);
 
 /**
  * @route   POST /api/auth/reset-password
- * @desc    Reset password using reset token (placeholder)
+ * @desc    Reset password using reset token and sign out all existing sessions
  * @access  Public
- * @body    { resetToken, newPassword }
+ * @body    { resetToken, newPassword, confirmPassword }
  */
-router.post('/reset-password', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Password reset feature not implemented yet',
-    error: 'This feature will be available in a future update'
-  });
-});
+router.post('/reset-password',
+  validatePasswordReset,
+  AuthController.resetPassword
+);
 
 /**
  * @route   POST /api/auth/verify-email
- * @desc    Verify email address (placeholder)
+ * @desc    Verify email address
  * @access  Public
  * @body    { verificationToken }
  */
-router.post('/verify-email', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Email verification feature not implemented yet',
-    error: 'This feature will be available in a future update'
-  });
-});
+router.post('/verify-email',
+  validateEmailVerification,
+  AuthController.verifyEmail
+);
 
 /**
  * @route   POST /api/auth/resend-verification
- * @desc    Resend email verification (placeholder)
- * @access  Private
+ * @desc    Resend email verification
+ * @access  Private (rate limited per user)
  * @headers Authorization: Bearer <token>
  */
 router.post('/resend-verification',
   authenticate,
-  (req, res) => {
-    res.status(501).json({
-      success: false,
-      message: 'Email verification feature not implemented yet',
-      error: 'This feature will be available in a future update'
-    });
-  }
+  userRateLimit(EMAIL_VERIFICATION_CONFIG.MAX_RESENDS, EMAIL_VERIFICATION_CONFIG.RESEND_WINDOW_MS),
+  AuthController.resendVerification
 );
 
 export default router;
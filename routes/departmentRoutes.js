@@ -0,0 +1,81 @@
+import express from 'express';
+import DepartmentController from '../controllers/departmentController.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+import {
+  validateDepartmentCreation,
+  validateDepartmentUpdate,
+  validateDepartmentQuery,
+  validateObjectId
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * Department Routes
+ * Base path: /api/department
+ * Everyone signed in can read departments; only admins can change them
+ */
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/department
+ * @desc    List departments with employee counts
+ * @access  Private
+ * @query   page, limit, parent, isActive, search
+ */
+router.get('/',
+  validateDepartmentQuery,
+  DepartmentController.getAllDepartments
+);
+
+/**
+ * @route   POST /api/department
+ * @desc    Create a department
+ * @access  Private (Admin)
+ * @body    { name, description?, head?, parent?, costCenter?, isActive? }
+ */
+router.post('/',
+  isAdmin,
+  validateDepartmentCreation,
+  DepartmentController.createDepartment
+);
+
+/**
+ * @route   GET /api/department/:id
+ * @desc    Get a department with its sub-departments and employee count
+ * @access  Private
+ * @params  id (ObjectId)
+ */
+router.get('/:id',
+  validateObjectId('id'),
+  DepartmentController.getDepartmentById
+);
+
+/**
+ * @route   PUT /api/department/:id
+ * @desc    Update a department
+ * @access  Private (Admin)
+ * @params  id (ObjectId)
+ * @body    { name?, description?, head?, parent?, costCenter?, isActive? }
+ */
+router.put('/:id',
+  isAdmin,
+  validateObjectId('id'),
+  validateDepartmentUpdate,
+  DepartmentController.updateDepartment
+);
+
+/**
+ * @route   DELETE /api/department/:id
+ * @desc    Delete a department (deactivated instead while still referenced)
+ * @access  Private (Admin)
+ * @params  id (ObjectId)
+ */
+router.delete('/:id',
+  isAdmin,
+  validateObjectId('id'),
+  DepartmentController.deleteDepartment
+);
+
+export default router;
@@ -1,19 +1,37 @@
 import express from 'express';
 import EmployeeController from '../controllers/employeeController.js';
+import DocumentController from '../controllers/documentController.js';
+import EmployeeHistoryController from '../controllers/employeeHistoryController.js';
 import { 
   authenticate, 
   authorize, 
   isAdminOrPM, 
   isAdmin,
-  isOwnerOrAuthorized 
+  isOwnerOrAuthorized,
+  canPerformAction,
+  preventDuringImpersonation
 } from '../middleware/auth.js';
+import { uploadCsv, uploadAvatar, uploadDocument } from '../middleware/upload.js';
 import {
   validateUserRegistration,
+  validateEmployeeImport,
   validateUserUpdate,
   validateObjectId,
   validateQueryParams,
-  validateSearchQuery
+  validateSearchQuery,
+  validateEmployeeExport,
+  validateOffboarding,
+  validateOrgChartQuery,
+  validateReportsQuery,
+  validateAvatarQuery,
+  validateDocumentUpload,
+  validateDocumentUpdate,
+  validateDocumentQuery,
+  validateExpiringDocumentsQuery,
+  validateEmployeeHistoryQuery,
+  validateScheduledChange
 } from '../utils/validation.js';
+import { PERMISSIONS } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -38,6 +56,18 @@ router.get('/search',
   EmployeeController.searchEmployees
 );
 
+/**
+ * @route   GET /api/employees/export
+ * @desc    Download all employees matching the list filters as CSV or XLSX
+ * @access  Private (Admin, PM)
+ * @query   format (csv|xlsx), columns (comma separated), role, designation, department, isActive, skills, search
+ */
+router.get('/export',
+  isAdminOrPM,
+  validateEmployeeExport,
+  EmployeeController.exportEmployees
+);
+
 /**
  * @route   GET /api/employees/stats
  * @desc    Get employee statistics
@@ -48,6 +78,28 @@ router.get('/stats',
   EmployeeController.getEmployeeStats
 );
 
+/**
+ * @route   GET /api/employees/org-chart
+ * @desc    Get the reporting tree, optionally rooted at an employee or limited to a department
+ * @access  Private
+ * @query   root (ObjectId), department (ObjectId), depth
+ */
+router.get('/org-chart',
+  validateOrgChartQuery,
+  EmployeeController.getOrgChart
+);
+
+/**
+ * @route   GET /api/employees/documents/expiring
+ * @desc    Get HR documents that have expired or expire within the window
+ * @access  Private (Admin, or manage_employee_documents permission)
+ * @query   days (default 30)
+ */
+router.get('/documents/expiring',
+  validateExpiringDocumentsQuery,
+  DocumentController.getExpiringDocuments
+);
+
 /**
  * @route   GET /api/employees/role/:role
  * @desc    Get employees by role
@@ -78,7 +130,7 @@ router.get('/designation/:designation',
  * @route   GET /api/employees
  * @desc    Get all employees with filtering and pagination
  * @access  Private (Admin, PM)
- * @query   page, limit, role, designation, department, isActive, search, sortBy, sortOrder
+ * @query   page, limit, role, designation, department (ObjectId), isActive, skills (e.g. react:3,node), search, sortBy, sortOrder
  */
 router.get('/',
   authenticate,
@@ -90,7 +142,7 @@ router.get('/',
  * @route   POST /api/employees
  * @desc    Create new employee
  * @access  Private (Admin, PM)
- * @body    { firstName, lastName, email, password, designation, role?, phone?, department?, salary?, skills?, manager?, hireDate? }
+ * @body    { firstName, lastName, email, password, designation, role?, phone?, department?, salary?, skills? ([{ skill, level?, years? }]), manager?, hireDate? }
  */
 router.post('/',
   isAdminOrPM,
@@ -98,24 +150,64 @@ router.post('/',
   EmployeeController.createEmployee
 );
 
+/**
+ * @route   POST /api/employees/import
+ * @desc    Import employees from a CSV file (multipart/form-data). Columns map to
+ *          employee fields by header; department is a name, manager an email or
+ *          employee ID. A dry run reports per-row errors without creating anyone.
+ * @access  Private (Admin, PM)
+ * @body    file (CSV), dryRun?, sendWelcomeEmail?
+ */
+router.post('/import',
+  isAdminOrPM,
+  uploadCsv,
+  validateEmployeeImport,
+  EmployeeController.importEmployees
+);
+
 /**
  * @route   GET /api/employees/:id
  * @desc    Get employee by ID
- * @access  Private (Admin, PM can view all; Employee can view own profile)
+ * @access  Private (Admin, PM can view all; Employee can view own profile and their reports)
  * @params  id (ObjectId)
  */
 router.get('/:id',
   validateObjectId('id'),
-  isOwnerOrAuthorized,
   EmployeeController.getEmployeeById
 );
 
+/**
+ * @route   GET /api/employees/:id/reporting-chain
+ * @desc    Get the managers above an employee, up to the top of the org
+ * @access  Private
+ * @params  id (ObjectId)
+ */
+router.get('/:id/reporting-chain',
+  validateObjectId('id'),
+  EmployeeController.getReportingChain
+);
+
+/**
+ * @route   GET /api/employees/:id/reports
+ * @desc    Get an employee's direct and indirect reports
+ * @access  Private
+ * @params  id (ObjectId)
+ * @query   depth (default 1: direct reports only)
+ */
+router.get('/:id/reports',
+  validateObjectId('id'),
+  validateReportsQuery,
+  EmployeeController.getReports
+);
+
 /**
  * @route   PUT /api/employees/:id
  * @desc    Update employee
  * @access  Private (Admin can update all; PM can update non-admin; Employee can update own basic info)
  * @params  id (ObjectId)
- * @body    { firstName?, lastName?, phone?, designation?, department?, salary?, skills?, manager?, ... }
+ * @body    { firstName?, lastName?, phone?, designation?, department?, salary?, skills?, manager?, ..., reason?, effectiveDate? }
+ *          Salary, designation, department, role and manager changes are added to the employee's
+ *          history with the reason, effective now or on a past effectiveDate
  */
 router.put('/:id',
   validateObjectId('id'),
@@ -124,6 +216,156 @@ router.put('/:id',
   EmployeeController.updateEmployee
 );
 
+/**
+ * @route   PUT /api/employees/:id/avatar
+ * @desc    Upload or replace an employee's avatar (JPEG, PNG or WebP); thumbnails are generated
+ * @access  Private (Admin, PM, or the employee themselves)
+ * @params  id (ObjectId)
+ * @body    multipart/form-data with the image in the `avatar` field
+ */
+router.put('/:id/avatar',
+  validateObjectId('id'),
+  isOwnerOrAuthorized,
+  uploadAvatar,
+  EmployeeController.uploadAvatar
+);
+
+/**
+ * @route   GET /api/employees/:id/avatar
+ * @desc    Get an employee's avatar image
+ * @access  Private
+ * @params  id (ObjectId)
+ * @query   size (original|small|medium, default medium)
+ */
+router.get('/:id/avatar',
+  validateObjectId('id'),
+  validateAvatarQuery,
+  EmployeeController.getAvatar
+);
+
+/**
+ * @route   DELETE /api/employees/:id/avatar
+ * @desc    Remove an employee's avatar
+ * @access  Private (Admin, PM, or the employee themselves)
+ * @params  id (ObjectId)
+ */
+router.delete('/:id/avatar',
+  validateObjectId('id'),
+  isOwnerOrAuthorized,
+  EmployeeController.deleteAvatar
+);
+
+/**
+ * @route   GET /api/employees/:id/history
+ * @desc    Get an employee's salary, designation, department, role and manager history,
+ *          including scheduled changes; with asOf, also their values on that date
+ * @access  Private (the employee themselves, Admin, PM, managers of the employee; salary needs view_salary)
+ * @params  id (ObjectId)
+ * @query   field, status (scheduled|applied|cancelled|failed), from, to, asOf, page, limit
+ */
+router.get('/:id/history',
+  validateObjectId('id'),
+  validateEmployeeHistoryQuery,
+  EmployeeHistoryController.getHistory
+);
+
+/**
+ * @route   POST /api/employees/:id/history
+ * @desc    Schedule changes to take effect on a future date; they are applied automatically
+ * @access  Private (Admin, PM; role changes Admin only)
+ * @params  id (ObjectId)
+ * @body    { effectiveDate, salary?, designation?, department?, role?, manager?, reason? }
+ */
+router.post('/:id/history',
+  validateObjectId('id'),
+  isAdminOrPM,
+  validateScheduledChange,
+  EmployeeHistoryController.scheduleChange
+);
+
+/**
+ * @route   DELETE /api/employees/:id/history/:changeId
+ * @desc    Cancel a scheduled change before it takes effect
+ * @access  Private (Admin, PM; role changes Admin only)
+ * @params  id (ObjectId), changeId (ObjectId)
+ */
+router.delete('/:id/history/:changeId',
+  validateObjectId('id'),
+  validateObjectId('changeId'),
+  isAdminOrPM,
+  EmployeeHistoryController.cancelScheduledChange
+);
+
+/**
+ * @route   GET /api/employees/:id/documents
+ * @desc    List an employee's HR documents
+ * @access  Private (the employee themselves, Admin, or manage_employee_documents permission)
+ * @params  id (ObjectId)
+ * @query   type (contract|id|certificate|other)
+ */
+router.get('/:id/documents',
+  validateObjectId('id'),
+  validateDocumentQuery,
+  DocumentController.getDocuments
+);
+
+/**
+ * @route   POST /api/employees/:id/documents
+ * @desc    Upload an HR document (PDF, Word, JPEG or PNG)
+ * @access  Private (Admin, or manage_employee_documents permission)
+ * @params  id (ObjectId)
+ * @body    multipart/form-data: file, type, title?, description?, issuedAt?, expiresAt?
+ */
+router.post('/:id/documents',
+  validateObjectId('id'),
+  preventDuringImpersonation,
+  // Checked before the upload so unauthorized requests are not buffered
+  canPerformAction(PERMISSIONS.MANAGE_EMPLOYEE_DOCUMENTS),
+  uploadDocument,
+  validateDocumentUpload,
+  DocumentController.uploadDocument
+);
+
+/**
+ * @route   GET /api/employees/:id/documents/:documentId/download
+ * @desc    Download an HR document
+ * @access  Private (the employee themselves, Admin, or manage_employee_documents permission)
+ * @params  id (ObjectId), documentId (ObjectId)
+ */
+router.get('/:id/documents/:documentId/download',
+  validateObjectId('id'),
+  validateObjectId('documentId'),
+  DocumentController.downloadDocument
+);
+
+/**
+ * @route   PUT /api/employees/:id/documents/:documentId
+ * @desc    Update an HR document's details
+ * @access  Private (Admin, or manage_employee_documents permission)
+ * @params  id (ObjectId), documentId (ObjectId)
+ * @body    { type?, title?, description?, issuedAt?, expiresAt? }
+ */
+router.put('/:id/documents/:documentId',
+  validateObjectId('id'),
+  validateObjectId('documentId'),
+  preventDuringImpersonation,
+  validateDocumentUpdate,
+  DocumentController.updateDocument
+);
+
+/**
+ * @route   DELETE /api/employees/:id/documents/:documentId
+ * @desc    Delete an HR document and its file
+ * @access  Private (Admin, or manage_employee_documents permission)
+ * @params  id (ObjectId), documentId (ObjectId)
+ */
+router.delete('/:id/documents/:documentId',
+  validateObjectId('id'),
+  validateObjectId('documentId'),
+  preventDuringImpersonation,
+  DocumentController.deleteDocument
+);
+
 /**
  * @route   DELETE /api/employees/:id
  * @desc    Delete/Deactivate employee
@@ -133,10 +375,41 @@ router.put('/:id',
  */
 router.delete('/:id',
   validateObjectId('id'),
+  preventDuringImpersonation,
   isAdminOrPM,
   EmployeeController.deleteEmployee
 );
 
+/**
+ * @route   POST /api/employees/:id/offboard
+ * @desc    Offboard an employee: hand over or unassign open tasks, stop running
+ *          timers, move direct reports, revoke access and deactivate. Use
+ *          preview to see the changes without applying them.
+ * @access  Private (Admin, PM)
+ * @params  id (ObjectId)
+ * @body    { handoverTo?, newManager? (defaults to the employee's manager; null for none), preview?, reason? }
+ */
+router.post('/:id/offboard',
+  validateObjectId('id'),
+  preventDuringImpersonation,
+  isAdminOrPM,
+  validateOffboarding,
+  EmployeeController.offboardEmployee
+);
+
+/**
+ * @route   POST /api/employees/:id/revoke-tokens
+ * @desc    Revoke every access and refresh token issued to the employee
+ * @access  Private (Admin)
+ * @params  id (ObjectId)
+ * @body    { reason? }
+ */
+router.post('/:id/revoke-tokens',
+  validateObjectId('id'),
+  isAdmin,
+  EmployeeController.revokeEmployeeTokens
+);
+
 /**
  * @route   POST /api/employees/:id/reactivate
  * @desc    Reactivate deactivated employee
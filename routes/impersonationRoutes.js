@@ -0,0 +1,38 @@
+import express from 'express';
+import ImpersonationController from '../controllers/impersonationController.js';
+import { authenticate, canPerformAction } from '../middleware/auth.js';
+import { validateImpersonationStart } from '../utils/validation.js';
+import { PERMISSIONS } from '../config/constants.js';
+
+const router = express.Router();
+
+/**
+ * Impersonation Routes
+ * Base path: /api/impersonation
+ * All routes require authentication
+ */
+
+router.use(authenticate);
+
+/**
+ * @route   POST /api/impersonation
+ * @desc    Issue a short-lived token that acts as another user; every request made with it is audited
+ * @access  Private (impersonate_users permission)
+ * @body    { userId, reason, expiresInMinutes? }
+ */
+router.post('/',
+  canPerformAction(PERMISSIONS.IMPERSONATE_USERS),
+  validateImpersonationStart,
+  ImpersonationController.startImpersonation
+);
+
+/**
+ * @route   POST /api/impersonation/stop
+ * @desc    Revoke the impersonation token used for this request
+ * @access  Private (impersonation token)
+ */
+router.post('/stop',
+  ImpersonationController.stopImpersonation
+);
+
+export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import InvitationController from '../controllers/invitationController.js';
+import { authenticate, isAdminOrPM } from '../middleware/auth.js';
+import {
+  validateInvitationCreation,
+  validateInvitationQuery,
+  validateInvitationLookup,
+  validateObjectId
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * Invitation Routes
+ * Base path: /api/invitations
+ */
+
+/**
+ * @route   GET /api/invitations/lookup
+ * @desc    Get the pre-approved details behind an invitation link
+ * @access  Public
+ * @query   token (required)
+ */
+router.get('/lookup',
+  validateInvitationLookup,
+  InvitationController.lookupInvitation
+);
+
+// Everything below requires an admin or project manager
+router.use(authenticate, isAdminOrPM);
+
+/**
+ * @route   GET /api/invitations
+ * @desc    List invitations (PMs only see the ones they sent)
+ * @access  Private (Admin, PM)
+ * @query   page, limit, status (pending|accepted|revoked|expired), email
+ */
+router.get('/',
+  validateInvitationQuery,
+  InvitationController.getInvitations
+);
+
+/**
+ * @route   POST /api/invitations
+ * @desc    Invite someone to register with a fixed email, role, designation, department and manager
+ * @access  Private (Admin, PM; only admins can invite admins)
+ * @body    { email, designation, role?, department?, manager? }
+ */
+router.post('/',
+  validateInvitationCreation,
+  InvitationController.createInvitation
+);
+
+/**
+ * @route   POST /api/invitations/:id/resend
+ * @desc    Resend an invitation with a new link and a fresh expiry
+ * @access  Private (Admin, or the PM who sent it)
+ * @params  id (ObjectId)
+ */
+router.post('/:id/resend',
+  validateObjectId('id'),
+  InvitationController.resendInvitation
+);
+
+/**
+ * @route   POST /api/invitations/:id/revoke
+ * @desc    Revoke a pending invitation
+ * @access  Private (Admin, or the PM who sent it)
+ * @params  id (ObjectId)
+ */
+router.post('/:id/revoke',
+  validateObjectId('id'),
+  InvitationController.revokeInvitation
+);
+
+export default router;
@@ -0,0 +1,143 @@
+import express from 'express';
+import RoleController from '../controllers/roleController.js';
+import { authenticate, canPerformAction } from '../middleware/auth.js';
+import {
+  validatePermissionCreation,
+  validatePermissionUpdate,
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateRoleAssignment,
+  validateObjectId
+} from '../utils/validation.js';
+import { PERMISSIONS } from '../config/constants.js';
+
+const router = express.Router();
+
+/**
+ * Role and Permission Routes
+ * Base path: /api/roles
+ * All routes require the manage_roles permission
+ */
+
+router.use(authenticate, canPerformAction(PERMISSIONS.MANAGE_ROLES));
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    List all permissions
+ * @access  Private (manage_roles)
+ */
+router.get('/permissions', RoleController.getPermissions);
+
+/**
+ * @route   POST /api/roles/permissions
+ * @desc    Create a custom permission
+ * @access  Private (manage_roles)
+ * @body    { key, description?, category? }
+ */
+router.post('/permissions',
+  validatePermissionCreation,
+  RoleController.createPermission
+);
+
+/**
+ * @route   PUT /api/roles/permissions/:id
+ * @desc    Update a permission's description or category
+ * @access  Private (manage_roles)
+ * @params  id (ObjectId)
+ * @body    { description?, category? }
+ */
+router.put('/permissions/:id',
+  validateObjectId('id'),
+  validatePermissionUpdate,
+  RoleController.updatePermission
+);
+
+/**
+ * @route   DELETE /api/roles/permissions/:id
+ * @desc    Delete a custom permission and remove it from all roles
+ * @access  Private (manage_roles)
+ * @params  id (ObjectId)
+ */
+router.delete('/permissions/:id',
+  validateObjectId('id'),
+  RoleController.deletePermission
+);
+
+/**
+ * @route   GET /api/roles/users/:userId
+ * @desc    Get a user's roles and effective permissions
+ * @access  Private (manage_roles)
+ * @params  userId (ObjectId)
+ */
+router.get('/users/:userId',
+  validateObjectId('userId'),
+  RoleController.getUserRoles
+);
+
+/**
+ * @route   PUT /api/roles/users/:userId
+ * @desc    Replace the custom roles assigned to a user
+ * @access  Private (manage_roles)
+ * @params  userId (ObjectId)
+ * @body    { roles: [roleId] }
+ */
+router.put('/users/:userId',
+  validateObjectId('userId'),
+  validateRoleAssignment,
+  RoleController.assignUserRoles
+);
+
+/**
+ * @route   GET /api/roles
+ * @desc    List all roles with user counts
+ * @access  Private (manage_roles)
+ */
+router.get('/', RoleController.getRoles);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private (manage_roles)
+ * @body    { key, name, description?, permissions? }
+ */
+router.post('/',
+  validateRoleCreation,
+  RoleController.createRole
+);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get a role by ID
+ * @access  Private (manage_roles)
+ * @params  id (ObjectId)
+ */
+router.get('/:id',
+  validateObjectId('id'),
+  RoleController.getRoleById
+);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update a role's name, description or permissions
+ * @access  Private (manage_roles)
+ * @params  id (ObjectId)
+ * @body    { name?, description?, permissions? }
+ */
+router.put('/:id',
+  validateObjectId('id'),
+  validateRoleUpdate,
+  RoleController.updateRole
+);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete a custom role and unassign it from all users
+ * @access  Private (manage_roles)
+ * @params  id (ObjectId)
+ */
+router.delete('/:id',
+  validateObjectId('id'),
+  RoleController.deleteRole
+);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import SearchController from '../controllers/searchController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateSearchQuery } from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * Search Routes
+ * Base path: /api/search
+ * Results only include employees and tasks the caller can already see
+ */
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/search
+ * @desc    Full-text search across employees and tasks (title, tags, description, comments),
+ *          ranked by relevance, with snippets and highlight offsets for each match
+ * @access  Private
+ * @query   q (required), type (users|tasks|all, default all), limit (default 10, max 50)
+ */
+router.get('/',
+  validateSearchQuery,
+  SearchController.search
+);
+
+export default router;
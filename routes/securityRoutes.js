@@ -0,0 +1,55 @@
+import express from 'express';
+import SecurityController from '../controllers/securityController.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+import {
+  validateSecurityEventQuery,
+  validateForcePasswordReset,
+  validateObjectId
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * Security Routes
+ * Base path: /api/security
+ * All routes require admin access
+ */
+
+router.use(authenticate, isAdmin);
+
+/**
+ * @route   GET /api/security/events
+ * @desc    Query the security event log (logins, lockouts, password and role changes, token refreshes)
+ * @access  Private (Admin)
+ * @query   page, limit, type, user, ip, from, to
+ */
+router.get('/events',
+  validateSecurityEventQuery,
+  SecurityController.getEvents
+);
+
+/**
+ * @route   POST /api/security/users/:id/unlock
+ * @desc    Clear failed login attempts and any account lock
+ * @access  Private (Admin)
+ * @params  id (ObjectId)
+ */
+router.post('/users/:id/unlock',
+  validateObjectId('id'),
+  SecurityController.unlockUser
+);
+
+/**
+ * @route   POST /api/security/users/:id/force-password-reset
+ * @desc    Sign the user out everywhere and require a new password at next login
+ * @access  Private (Admin)
+ * @params  id (ObjectId)
+ * @body    { sendEmail?, reason? }
+ */
+router.post('/users/:id/force-password-reset',
+  validateObjectId('id'),
+  validateForcePasswordReset,
+  SecurityController.forcePasswordReset
+);
+
+export default router;
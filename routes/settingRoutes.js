@@ -0,0 +1,34 @@
+import express from 'express';
+import SettingController from '../controllers/settingController.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+import { validateSettingsUpdate } from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * Organization Settings Routes
+ * Base path: /api/settings
+ * All routes require admin authentication
+ */
+
+router.use(authenticate, isAdmin);
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get organization settings
+ * @access  Private (Admin)
+ */
+router.get('/', SettingController.getSettings);
+
+/**
+ * @route   PUT /api/settings
+ * @desc    Update organization settings (partial updates are merged)
+ * @access  Private (Admin)
+ * @body    { emailVerification?: {...}, passwordPolicy?: { minLength?, requireUppercase?, requireLowercase?, requireNumber?, requireSymbol?, disallowCommon?, historyCount?, maxAgeDays? }, twoFactor?: { requiredRoles? }, employeeIds?: { format? (e.g. {YYYY}{DEPT}{SEQ:4}), resetYearly? } }
+ */
+router.put('/',
+  validateSettingsUpdate,
+  SettingController.updateSettings
+);
+
+export default router;
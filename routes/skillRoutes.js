@@ -0,0 +1,81 @@
+import express from 'express';
+import SkillController from '../controllers/skillController.js';
+import { authenticate, isAdminOrPM } from '../middleware/auth.js';
+import {
+  validateSkillCreation,
+  validateSkillUpdate,
+  validateSkillQuery,
+  validateObjectId
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * Skill Catalog Routes
+ * Base path: /api/skills
+ * Everyone signed in can read the catalog; admins and PMs maintain it
+ */
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/skills
+ * @desc    List skills with employee counts
+ * @access  Private
+ * @query   page, limit, category, isActive, search
+ */
+router.get('/',
+  validateSkillQuery,
+  SkillController.getAllSkills
+);
+
+/**
+ * @route   POST /api/skills
+ * @desc    Create a skill
+ * @access  Private (Admin, PM)
+ * @body    { name, aliases?, category?, description?, isActive? }
+ */
+router.post('/',
+  isAdminOrPM,
+  validateSkillCreation,
+  SkillController.createSkill
+);
+
+/**
+ * @route   GET /api/skills/:id
+ * @desc    Get a skill with the number of employees at each level
+ * @access  Private
+ * @params  id (ObjectId)
+ */
+router.get('/:id',
+  validateObjectId('id'),
+  SkillController.getSkillById
+);
+
+/**
+ * @route   PUT /api/skills/:id
+ * @desc    Update a skill
+ * @access  Private (Admin, PM)
+ * @params  id (ObjectId)
+ * @body    { name?, aliases?, category?, description?, isActive? }
+ */
+router.put('/:id',
+  isAdminOrPM,
+  validateObjectId('id'),
+  validateSkillUpdate,
+  SkillController.updateSkill
+);
+
+/**
+ * @route   DELETE /api/skills/:id
+ * @desc    Delete a skill (deactivated instead while employees list it)
+ * @access  Private (Admin, PM)
+ * @params  id (ObjectId)
+ */
+router.delete('/:id',
+  isAdminOrPM,
+  validateObjectId('id'),
+  SkillController.deleteSkill
+);
+
+export default router;
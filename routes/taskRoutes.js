@@ -6,7 +6,8 @@ import {
   isOwnerOrAuthorized,
   canPerformAction,
   canCreateTasks, 
-  canManageTasks
+  canManageTasks,
+  preventDuringImpersonation
 } from '../middleware/auth.js';
 import {
   validateTaskCreation,
@@ -14,7 +15,8 @@ import {
   validateComment,
   validateObjectId,
   validateQueryParams,
-  validateDateRange
+  validateDateRange,
+  validateSuggestedAssigneesQuery
 } from '../utils/validation.js';
 
 const router = express.Router();
@@ -32,7 +34,7 @@ router.get('/',
 /**
  * @route   POST /api/tasks
  * @desc    Create new task
- * @access  Private (Admin, PM)
+ * @access  Private (Admin, PM, managers for themselves and their reports)
  * @body    { title, description, assignedTo, priority?, dueDate, estimatedHours?, category?, tags? }
  */ 
 router.post('/',
@@ -46,6 +48,19 @@ router.get('/:id',
   TaskController.getTaskById
 );
 
+/**
+ * @route   GET /api/tasks/:id/suggested-assignees
+ * @desc    Rank active employees for a task by skill match (tags, category) and open workload
+ * @access  Private (task creator, Admin, PM, managers of the assignee)
+ * @params  id (ObjectId)
+ * @query   limit (default 10)
+ */
+router.get('/:id/suggested-assignees',
+  validateObjectId('id'),
+  validateSuggestedAssigneesQuery,
+  TaskController.getSuggestedAssignees
+);
+
 router.put('/:id',
   validateObjectId('id'),
   validateTaskUpdate,
@@ -54,6 +69,7 @@ router.put('/:id',
 
 router.delete('/:id',
   validateObjectId('id'),
+  preventDuringImpersonation,
   canManageTasks,
   TaskController.deleteTask
 );
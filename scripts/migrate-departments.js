@@ -0,0 +1,119 @@
+/**
+ * Migrate Free-Text Departments
+ * Converts the old string User.department / Invitation.department values into
+ * references to Department documents. Values are grouped ignoring case and
+ * extra whitespace ("Engineering" and "engineering " become one department),
+ * named after their most common spelling, and matched to existing departments
+ * by name. Blank values are cleared.
+ *
+ * Required deploy step when upgrading from free-text departments: the server
+ * will not start while any remain (utils/dataMigrations.js).
+ *
+ * Usage:
+ *   npm run migrate:departments
+ *   npm run migrate:departments -- --dry-run
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Department from '../models/Department.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+// The schemas now declare ObjectIds, so the old strings are read and written
+// through the raw collections
+const collections = [
+  { label: 'users', collection: User.collection },
+  { label: 'invitations', collection: Invitation.collection }
+];
+
+try {
+  await mongoose.connect(process.env.MONGODB_URL);
+  await Department.init();
+
+  // key (lowercased normalized name) -> { spellings: Map<name, count>, refs: [{ collection, _id }] }
+  const groups = new Map();
+  const blanks = [];
+
+  for (const { label, collection } of collections) {
+    const docs = await collection
+      .find({ department: { $type: 'string' } }, { projection: { department: 1 } })
+      .toArray();
+
+    for (const doc of docs) {
+      const name = Department.normalizeName(doc.department);
+      if (!name) {
+        blanks.push({ label, collection, _id: doc._id });
+        continue;
+      }
+
+      const key = name.toLowerCase();
+      if (!groups.has(key)) {
+        groups.set(key, { spellings: new Map(), refs: [] });
+      }
+
+      const group = groups.get(key);
+      group.spellings.set(name, (group.spellings.get(name) || 0) + 1);
+      group.refs.push({ label, collection, _id: doc._id });
+    }
+  }
+
+  const updates = new Map(collections.map(({ label }) => [label, []]));
+
+  for (const group of groups.values()) {
+    const [name] = [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+
+    let department = await Department.findByName(name);
+    const action = department ? 'existing' : 'create';
+
+    if (!department && !dryRun) {
+      department = await Department.create({ name });
+    }
+
+    const variants = [...group.spellings.keys()].filter(spelling => spelling !== name);
+    console.log(
+      `${action === 'create' ? 'Create' : 'Reuse'} "${name}" for ${group.refs.length} record(s)` +
+      (variants.length ? ` (also spelled: ${variants.map(v => `"${v}"`).join(', ')})` : '')
+    );
+
+    for (const ref of group.refs) {
+      updates.get(ref.label).push({
+        updateOne: {
+          filter: { _id: ref._id },
+          update: { $set: { department: department ? department._id : null } }
+        }
+      });
+    }
+  }
+
+  for (const ref of blanks) {
+    updates.get(ref.label).push({
+      updateOne: { filter: { _id: ref._id }, update: { $set: { department: null } } }
+    });
+  }
+
+  if (blanks.length) {
+    console.log(`Clear ${blanks.length} blank department value(s)`);
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no changes written');
+  } else {
+    for (const { label, collection } of collections) {
+      const operations = updates.get(label);
+      if (operations.length === 0) continue;
+
+      const { modifiedCount } = await collection.bulkWrite(operations);
+      console.log(`Updated ${modifiedCount} ${label}`);
+    }
+    console.log(`Departments migrated: ${groups.size} department(s) in use`);
+  }
+} catch (error) {
+  console.error('Department migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,109 @@
+/**
+ * Migrate Free-Text Skills
+ * Converts the old string entries in User.skills into references to Skill
+ * documents. Names are grouped ignoring case and extra whitespace, named after
+ * their most common spelling, and matched to existing skills by name or alias.
+ * Migrated entries start at the lowest level with no years recorded; blank
+ * and repeated entries are dropped.
+ *
+ * Required deploy step when upgrading from free-text skills: the server will
+ * not start while any remain (utils/dataMigrations.js).
+ *
+ * Usage:
+ *   npm run migrate:skills
+ *   npm run migrate:skills -- --dry-run
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Skill from '../models/Skill.js';
+import User from '../models/User.js';
+import { SKILL_LEVELS } from '../config/constants.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  await mongoose.connect(process.env.MONGODB_URL);
+  await Skill.init();
+
+  // The schema now declares subdocuments, so the old strings are read and
+  // written through the raw collection
+  const users = await User.collection
+    .find({ skills: { $type: 'string' } }, { projection: { skills: 1 } })
+    .toArray();
+
+  // key (lowercased normalized name) -> Map<spelling, count>
+  const groups = new Map();
+  for (const user of users) {
+    for (const value of user.skills) {
+      const name = typeof value === 'string' ? Skill.normalizeName(value) : null;
+      if (!name) continue;
+
+      const key = name.toLowerCase();
+      if (!groups.has(key)) groups.set(key, new Map());
+      groups.get(key).set(name, (groups.get(key).get(name) || 0) + 1);
+    }
+  }
+
+  // key -> Skill ID (null in a dry run for skills that would be created)
+  const skillIds = new Map();
+  for (const [key, spellings] of groups) {
+    const [name] = [...spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+
+    let skill = await Skill.findByName(name);
+    const action = skill ? 'Reuse' : 'Create';
+
+    if (!skill && !dryRun) {
+      skill = await Skill.create({ name });
+    }
+
+    const variants = [...spellings.keys()].filter(spelling => spelling !== name);
+    console.log(
+      `${action} "${skill ? skill.name : name}" for ${[...spellings.values()].reduce((a, b) => a + b, 0)} employee(s)` +
+      (variants.length ? ` (also spelled: ${variants.map(v => `"${v}"`).join(', ')})` : '')
+    );
+
+    skillIds.set(key, skill ? skill._id : null);
+  }
+
+  const operations = users.map((user) => {
+    const seen = new Set();
+    const skills = [];
+
+    for (const value of user.skills) {
+      // Entries already in the new shape are kept as they are
+      if (typeof value !== 'string') {
+        if (value?.skill && !seen.has(value.skill.toString())) {
+          seen.add(value.skill.toString());
+          skills.push(value);
+        }
+        continue;
+      }
+
+      const name = Skill.normalizeName(value);
+      const skillId = name ? skillIds.get(name.toLowerCase()) : null;
+      if (!skillId || seen.has(skillId.toString())) continue;
+
+      seen.add(skillId.toString());
+      skills.push({ skill: skillId, level: SKILL_LEVELS.BEGINNER, years: null });
+    }
+
+    return { updateOne: { filter: { _id: user._id }, update: { $set: { skills } } } };
+  });
+
+  if (dryRun) {
+    console.log(`Dry run: ${users.length} employee(s) would be updated, no changes written`);
+  } else {
+    if (operations.length > 0) {
+      const { modifiedCount } = await User.collection.bulkWrite(operations);
+      console.log(`Updated ${modifiedCount} employee(s)`);
+    }
+    console.log(`Skills migrated: ${groups.size} skill(s) in use`);
+  }
+} catch (error) {
+  console.error('Skill migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
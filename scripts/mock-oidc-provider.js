@@ -0,0 +1,235 @@
+/**
+ * Mock OpenID Connect Provider
+ * A minimal identity provider for developing and testing SSO locally.
+ * Supports discovery, the authorization-code flow with PKCE (S256), JWKS and
+ * userinfo. Users and their groups come from MOCK_OIDC_USERS or the defaults below.
+ *
+ * Usage:
+ *   npm run oidc:mock
+ *
+ * Then point the API at it:
+ *   OIDC_ENABLED=true
+ *   OIDC_ISSUER=http://localhost:4010
+ *   OIDC_CLIENT_ID=task-management
+ *   OIDC_REDIRECT_URI=http://localhost:3000/auth/callback
+ *   OIDC_ROLE_MAPPING={"crm-admins":"admin","crm-managers":"project_manager"}
+ *   OIDC_DESIGNATION_MAPPING={"engineering":"developer","design":"designer"}
+ *
+ * Pass login_hint=<email> to the authorization URL to skip the user picker.
+ */
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'task-management';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || null;
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+const DEFAULT_USERS = [
+  {
+    sub: 'mock-admin',
+    email: 'admin@example.com',
+    given_name: 'Alex',
+    family_name: 'Admin',
+    groups: ['crm-admins']
+  },
+  {
+    sub: 'mock-manager',
+    email: 'manager@example.com',
+    given_name: 'Morgan',
+    family_name: 'Manager',
+    groups: ['crm-managers', 'engineering']
+  },
+  {
+    sub: 'mock-developer',
+    email: 'developer@example.com',
+    given_name: 'Devon',
+    family_name: 'Developer',
+    groups: ['engineering']
+  }
+];
+
+const users = process.env.MOCK_OIDC_USERS ? JSON.parse(process.env.MOCK_OIDC_USERS) : DEFAULT_USERS;
+
+// A fresh signing key per run; the API refetches the JWKS when it sees a new kid
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+/**
+ * Build the standard claims for a user
+ * @param {Object} user - Mock user
+ * @returns {Object}
+ */
+const getClaims = (user) => ({
+  sub: user.sub,
+  email: user.email,
+  email_verified: user.email_verified !== false,
+  name: `${user.given_name} ${user.family_name}`,
+  given_name: user.given_name,
+  family_name: user.family_name,
+  groups: user.groups || []
+});
+
+/**
+ * Send an OAuth error response
+ * @param {Object} res - Express response object
+ * @param {string} error - OAuth error code
+ * @param {string} description - Human-readable detail
+ * @param {number} status - HTTP status
+ */
+const oauthError = (res, error, description, status = 400) => {
+  res.status(status).json({ error, error_description: description });
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'profile', 'email', 'groups'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const {
+    response_type: responseType,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    login_hint: loginHint
+  } = req.query;
+
+  if (responseType !== 'code') return oauthError(res, 'unsupported_response_type', 'Only the code flow is supported');
+  if (clientId !== CLIENT_ID) return oauthError(res, 'unauthorized_client', 'Unknown client_id');
+  if (!redirectUri) return oauthError(res, 'invalid_request', 'redirect_uri is required');
+  if (!codeChallenge || codeChallengeMethod !== 'S256') {
+    return oauthError(res, 'invalid_request', 'PKCE with S256 is required');
+  }
+
+  const user = users.find(candidate => candidate.email === loginHint || candidate.sub === loginHint);
+
+  if (!user) {
+    const links = users.map((candidate) => {
+      const params = new URLSearchParams({ ...req.query, login_hint: candidate.email });
+      return `<li><a href="/authorize?${params}">${candidate.email}</a> (${(candidate.groups || []).join(', ')})</li>`;
+    });
+
+    return res.send(`<h1>Mock OIDC Provider</h1><p>Sign in as:</p><ul>${links.join('')}</ul>`);
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  authorizationCodes.set(code, {
+    user,
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const redirect = new URL(redirectUri);
+  redirect.searchParams.set('code', code);
+  if (state) redirect.searchParams.set('state', state);
+
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.get('Authorization');
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(authHeader.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || '');
+  }
+
+  if (clientId !== CLIENT_ID) return oauthError(res, 'invalid_client', 'Unknown client_id', 401);
+  if (CLIENT_SECRET && clientSecret !== CLIENT_SECRET) {
+    return oauthError(res, 'invalid_client', 'Invalid client secret', 401);
+  }
+  if (req.body.grant_type !== 'authorization_code') {
+    return oauthError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const grant = authorizationCodes.get(req.body.code);
+  authorizationCodes.delete(req.body.code);
+
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+    return oauthError(res, 'invalid_grant', 'Authorization code is invalid or expired');
+  }
+  if (grant.redirectUri !== req.body.redirect_uri) {
+    return oauthError(res, 'invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return oauthError(res, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const claims = getClaims(grant.user);
+  const idToken = jwt.sign(
+    { ...claims, ...(grant.nonce ? { nonce: grant.nonce } : {}) },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: ISSUER,
+      audience: clientId,
+      expiresIn: TOKEN_TTL_SECONDS
+    }
+  );
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, { claims, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: idToken
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+  const record = accessTokens.get(token);
+
+  if (!record || record.expiresAt < Date.now()) {
+    return oauthError(res, 'invalid_token', 'Access token is invalid or expired', 401);
+  }
+
+  res.json(record.claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+  console.log(`Client ID: ${CLIENT_ID}${CLIENT_SECRET ? ' (secret required)' : ' (public client)'}`);
+  console.log(`Users: ${users.map(user => user.email).join(', ')}`);
+});
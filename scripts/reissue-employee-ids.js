@@ -0,0 +1,101 @@
+/**
+ * Re-issue Employee IDs
+ * Renumbers every user from the configured employee ID template (Settings ->
+ * employeeIds), oldest hire first, and resets the ID counters to match. Use
+ * after changing the template so existing employees follow it too.
+ *
+ * With --missing-only, existing IDs are kept and only users without one are
+ * given the next ID from the live counters.
+ *
+ * Usage:
+ *   npm run reissue:employee-ids
+ *   npm run reissue:employee-ids -- --dry-run
+ *   npm run reissue:employee-ids -- --missing-only
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Counter from '../models/Counter.js';
+import User from '../models/User.js';
+import {
+  getEmployeeIdSettings,
+  getEmployeeIdSequence,
+  generateEmployeeId
+} from '../utils/employeeIds.js';
+import { EMPLOYEE_ID_CONFIG } from '../config/constants.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const missingOnly = process.argv.includes('--missing-only');
+
+try {
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const settings = await getEmployeeIdSettings();
+  console.log(`Format ${settings.format}, ${settings.resetYearly ? 'numbering restarts each year' : 'numbering continues across years'}`);
+
+  const filter = missingOnly ? { employeeId: { $in: [null, ''] } } : {};
+  const users = await User.find(filter)
+    .select('employeeId designation department hireDate createdAt')
+    .sort({ hireDate: 1, createdAt: 1, _id: 1 });
+
+  if (missingOnly) {
+    for (const user of users) {
+      if (dryRun) {
+        console.log(`${user._id}: would be given an ID`);
+        continue;
+      }
+
+      const employeeId = await generateEmployeeId(user, settings);
+      await User.updateOne({ _id: user._id }, { $set: { employeeId } });
+      console.log(`${user._id}: ${employeeId}`);
+    }
+  } else {
+    // Numbered here rather than through the live counters so a dry run
+    // touches nothing; the counters are set to the results afterwards
+    const counters = new Map();
+    const changes = [];
+
+    for (const user of users) {
+      const { key, render } = await getEmployeeIdSequence(user, settings);
+      const seq = (counters.get(key) || 0) + 1;
+      counters.set(key, seq);
+
+      const employeeId = render(seq);
+      if (employeeId !== user.employeeId) {
+        changes.push({ _id: user._id, from: user.employeeId, to: employeeId });
+        console.log(`${user._id}: ${user.employeeId || '(none)'} -> ${employeeId}`);
+      }
+    }
+
+    if (!dryRun && changes.length > 0) {
+      // Clear first: a new ID may still belong to another user until that
+      // user is renumbered too, which the unique index would reject
+      await User.updateMany(
+        { _id: { $in: changes.map(change => change._id) } },
+        { $unset: { employeeId: 1 } }
+      );
+      await User.bulkWrite(changes.map(change => ({
+        updateOne: { filter: { _id: change._id }, update: { $set: { employeeId: change.to } } }
+      })));
+    }
+
+    if (!dryRun) {
+      await Counter.resetByPrefix(`${EMPLOYEE_ID_CONFIG.COUNTER_PREFIX}:`);
+      for (const [key, seq] of counters) {
+        await Counter.raiseTo(key, seq);
+      }
+    }
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no changes written');
+  } else {
+    console.log('Employee IDs re-issued');
+  }
+} catch (error) {
+  console.error('Employee ID re-issue failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
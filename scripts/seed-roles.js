@@ -0,0 +1,37 @@
+/**
+ * Seed Roles and Permissions
+ * Creates the built-in permissions and roles (admin, project_manager, employee)
+ * with the default permission matrix. Existing roles keep their permissions
+ * unless --reset is passed, which restores the defaults for built-in roles.
+ *
+ * Usage:
+ *   npm run seed:roles
+ *   npm run seed:roles -- --reset
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Role from '../models/Role.js';
+import Permission from '../models/Permission.js';
+
+dotenv.config();
+
+const reset = process.argv.includes('--reset');
+
+try {
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const addedPermissions = await Permission.seedDefaults();
+  await Role.seedDefaults({ reset, addedPermissions });
+
+  const roles = await Role.find({ isSystem: true }).sort({ key: 1 });
+  for (const role of roles) {
+    console.log(`${role.key}: ${role.permissions.join(', ')}`);
+  }
+
+  console.log(reset ? 'Built-in roles reset to the default permissions' : 'Built-in roles seeded');
+} catch (error) {
+  console.error('Seeding roles failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,104 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 handling: comma separated, fields optionally wrapped in
+ * double quotes, "" for a literal quote, quoted fields may span lines.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows, with fully blank lines dropped
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Excel prefixes UTF-8 exports with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV content
+ * @returns {Object} { headers, records: [{ line, values }] } where line is the 1-based row number in the file
+ */
+export const parseCsvWithHeader = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+
+  return {
+    headers: headers.map(header => header.trim()),
+    records: rows.map((fields, index) => ({
+      line: index + 2,
+      values: Object.fromEntries(headers.map((header, column) => [header.trim(), (fields[column] || '').trim()]))
+    }))
+  };
+};
+
+const FORMULA_PREFIX = /^(?:[=@\t\r]|[+-](?!\d+(?:\.\d+)?$))/;
+
+/**
+ * Format one CSV line (with trailing CRLF)
+ * Text that spreadsheet apps would evaluate as a formula (starting with = or @,
+ * or + / - not followed by a plain number such as a phone number) is prefixed
+ * with '.
+ * @param {Array} values - Field values; null/undefined become empty fields
+ * @returns {string}
+ */
+export const formatCsvRow = (values) => {
+  const fields = values.map(value => {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'string') return String(value);
+
+    const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+
+  return `${fields.join(',')}\r\n`;
+};
+
+export default {
+  parseCsv,
+  parseCsvWithHeader,
+  formatCsvRow
+};
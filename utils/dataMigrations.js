@@ -0,0 +1,70 @@
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+
+/**
+ * Data Migrations
+ * Some schema changes need existing documents converted by a script in
+ * scripts/. Documents still in the old shape fail validation whenever they
+ * are saved, so the server checks for them on startup and refuses to start
+ * until the script has been run. Running the migrations is a required
+ * deploy step for the releases that introduce them.
+ */
+const MIGRATIONS = [
+  {
+    name: 'departments',
+    command: 'npm run migrate:departments',
+    // Free-text departments from before the Department collection
+    countPending: async () => {
+      const filter = { department: { $type: 'string' } };
+      const [users, invitations] = await Promise.all([
+        User.collection.countDocuments(filter),
+        Invitation.collection.countDocuments(filter)
+      ]);
+      return users + invitations;
+    }
+  },
+  {
+    name: 'skills',
+    command: 'npm run migrate:skills',
+    // Free-text skills from before the skill catalog
+    countPending: () => User.collection.countDocuments({ skills: { $type: 'string' } })
+  }
+];
+
+/**
+ * List the migrations that still have documents to convert
+ * @returns {Promise<Array<Object>>} [{ name, command, pending }]
+ */
+export const findPendingMigrations = async () => {
+  const results = await Promise.all(MIGRATIONS.map(async ({ name, command, countPending }) => ({
+    name,
+    command,
+    pending: await countPending()
+  })));
+
+  return results.filter(result => result.pending > 0);
+};
+
+/**
+ * Stop the process when a required migration has not been run
+ * @returns {Promise<void>}
+ */
+export const ensureMigrationsApplied = async () => {
+  try {
+    const pending = await findPendingMigrations();
+    if (pending.length === 0) return;
+
+    for (const { name, command, pending: count } of pending) {
+      console.error(`❌ ${count} document(s) still need the ${name} migration. Run: ${command}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to check data migrations:', error);
+  }
+
+  process.exit(1);
+};
+
+export default {
+  findPendingMigrations,
+  ensureMigrationsApplied
+};
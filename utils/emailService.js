@@ -340,6 +340,237 @@ class EmailService {
     });
   }
 
+  /**
+   * Send password reset email
+   * @param {string} recipientEmail - Recipient email
+   * @param {Object} user - User requesting the reset
+   * @param {string} resetUrl - Link containing the raw reset token
+   * @param {number} expiresInMinutes - Minutes until the link expires
+   */
+  async sendPasswordResetEmail(recipientEmail, user, resetUrl, expiresInMinutes) {
+    const subject = 'Password Reset Request';
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Password Reset Request</h2>
+        <p>Hello <strong>${user.firstName} ${user.lastName}</strong>,</p>
+        <p>We received a request to reset the password for your account.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${resetUrl}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Reset Password</a>
+        </div>
+
+        <p>This link will expire in ${expiresInMinutes} minutes and can only be used once.</p>
+        <p>If you did not request a password reset, you can safely ignore this email. Your password will not change.</p>
+
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message from the Task Management System.
+          </p>
+        </div>
+      </div>
+    `;
+
+    const text = `
+      Password Reset Request
+
+      Hello ${user.firstName} ${user.lastName},
+
+      We received a request to reset the password for your account.
+
+      Reset your password using the link below:
+      ${resetUrl}
+
+      This link will expire in ${expiresInMinutes} minutes and can only be used once.
+
+      If you did not request a password reset, you can safely ignore this email.
+    `;
+
+    return this.sendEmail({
+      to: recipientEmail,
+      subject,
+      html,
+      text
+    });
+  }
+
+  /**
+   * Send account locked notification
+   * @param {string} recipientEmail - Recipient email
+   * @param {Object} user - User whose account was locked
+   * @param {Date} lockedUntil - When the lock expires
+   * @param {string} ip - IP address of the last failed attempt
+   */
+  async sendAccountLockedEmail(recipientEmail, user, lockedUntil, ip) {
+    const subject = 'Your Account Has Been Locked';
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const unlockTime = new Date(lockedUntil).toLocaleString();
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Account Locked</h2>
+        <p>Hello <strong>${user.firstName} ${user.lastName}</strong>,</p>
+        <p>Your account was locked after too many failed sign-in attempts.</p>
+
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Locked until:</strong> ${unlockTime}</p>
+          <p><strong>Last attempt from IP:</strong> ${ip || 'Unknown'}</p>
+        </div>
+
+        <p>If these attempts were not made by you, reset your password once the lock expires and contact your administrator.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${clientUrl}/forgot-password" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Reset Password</a>
+        </div>
+
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message from the Task Management System.
+          </p>
+        </div>
+      </div>
+    `;
+
+    const text = `
+      Account Locked
+
+      Hello ${user.firstName} ${user.lastName},
+
+      Your account was locked after too many failed sign-in attempts.
+
+      Locked until: ${unlockTime}
+      Last attempt from IP: ${ip || 'Unknown'}
+
+      If these attempts were not made by you, reset your password once the lock expires and contact your administrator:
+      ${clientUrl}/forgot-password
+    `;
+
+    return this.sendEmail({
+      to: recipientEmail,
+      subject,
+      html,
+      text
+    });
+  }
+
+  /**
+   * Send email address verification email
+   * @param {string} recipientEmail - Address being verified
+   * @param {Object} user - User who owns the address
+   * @param {string} verificationUrl - Link containing the raw verification token
+   * @param {number} expiresInHours - Hours until the link expires
+   */
+  async sendEmailVerificationEmail(recipientEmail, user, verificationUrl, expiresInHours) {
+    const subject = 'Verify Your Email Address';
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Verify Your Email Address</h2>
+        <p>Hello <strong>${user.firstName} ${user.lastName}</strong>,</p>
+        <p>Please confirm that <strong>${recipientEmail}</strong> is your email address so you can receive task assignments and account notifications.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${verificationUrl}" style="background-color: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Verify Email</a>
+        </div>
+
+        <p>This link will expire in ${expiresInHours} hours.</p>
+        <p>If you did not expect this email, you can safely ignore it.</p>
+
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message from the Task Management System.
+          </p>
+        </div>
+      </div>
+    `;
+
+    const text = `
+      Verify Your Email Address
+
+      Hello ${user.firstName} ${user.lastName},
+
+      Please confirm that ${recipientEmail} is your email address so you can receive task assignments and account notifications.
+
+      Verify your email using the link below:
+      ${verificationUrl}
+
+      This link will expire in ${expiresInHours} hours.
+
+      If you did not expect this email, you can safely ignore it.
+    `;
+
+    return this.sendEmail({
+      to: recipientEmail,
+      subject,
+      html,
+      text
+    });
+  }
+
+  /**
+   * Send invitation to join the organization
+   * @param {string} recipientEmail - Invited address
+   * @param {Object} invitation - Invitation document
+   * @param {Object} inviter - User who issued the invitation
+   * @param {string} inviteUrl - Link containing the raw invitation token
+   * @param {number} expiresInDays - Days until the invitation expires
+   */
+  async sendInvitationEmail(recipientEmail, invitation, inviter, inviteUrl, expiresInDays) {
+    const subject = `${inviter.firstName} ${inviter.lastName} invited you to the Task Management System`;
+    const designation = invitation.designation.replace(/_/g, ' ');
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You're Invited!</h2>
+        <p>Hello,</p>
+        <p><strong>${inviter.firstName} ${inviter.lastName}</strong> has invited you to join the Task Management System.</p>
+
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Email:</strong> ${recipientEmail}</p>
+          <p><strong>Designation:</strong> ${designation}</p>
+          ${invitation.department?.name ? `<p><strong>Department:</strong> ${invitation.department.name}</p>` : ''}
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${inviteUrl}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Accept Invitation</a>
+        </div>
+
+        <p>This invitation will expire in ${expiresInDays} days.</p>
+        <p>If you were not expecting this invitation, you can safely ignore this email.</p>
+
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated message from the Task Management System.
+          </p>
+        </div>
+      </div>
+    `;
+
+    const text = `
+      You're Invited!
+
+      ${inviter.firstName} ${inviter.lastName} has invited you to join the Task Management System.
+
+      Email: ${recipientEmail}
+      Designation: ${designation}
+      ${invitation.department?.name ? `Department: ${invitation.department.name}` : ''}
+
+      Accept the invitation using the link below:
+      ${inviteUrl}
+
+      This invitation will expire in ${expiresInDays} days.
+
+      If you were not expecting this invitation, you can safely ignore this email.
+    `;
+
+    return this.sendEmail({
+      to: recipientEmail,
+      subject,
+      html,
+      text
+    });
+  }
+
   /**
    * Test email configuration
    * @param {string} testEmail - Email to send test to
@@ -0,0 +1,27 @@
+import emailService from './emailService.js';
+import { EMAIL_VERIFICATION_CONFIG } from '../config/constants.js';
+
+/**
+ * Issue a new verification token for the user and email the link
+ * Any previously issued token is replaced.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Send result
+ */
+export const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const verificationUrl = `${clientUrl}/verify-email?token=${verificationToken}`;
+
+  return emailService.sendEmailVerificationEmail(
+    user.email,
+    user,
+    verificationUrl,
+    EMAIL_VERIFICATION_CONFIG.TOKEN_EXPIRES_HOURS
+  );
+};
+
+export default {
+  sendVerificationEmail
+};
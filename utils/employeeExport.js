@@ -0,0 +1,124 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { formatCsvRow } from './csv.js';
+import { buildXlsx } from './xlsx.js';
+
+/**
+ * Employee Directory Export
+ * Column definitions and the CSV / XLSX writers behind GET /api/employees/export.
+ * Headers match the import column names, so an export can be edited and
+ * imported again.
+ */
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : null);
+
+/**
+ * Available columns in their default order
+ * `field` names the employee field a column reads, for field masking
+ * (see SENSITIVE_EMPLOYEE_FIELDS).
+ */
+export const EXPORT_COLUMNS = [
+  { key: 'employeeId', header: 'Employee ID', value: e => e.employeeId },
+  { key: 'firstName', header: 'First Name', value: e => e.firstName },
+  { key: 'lastName', header: 'Last Name', value: e => e.lastName },
+  { key: 'email', header: 'Email', value: e => e.email },
+  { key: 'phone', header: 'Phone', field: 'phone', value: e => e.phone },
+  { key: 'role', header: 'Role', value: e => e.role },
+  { key: 'designation', header: 'Designation', value: e => e.designation },
+  { key: 'department', header: 'Department', value: e => e.department?.name },
+  { key: 'manager', header: 'Manager', value: e => fullName(e.manager) },
+  { key: 'managerEmail', header: 'Manager Email', value: e => e.manager?.email },
+  { key: 'hireDate', header: 'Hire Date', value: e => formatDate(e.hireDate) },
+  { key: 'salary', header: 'Salary', field: 'salary', value: e => e.salary },
+  { key: 'skills', header: 'Skills', value: e => e.skills?.filter(s => s.skill).map(s => `${s.skill.name}:${s.level}`).join('; ') },
+  { key: 'street', header: 'Street', field: 'address', value: e => e.address?.street },
+  { key: 'city', header: 'City', field: 'address', value: e => e.address?.city },
+  { key: 'state', header: 'State', field: 'address', value: e => e.address?.state },
+  { key: 'zipCode', header: 'Zip Code', field: 'address', value: e => e.address?.zipCode },
+  { key: 'country', header: 'Country', field: 'address', value: e => e.address?.country },
+  { key: 'isActive', header: 'Active', value: e => (e.isActive ? 'Yes' : 'No') },
+  { key: 'createdAt', header: 'Created At', value: e => e.createdAt?.toISOString() }
+];
+
+export const EXPORT_COLUMN_KEYS = EXPORT_COLUMNS.map(column => column.key);
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+/**
+ * Pick the columns to export
+ * @param {string|undefined} requested - Comma separated column keys; all columns when empty
+ * @param {Array<string>} maskedFields - Fields hidden from the viewer (getMaskedFields)
+ * @returns {Object} { columns, forbidden } - forbidden lists requested keys the viewer may not see
+ */
+export const resolveExportColumns = (requested, maskedFields) => {
+  const isVisible = column => !column.field || !maskedFields.includes(column.field);
+
+  if (!requested) {
+    return { columns: EXPORT_COLUMNS.filter(isVisible), forbidden: [] };
+  }
+
+  const keys = [...new Set(requested.split(',').map(key => key.trim()).filter(Boolean))];
+  const columns = keys.map(key => EXPORT_COLUMNS.find(column => column.key === key));
+
+  return {
+    columns: columns.filter(isVisible),
+    forbidden: columns.filter(column => !isVisible(column)).map(column => column.key)
+  };
+};
+
+/**
+ * Stream employees from a cursor to the response as CSV
+ * @param {Object} res - Express response object (headers already set)
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Array<Object>} columns - Columns from resolveExportColumns
+ */
+export const streamCsv = async (res, cursor, columns) => {
+  async function* rows() {
+    // BOM so Excel opens the file as UTF-8
+    yield '\uFEFF' + formatCsvRow(columns.map(column => column.header));
+
+    for await (const employee of cursor) {
+      yield formatCsvRow(columns.map(column => column.value(employee)));
+    }
+  }
+
+  try {
+    // pipeline waits for the response to drain, and stops reading (closing
+    // the cursor) if the client goes away
+    await pipeline(Readable.from(rows()), res);
+  } catch (error) {
+    // Client went away; nothing left to send
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    throw error;
+  }
+};
+
+/**
+ * Build an XLSX workbook of the employees from a cursor
+ * @param {Object} cursor - Mongoose query cursor
+ * @param {Array<Object>} columns - Columns from resolveExportColumns
+ * @returns {Promise<Buffer>}
+ */
+export const buildEmployeeXlsx = async (cursor, columns) => {
+  const rows = [columns.map(column => column.header)];
+
+  for await (const employee of cursor) {
+    rows.push(columns.map(column => column.value(employee)));
+  }
+
+  return buildXlsx(rows, { sheetName: 'Employees' });
+};
+
+export default {
+  EXPORT_COLUMNS,
+  EXPORT_COLUMN_KEYS,
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  streamCsv,
+  buildEmployeeXlsx
+};
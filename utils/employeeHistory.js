@@ -0,0 +1,194 @@
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import EmployeeChange from '../models/EmployeeChange.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import {
+  EMPLOYEE_CHANGE_STATUS,
+  EMPLOYEE_HISTORY_CONFIG,
+  SECURITY_EVENT_TYPES
+} from '../config/constants.js';
+
+/**
+ * Employee History
+ * Checks and applies changes to the fields kept as effective-dated history
+ * (EmployeeChange). Scheduled changes are picked up by a timer on every
+ * server; each change is claimed atomically, so only one server applies it.
+ * Whether a manager or department is still valid is checked again when the
+ * change is applied, and changes that no longer fit are marked failed.
+ */
+
+/**
+ * Check that a manager and department an employee is moved to are usable
+ * @param {string} employeeId - Employee being changed
+ * @param {Object} updates - { manager?, department? }
+ * @param {Object} current - Current values, so unchanged references are not re-checked
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+export const checkEmployeeReferences = async (employeeId, updates, current = {}) => {
+  const { manager, department } = updates;
+
+  if (manager && manager.toString() !== current.manager?.toString()) {
+    if (!(await User.exists({ _id: manager }))) {
+      return 'Invalid manager ID';
+    }
+
+    if (await User.wouldCreateManagerCycle(employeeId, manager)) {
+      return manager.toString() === employeeId.toString()
+        ? 'An employee cannot be their own manager'
+        : 'This manager reports to the employee, which would create a reporting cycle';
+    }
+  }
+
+  if (department && department.toString() !== current.department?.toString()) {
+    if (!(await Department.exists({ _id: department, isActive: true }))) {
+      return 'Invalid department ID';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Mark a claimed scheduled change as not applied
+ * @param {Object} change - EmployeeChange document
+ * @param {string} failureReason - Why it could not be applied
+ * @returns {Promise<boolean>} Always false, so callers can return it
+ */
+const markFailed = async (change, failureReason) => {
+  change.status = EMPLOYEE_CHANGE_STATUS.FAILED;
+  change.appliedAt = null;
+  change.failureReason = failureReason;
+  await change.save();
+  console.error(`Scheduled change ${change._id} not applied: ${failureReason}`);
+  return false;
+};
+
+/**
+ * Apply a claimed scheduled change to the employee
+ * Errors before the employee is updated are left to the caller; once the
+ * employee is updated the change stays applied.
+ * @param {Object} change - EmployeeChange document, already marked applied
+ * @returns {Promise<boolean>} Whether the change was applied
+ */
+const applyChange = async (change) => {
+  const fail = failureReason => markFailed(change, failureReason);
+
+  const employee = await User.findById(change.employee);
+  if (!employee) {
+    return fail('Employee no longer exists');
+  }
+
+  const updates = Object.fromEntries(change.changes.map(({ field, to }) => [field, to]));
+
+  const problem = await checkEmployeeReferences(employee._id, updates, employee);
+  if (problem) {
+    return fail(problem);
+  }
+
+  try {
+    await User.updateOne(
+      { _id: employee._id },
+      { ...updates, updatedAt: new Date() },
+      { runValidators: true }
+    );
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return fail(Object.values(error.errors).map(err => err.message).join('; '));
+    }
+    return fail(error.message);
+  }
+
+  try {
+    // Record what each field actually changed from on the day
+    change.changes = change.changes.map(({ field, to }) => ({
+      field,
+      from: EmployeeChange.normalizeValue(field, employee[field]),
+      to
+    }));
+    await change.save();
+
+    if (updates.role && updates.role !== employee.role) {
+      await SecurityEvent.record({
+        type: SECURITY_EVENT_TYPES.ROLE_CHANGED,
+        user: employee._id,
+        actor: change.changedBy,
+        metadata: { from: employee.role, to: updates.role, scheduledChange: change._id }
+      });
+    }
+  } catch (error) {
+    console.error(`Scheduled change ${change._id} applied, but recording it failed:`, error);
+  }
+
+  return true;
+};
+
+/**
+ * Apply every scheduled change that has come due, oldest first
+ * @param {Date} now - Apply changes effective on or before this time
+ * @returns {Promise<Object>} { applied, failed }
+ */
+export const applyDueChanges = async (now = new Date()) => {
+  const result = { applied: 0, failed: 0 };
+
+  for (let i = 0; i < EMPLOYEE_HISTORY_CONFIG.APPLY_BATCH_SIZE; i++) {
+    const change = await EmployeeChange.findOneAndUpdate(
+      { status: EMPLOYEE_CHANGE_STATUS.SCHEDULED, effectiveDate: { $lte: now } },
+      { status: EMPLOYEE_CHANGE_STATUS.APPLIED, appliedAt: now },
+      { sort: { effectiveDate: 1, createdAt: 1 }, new: true }
+    );
+    if (!change) break;
+
+    let applied = false;
+    try {
+      applied = await applyChange(change);
+    } catch (error) {
+      // Not applied, so don't leave it marked as such; carry on with the rest
+      try {
+        await markFailed(change, error.message);
+      } catch (saveError) {
+        console.error(`Scheduled change ${change._id} could not be marked failed:`, saveError);
+      }
+    }
+
+    if (applied) {
+      result.applied++;
+    } else {
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Check for due changes now and then every APPLY_INTERVAL_MS
+ * @returns {NodeJS.Timeout} The interval, which does not keep the process alive
+ */
+export const startScheduledChangeRunner = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const { applied, failed } = await applyDueChanges();
+      if (applied > 0 || failed > 0) {
+        console.log(`Scheduled employee changes: ${applied} applied, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('Scheduled employee changes error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, EMPLOYEE_HISTORY_CONFIG.APPLY_INTERVAL_MS).unref();
+};
+
+export default {
+  checkEmployeeReferences,
+  applyDueChanges,
+  startScheduledChangeRunner
+};
@@ -0,0 +1,198 @@
+import Counter from '../models/Counter.js';
+import Setting from '../models/Setting.js';
+import Department from '../models/Department.js';
+import { escapeRegex } from './textSearch.js';
+import { EMPLOYEE_ID_CONFIG } from '../config/constants.js';
+
+/**
+ * Employee IDs
+ * IDs are rendered from the admin-configured template (settings.employeeIds)
+ * and numbered from an atomic counter, so concurrent sign-ups never collide.
+ * There is one counter per distinct rendering of the non-sequence tokens, e.g.
+ * `{YYYY}{DES}{SEQ:4}` numbers each designation separately within each year.
+ * With `resetYearly` off, year tokens are still printed but numbering carries
+ * on across years.
+ *
+ * Tokens: {YYYY}, {YY} (hire year), {DES} (first three letters of the
+ * designation), {DEPT} (first three letters of the department name, GEN when
+ * none), {SEQ:n} (sequence padded to n digits; required exactly once).
+ */
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const LITERAL_PATTERN = /^[A-Za-z0-9._/-]*$/;
+const TOKENS = ['YYYY', 'YY', 'DES', 'DEPT', 'SEQ'];
+const YEAR_TOKENS = ['YYYY', 'YY'];
+
+/**
+ * Split a template into literal text and tokens
+ * @param {string} format - Template such as `{YYYY}{DEPT}{SEQ:4}`
+ * @returns {Array<Object>} [{ literal } | { token, digits }]
+ * @throws {Error} Describing what is wrong with the template
+ */
+export const parseEmployeeIdFormat = (format) => {
+  if (typeof format !== 'string' || !format || format.length > EMPLOYEE_ID_CONFIG.MAX_FORMAT_LENGTH) {
+    throw new Error(`Employee ID format must be 1 to ${EMPLOYEE_ID_CONFIG.MAX_FORMAT_LENGTH} characters`);
+  }
+
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of format.matchAll(TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ literal: format.slice(lastIndex, match.index) });
+    }
+
+    const [, token, digits] = match;
+    if (!TOKENS.includes(token)) {
+      throw new Error(`Unknown employee ID token {${token}}; use ${TOKENS.map(t => `{${t}}`).join(', ')}`);
+    }
+    if (token === 'SEQ') {
+      const width = parseInt(digits);
+      if (!(width >= 1 && width <= EMPLOYEE_ID_CONFIG.MAX_SEQUENCE_DIGITS)) {
+        throw new Error(`{SEQ:n} needs a width between 1 and ${EMPLOYEE_ID_CONFIG.MAX_SEQUENCE_DIGITS}`);
+      }
+      parts.push({ token, digits: width });
+    } else {
+      if (digits !== undefined) {
+        throw new Error(`{${token}} does not take a width`);
+      }
+      parts.push({ token });
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < format.length) {
+    parts.push({ literal: format.slice(lastIndex) });
+  }
+
+  const invalidLiteral = parts.find(part => part.literal !== undefined && !LITERAL_PATTERN.test(part.literal));
+  if (invalidLiteral) {
+    throw new Error('Text between tokens may only contain letters, digits, ".", "_", "/" and "-"');
+  }
+  if (parts.filter(part => part.token === 'SEQ').length !== 1) {
+    throw new Error('Employee ID format must contain {SEQ:n} exactly once');
+  }
+
+  return parts;
+};
+
+/**
+ * Get the configured template and reset option
+ * @returns {Promise<Object>} { format, resetYearly }
+ */
+export const getEmployeeIdSettings = async () => {
+  const { employeeIds } = await Setting.getSettings();
+
+  return {
+    format: employeeIds?.format || EMPLOYEE_ID_CONFIG.DEFAULT_FORMAT,
+    resetYearly: employeeIds?.resetYearly ?? EMPLOYEE_ID_CONFIG.DEFAULT_RESET_YEARLY
+  };
+};
+
+/**
+ * Check a settings change against the stored settings
+ * Yearly numbering needs a year in the ID, or IDs would repeat after a reset.
+ * @param {Object} updates - { format?, resetYearly? } from the request
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+export const checkEmployeeIdSettings = async (updates = {}) => {
+  const { format, resetYearly } = { ...(await getEmployeeIdSettings()), ...updates };
+
+  let parts;
+  try {
+    parts = parseEmployeeIdFormat(format);
+  } catch (error) {
+    return error.message;
+  }
+
+  const resets = resetYearly === true || resetYearly === 'true';
+  if (resets && !parts.some(part => YEAR_TOKENS.includes(part.token))) {
+    return 'Resetting numbering every year requires {YYYY} or {YY} in the employee ID format';
+  }
+
+  return null;
+};
+
+/**
+ * Short code for a department, from its name
+ * @param {ObjectId|null} departmentId - Department reference
+ * @returns {Promise<string>}
+ */
+const departmentCode = async (departmentId) => {
+  const department = departmentId ? await Department.findById(departmentId).select('name').lean() : null;
+  const code = department?.name.replace(/[^A-Za-z0-9]/g, '').substring(0, 3).toUpperCase();
+  return code || 'GEN';
+};
+
+/**
+ * Work out which counter numbers a user's ID and how to print it
+ * @param {Object} user - User document (unsaved is fine)
+ * @param {Object} options - { format, resetYearly } to override the stored settings
+ * @returns {Promise<Object>} { key, pattern, render(seq) }; pattern matches IDs of this shape, capturing the number
+ */
+export const getEmployeeIdSequence = async (user, options = {}) => {
+  const complete = options.format !== undefined && options.resetYearly !== undefined;
+  const { format, resetYearly } = complete ? options : { ...(await getEmployeeIdSettings()), ...options };
+  const parts = parseEmployeeIdFormat(format);
+
+  const year = String((user.hireDate || new Date()).getFullYear());
+  const values = {
+    YYYY: year,
+    YY: year.slice(-2),
+    DES: (user.designation || '').toUpperCase().substring(0, 3) || 'GEN',
+    DEPT: parts.some(part => part.token === 'DEPT') ? await departmentCode(user.department) : null
+  };
+
+  const seqIndex = parts.findIndex(part => part.token === 'SEQ');
+  const renderPart = (part) => (part.literal !== undefined ? part.literal : values[part.token]);
+  const prefix = parts.slice(0, seqIndex).map(renderPart).join('');
+  const suffix = parts.slice(seqIndex + 1).map(renderPart).join('');
+
+  // Counter scope: everything but the sequence, with the year left as a
+  // placeholder unless numbering restarts every year
+  const scope = parts.map((part) => {
+    if (part.token === 'SEQ') return '#';
+    if (YEAR_TOKENS.includes(part.token) && !resetYearly) return `{${part.token}}`;
+    return renderPart(part);
+  }).join('');
+
+  return {
+    key: `${EMPLOYEE_ID_CONFIG.COUNTER_PREFIX}:${scope}`,
+    pattern: new RegExp(`^${escapeRegex(prefix)}(\\d+)${escapeRegex(suffix)}$`),
+    render: seq => `${prefix}${String(seq).padStart(parts[seqIndex].digits, '0')}${suffix}`
+  };
+};
+
+/**
+ * Issue the next employee ID for a user
+ * @param {Object} user - User document (unsaved is fine); its model checks for IDs already taken
+ * @param {Object} options - { format, resetYearly } to override the stored settings
+ * @returns {Promise<string>}
+ */
+export const generateEmployeeId = async (user, options = {}) => {
+  const { key, pattern, render } = await getEmployeeIdSequence(user, options);
+  const Model = user.constructor;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const employeeId = render(await Counter.next(key));
+
+    if (!(await Model.exists({ employeeId }))) {
+      return employeeId;
+    }
+
+    // Taken by an ID issued before this counter existed (older scheme, or a
+    // reset); move the counter past the highest such number
+    const taken = await Model.find({ employeeId: pattern }).select('employeeId').lean();
+    const highest = Math.max(0, ...taken.map(({ employeeId: id }) => parseInt(id.match(pattern)[1])));
+    await Counter.raiseTo(key, highest);
+  }
+
+  throw new Error(`Could not issue a free employee ID for counter ${key}`);
+};
+
+export default {
+  parseEmployeeIdFormat,
+  getEmployeeIdSettings,
+  checkEmployeeIdSettings,
+  getEmployeeIdSequence,
+  generateEmployeeId
+};
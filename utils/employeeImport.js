@@ -0,0 +1,421 @@
+import crypto from 'crypto';
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Department from '../models/Department.js';
+import Skill from '../models/Skill.js';
+import emailService from './emailService.js';
+import { parseCsvWithHeader } from './csv.js';
+import { parseSkillEntry } from './skillMatch.js';
+import { sendVerificationEmail } from './emailVerification.js';
+import {
+  validateUserRegistration,
+  handleValidationErrors,
+  sanitizeInput
+} from './validation.js';
+import {
+  USER_ROLES,
+  SKILL_LEVELS,
+  PASSWORD_RESET_CONFIG,
+  EMPLOYEE_IMPORT_CONFIG
+} from '../config/constants.js';
+
+/**
+ * Employee CSV Import
+ * Each row goes through the same checks as POST /api/employees
+ * (validateUserRegistration plus the controller's existence checks).
+ * Managers are matched by email or employee ID, either against existing
+ * employees or against other rows of the same file; rows are created after
+ * the rows that manage them.
+ *
+ * Row statuses: `valid` (dry run only), `created`, `skipped` (email already
+ * registered) and `failed`.
+ */
+
+// Header (lowercased, letters and digits only) -> User field
+const COLUMN_MAP = {
+  firstname: 'firstName',
+  lastname: 'lastName',
+  email: 'email',
+  password: 'password',
+  role: 'role',
+  designation: 'designation',
+  phone: 'phone',
+  department: 'department',
+  salary: 'salary',
+  skills: 'skills',
+  manager: 'manager',
+  manageremail: 'manager',
+  manageremployeeid: 'manager',
+  hiredate: 'hireDate',
+  street: 'address.street',
+  city: 'address.city',
+  state: 'address.state',
+  zipcode: 'address.zipCode',
+  country: 'address.country'
+};
+
+const REQUIRED_COLUMNS = ['firstName', 'lastName', 'email', 'designation'];
+
+// validateUserRegistration ends with the response handler; rows only need the checks
+const ROW_VALIDATORS = validateUserRegistration.filter(validator => validator !== handleValidationErrors);
+
+/**
+ * Error thrown when the file as a whole cannot be imported
+ */
+export class ImportFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFileError';
+  }
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const rowError = (field, message, value) => ({ field, message, value });
+
+/**
+ * Random password meeting any configured policy, for rows without one.
+ * The employee sets their own through the reset link.
+ * @returns {string}
+ */
+const generatePassword = () => `${crypto.randomBytes(18).toString('base64url')}Aa1!`;
+
+/**
+ * Map a CSV record onto employee fields
+ * @param {Object} values - Cell values keyed by header
+ * @param {Map<string, string>} columns - Header -> field
+ * @returns {Object} Employee data; blank cells are left out
+ */
+const mapRecord = (values, columns) => {
+  const flat = {};
+  for (const [header, field] of columns) {
+    if (values[header] !== '') {
+      flat[field] = values[header];
+    }
+  }
+
+  const { 'address.street': street, 'address.city': city, 'address.state': state,
+    'address.zipCode': zipCode, 'address.country': country, ...data } = sanitizeInput(flat);
+
+  const address = Object.fromEntries(
+    Object.entries({ street, city, state, zipCode, country }).filter(([, value]) => value !== undefined)
+  );
+  if (Object.keys(address).length > 0) {
+    data.address = address;
+  }
+
+  return data;
+};
+
+/**
+ * Run the registration validators against one row
+ * @param {Object} data - Employee data (sanitized in place, e.g. normalized email)
+ * @returns {Promise<Array>} Validation errors
+ */
+const validateRow = async (data) => {
+  const req = { body: data };
+
+  for (const validator of ROW_VALIDATORS) {
+    await validator.run(req);
+  }
+
+  // Never echo passwords back in the report
+  return validationResult(req).array().map(error => {
+    const field = error.path || error.param;
+    return rowError(field, error.msg, field === 'password' ? undefined : error.value);
+  });
+};
+
+/**
+ * Parse the file and check every row without writing anything
+ * @param {string} text - CSV content
+ * @param {Object} importer - User running the import
+ * @returns {Promise<Object>} { rows, ignoredColumns }
+ */
+const prepareRows = async (text, importer) => {
+  let parsed;
+  try {
+    parsed = parseCsvWithHeader(text);
+  } catch (error) {
+    throw new ImportFileError(error.message);
+  }
+
+  const columns = new Map();
+  const ignoredColumns = [];
+  for (const header of parsed.headers) {
+    const field = COLUMN_MAP[normalizeHeader(header)];
+    if (field && ![...columns.values()].includes(field)) {
+      columns.set(header, field);
+    } else {
+      ignoredColumns.push(header);
+    }
+  }
+
+  const missing = REQUIRED_COLUMNS.filter(field => ![...columns.values()].includes(field));
+  if (missing.length > 0) {
+    throw new ImportFileError(`Missing required column(s): ${missing.join(', ')}`);
+  }
+  if (parsed.records.length === 0) {
+    throw new ImportFileError('The file has no employee rows');
+  }
+  if (parsed.records.length > EMPLOYEE_IMPORT_CONFIG.MAX_ROWS) {
+    throw new ImportFileError(`A file can contain at most ${EMPLOYEE_IMPORT_CONFIG.MAX_ROWS} rows`);
+  }
+
+  const departments = await Department.find({ isActive: true }).select('name').lean();
+  const departmentsByName = new Map(departments.map(d => [d.name.toLowerCase(), d._id]));
+  const departmentIds = new Set(departments.map(d => d._id.toString()));
+  const skills = await Skill.find({ isActive: true }).select('name aliases');
+
+  const rows = [];
+  for (const { line, values } of parsed.records) {
+    const data = mapRecord(values, columns);
+    const row = { row: line, email: data.email || null, status: 'valid', errors: [], data };
+
+    // Departments are given by name (or ID) and checked like the single-create endpoint
+    if (data.department !== undefined) {
+      const departmentName = Department.normalizeName(data.department).toLowerCase();
+      const departmentId = departmentsByName.get(departmentName)
+        || (departmentIds.has(data.department) ? data.department : null);
+
+      if (departmentId) {
+        data.department = departmentId.toString();
+      } else {
+        row.errors.push(rowError('department', 'Unknown or inactive department', data.department));
+        delete data.department;
+      }
+    }
+
+    // Skills are given as "React:3; Node" (level defaults to the lowest) and
+    // must be in the catalog
+    if (data.skills !== undefined) {
+      const entries = data.skills.split(/[;|]/).map(entry => entry.trim()).filter(Boolean);
+      data.skills = [];
+
+      for (const entry of entries) {
+        let parsed;
+        try {
+          parsed = parseSkillEntry(entry);
+        } catch (error) {
+          row.errors.push(rowError('skills', error.message, entry));
+          continue;
+        }
+
+        const skill = skills.find(candidate => candidate.matches(parsed.name));
+        if (!skill) {
+          row.errors.push(rowError('skills', 'Unknown or inactive skill', parsed.name));
+        } else if (data.skills.some(existing => existing.skill === skill._id.toString())) {
+          row.errors.push(rowError('skills', 'Skill listed more than once', parsed.name));
+        } else {
+          data.skills.push({ skill: skill._id.toString(), level: parsed.level ?? SKILL_LEVELS.BEGINNER });
+        }
+      }
+    }
+
+    row.generatedPassword = data.password === undefined;
+    if (row.generatedPassword) {
+      data.password = generatePassword();
+    }
+
+    row.errors.push(...await validateRow(data));
+    row.email = data.email || row.email;
+
+    if (data.role === USER_ROLES.ADMIN && importer.role !== USER_ROLES.ADMIN) {
+      row.errors.push(rowError('role', 'Only administrators can create admin accounts', data.role));
+    }
+
+    rows.push(row);
+  }
+
+  // Duplicate emails within the file: the first occurrence wins
+  const rowsByEmail = new Map();
+  for (const row of rows) {
+    if (!row.email) continue;
+
+    const existing = rowsByEmail.get(row.email);
+    if (existing) {
+      row.errors.push(rowError('email', `Duplicate of row ${existing.row}`, row.email));
+    } else {
+      rowsByEmail.set(row.email, row);
+    }
+  }
+
+  const registered = await User.find({ email: { $in: [...rowsByEmail.keys()] } }).select('email').lean();
+  const registeredEmails = new Set(registered.map(user => user.email));
+
+  for (const row of rows) {
+    if (row.errors.length > 0) {
+      row.status = 'failed';
+    } else if (registeredEmails.has(row.email)) {
+      row.status = 'skipped';
+      row.errors.push(rowError('email', 'Employee with this email already exists', row.email));
+    }
+  }
+
+  await resolveManagers(rows, rowsByEmail);
+
+  return { rows, ignoredColumns };
+};
+
+/**
+ * Resolve each row's manager to an existing employee or to another row
+ * Sets row.managerId (existing employee) or row.managerRow (row in this file).
+ * @param {Array} rows - Prepared rows
+ * @param {Map<string, Object>} rowsByEmail - First row for each email
+ */
+const resolveManagers = async (rows, rowsByEmail) => {
+  const references = [...new Set(rows.map(row => row.data.manager).filter(Boolean))];
+  if (references.length === 0) return;
+
+  const managers = await User.find({
+    $or: [
+      { email: { $in: references.map(reference => reference.toLowerCase()) } },
+      { employeeId: { $in: references } }
+    ],
+    isActive: true
+  }).select('email employeeId').lean();
+
+  for (const row of rows) {
+    const reference = row.data.manager;
+    delete row.data.manager;
+    if (!reference || row.status !== 'valid') continue;
+
+    const email = reference.toLowerCase();
+    const existing = managers.find(manager => manager.email === email || manager.employeeId === reference);
+    const fileRow = rowsByEmail.get(email);
+
+    if (existing) {
+      row.managerId = existing._id;
+    } else if (fileRow && fileRow !== row && ['valid', 'failed'].includes(fileRow.status)) {
+      row.managerRow = fileRow;
+    } else {
+      row.status = 'failed';
+      row.errors.push(rowError('manager', fileRow === row
+        ? 'An employee cannot be their own manager'
+        : 'Manager not found by email or employee ID', reference));
+    }
+  }
+};
+
+/**
+ * Create an employee for a row and send the optional emails
+ * @param {Object} row - Prepared row
+ * @param {boolean} sendWelcomeEmail - Send the welcome (and account setup) emails
+ */
+const createEmployee = async (row, sendWelcomeEmail) => {
+  const employee = new User({
+    ...row.data,
+    manager: row.managerId || row.managerRow?.employee?._id || null,
+    hireDate: row.data.hireDate || new Date()
+  });
+  await employee.save();
+  row.employee = employee;
+
+  if (!sendWelcomeEmail) return;
+
+  try {
+    await emailService.sendWelcomeEmail(employee.email, employee);
+    await sendVerificationEmail(employee);
+
+    // Without a password in the file the employee sets one through a reset link
+    if (row.generatedPassword) {
+      const resetToken = employee.createPasswordResetToken();
+      await employee.save({ validateBeforeSave: false });
+
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+      await emailService.sendPasswordResetEmail(
+        employee.email,
+        employee,
+        `${clientUrl}/reset-password?token=${resetToken}`,
+        PASSWORD_RESET_CONFIG.TOKEN_EXPIRES_MINUTES
+      );
+    }
+    row.emailSent = true;
+  } catch (emailError) {
+    console.error('Import welcome email error:', emailError);
+    row.emailSent = false;
+  }
+};
+
+/**
+ * Import employees from CSV
+ * @param {string} text - CSV content
+ * @param {Object} importer - User running the import
+ * @param {Object} options - { dryRun, sendWelcomeEmail }
+ * @returns {Promise<Object>} { dryRun, summary, ignoredColumns, rows }
+ */
+export const importEmployees = async (text, importer, { dryRun = false, sendWelcomeEmail = false } = {}) => {
+  const { rows, ignoredColumns } = await prepareRows(text, importer);
+
+  // Create managers before their reports; anything left waiting sits in a manager cycle
+  let pending = rows.filter(row => row.status === 'valid');
+  while (pending.length > 0) {
+    const ready = pending.filter(row => !row.managerRow || row.managerRow.status !== 'valid' || row.managerRow.employee);
+    if (ready.length === 0) break;
+
+    for (const row of ready) {
+      if (row.managerRow?.status === 'failed') {
+        row.status = 'failed';
+        row.errors.push(rowError('manager', `Manager in row ${row.managerRow.row} was not imported`, row.managerRow.email));
+        continue;
+      }
+
+      if (dryRun) {
+        // Stand-in so rows managed by this one become ready
+        row.employee = {};
+        continue;
+      }
+
+      try {
+        await createEmployee(row, sendWelcomeEmail);
+        row.status = 'created';
+      } catch (error) {
+        row.status = 'failed';
+        if (error.name === 'ValidationError') {
+          row.errors.push(...Object.values(error.errors).map(err => rowError(err.path, err.message, err.value)));
+        } else if (error.code === 11000) {
+          const field = Object.keys(error.keyPattern)[0];
+          row.errors.push(rowError(field, `Employee with this ${field} already exists`, row.data[field]));
+        } else {
+          console.error('Import employee error:', error);
+          row.errors.push(rowError(null, 'Failed to create employee', null));
+        }
+      }
+    }
+
+    pending = pending.filter(row => !ready.includes(row));
+  }
+
+  for (const row of pending) {
+    row.status = 'failed';
+    row.errors.push(rowError('manager', 'Managers form a cycle within the file', row.managerRow.email));
+  }
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+
+  return {
+    dryRun,
+    summary: {
+      total: rows.length,
+      ...(dryRun ? { valid: count('valid') } : { created: count('created') }),
+      skipped: count('skipped'),
+      failed: count('failed')
+    },
+    ignoredColumns,
+    rows: rows.map(row => ({
+      row: row.row,
+      email: row.email,
+      status: row.status,
+      errors: row.errors,
+      ...(row.status === 'created' && {
+        employee: { _id: row.employee._id, employeeId: row.employee.employeeId },
+        ...(sendWelcomeEmail && { emailSent: row.emailSent })
+      })
+    }))
+  };
+};
+
+export default {
+  ImportFileError,
+  importEmployees
+};
@@ -0,0 +1,62 @@
+import sharp from 'sharp';
+import { AVATAR_CONFIG } from '../config/constants.js';
+
+/**
+ * Image Processing
+ * Avatars are decoded and re-encoded rather than stored as uploaded: that
+ * proves the file really is an image, applies EXIF rotation and strips
+ * metadata such as GPS location.
+ */
+
+// Formats sharp must detect in the file itself, whatever the upload claimed
+const AVATAR_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Error thrown for uploads that are not usable images
+ */
+export class InvalidImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+/**
+ * Produce the stored avatar and its square thumbnails as WebP
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<Object>} { original, small, medium, ... } buffers keyed by size name
+ */
+export const processAvatar = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new InvalidImageError('File is not a readable image');
+  }
+
+  if (!AVATAR_FORMATS.includes(metadata.format)) {
+    throw new InvalidImageError(`Avatar must be one of: ${AVATAR_FORMATS.join(', ')}`);
+  }
+
+  const image = sharp(buffer).rotate();
+
+  const original = await image.clone()
+    .resize(AVATAR_CONFIG.MAX_DIMENSION, AVATAR_CONFIG.MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+  const images = { original };
+  for (const [name, size] of Object.entries(AVATAR_CONFIG.THUMBNAIL_SIZES)) {
+    images[name] = await image.clone()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp()
+      .toBuffer();
+  }
+
+  return images;
+};
+
+export default {
+  InvalidImageError,
+  processAvatar
+};
@@ -1,9 +1,15 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
-import { ERROR_MESSAGES } from '../config/constants.js';
+import RevokedToken from '../models/RevokedToken.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import { ERROR_MESSAGES, TWO_FACTOR_CONFIG } from '../config/constants.js';
 
 dotenv.config();
 
+const TWO_FACTOR_AUDIENCE = 'task-management-2fa';
+
 /**
  * JWT Utility Class
  * Handles JWT token generation, verification, and management
@@ -11,11 +17,22 @@ dotenv.config();
 class JWTUtils {
   constructor() {
     this.secret = process.env.JWT_SECRET;
+    this.refreshSecret = process.env.JWT_REFRESH_SECRET;
     this.expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+    this.refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
     
     if (!this.secret) {
       throw new Error('JWT_SECRET environment variable is required');
     }
+
+    // Refresh tokens are signed with their own key so one can never pass as the other
+    if (!this.refreshSecret) {
+      throw new Error('JWT_REFRESH_SECRET environment variable is required');
+    }
+
+    if (this.refreshSecret === this.secret) {
+      throw new Error('JWT_REFRESH_SECRET must differ from JWT_SECRET');
+    }
   }
 
   /**
@@ -34,11 +51,22 @@ class JWTUtils {
         isActive: user.isActive
       };
 
+      // Tie the access token to its refresh token family so both can be revoked together
+      if (options.family) {
+        payload.family = options.family;
+      }
+
+      // Impersonation tokens act as `user` but remember the admin behind them
+      if (options.impersonator) {
+        payload.impersonator = options.impersonator._id;
+      }
+
       const tokenOptions = {
         expiresIn: options.expiresIn || this.expiresIn,
         issuer: 'task-management-system',
         audience: 'task-management-users',
-        subject: user._id.toString()
+        subject: user._id.toString(),
+        jwtid: crypto.randomUUID()
       };
 
       return jwt.sign(payload, this.secret, tokenOptions);
@@ -50,41 +78,144 @@ class JWTUtils {
   /**
    * Generate refresh token
    * @param {Object} user - User object
+   * @param {Object} options - { family, jti }
    * @returns {string} Refresh token
    */
-  generateRefreshToken(user) {
+  generateRefreshToken(user, options = {}) {
     try {
       const payload = {
         userId: user._id,
-        type: 'refresh'
+        type: 'refresh',
+        family: options.family
       };
 
       const tokenOptions = {
-        expiresIn: '30d', // Longer expiry for refresh tokens
+        expiresIn: this.refreshExpiresIn, // Longer expiry for refresh tokens
         issuer: 'task-management-system',
         audience: 'task-management-users',
-        subject: user._id.toString()
+        subject: user._id.toString(),
+        jwtid: options.jti || crypto.randomUUID()
       };
 
-      return jwt.sign(payload, this.secret, tokenOptions);
+      return jwt.sign(payload, this.refreshSecret, tokenOptions);
     } catch (error) {
       throw new Error(`Refresh token generation failed: ${error.message}`);
     }
   }
 
+  /**
+   * Generate an access token that lets an admin act as another user
+   * It has no refresh token or session, so it simply stops working when it expires.
+   * @param {Object} user - User being impersonated
+   * @param {Object} impersonator - Admin doing the impersonation
+   * @param {number} expiresInMinutes - Token lifetime
+   * @returns {string} Impersonation token
+   */
+  generateImpersonationToken(user, impersonator, expiresInMinutes) {
+    return this.generateToken(user, {
+      impersonator,
+      expiresIn: `${expiresInMinutes}m`
+    });
+  }
+
+  /**
+   * Generate a short-lived two-factor challenge token
+   * Issued after a correct password; it has its own audience so it can never be
+   * used as an access token.
+   * @param {Object} user - User object
+   * @param {Object} options - { purpose: 'verify'|'enroll' }
+   * @returns {string} Challenge token
+   */
+  generateTwoFactorChallenge(user, options = {}) {
+    try {
+      const payload = {
+        userId: user._id,
+        type: 'two_factor_challenge',
+        purpose: options.purpose || 'verify'
+      };
+
+      const tokenOptions = {
+        expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_EXPIRES_IN,
+        issuer: 'task-management-system',
+        audience: TWO_FACTOR_AUDIENCE,
+        subject: user._id.toString(),
+        jwtid: crypto.randomUUID()
+      };
+
+      return jwt.sign(payload, this.secret, tokenOptions);
+    } catch (error) {
+      throw new Error(`Challenge token generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a two-factor challenge token
+   * @param {string} token - Challenge token
+   * @returns {Object} Decoded token payload
+   */
+  verifyTwoFactorChallenge(token) {
+    const decoded = this.verifyWithSecret(token, this.secret, TWO_FACTOR_AUDIENCE);
+
+    if (decoded.type !== 'two_factor_challenge') {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Mark a two-factor challenge as used so it cannot complete a second login
+   * @param {Object} decoded - Verified challenge payload
+   * @returns {Promise<void>}
+   */
+  async consumeTwoFactorChallenge(decoded) {
+    await RevokedToken.revokeToken({
+      jti: decoded.jti,
+      userId: decoded.userId,
+      expiresAt: new Date(decoded.exp * 1000),
+      reason: 'two_factor_challenge_used'
+    });
+  }
+
   /**
    * Verify JWT token
    * @param {string} token - JWT token to verify
    * @returns {Object} Decoded token payload
    */
   verifyToken(token) {
+    return this.verifyWithSecret(token, this.secret);
+  }
+
+  /**
+   * Verify refresh token
+   * @param {string} token - Refresh token to verify
+   * @returns {Object} Decoded token payload
+   */
+  verifyRefreshToken(token) {
+    const decoded = this.verifyWithSecret(token, this.refreshSecret);
+
+    if (decoded.type !== 'refresh' || !decoded.family) {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Verify a token against a signing key
+   * @param {string} token - JWT token to verify
+   * @param {string} secret - Signing key
+   * @param {string} audience - Expected audience
+   * @returns {Object} Decoded token payload
+   */
+  verifyWithSecret(token, secret, audience = 'task-management-users') {
     try {
       const options = {
         issuer: 'task-management-system',
-        audience: 'task-management-users'
+        audience
       };
 
-      return jwt.verify(token, this.secret, options);
+      return jwt.verify(token, secret, options);
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         throw new Error('Token has expired');
@@ -150,38 +281,198 @@ class JWTUtils {
 
   /**
    * Generate token pair (access + refresh)
+   * The refresh token is recorded server-side so it can be used exactly once.
+   * Omitting options.family starts a new login session; passing it continues one.
    * @param {Object} user - User object
-   * @returns {Object} Token pair
+   * @param {Object} options - { family, ip, userAgent }
+   * @returns {Promise<Object>} Token pair
    */
-  generateTokenPair(user) {
+  async generateTokenPair(user, options = {}) {
+    const family = options.family || crypto.randomUUID();
+    const jti = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + this.parseDuration(this.refreshExpiresIn));
+    const clientContext = { ip: options.ip || null, userAgent: options.userAgent || null };
+
+    if (options.family) {
+      await Session.touch(family, { ...clientContext, expiresAt });
+    } else {
+      await Session.start({ userId: user._id, family, ...clientContext, expiresAt });
+    }
+
+    const refreshToken = this.generateRefreshToken(user, { family, jti });
+
+    await RefreshToken.create({
+      jti,
+      user: user._id,
+      family,
+      createdByIp: clientContext.ip,
+      userAgent: clientContext.userAgent,
+      expiresAt
+    });
+
     return {
-      accessToken: this.generateToken(user),
-      refreshToken: this.generateRefreshToken(user),
+      accessToken: this.generateToken(user, { family }),
+      refreshToken,
       tokenType: 'Bearer',
       expiresIn: this.expiresIn
     };
   }
 
+  /**
+   * Exchange a verified refresh token for its server-side record
+   * Marks the record as used; returns the outcome so callers can react to replays.
+   * @param {Object} decoded - Verified refresh token payload
+   * @returns {Promise<Object>} { status: 'valid'|'reused'|'unknown', record }
+   */
+  async consumeRefreshToken(decoded) {
+    const record = await RefreshToken.consume(decoded.jti);
+    if (record) {
+      return { status: 'valid', record };
+    }
+
+    const existing = await RefreshToken.findOne({ jti: decoded.jti });
+    if (existing && (existing.usedAt || existing.revokedAt)) {
+      return { status: 'reused', record: existing };
+    }
+
+    return { status: 'unknown', record: null };
+  }
+
+  /**
+   * Link a consumed refresh token to the token that replaced it
+   * @param {string} jti - Consumed token ID
+   * @param {string} refreshToken - Replacement refresh token
+   */
+  async markRefreshTokenReplaced(jti, refreshToken) {
+    const replacement = this.decodeToken(refreshToken);
+    await RefreshToken.updateOne({ jti }, { replacedBy: replacement?.payload?.jti || null });
+  }
+
+  /**
+   * Revoke a whole refresh token family and every access token minted from it
+   * This ends the login session that owns the family.
+   * @param {string} family - Token family ID
+   * @param {ObjectId|string} userId - Family owner
+   * @param {Object} options - { reason, revokedBy }
+   */
+  async revokeTokenFamily(family, userId, options = {}) {
+    const reason = options.reason || 'revoked';
+
+    await Promise.all([
+      Session.revokeByFamily(family, reason),
+      RefreshToken.revokeFamily(family, reason),
+      RevokedToken.revokeFamily({
+        family,
+        userId,
+        expiresAt: new Date(Date.now() + this.parseDuration(this.expiresIn)),
+        reason,
+        revokedBy: options.revokedBy
+      })
+    ]);
+  }
+
+  /**
+   * Revoke every active session of a user except one
+   * @param {ObjectId|string} userId - User ID
+   * @param {string|null} exceptFamily - Token family of the session to keep
+   * @param {Object} options - { reason, revokedBy }
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeOtherSessions(userId, exceptFamily, options = {}) {
+    const sessions = await Session.findActiveForUser(userId);
+    const others = sessions.filter(session => session.family !== exceptFamily);
+
+    for (const session of others) {
+      await this.revokeTokenFamily(session.family, userId, options);
+    }
+
+    return others.length;
+  }
+
   /**
    * Blacklist token (for logout functionality)
-   * Note: In production, you'd want to store blacklisted tokens in Redis or database
+   * Stored in the revoked token collection until the token's own expiry
    * @param {string} token - Token to blacklist
+   * @param {Object} options - { reason, revokedBy }
+   * @returns {Promise<boolean>} True if the token could be revoked
+   */
+  async blacklistToken(token, options = {}) {
+    const decoded = this.decodeToken(token);
+    const payload = decoded?.payload;
+
+    // Tokens issued before jti support cannot be tracked individually
+    if (!payload || !payload.jti || !payload.exp) {
+      return false;
+    }
+
+    await RevokedToken.revokeToken({
+      jti: payload.jti,
+      userId: payload.userId || payload.sub,
+      expiresAt: new Date(payload.exp * 1000),
+      reason: options.reason,
+      revokedBy: options.revokedBy
+    });
+
+    return true;
+  }
+
+  /**
+   * Check if token is blacklisted, either directly or by a user-wide revocation
+   * @param {Object} decoded - Verified token payload
+   * @returns {Promise<boolean>} True if token is blacklisted
    */
-  blacklistToken(token) {
-    // In a real implementation, you would store this in a blacklist
-    // For now, we'll just log it
-    console.log(`Token blacklisted: ${token.substring(0, 20)}...`);
+  async isTokenBlacklisted(decoded) {
+    return RevokedToken.isRevoked({
+      jti: decoded.jti,
+      family: decoded.family,
+      userId: decoded.userId || decoded.sub,
+      iat: decoded.iat
+    });
   }
 
   /**
-   * Check if token is blacklisted
-   * @param {string} token - Token to check
-   * @returns {boolean} True if token is blacklisted
+   * Revoke every access and refresh token issued to a user so far
+   * @param {ObjectId|string} userId - User whose tokens are revoked
+   * @param {Object} options - { reason, revokedBy }
+   * @returns {Promise<Object>} Revocation record
    */
-  isTokenBlacklisted(token) {
-    // In a real implementation, you would check against stored blacklist
-    // For now, return false (no blacklist storage implemented)
-    return false;
+  async revokeAllUserTokens(userId, options = {}) {
+    // Keep the record as long as the longest-lived token could still be presented
+    const maxLifetimeMs = Math.max(
+      this.parseDuration(this.expiresIn),
+      this.parseDuration(this.refreshExpiresIn)
+    );
+
+    await Promise.all([
+      Session.revokeAllForUser(userId, options.reason),
+      RefreshToken.revokeAllForUser(userId, options.reason)
+    ]);
+
+    return RevokedToken.revokeAllForUser({
+      userId,
+      expiresAt: new Date(Date.now() + maxLifetimeMs),
+      reason: options.reason,
+      revokedBy: options.revokedBy
+    });
+  }
+
+  /**
+   * Convert a token lifetime ('15m', '7d', 3600) to milliseconds
+   * @param {string|number} duration - Lifetime in jsonwebtoken expiresIn format
+   * @returns {number} Milliseconds
+   */
+  parseDuration(duration) {
+    if (typeof duration === 'number') {
+      return duration * 1000;
+    }
+
+    const match = /^(\d+)\s*([smhdw]?)$/i.exec(String(duration).trim());
+    if (!match) {
+      throw new Error(`Unsupported token lifetime: ${duration}`);
+    }
+
+    const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+    return parseInt(match[1], 10) * units[match[2].toLowerCase()] * 1000;
   }
 
   /**
@@ -0,0 +1,255 @@
+import User from '../models/User.js';
+import Task from '../models/Task.js';
+import Session from '../models/Session.js';
+import ApiToken from '../models/ApiToken.js';
+import Notification from '../models/Notification.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import EmployeeChange from '../models/EmployeeChange.js';
+import jwtUtils from './jwt.js';
+import {
+  TASK_STATUS,
+  NOTIFICATION_TYPES,
+  SECURITY_EVENT_TYPES,
+  EMPLOYEE_CHANGE_STATUS,
+  EMPLOYEE_CHANGE_SOURCES
+} from '../config/constants.js';
+
+/**
+ * Employee Offboarding
+ * Works out everything that changes when an employee leaves (open tasks,
+ * running timers, direct reports, sign-in access) so it can be shown as a
+ * preview, then applies it. Open tasks go to the handover user, or are
+ * unassigned when there is none; direct reports move to the new manager.
+ */
+
+export const OPEN_TASK_STATUSES = [TASK_STATUS.PENDING, TASK_STATUS.IN_PROGRESS, TASK_STATUS.OVERDUE];
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+const userSummary = (user) => (user
+  ? { _id: user._id, name: fullName(user), email: user.email, employeeId: user.employeeId }
+  : null);
+
+/**
+ * Build the offboarding plan for an employee
+ * @param {Object} employee - Leaving employee
+ * @param {Object} options - { handoverTo, newManager } user documents or null
+ * @returns {Promise<Object>} Plan for summarizeOffboardingPlan / applyOffboarding
+ */
+export const buildOffboardingPlan = async (employee, { handoverTo = null, newManager = null }) => {
+  const [tasks, directReports, sessions, apiTokens] = await Promise.all([
+    Task.find({ assignedTo: employee._id, status: { $in: OPEN_TASK_STATUSES } }).sort({ dueDate: 1 }),
+    User.find({ manager: employee._id }).select('firstName lastName email employeeId isActive'),
+    Session.countDocuments({ user: employee._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    ApiToken.countDocuments({ user: employee._id, revokedAt: null })
+  ]);
+
+  // A direct report taking over their peers moves up to the leaver's manager
+  const promotedReport = newManager && directReports.find(report => report._id.equals(newManager._id));
+
+  return {
+    employee,
+    handoverTo,
+    newManager,
+    tasks,
+    directReports,
+    promotedReport: promotedReport || null,
+    sessions,
+    apiTokens
+  };
+};
+
+/**
+ * Describe a plan for API responses
+ * @param {Object} plan - From buildOffboardingPlan
+ * @returns {Object}
+ */
+export const summarizeOffboardingPlan = (plan) => {
+  const { employee, handoverTo, newManager, promotedReport } = plan;
+
+  return {
+    employee: userSummary(employee),
+    handoverTo: userSummary(handoverTo),
+    newManager: userSummary(newManager),
+    tasks: plan.tasks.map(task => ({
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      dueDate: task.dueDate,
+      timerRunning: task.timeTracking.isActive,
+      action: handoverTo ? 'reassign' : 'unassign',
+      assignTo: handoverTo ? handoverTo._id : null
+    })),
+    directReports: plan.directReports.map(report => ({
+      ...userSummary(report),
+      newManager: report === promotedReport ? employee.manager || null : newManager?._id || null
+    })),
+    access: {
+      deactivate: true,
+      sessionsRevoked: plan.sessions,
+      apiTokensRevoked: plan.apiTokens
+    }
+  };
+};
+
+/**
+ * Send the in-app notifications for an applied plan
+ * Failures are logged and do not undo the offboarding.
+ * @param {Object} plan - Applied plan
+ * @param {Array<Object>} appliedTasks - [{ task, previousAssigner }]
+ * @param {Object} actor - User performing the offboarding
+ */
+const notifyAffected = async (plan, appliedTasks, actor) => {
+  const { employee, handoverTo, newManager, promotedReport } = plan;
+  const leaverName = fullName(employee);
+
+  const notifications = [];
+
+  for (const { task, previousAssigner } of appliedTasks) {
+    if (handoverTo) {
+      notifications.push(() => Notification.createTaskNotification({
+        recipientId: handoverTo._id,
+        senderId: actor._id,
+        task,
+        type: NOTIFICATION_TYPES.TASK_ASSIGNED,
+        action: 'assigned',
+        customMessage: `"${task.title}" was handed over to you from ${leaverName}`
+      }));
+    } else if (!previousAssigner.equals(employee._id)) {
+      notifications.push(() => Notification.createTaskNotification({
+        recipientId: previousAssigner,
+        senderId: actor._id,
+        task,
+        type: NOTIFICATION_TYPES.TASK_UPDATED,
+        action: 'unassigned',
+        customMessage: `"${task.title}" is unassigned because ${leaverName} has left; please choose a new assignee`
+      }));
+    }
+  }
+
+  for (const report of plan.directReports) {
+    const manager = report === promotedReport ? null : newManager;
+    notifications.push(() => Notification.createUserNotification({
+      recipientId: report._id,
+      senderId: actor._id,
+      userId: report._id,
+      title: 'Manager Changed',
+      message: manager
+        ? `${leaverName} has left; you now report to ${fullName(manager)}`
+        : `${leaverName} has left; your reporting line has been updated`
+    }));
+  }
+
+  if (newManager && plan.directReports.some(report => report !== promotedReport)) {
+    const count = plan.directReports.filter(report => report !== promotedReport).length;
+    notifications.push(() => Notification.createUserNotification({
+      recipientId: newManager._id,
+      senderId: actor._id,
+      userId: employee._id,
+      title: 'New Direct Reports',
+      message: `${count} of ${leaverName}'s direct report(s) now report to you`
+    }));
+  }
+
+  for (const send of notifications) {
+    try {
+      await send();
+    } catch (notificationError) {
+      console.error('Offboarding notification error:', notificationError);
+    }
+  }
+};
+
+/**
+ * Apply an offboarding plan
+ * @param {Object} plan - From buildOffboardingPlan
+ * @param {Object} actor - User performing the offboarding
+ * @param {Object} options - { req, reason } for the security log
+ * @returns {Promise<Object>} Summary of what changed
+ */
+export const applyOffboarding = async (plan, actor, { req = null, reason = null } = {}) => {
+  const { employee, handoverTo, newManager, promotedReport } = plan;
+
+  // Describe the plan as previewed, before timers and assignees change
+  const summary = summarizeOffboardingPlan(plan);
+
+  // Cut access first so the employee cannot act on anything mid-handover
+  employee.isActive = false;
+  await employee.save({ validateBeforeSave: false });
+
+  await jwtUtils.revokeAllUserTokens(employee._id, {
+    reason: 'account_offboarded',
+    revokedBy: actor._id
+  });
+  await ApiToken.revokeAllForUser(employee._id, actor._id);
+
+  const appliedTasks = [];
+  let timersStopped = 0;
+
+  for (const task of plan.tasks) {
+    const previousAssigner = task.assignedBy;
+
+    if (task.timeTracking.isActive) {
+      await task.stopTimeTracking(`Stopped when ${fullName(employee)} was offboarded`);
+      timersStopped++;
+    }
+
+    await task.reassign(handoverTo ? handoverTo._id : null, actor._id);
+    appliedTasks.push({ task, previousAssigner });
+  }
+
+  const movedReports = plan.directReports.filter(report => report !== promotedReport);
+  if (movedReports.length > 0) {
+    await User.updateMany(
+      { _id: { $in: movedReports.map(report => report._id) } },
+      { manager: newManager ? newManager._id : null }
+    );
+  }
+  if (promotedReport) {
+    await User.updateOne({ _id: promotedReport._id }, { manager: employee.manager || null });
+  }
+
+  if (plan.directReports.length > 0) {
+    const now = new Date();
+    await EmployeeChange.insertMany(plan.directReports.map(report => ({
+      employee: report._id,
+      changes: [{
+        field: 'manager',
+        from: employee._id,
+        to: report === promotedReport ? employee.manager || null : newManager?._id || null
+      }],
+      effectiveDate: now,
+      status: EMPLOYEE_CHANGE_STATUS.APPLIED,
+      source: EMPLOYEE_CHANGE_SOURCES.OFFBOARDING,
+      reason: `${fullName(employee)} was offboarded`,
+      changedBy: actor._id,
+      appliedAt: now
+    })));
+  }
+
+  await SecurityEvent.record({
+    type: SECURITY_EVENT_TYPES.EMPLOYEE_OFFBOARDED,
+    user: employee._id,
+    actor: actor._id,
+    req,
+    metadata: {
+      reason,
+      handoverTo: handoverTo?._id || null,
+      newManager: newManager?._id || null,
+      tasks: plan.tasks.length,
+      directReports: plan.directReports.length,
+      timersStopped
+    }
+  });
+
+  await notifyAffected(plan, appliedTasks, actor);
+
+  return { ...summary, timersStopped };
+};
+
+export default {
+  OPEN_TASK_STATUSES,
+  buildOffboardingPlan,
+  summarizeOffboardingPlan,
+  applyOffboarding
+};
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { USER_ROLES, USER_DESIGNATIONS, OIDC_CONFIG } from '../config/constants.js';
+
+// Most to least privileged; used when a user's groups map to several roles
+const ROLE_PRECEDENCE = [USER_ROLES.ADMIN, USER_ROLES.PROJECT_MANAGER, USER_ROLES.EMPLOYEE];
+
+// ID tokens must be signed with the provider's key, never with a shared secret
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * OpenID Connect Client
+ * Authorization-code flow with PKCE against the identity provider configured
+ * in OIDC_CONFIG. Provider metadata and signing keys are fetched on demand
+ * and cached.
+ */
+class OidcClient {
+  constructor() {
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.keys = new Map();
+    this.keysFetchedAt = 0;
+    this.mappings = null;
+  }
+
+  /**
+   * Check whether SSO is switched on and fully configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return OIDC_CONFIG.ENABLED
+      && !!OIDC_CONFIG.ISSUER
+      && !!OIDC_CONFIG.CLIENT_ID
+      && !!OIDC_CONFIG.REDIRECT_URI;
+  }
+
+  /**
+   * Whether cached provider data is older than the cache lifetime
+   * @param {number} fetchedAt - Timestamp of the last fetch
+   * @returns {boolean}
+   */
+  isStale(fetchedAt) {
+    return Date.now() - fetchedAt > OIDC_CONFIG.METADATA_CACHE_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Fetch JSON from the identity provider
+   * @param {string} url - Endpoint URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>}
+   */
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(OIDC_CONFIG.HTTP_TIMEOUT_MS)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = body.error_description || body.error || response.statusText;
+      throw new Error(`Identity provider request failed (${response.status}): ${detail}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Get the provider's discovery document
+   * @returns {Promise<Object>}
+   */
+  async getMetadata() {
+    if (!this.metadata || this.isStale(this.metadataFetchedAt)) {
+      const issuer = OIDC_CONFIG.ISSUER.replace(/\/$/, '');
+      const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+      if (metadata.issuer !== OIDC_CONFIG.ISSUER) {
+        throw new Error(`Discovery issuer ${metadata.issuer} does not match OIDC_ISSUER`);
+      }
+
+      this.metadata = metadata;
+      this.metadataFetchedAt = Date.now();
+    }
+
+    return this.metadata;
+  }
+
+  /**
+   * Get the public key for a key ID, refetching the JWKS once if it is unknown
+   * (providers rotate keys without notice)
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async getSigningKey(kid) {
+    if (!this.keys.has(kid) || this.isStale(this.keysFetchedAt)) {
+      const { jwks_uri: jwksUri } = await this.getMetadata();
+      const { keys = [] } = await this.fetchJson(jwksUri);
+
+      this.keys = new Map(
+        keys
+          .filter(key => !key.use || key.use === 'sig')
+          .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])
+      );
+      this.keysFetchedAt = Date.now();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new Error('ID token was signed with an unknown key');
+    }
+
+    return key;
+  }
+
+  /**
+   * Generate a PKCE verifier and its S256 challenge
+   * @returns {Object} { codeVerifier, codeChallenge }
+   */
+  createPkcePair() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+  }
+
+  /**
+   * Build the URL that sends the browser to the identity provider
+   * @param {Object} params - { state, nonce, codeChallenge }
+   * @returns {Promise<string>}
+   */
+  async buildAuthorizationUrl({ state, nonce, codeChallenge }) {
+    const { authorization_endpoint: authorizationEndpoint } = await this.getMetadata();
+
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: OIDC_CONFIG.CLIENT_ID,
+      redirect_uri: OIDC_CONFIG.REDIRECT_URI,
+      scope: OIDC_CONFIG.SCOPES,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * Public clients (no secret) rely on PKCE alone.
+   * @param {string} code - Authorization code
+   * @param {string} codeVerifier - PKCE verifier for this login
+   * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+   */
+  async exchangeCode(code, codeVerifier) {
+    const { token_endpoint: tokenEndpoint } = await this.getMetadata();
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: OIDC_CONFIG.REDIRECT_URI,
+      client_id: OIDC_CONFIG.CLIENT_ID,
+      code_verifier: codeVerifier
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (OIDC_CONFIG.CLIENT_SECRET) {
+      const credentials = `${encodeURIComponent(OIDC_CONFIG.CLIENT_ID)}:${encodeURIComponent(OIDC_CONFIG.CLIENT_SECRET)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await this.fetchJson(tokenEndpoint, {
+      method: 'POST',
+      headers,
+      body: params.toString()
+    });
+
+    if (!tokens.id_token) {
+      throw new Error('Identity provider did not return an ID token');
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @param {string} idToken - ID token from the token endpoint
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Verified claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new Error('ID token is malformed or uses an unsupported algorithm');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: SUPPORTED_ALGORITHMS,
+      issuer: OIDC_CONFIG.ISSUER,
+      audience: OIDC_CONFIG.CLIENT_ID,
+      clockTolerance: 60
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match this login');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Fetch the userinfo claims (some providers only put groups there)
+   * @param {string} accessToken - Access token from the token endpoint
+   * @returns {Promise<Object>}
+   */
+  async fetchUserInfo(accessToken) {
+    const { userinfo_endpoint: userinfoEndpoint } = await this.getMetadata();
+    if (!userinfoEndpoint || !accessToken) return {};
+
+    return this.fetchJson(userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+  }
+
+  /**
+   * Parse the group mappings from configuration once
+   * Entries pointing at unknown roles or designations are ignored with a warning.
+   * @returns {Object} { roles, designations }
+   */
+  getMappings() {
+    if (!this.mappings) {
+      const parse = (raw, allowed, name) => {
+        let mapping;
+        try {
+          mapping = JSON.parse(raw);
+        } catch (error) {
+          console.error(`Invalid ${name} JSON; ignoring it`);
+          return {};
+        }
+
+        return Object.fromEntries(
+          Object.entries(mapping).filter(([group, value]) => {
+            if (allowed.includes(value)) return true;
+            console.warn(`${name}: "${group}" maps to unknown value "${value}"; ignoring it`);
+            return false;
+          })
+        );
+      };
+
+      this.mappings = {
+        roles: parse(OIDC_CONFIG.ROLE_MAPPING, Object.values(USER_ROLES), 'OIDC_ROLE_MAPPING'),
+        designations: parse(OIDC_CONFIG.DESIGNATION_MAPPING, Object.values(USER_DESIGNATIONS), 'OIDC_DESIGNATION_MAPPING')
+      };
+    }
+
+    return this.mappings;
+  }
+
+  /**
+   * Read the user's groups from the configured claim
+   * @param {Object} claims - ID token and userinfo claims
+   * @returns {Array<string>}
+   */
+  getGroups(claims) {
+    const groups = claims[OIDC_CONFIG.GROUPS_CLAIM];
+    if (Array.isArray(groups)) return groups.map(String);
+    if (typeof groups === 'string') return groups.split(/[\s,]+/).filter(Boolean);
+    return [];
+  }
+
+  /**
+   * Map IdP groups to a role and designation
+   * The most privileged mapped role wins; the first mapped designation wins.
+   * @param {Array<string>} groups - IdP groups
+   * @returns {Object} { role, designation } (null where nothing matched)
+   */
+  mapGroups(groups) {
+    const { roles, designations } = this.getMappings();
+
+    const mappedRoles = groups.map(group => roles[group]).filter(Boolean);
+    const role = ROLE_PRECEDENCE.find(candidate => mappedRoles.includes(candidate)) || null;
+    const designation = groups.map(group => designations[group]).find(Boolean) || null;
+
+    return { role, designation };
+  }
+}
+
+// Create singleton instance
+const oidcClient = new OidcClient();
+
+export default oidcClient;
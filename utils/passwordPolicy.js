@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Setting from '../models/Setting.js';
+
+/**
+ * Password Policy
+ * Checks candidate passwords against the organization's configurable policy
+ * (Setting.passwordPolicy). Password history is checked separately by
+ * User#isPasswordReused because it needs the user's stored hashes.
+ */
+
+const COMMON_PASSWORDS_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../config/common-passwords.txt'
+);
+
+let commonPasswords = null;
+
+/**
+ * Load the bundled common-password list once
+ * @returns {Set<string>}
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * Check whether a password appears in the bundled common-password list
+ * @param {string} password - Candidate password
+ * @returns {boolean}
+ */
+export const isCommonPassword = (password) => {
+  return getCommonPasswords().has(String(password).toLowerCase());
+};
+
+/**
+ * Get the current password policy
+ * @returns {Promise<Object>} Plain policy object
+ */
+export const getPasswordPolicy = async () => {
+  const settings = await Setting.getSettings();
+  return settings.passwordPolicy.toObject();
+};
+
+/**
+ * List the policy rules a password breaks
+ * @param {string} password - Candidate password
+ * @param {Object} policy - Password policy (see getPasswordPolicy)
+ * @returns {Array<string>} Human-readable violations; empty when the password is acceptable
+ */
+export const getPolicyViolations = (password, policy) => {
+  const violations = [];
+  const value = String(password || '');
+
+  if (value.length < policy.minLength) {
+    violations.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    violations.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    violations.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    violations.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    violations.push('Password must contain a symbol');
+  }
+  if (policy.disallowCommon && isCommonPassword(value)) {
+    violations.push('Password is too common');
+  }
+
+  return violations;
+};
+
+/**
+ * Check whether a user's password is older than the policy allows
+ * Users created before passwords were tracked fall back to their account creation date.
+ * @param {Object} user - User document
+ * @param {Object} policy - Password policy
+ * @returns {boolean}
+ */
+export const isPasswordExpired = (user, policy) => {
+  if (!policy.maxAgeDays) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!changedAt) return false;
+
+  return Date.now() - changedAt.getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+export default {
+  isCommonPassword,
+  getPasswordPolicy,
+  getPolicyViolations,
+  isPasswordExpired
+};
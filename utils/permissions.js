@@ -0,0 +1,130 @@
+import Role from '../models/Role.js';
+import Permission from '../models/Permission.js';
+import { PERMISSION_CONFIG } from '../config/constants.js';
+
+/**
+ * Permission Resolution
+ * Resolves what a user may do from the Role collection: the permissions of
+ * their built-in role (User.role) plus those of any custom roles
+ * (User.customRoles). Roles are few and read on every permission check, so
+ * they are cached in memory and reloaded after PERMISSION_CONFIG.CACHE_TTL_MS
+ * or when invalidatePermissionCache() is called.
+ *
+ * The built-in permissions and roles are seeded on the first load in each
+ * process, which also grants permissions added by a new release to the
+ * built-in roles that have them by default.
+ */
+
+let cache = null;
+let pendingLoad = null;
+let defaultsSeeded = false;
+
+/**
+ * Load every role, seeding the built-in ones first if this process has not yet
+ * @returns {Promise<Object>} { loadedAt, permissionsByKey, keyById }
+ */
+const loadRoles = async () => {
+  if (!defaultsSeeded) {
+    const addedPermissions = await Permission.seedDefaults();
+    await Role.seedDefaults({ addedPermissions });
+    defaultsSeeded = true;
+  }
+
+  const roles = await Role.find().select('key permissions').lean();
+
+  return {
+    loadedAt: Date.now(),
+    permissionsByKey: new Map(roles.map(role => [role.key, new Set(role.permissions)])),
+    keyById: new Map(roles.map(role => [role._id.toString(), role.key]))
+  };
+};
+
+/**
+ * Get the cached role definitions, loading them if missing or stale
+ * Concurrent callers share one load.
+ * @returns {Promise<Object>}
+ */
+const getRoleCache = async () => {
+  if (cache && Date.now() - cache.loadedAt < PERMISSION_CONFIG.CACHE_TTL_MS) {
+    return cache;
+  }
+
+  if (!pendingLoad) {
+    pendingLoad = loadRoles()
+      .then((result) => {
+        cache = result;
+        return result;
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+
+  return pendingLoad;
+};
+
+/**
+ * Drop the cached roles so the next check reads the database
+ * Call after changing roles or permissions.
+ */
+export const invalidatePermissionCache = () => {
+  cache = null;
+};
+
+/**
+ * Get the keys of every role a user holds: the built-in role first, then custom roles
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>}
+ */
+export const getUserRoleKeys = async (user) => {
+  const customRoles = user.customRoles || [];
+  if (customRoles.length === 0) {
+    return [user.role];
+  }
+
+  const { keyById } = await getRoleCache();
+  const customKeys = customRoles
+    .map(role => keyById.get((role._id || role).toString()))
+    .filter(Boolean);
+
+  return [user.role, ...customKeys];
+};
+
+/**
+ * Get every permission granted to a user by their roles
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>}
+ */
+export const getEffectivePermissions = async (user) => {
+  const [roleKeys, { permissionsByKey }] = await Promise.all([
+    getUserRoleKeys(user),
+    getRoleCache()
+  ]);
+
+  const permissions = new Set();
+  for (const key of roleKeys) {
+    for (const permission of permissionsByKey.get(key) || []) {
+      permissions.add(permission);
+    }
+  }
+
+  return [...permissions].sort();
+};
+
+/**
+ * Check whether a user's roles grant a permission
+ * @param {Object} user - User document
+ * @param {string} action - Permission key
+ * @returns {Promise<boolean>}
+ */
+export const hasPermission = async (user, action) => {
+  const permissions = await getEffectivePermissions(user);
+  return permissions.includes(action);
+};
+
+export default {
+  invalidatePermissionCache,
+  getUserRoleKeys,
+  getEffectivePermissions,
+  hasPermission
+};
@@ -0,0 +1,183 @@
+import Skill from '../models/Skill.js';
+import { SKILL_LEVELS, SKILL_MATCH_CONFIG } from '../config/constants.js';
+
+/**
+ * Skill Matching
+ * Connects the Skill catalog to employees and tasks: the `skills=react:3,node`
+ * employee filter, and ranking assignees for a task. A task's tags are looked
+ * up against skill names and aliases; its category against the same, plus
+ * each skill's own category.
+ */
+
+// `name` or `name:level`; names may contain spaces and symbols (C++, C#, Node.js)
+const REQUIREMENT_PATTERN = /^(.+?)(?::(\d+))?$/;
+
+/**
+ * Parse one `name` or `name:level` entry
+ * @param {string} entry - Skill entry
+ * @returns {Object} { name, level } with level null when not given
+ * @throws {Error} On an empty name or a level outside SKILL_LEVELS
+ */
+export const parseSkillEntry = (entry) => {
+  const match = String(entry).trim().match(REQUIREMENT_PATTERN);
+  const name = match ? Skill.normalizeName(match[1]) : '';
+  if (!name) {
+    throw new Error('Skill entries must look like name or name:level');
+  }
+
+  const level = match[2] === undefined ? null : parseInt(match[2]);
+  if (level !== null && (level < SKILL_LEVELS.BEGINNER || level > SKILL_LEVELS.EXPERT)) {
+    throw new Error(`Skill levels must be between ${SKILL_LEVELS.BEGINNER} and ${SKILL_LEVELS.EXPERT}`);
+  }
+
+  return { name, level };
+};
+
+/**
+ * Parse a skill filter such as "react:3,node:2,docker"
+ * @param {string} text - Comma separated entries
+ * @returns {Array<Object>} [{ name, level }]
+ */
+export const parseSkillFilter = (text) => String(text).split(',').map(parseSkillEntry);
+
+/**
+ * Build the User query conditions for a skill filter
+ * Every requirement must be met; an unknown skill matches nobody.
+ * @param {string} text - Filter as accepted by parseSkillFilter
+ * @returns {Promise<Array<Object>>} Conditions to combine with $and
+ */
+export const buildSkillConditions = async (text) => {
+  const requirements = parseSkillFilter(text);
+  const skills = await Skill.findByTerms(requirements.map(requirement => requirement.name));
+
+  return requirements.map(({ name, level }) => ({
+    skills: {
+      $elemMatch: {
+        skill: { $in: skills.filter(skill => skill.matches(name)).map(skill => skill._id) },
+        ...(level !== null && { level: { $gte: level } })
+      }
+    }
+  }));
+};
+
+/**
+ * Resolve the skills a task calls for
+ * @param {Object} task - Task document
+ * @returns {Promise<Object>} { tagSkills, categorySkills, unmatchedTags }
+ */
+export const getTaskSkills = async (task) => {
+  const tags = task.tags || [];
+  const category = task.category?.toLowerCase() || null;
+
+  const [termSkills, categorySkills] = await Promise.all([
+    Skill.findByTerms(category ? [...tags, category] : tags),
+    category ? Skill.find({ category, isActive: true }) : []
+  ]);
+
+  const activeTermSkills = termSkills.filter(skill => skill.isActive);
+  const tagSkills = activeTermSkills.filter(skill => tags.some(tag => skill.matches(tag)));
+  const tagSkillIds = new Set(tagSkills.map(skill => skill._id.toString()));
+
+  // Skills named after the category count towards it too, unless a tag already asks for them
+  const byCategory = new Map();
+  for (const skill of [...categorySkills, ...activeTermSkills.filter(skill => skill.matches(category))]) {
+    if (!tagSkillIds.has(skill._id.toString())) {
+      byCategory.set(skill._id.toString(), skill);
+    }
+  }
+
+  return {
+    tagSkills,
+    categorySkills: [...byCategory.values()],
+    unmatchedTags: tags.filter(tag => !termSkills.some(skill => skill.matches(tag)))
+  };
+};
+
+/**
+ * Credit for holding a skill, between 0 and 1
+ * Level counts most; years of experience add up to one more level.
+ * @param {Object} entry - User skill entry { level, years }
+ * @returns {number}
+ */
+const skillCredit = (entry) => {
+  if (!entry) return 0;
+
+  const years = Math.min(entry.years || 0, SKILL_MATCH_CONFIG.MAX_EXPERIENCE_YEARS);
+  return (entry.level + years / SKILL_MATCH_CONFIG.MAX_EXPERIENCE_YEARS) / (SKILL_LEVELS.EXPERT + 1);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Score and order candidate assignees for a task
+ * Each part of the score is between 0 and 1 and weighted by
+ * SKILL_MATCH_CONFIG.WEIGHTS; parts that do not apply to the task (no tag or
+ * category skills) are left out and the rest rescaled.
+ * @param {Object} taskSkills - From getTaskSkills
+ * @param {Array<Object>} candidates - Users with `skills` (unpopulated)
+ * @param {Map<string, number>} openTaskCounts - Open tasks per user ID
+ * @returns {Array<Object>} Candidates with their score breakdown, best first
+ */
+export const rankAssignees = ({ tagSkills, categorySkills }, candidates, openTaskCounts) => {
+  const { WEIGHTS, FULL_WORKLOAD_TASKS } = SKILL_MATCH_CONFIG;
+  const totalWeight = WEIGHTS.WORKLOAD +
+    (tagSkills.length > 0 ? WEIGHTS.TAGS : 0) +
+    (categorySkills.length > 0 ? WEIGHTS.CATEGORY : 0);
+
+  const ranked = candidates.map((candidate) => {
+    // Free-text skills from before the catalog (see migrate:skills) are ignored
+    const held = new Map((candidate.skills || [])
+      .filter(entry => entry?.skill)
+      .map(entry => [entry.skill.toString(), entry]));
+    const describe = (skill) => {
+      const entry = held.get(skill._id.toString());
+      return { skill: skill._id, name: skill.name, level: entry.level, years: entry.years ?? null };
+    };
+
+    const matchedSkills = tagSkills.filter(skill => held.has(skill._id.toString()));
+    const categoryMatches = categorySkills.filter(skill => held.has(skill._id.toString()));
+    const openTasks = openTaskCounts.get(candidate._id.toString()) || 0;
+
+    const tagScore = tagSkills.length > 0
+      ? tagSkills.reduce((sum, skill) => sum + skillCredit(held.get(skill._id.toString())), 0) / tagSkills.length
+      : 0;
+    const categoryScore = Math.max(0, ...categoryMatches.map(skill => skillCredit(held.get(skill._id.toString()))));
+    const workloadScore = Math.max(0, 1 - openTasks / FULL_WORKLOAD_TASKS);
+
+    const score = (
+      (tagSkills.length > 0 ? WEIGHTS.TAGS * tagScore : 0) +
+      (categorySkills.length > 0 ? WEIGHTS.CATEGORY * categoryScore : 0) +
+      WEIGHTS.WORKLOAD * workloadScore
+    ) / totalWeight;
+
+    return {
+      employee: candidate,
+      score: round(score),
+      breakdown: {
+        tags: tagSkills.length > 0 ? round(tagScore) : null,
+        category: categorySkills.length > 0 ? round(categoryScore) : null,
+        workload: round(workloadScore)
+      },
+      matchedSkills: matchedSkills.map(describe),
+      missingSkills: tagSkills
+        .filter(skill => !held.has(skill._id.toString()))
+        .map(skill => ({ skill: skill._id, name: skill.name })),
+      categorySkills: categoryMatches.map(describe),
+      openTasks
+    };
+  });
+
+  return ranked.sort((a, b) =>
+    b.score - a.score ||
+    a.openTasks - b.openTasks ||
+    `${a.employee.firstName} ${a.employee.lastName}`.localeCompare(`${b.employee.firstName} ${b.employee.lastName}`)
+  );
+};
+
+export default {
+  parseSkillEntry,
+  parseSkillFilter,
+  buildSkillConditions,
+  getTaskSkills,
+  rankAssignees
+};
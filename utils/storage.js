@@ -0,0 +1,123 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { STORAGE_CONFIG } from '../config/constants.js';
+
+/**
+ * File Storage
+ * Uploaded files (avatars, HR documents) go through a storage driver chosen
+ * by STORAGE_CONFIG.DRIVER. A driver implements:
+ *
+ *   put(key, buffer, { contentType })  -> Promise<void>
+ *   get(key)                           -> Promise<Readable|null> (null if missing)
+ *   delete(key)                        -> Promise<void> (no error if missing)
+ *
+ * Keys are slash-separated relative paths such as `avatars/<userId>/<id>.webp`.
+ * Other backends (S3, GCS, ...) plug in through registerStorageDriver.
+ */
+
+/**
+ * Local disk driver
+ * Stores files under a root directory; keys map to relative paths.
+ */
+class LocalStorageDriver {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a key to an absolute path inside the root
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+const driverFactories = new Map([
+  ['local', () => new LocalStorageDriver(STORAGE_CONFIG.LOCAL_ROOT)]
+]);
+
+let storage = null;
+
+/**
+ * Register a storage driver factory
+ * Call before the first getStorage(), e.g. at startup.
+ * @param {string} name - Driver name used in STORAGE_DRIVER
+ * @param {Function} factory - Returns a driver instance
+ */
+export const registerStorageDriver = (name, factory) => {
+  driverFactories.set(name, factory);
+};
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} Storage driver
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const factory = driverFactories.get(STORAGE_CONFIG.DRIVER);
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${STORAGE_CONFIG.DRIVER}`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+/**
+ * Generate a unique storage key
+ * @param {string} prefix - Folder, e.g. `documents/<userId>`
+ * @param {string} extension - File extension including the dot, e.g. '.pdf'
+ * @returns {string}
+ */
+export const generateStorageKey = (prefix, extension = '') => {
+  return `${prefix}/${crypto.randomBytes(16).toString('hex')}${extension.toLowerCase()}`;
+};
+
+/**
+ * Delete stored files, logging rather than throwing on failure
+ * Used when replacing or cleaning up files whose records are already gone.
+ * @param {Array<string>} keys - Storage keys
+ */
+export const removeStoredFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getStorage().delete(key);
+    } catch (error) {
+      console.error(`Storage delete error (${key}):`, error);
+    }
+  }
+};
+
+export default {
+  registerStorageDriver,
+  getStorage,
+  generateStorageKey,
+  removeStoredFiles
+};
@@ -0,0 +1,106 @@
+import { SEARCH_CONFIG } from '../config/constants.js';
+
+/**
+ * Text Search Helpers
+ * Escaping for user input that ends up in a regular expression, and the
+ * snippets shown with full-text search results. Search terms are matched
+ * against the start of words, ignoring common English endings, so snippets
+ * still highlight words MongoDB matched through stemming (`deploy` finds
+ * "deployment").
+ */
+
+/**
+ * Escape text so it matches literally inside a regular expression
+ * @param {string} value - User input
+ * @returns {string}
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive regular expression matching user input literally
+ * @param {string} value - User input
+ * @returns {RegExp}
+ */
+export const searchRegex = (value) => new RegExp(escapeRegex(String(value).trim()), 'i');
+
+/**
+ * Split a $text query into the words to highlight
+ * Negated words (`-draft`) and single characters are dropped; quoted phrases
+ * count word by word.
+ * @param {string} query - Search query as sent to $text
+ * @returns {Array<string>} Lowercased stems, longest first
+ */
+export const parseSearchTerms = (query) => {
+  const stems = String(query)
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .flatMap(word => word.toLowerCase().split(/[^\p{L}\p{N}]+/u))
+    .filter(word => word.length > 1)
+    .map(word => (word.length > 5 ? word.replace(/(ing|ed)$/, '') : word))
+    .map(word => (word.length > 3 ? word.replace(/s$/, '') : word));
+
+  return [...new Set(stems)].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Build a snippet of text around the first matching term
+ * @param {string} text - Field value
+ * @param {Array<string>} terms - From parseSearchTerms
+ * @returns {Object|null} { snippet, highlights: [{ start, end }] } with offsets into snippet, or null when nothing matches
+ */
+export const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const matches = [...String(text).matchAll(pattern)];
+  if (matches.length === 0) return null;
+
+  // Centre the window on the first match, then show whole words only
+  let start = Math.max(0, matches[0].index - Math.floor(SEARCH_CONFIG.SNIPPET_LENGTH / 3));
+  let end = Math.min(text.length, start + SEARCH_CONFIG.SNIPPET_LENGTH);
+  start = Math.max(0, end - SEARCH_CONFIG.SNIPPET_LENGTH);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = matches
+    .filter(match => match.index >= start && match.index + match[0].length <= end)
+    .map(match => ({
+      start: match.index - start + prefix.length,
+      end: match.index - start + prefix.length + match[0].length
+    }));
+
+  return { snippet, highlights };
+};
+
+/**
+ * Snippets for the fields of a result that contain a search term
+ * @param {Object} record - Search result
+ * @param {Array<string>} fields - Paths to check in order, e.g. ['title', 'description']
+ * @param {Array<string>} terms - From parseSearchTerms
+ * @returns {Array<Object>} [{ field, snippet, highlights }], at most MAX_SNIPPETS
+ */
+export const buildSnippets = (record, fields, terms) => {
+  const snippets = [];
+
+  for (const field of fields) {
+    const values = [].concat(record[field] ?? []);
+    for (const value of values) {
+      const snippet = buildSnippet(value, terms);
+      if (snippet) snippets.push({ field, ...snippet });
+      if (snippets.length >= SEARCH_CONFIG.MAX_SNIPPETS) return snippets;
+    }
+  }
+
+  return snippets;
+};
+
+export default {
+  escapeRegex,
+  searchRegex,
+  parseSearchTerms,
+  buildSnippet,
+  buildSnippets
+};
@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { TWO_FACTOR_CONFIG } from '../config/constants.js';
+
+dotenv.config();
+
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226),
+ * plus encryption of the shared secrets stored on user records.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random base32 shared secret
+ * @returns {string}
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Compute the HOTP value for a counter
+ * @param {string} secret - Base32 shared secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+export const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation (RFC 4226, section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TWO_FACTOR_CONFIG.DIGITS).padStart(TWO_FACTOR_CONFIG.DIGITS, '0');
+};
+
+/**
+ * Get the time step for a moment in time
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number}
+ */
+export const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TWO_FACTOR_CONFIG.PERIOD_SECONDS);
+};
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 shared secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateHotp(secret, getTimeStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code within the configured drift window
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { timestamp, afterStep } where afterStep rejects replayed codes
+ * @returns {number|null} The matched time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, options = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TWO_FACTOR_CONFIG.DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(options.timestamp);
+  const afterStep = options.afterStep ?? -1;
+
+  for (let drift = -TWO_FACTOR_CONFIG.WINDOW; drift <= TWO_FACTOR_CONFIG.WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (step <= afterStep) continue;
+
+    const expected = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator app enrollment
+ * @param {string} secret - Base32 shared secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+  const issuer = TWO_FACTOR_CONFIG.ISSUER;
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR_CONFIG.DIGITS),
+    period: String(TWO_FACTOR_CONFIG.PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Derive the key used to encrypt secrets at rest
+ * @returns {Buffer}
+ */
+const getEncryptionKey = () => {
+  const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!keyMaterial) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET environment variable is required');
+  }
+
+  return crypto.createHash('sha256').update(`two-factor:${keyMaterial}`).digest();
+};
+
+/**
+ * Encrypt a shared secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 shared secret
+ * @returns {string} iv:authTag:ciphertext (hex)
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored shared secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} Base32 shared secret
+ */
+export const decryptSecret = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate human-friendly one-time recovery codes
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+ */
+export const generateRecoveryCodes = (count = TWO_FACTOR_CONFIG.RECOVERY_CODE_COUNT) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+/**
+ * Normalize a recovery code before hashing or comparison
+ * @param {string} code - Code entered by the user
+ * @returns {string}
+ */
+export const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+};
+
+export default {
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
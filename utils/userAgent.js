@@ -0,0 +1,64 @@
+/**
+ * User Agent Parsing
+ * Lightweight detection of browser, operating system and device type for session listings.
+ * Intentionally coarse: it only needs to help users recognise their own devices.
+ */
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/([\d.]+)/ },
+  { name: 'curl', pattern: /curl\/([\d.]+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Parse a User-Agent header
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} { browser, os, type }
+ */
+export const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', type: 'unknown' };
+  }
+
+  const browserMatch = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+  const osMatch = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+  let browser = 'Unknown';
+  if (browserMatch) {
+    const version = userAgent.match(browserMatch.pattern)[1].split('.')[0];
+    browser = `${browserMatch.name} ${version}`;
+  }
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(userAgent)) {
+    type = 'tablet';
+  } else if (/Mobi|iPhone|Android/.test(userAgent)) {
+    type = 'mobile';
+  } else if (!osMatch) {
+    type = 'other';
+  }
+
+  return {
+    browser,
+    os: osMatch ? osMatch.name : 'Unknown',
+    type
+  };
+};
+
+export default {
+  parseUserAgent
+};
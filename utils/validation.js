@@ -1,4 +1,8 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { getPasswordPolicy, getPolicyViolations } from './passwordPolicy.js';
+import { EXPORT_FORMATS, EXPORT_COLUMN_KEYS } from './employeeExport.js';
+import { parseSkillFilter } from './skillMatch.js';
+import { checkEmployeeIdSettings } from './employeeIds.js';
 import {
   USER_ROLES,
   USER_DESIGNATIONS,
@@ -6,7 +10,23 @@ import {
   NOTIFICATION_TYPES,
   HTTP_STATUS,
   ERROR_MESSAGES,
-  VALIDATION_RULES
+  VALIDATION_RULES,
+  INVITATION_STATUS,
+  PASSWORD_POLICY_LIMITS,
+  API_TOKEN_SCOPES,
+  API_TOKEN_CONFIG,
+  TWO_FACTOR_CONFIG,
+  SECURITY_EVENT_TYPES,
+  IMPERSONATION_CONFIG,
+  ORG_CHART_CONFIG,
+  SKILL_LEVELS,
+  SKILL_MATCH_CONFIG,
+  AVATAR_CONFIG,
+  EMPLOYEE_DOCUMENT_TYPES,
+  EMPLOYEE_HISTORY_FIELDS,
+  EMPLOYEE_CHANGE_STATUS,
+  EMPLOYEE_HISTORY_CONFIG,
+  SEARCH_CONFIG
 } from '../config/constants.js';
 
 /**
@@ -35,6 +55,64 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Password policy check for a body field
+ * Rules come from the admin-configurable policy in organization settings.
+ * @param {string} field - Body field holding the new password
+ */
+const passwordMeetsPolicy = (field) => body(field)
+  .notEmpty()
+  .withMessage('Password is required')
+  .isLength({ max: PASSWORD_POLICY_LIMITS.MAX_LENGTH })
+  .withMessage(`Password cannot exceed ${PASSWORD_POLICY_LIMITS.MAX_LENGTH} characters`)
+  .bail()
+  .custom(async (value) => {
+    const violations = getPolicyViolations(value, await getPasswordPolicy());
+    if (violations.length > 0) {
+      throw new Error(violations.join('. '));
+    }
+    return true;
+  });
+
+/**
+ * Employee skills: [{ skill (catalog ID), level?, years? }]
+ * @returns {Array}
+ */
+const employeeSkillFields = () => [
+  body('skills')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Skills must be an array of at most 50 entries'),
+
+  body('skills.*.skill')
+    .isMongoId()
+    .withMessage('Each skill must reference a skill ID'),
+
+  body('skills.*.level')
+    .optional()
+    .isInt({ min: SKILL_LEVELS.BEGINNER, max: SKILL_LEVELS.EXPERT })
+    .withMessage(`Skill level must be between ${SKILL_LEVELS.BEGINNER} and ${SKILL_LEVELS.EXPERT}`),
+
+  body('skills.*.years')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 50 })
+    .withMessage('Years of experience must be between 0 and 50')
+];
+
+/**
+ * Employee skill filter, e.g. `skills=react:3,node`
+ * @returns {Object} Validation chain
+ */
+const skillFilterQuery = () => query('skills')
+  .optional()
+  .isLength({ max: 500 })
+  .withMessage('Skill filter cannot exceed 500 characters')
+  .bail()
+  .custom((value) => {
+    parseSkillFilter(value);
+    return true;
+  });
+
 /**
  * User Registration Validation
  */
@@ -62,9 +140,99 @@ export const validateUserRegistration = [
     .isLength({ max: VALIDATION_RULES.EMAIL_MAX_LENGTH })
     .withMessage(`Email cannot exceed ${VALIDATION_RULES.EMAIL_MAX_LENGTH} characters`),
 
-  body('password')
-    .isLength({ min: VALIDATION_RULES.PASSWORD_MIN_LENGTH })
-    .withMessage(`Password must be at least ${VALIDATION_RULES.PASSWORD_MIN_LENGTH} characters long`),
+  passwordMeetsPolicy('password'),
+
+  body('role')
+    .optional()
+    .isIn(Object.values(USER_ROLES))
+    .withMessage(`Role must be one of: ${Object.values(USER_ROLES).join(', ')}`),
+
+  body('designation')
+    .notEmpty()
+    .withMessage('Designation is required')
+    .isIn(Object.values(USER_DESIGNATIONS))
+    .withMessage(`Designation must be one of: ${Object.values(USER_DESIGNATIONS).join(', ')}`),
+
+
+  body('department')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid department ID'),
+
+  body('salary')
+    .optional()
+    .isNumeric()
+    .withMessage('Salary must be a number')
+    .isFloat({ min: 0 })
+    .withMessage('Salary cannot be negative'),
+
+  ...employeeSkillFields(),
+
+  handleValidationErrors
+];
+
+/**
+ * Employee Import Options Validation
+ * Multipart fields, so booleans arrive as strings
+ */
+export const validateEmployeeImport = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean'),
+
+  body('sendWelcomeEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('sendWelcomeEmail must be a boolean'),
+
+  handleValidationErrors
+];
+
+/**
+ * Invited Registration Validation
+ * Email, role, designation, department and manager come from the invitation
+ */
+export const validateInvitedRegistration = [
+  body('inviteToken')
+    .notEmpty()
+    .withMessage('Invitation token is required')
+    .isHexadecimal()
+    .withMessage('Invalid invitation token'),
+
+  body('firstName')
+    .notEmpty()
+    .withMessage('First name is required')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage('First name can only contain letters and spaces'),
+
+  body('lastName')
+    .notEmpty()
+    .withMessage('Last name is required')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage('Last name can only contain letters and spaces'),
+
+  passwordMeetsPolicy('password'),
+
+  ...employeeSkillFields(),
+
+  handleValidationErrors
+];
+
+/**
+ * Invitation Creation Validation
+ */
+export const validateInvitationCreation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .isLength({ max: VALIDATION_RULES.EMAIL_MAX_LENGTH })
+    .withMessage(`Email cannot exceed ${VALIDATION_RULES.EMAIL_MAX_LENGTH} characters`),
 
   body('role')
     .optional()
@@ -73,110 +241,871 @@ export const validateUserRegistration = [
 
   body('designation')
     .notEmpty()
-    .withMessage('Designation is required')
-    .isIn(Object.values(USER_DESIGNATIONS))
-    .withMessage(`Designation must be one of: ${Object.values(USER_DESIGNATIONS).join(', ')}`),
+    .withMessage('Designation is required')
+    .isIn(Object.values(USER_DESIGNATIONS))
+    .withMessage(`Designation must be one of: ${Object.values(USER_DESIGNATIONS).join(', ')}`),
+
+  body('department')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid department ID'),
+
+  body('manager')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid manager ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Invitation Listing Validation
+ */
+export const validateInvitationQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .isIn(Object.values(INVITATION_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(INVITATION_STATUS).join(', ')}`),
+
+  query('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email address'),
+
+  handleValidationErrors
+];
+
+/**
+ * Invitation Lookup Validation
+ */
+export const validateInvitationLookup = [
+  query('token')
+    .notEmpty()
+    .withMessage('Invitation token is required')
+    .isHexadecimal()
+    .withMessage('Invalid invitation token'),
+
+  handleValidationErrors
+];
+
+/**
+ * User Login Validation
+ */
+export const validateUserLogin = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * User Update Validation
+ */
+export const validateUserUpdate = [
+  body('firstName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage('First name can only contain letters and spaces'),
+
+  body('lastName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage('Last name can only contain letters and spaces'),
+
+
+  body('designation')
+    .optional()
+    .isIn(Object.values(USER_DESIGNATIONS))
+    .withMessage(`Designation must be one of: ${Object.values(USER_DESIGNATIONS).join(', ')}`),
+
+  body('department')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid department ID'),
+
+  body('salary')
+    .optional()
+    .isNumeric()
+    .withMessage('Salary must be a number')
+    .isFloat({ min: 0 })
+    .withMessage('Salary cannot be negative'),
+
+  ...employeeSkillFields(),
+
+  // Recorded with salary, designation, department, role and manager changes
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  body('effectiveDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective date must be a valid date')
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Use POST /api/employees/:id/history to schedule a change for a future date');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+/**
+ * Password Change Validation
+ */
+export const validatePasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  passwordMeetsPolicy('newPassword'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match new password');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+/**
+ * Forgot Password Validation
+ */
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  handleValidationErrors
+];
+
+/**
+ * Password Reset Validation
+ */
+export const validatePasswordReset = [
+  body('resetToken')
+    .notEmpty()
+    .withMessage('Reset token is required')
+    .isHexadecimal()
+    .withMessage('Invalid reset token format'),
+
+  passwordMeetsPolicy('newPassword'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match new password');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+/**
+ * Email Verification Validation
+ */
+export const validateEmailVerification = [
+  body('verificationToken')
+    .notEmpty()
+    .withMessage('Verification token is required')
+    .isHexadecimal()
+    .withMessage('Invalid verification token format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Organization Settings Update Validation
+ */
+export const validateSettingsUpdate = [
+  body('emailVerification.requiredForLogin')
+    .optional()
+    .isBoolean()
+    .withMessage('emailVerification.requiredForLogin must be a boolean'),
+
+  body('emailVerification.requiredForTaskAssignment')
+    .optional()
+    .isBoolean()
+    .withMessage('emailVerification.requiredForTaskAssignment must be a boolean'),
+
+  body('passwordPolicy.minLength')
+    .optional()
+    .isInt({ min: PASSWORD_POLICY_LIMITS.MIN_LENGTH, max: PASSWORD_POLICY_LIMITS.MAX_LENGTH })
+    .withMessage(`passwordPolicy.minLength must be between ${PASSWORD_POLICY_LIMITS.MIN_LENGTH} and ${PASSWORD_POLICY_LIMITS.MAX_LENGTH}`),
+
+  body([
+    'passwordPolicy.requireUppercase',
+    'passwordPolicy.requireLowercase',
+    'passwordPolicy.requireNumber',
+    'passwordPolicy.requireSymbol',
+    'passwordPolicy.disallowCommon'
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage('Password policy character and common-password rules must be booleans'),
+
+  body('passwordPolicy.historyCount')
+    .optional()
+    .isInt({ min: 0, max: PASSWORD_POLICY_LIMITS.MAX_HISTORY })
+    .withMessage(`passwordPolicy.historyCount must be between 0 and ${PASSWORD_POLICY_LIMITS.MAX_HISTORY}`),
+
+  body('passwordPolicy.maxAgeDays')
+    .optional()
+    .isInt({ min: 0, max: PASSWORD_POLICY_LIMITS.MAX_AGE_DAYS })
+    .withMessage(`passwordPolicy.maxAgeDays must be between 0 and ${PASSWORD_POLICY_LIMITS.MAX_AGE_DAYS}`),
+
+  body('twoFactor.requiredRoles')
+    .optional()
+    .isArray()
+    .withMessage('twoFactor.requiredRoles must be an array'),
+
+  body('twoFactor.requiredRoles.*')
+    .isIn([USER_ROLES.ADMIN, USER_ROLES.PROJECT_MANAGER])
+    .withMessage('Two-factor authentication can only be required for admin and project_manager roles'),
+
+  body('employeeIds.resetYearly')
+    .optional()
+    .isBoolean()
+    .withMessage('employeeIds.resetYearly must be a boolean'),
+
+  // Checked together with the stored values, since either may change alone
+  body('employeeIds')
+    .optional()
+    .isObject()
+    .withMessage('employeeIds must be an object')
+    .bail()
+    .custom(async ({ format, resetYearly }) => {
+      const updates = Object.fromEntries(
+        Object.entries({ format, resetYearly }).filter(([, value]) => value !== undefined)
+      );
+      const error = await checkEmployeeIdSettings(updates);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+/**
+ * API Token Creation Validation
+ */
+const apiTokenFields = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot exceed 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(Object.values(API_TOKEN_SCOPES))
+    .withMessage(`Scopes must be among: ${Object.values(API_TOKEN_SCOPES).join(', ')}`),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: API_TOKEN_CONFIG.MAX_EXPIRES_DAYS })
+    .withMessage(`expiresInDays must be between 1 and ${API_TOKEN_CONFIG.MAX_EXPIRES_DAYS}`)
+];
+
+export const validateApiTokenCreation = [
+  ...apiTokenFields,
+
+  handleValidationErrors
+];
+
+/**
+ * Service Key Creation Validation
+ */
+export const validateServiceKeyCreation = [
+  ...apiTokenFields,
+
+  body('userId')
+    .isMongoId()
+    .withMessage('userId must be the ID of the account the key acts as'),
+
+  handleValidationErrors
+];
+
+/**
+ * API Token Listing Validation
+ */
+export const validateApiTokenQuery = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid userId format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-Factor Code Validation
+ */
+export const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .isNumeric({ no_symbols: true })
+    .withMessage('Code must contain only digits')
+    .isLength({ min: TWO_FACTOR_CONFIG.DIGITS, max: TWO_FACTOR_CONFIG.DIGITS })
+    .withMessage(`Code must be ${TWO_FACTOR_CONFIG.DIGITS} digits`),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-Factor Login Validation
+ * Accepts either an authenticator code or a recovery code
+ */
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .optional()
+    .trim()
+    .isNumeric({ no_symbols: true })
+    .withMessage('Code must contain only digits')
+    .isLength({ min: TWO_FACTOR_CONFIG.DIGITS, max: TWO_FACTOR_CONFIG.DIGITS })
+    .withMessage(`Code must be ${TWO_FACTOR_CONFIG.DIGITS} digits`),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code cannot be empty'),
+
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Either code or recoveryCode is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-Factor Disable Validation
+ */
+export const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body('code')
+    .optional()
+    .trim()
+    .isNumeric({ no_symbols: true })
+    .withMessage('Code must contain only digits')
+    .isLength({ min: TWO_FACTOR_CONFIG.DIGITS, max: TWO_FACTOR_CONFIG.DIGITS })
+    .withMessage(`Code must be ${TWO_FACTOR_CONFIG.DIGITS} digits`),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code cannot be empty'),
+
+  body()
+    .custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Either code or recoveryCode is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Session Listing Validation
+ */
+export const validateSessionQuery = [
+  query('userId')
+    .optional()
+    .isString()
+    .withMessage('userId must be a single ID')
+    .bail()
+    .isMongoId()
+    .withMessage('Invalid userId format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Security Event Query Validation
+ */
+export const validateSecurityEventQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('type')
+    .optional()
+    .isIn(Object.values(SECURITY_EVENT_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(SECURITY_EVENT_TYPES).join(', ')}`),
+
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  query('ip')
+    .optional()
+    .isIP()
+    .withMessage('Invalid IP address'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+
+  handleValidationErrors
+];
+
+/**
+ * Forced Password Reset Validation
+ */
+export const validateForcePasswordReset = [
+  body('sendEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('sendEmail must be a boolean')
+    .toBoolean(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Permission Creation Validation
+ */
+export const validatePermissionCreation = [
+  body('key')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Permission key may only contain lowercase letters, numbers and underscores')
+    .isLength({ max: 50 })
+    .withMessage('Permission key cannot exceed 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Permission Update Validation
+ */
+export const validatePermissionUpdate = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Role fields shared by creation and update
+ * @param {boolean} isUpdate - Whether fields are optional
+ * @returns {Array}
+ */
+const roleFields = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Role name is required')
+    .isLength({ max: 100 })
+    .withMessage('Role name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+
+  body('permissions.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .withMessage('Each permission must be a permission key')
+];
+
+/**
+ * Role Creation Validation
+ */
+export const validateRoleCreation = [
+  body('key')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Role key may only contain lowercase letters, numbers and underscores')
+    .isLength({ max: 50 })
+    .withMessage('Role key cannot exceed 50 characters'),
+
+  ...roleFields(false),
+
+  handleValidationErrors
+];
+
+/**
+ * Role Update Validation
+ */
+export const validateRoleUpdate = [
+  ...roleFields(true),
+
+  handleValidationErrors
+];
+
+/**
+ * Custom Role Assignment Validation
+ */
+export const validateRoleAssignment = [
+  body('roles')
+    .isArray()
+    .withMessage('Roles must be an array of role IDs'),
+
+  body('roles.*')
+    .isMongoId()
+    .withMessage('Invalid role ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * SSO Callback Validation
+ */
+export const validateOidcCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Impersonation Start Validation
+ */
+export const validateImpersonationStart = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to impersonate a user')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  body('expiresInMinutes')
+    .optional()
+    .isInt({ min: 1, max: IMPERSONATION_CONFIG.MAX_MINUTES })
+    .withMessage(`expiresInMinutes must be between 1 and ${IMPERSONATION_CONFIG.MAX_MINUTES}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Org Chart Query Validation
+ */
+export const validateOrgChartQuery = [
+  query('root')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid root employee ID'),
+
+  query('department')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid department ID'),
+
+  query('depth')
+    .optional()
+    .isInt({ min: 1, max: ORG_CHART_CONFIG.MAX_DEPTH })
+    .withMessage(`Depth must be between 1 and ${ORG_CHART_CONFIG.MAX_DEPTH}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Reports Query Validation
+ */
+export const validateReportsQuery = [
+  query('depth')
+    .optional()
+    .isInt({ min: 1, max: ORG_CHART_CONFIG.MAX_DEPTH })
+    .withMessage(`Depth must be between 1 and ${ORG_CHART_CONFIG.MAX_DEPTH}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Department fields shared by creation and update
+ * @param {boolean} isUpdate - Whether fields are optional
+ * @returns {Array}
+ */
+const departmentFields = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Department name is required')
+    .isLength({ max: 100 })
+    .withMessage('Department name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('head')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid department head ID'),
+
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent department ID'),
+
+  body('costCenter')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Cost center cannot exceed 50 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+/**
+ * Department Creation Validation
+ */
+export const validateDepartmentCreation = [
+  ...departmentFields(false),
+
+  handleValidationErrors
+];
+
+/**
+ * Department Update Validation
+ */
+export const validateDepartmentUpdate = [
+  ...departmentFields(true),
+
+  handleValidationErrors
+];
+
+/**
+ * Department Listing Validation
+ */
+export const validateDepartmentQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('parent')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid parent department ID'),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search query cannot exceed 100 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Skill fields shared by creation and update
+ * Commas and semicolons separate skills in filters and imports, so names cannot contain them.
+ * @param {boolean} isUpdate - Whether fields are optional
+ * @returns {Array}
+ */
+const skillFields = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Skill name is required')
+    .isLength({ max: 50 })
+    .withMessage('Skill name cannot exceed 50 characters')
+    .matches(/^[^,;|]+$/)
+    .withMessage('Skill name cannot contain commas, semicolons or pipes'),
+
+  body('aliases')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Aliases must be an array of at most 20 entries'),
+
+  body('aliases.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Aliases cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Alias cannot exceed 50 characters')
+    .matches(/^[^,;|]+$/)
+    .withMessage('Aliases cannot contain commas, semicolons or pipes'),
 
+  body('category')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category cannot exceed 50 characters'),
 
-  body('department')
+  body('description')
     .optional()
-    .isLength({ max: 100 })
-    .withMessage('Department name cannot exceed 100 characters'),
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
 
-  body('salary')
+  body('isActive')
     .optional()
-    .isNumeric()
-    .withMessage('Salary must be a number')
-    .isFloat({ min: 0 })
-    .withMessage('Salary cannot be negative'),
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
 
+/**
+ * Skill Creation Validation
+ */
+export const validateSkillCreation = [
+  ...skillFields(false),
   handleValidationErrors
 ];
 
 /**
- * User Login Validation
+ * Skill Update Validation
  */
-export const validateUserLogin = [
-  body('email')
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
-
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required'),
-
+export const validateSkillUpdate = [
+  ...skillFields(true),
   handleValidationErrors
 ];
 
 /**
- * User Update Validation
+ * Skill Query Validation
  */
-export const validateUserUpdate = [
-  body('firstName')
-    .optional()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('First name must be between 2 and 50 characters')
-    .matches(/^[a-zA-Z\s]+$/)
-    .withMessage('First name can only contain letters and spaces'),
-
-  body('lastName')
-    .optional()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Last name must be between 2 and 50 characters')
-    .matches(/^[a-zA-Z\s]+$/)
-    .withMessage('Last name can only contain letters and spaces'),
-
-
-  body('designation')
+export const validateSkillQuery = [
+  query('page')
     .optional()
-    .isIn(Object.values(USER_DESIGNATIONS))
-    .withMessage(`Designation must be one of: ${Object.values(USER_DESIGNATIONS).join(', ')}`),
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
 
-  body('department')
+  query('limit')
     .optional()
-    .isLength({ max: 100 })
-    .withMessage('Department name cannot exceed 100 characters'),
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
 
-  body('salary')
+  query('category')
     .optional()
-    .isNumeric()
-    .withMessage('Salary must be a number')
-    .isFloat({ min: 0 })
-    .withMessage('Salary cannot be negative'),
+    .isLength({ max: 50 })
+    .withMessage('Category cannot exceed 50 characters'),
 
-  body('skills')
+  query('isActive')
     .optional()
-    .isArray()
-    .withMessage('Skills must be an array'),
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
 
-  body('skills.*')
+  query('search')
     .optional()
-    .isString()
-    .withMessage('Each skill must be a string'),
+    .isLength({ max: 100 })
+    .withMessage('Search query cannot exceed 100 characters'),
 
   handleValidationErrors
 ];
 
 /**
- * Password Change Validation
+ * Suggested Assignees Query Validation
  */
-export const validatePasswordChange = [
-  body('currentPassword')
-    .notEmpty()
-    .withMessage('Current password is required'),
-
-  body('newPassword')
-    .isLength({ min: VALIDATION_RULES.PASSWORD_MIN_LENGTH })
-    .withMessage(`New password must be at least ${VALIDATION_RULES.PASSWORD_MIN_LENGTH} characters long`),
-
-  body('confirmPassword')
-    .custom((value, { req }) => {
-      if (value !== req.body.newPassword) {
-        throw new Error('Password confirmation does not match new password');
-      }
-      return true;
-    }),
+export const validateSuggestedAssigneesQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: SKILL_MATCH_CONFIG.MAX_SUGGESTIONS })
+    .withMessage(`Limit must be between 1 and ${SKILL_MATCH_CONFIG.MAX_SUGGESTIONS}`),
 
   handleValidationErrors
 ];
@@ -357,6 +1286,95 @@ export const validateQueryParams = [
     .isIn(Object.values(USER_ROLES))
     .withMessage(`Role must be one of: ${Object.values(USER_ROLES).join(', ')}`),
 
+  query('department')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid department ID'),
+
+  skillFilterQuery(),
+
+  handleValidationErrors
+];
+
+/**
+ * Employee Offboarding Validation
+ */
+export const validateOffboarding = [
+  body('handoverTo')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid handover user ID'),
+
+  body('newManager')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid manager ID'),
+
+  body('preview')
+    .optional()
+    .isBoolean()
+    .withMessage('preview must be a boolean'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Employee Export Validation
+ * Filters mirror the employee list endpoint
+ */
+export const validateEmployeeExport = [
+  query('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+
+  query('columns')
+    .optional()
+    // ?columns=a&columns=b arrives as an array
+    .customSanitizer(value => (Array.isArray(value) ? value.join(',') : value))
+    .custom((value) => {
+      const unknown = String(value).split(',')
+        .map(key => key.trim())
+        .filter(key => key && !EXPORT_COLUMN_KEYS.includes(key));
+
+      if (unknown.length > 0) {
+        throw new Error(`Unknown column(s): ${unknown.join(', ')}. Available: ${EXPORT_COLUMN_KEYS.join(', ')}`);
+      }
+      return true;
+    }),
+
+  query('role')
+    .optional()
+    .isIn(Object.values(USER_ROLES))
+    .withMessage(`Role must be one of: ${Object.values(USER_ROLES).join(', ')}`),
+
+  query('designation')
+    .optional()
+    .isIn(Object.values(USER_DESIGNATIONS))
+    .withMessage(`Designation must be one of: ${Object.values(USER_DESIGNATIONS).join(', ')}`),
+
+  query('department')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid department ID'),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  skillFilterQuery(),
+
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+
   handleValidationErrors
 ];
 
@@ -365,14 +1383,25 @@ export const validateQueryParams = [
  */
 export const validateSearchQuery = [
   query('q')
-    .optional()
+    .exists()
+    .withMessage('Search query is required')
+    .bail()
+    .isString()
+    .withMessage('Search query must be a single value')
+    .bail()
+    .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Search query must be between 1 and 100 characters'),
 
   query('type')
     .optional()
-    .isIn(['users', 'tasks', 'all'])
-    .withMessage('Search type must be one of: users, tasks, all'),
+    .isIn(SEARCH_CONFIG.TYPES)
+    .withMessage(`Search type must be one of: ${SEARCH_CONFIG.TYPES.join(', ')}`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: SEARCH_CONFIG.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${SEARCH_CONFIG.MAX_LIMIT}`),
 
   handleValidationErrors
 ];
@@ -400,6 +1429,18 @@ export const validateDateRange = [
   handleValidationErrors
 ];
 
+/**
+ * Attendance Query Validation
+ */
+export const validateAttendanceQuery = [
+  query('employee')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid employee ID'),
+
+  handleValidationErrors
+];
+
 /**
  * File Upload Validation
  */
@@ -412,6 +1453,189 @@ export const validateFileUpload = [
   handleValidationErrors
 ];
 
+/**
+ * Avatar Query Validation
+ */
+export const validateAvatarQuery = [
+  query('size')
+    .optional()
+    .isIn(['original', ...Object.keys(AVATAR_CONFIG.THUMBNAIL_SIZES)])
+    .withMessage(`Size must be one of: original, ${Object.keys(AVATAR_CONFIG.THUMBNAIL_SIZES).join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Employee document fields shared by upload and update
+ * Dates may be sent empty to clear them.
+ * @param {boolean} isUpdate - Whether the type is optional
+ * @returns {Array}
+ */
+const employeeDocumentFields = (isUpdate) => [
+  (isUpdate ? body('type').optional() : body('type'))
+    .isIn(Object.values(EMPLOYEE_DOCUMENT_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(EMPLOYEE_DOCUMENT_TYPES).join(', ')}`),
+
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('issuedAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('issuedAt must be a valid date'),
+
+  body('expiresAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+    .custom((value, { req }) => {
+      if (req.body.issuedAt && new Date(value) <= new Date(req.body.issuedAt)) {
+        throw new Error('expiresAt must be after issuedAt');
+      }
+      return true;
+    })
+];
+
+/**
+ * Employee Document Upload Validation
+ * Runs after the multipart body has been parsed
+ */
+export const validateDocumentUpload = [
+  ...employeeDocumentFields(false),
+  handleValidationErrors
+];
+
+/**
+ * Employee Document Update Validation
+ */
+export const validateDocumentUpdate = [
+  ...employeeDocumentFields(true),
+  handleValidationErrors
+];
+
+/**
+ * Employee Document List Validation
+ */
+export const validateDocumentQuery = [
+  query('type')
+    .optional()
+    .isIn(Object.values(EMPLOYEE_DOCUMENT_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(EMPLOYEE_DOCUMENT_TYPES).join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Expiring Documents Query Validation
+ */
+export const validateExpiringDocumentsQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+
+  handleValidationErrors
+];
+
+/**
+ * Employee History Query Validation
+ */
+export const validateEmployeeHistoryQuery = [
+  query('field')
+    .optional()
+    .isIn(EMPLOYEE_HISTORY_FIELDS)
+    .withMessage(`Field must be one of: ${EMPLOYEE_HISTORY_FIELDS.join(', ')}`),
+
+  query('status')
+    .optional()
+    .isIn(Object.values(EMPLOYEE_CHANGE_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(EMPLOYEE_CHANGE_STATUS).join(', ')}`),
+
+  query(['from', 'to', 'asOf'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+/**
+ * Scheduled Employee Change Validation
+ */
+export const validateScheduledChange = [
+  body('effectiveDate')
+    .notEmpty()
+    .withMessage('Effective date is required')
+    .isISO8601()
+    .withMessage('Effective date must be a valid date')
+    .custom((value) => {
+      const date = new Date(value);
+      if (date <= new Date()) {
+        throw new Error('Effective date must be in the future; use PUT /api/employees/:id for changes that apply now');
+      }
+      if (date > new Date(Date.now() + EMPLOYEE_HISTORY_CONFIG.MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000)) {
+        throw new Error(`Changes can be scheduled at most ${EMPLOYEE_HISTORY_CONFIG.MAX_SCHEDULE_DAYS} days ahead`);
+      }
+      return true;
+    }),
+
+  body()
+    .custom((value) => {
+      if (!EMPLOYEE_HISTORY_FIELDS.some(field => value[field] !== undefined)) {
+        throw new Error(`Provide at least one of: ${EMPLOYEE_HISTORY_FIELDS.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('salary')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Salary must be a non-negative number'),
+
+  body('designation')
+    .optional()
+    .isIn(Object.values(USER_DESIGNATIONS))
+    .withMessage(`Designation must be one of: ${Object.values(USER_DESIGNATIONS).join(', ')}`),
+
+  body('role')
+    .optional()
+    .isIn(Object.values(USER_ROLES))
+    .withMessage(`Role must be one of: ${Object.values(USER_ROLES).join(', ')}`),
+
+  body(['department', 'manager'])
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Must be a valid ID'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
 /**
  * Notification Validation
  */
@@ -443,14 +1667,6 @@ export const validateNotification = [
   handleValidationErrors
 ];
 
-/**
- * Custom validator for strong passwords
- */
-export const isStrongPassword = (value) => {
-  const regex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/;
-  return regex.test(value);
-};
-
 /**
  * Custom validator for work hours
  */
@@ -504,19 +1720,62 @@ export const validatePagination = (page = 1, limit = 10) => {
 export default {
   handleValidationErrors,
   validateUserRegistration,
+  validateEmployeeImport,
+  validateInvitedRegistration,
+  validateInvitationCreation,
+  validateInvitationQuery,
+  validateInvitationLookup,
   validateUserLogin,
   validateUserUpdate,
   validatePasswordChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateSettingsUpdate,
+  validateSessionQuery,
+  validateSecurityEventQuery,
+  validateForcePasswordReset,
+  validateImpersonationStart,
+  validateOidcCallback,
+  validatePermissionCreation,
+  validatePermissionUpdate,
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateRoleAssignment,
+  validateDepartmentCreation,
+  validateDepartmentUpdate,
+  validateDepartmentQuery,
+  validateSkillCreation,
+  validateSkillUpdate,
+  validateSkillQuery,
+  validateSuggestedAssigneesQuery,
+  validateOrgChartQuery,
+  validateReportsQuery,
+  validateApiTokenCreation,
+  validateServiceKeyCreation,
+  validateApiTokenQuery,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateTaskCreation,
   validateTaskUpdate,
   validateComment,
   validateObjectId,
   validateQueryParams,
+  validateEmployeeExport,
+  validateOffboarding,
   validateSearchQuery,
   validateDateRange,
+  validateAttendanceQuery,
   validateFileUpload,
+  validateAvatarQuery,
+  validateDocumentUpload,
+  validateDocumentUpdate,
+  validateDocumentQuery,
+  validateExpiringDocumentsQuery,
+  validateEmployeeHistoryQuery,
+  validateScheduledChange,
   validateNotification,
-  isStrongPassword,
   isValidWorkHours,
   sanitizeInput,
   validatePagination
@@ -0,0 +1,294 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { getEffectivePermissions, hasPermission } from './permissions.js';
+import { USER_ROLES, PERMISSIONS, SENSITIVE_EMPLOYEE_FIELDS } from '../config/constants.js';
+
+/**
+ * Visibility Policy
+ * Decides whose tasks, attendance and employee records a user may see and
+ * manage. Holders of the VIEW_ALL_EMPLOYEES permission (admins and project
+ * managers by default) see everything; everyone else sees their own records
+ * plus those of their direct and indirect reports, found by following
+ * User.manager down the org chart.
+ *
+ * Independently of whose records are visible, sensitive employee fields
+ * (SENSITIVE_EMPLOYEE_FIELDS) are masked unless the viewer is an admin, holds
+ * the field's permission, or is looking at their own record. HR documents
+ * follow the same rule with the MANAGE_EMPLOYEE_DOCUMENTS permission.
+ */
+
+// Reports are resolved once per authenticated user document, i.e. per request
+const reportCache = new WeakMap();
+
+/**
+ * Normalize a user, document or ID to an ID string
+ * @param {Object|string} value - User document, populated ref or ObjectId
+ * @returns {string|null}
+ */
+const toIdString = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+/**
+ * Check whether a user sees every record regardless of reporting lines
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+export const hasFullVisibility = async (user) => {
+  return hasPermission(user, PERMISSIONS.VIEW_ALL_EMPLOYEES);
+};
+
+/**
+ * Get the IDs of everyone who reports to a user, directly or indirectly
+ * @param {Object|string} userOrId - User document or ID
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ */
+export const getReportIds = async (userOrId) => {
+  const load = async () => {
+    const userId = new mongoose.Types.ObjectId(toIdString(userOrId));
+
+    const [result] = await User.aggregate([
+      { $match: { _id: userId } },
+      {
+        $graphLookup: {
+          from: User.collection.name,
+          startWith: '$_id',
+          connectFromField: '_id',
+          connectToField: 'manager',
+          as: 'reports'
+        }
+      },
+      { $project: { reportIds: '$reports._id' } }
+    ]);
+
+    // A manager cycle would otherwise make a user their own report
+    return (result?.reportIds || []).filter(id => !id.equals(userId));
+  };
+
+  if (typeof userOrId !== 'object' || !userOrId._id) {
+    return load();
+  }
+
+  if (!reportCache.has(userOrId)) {
+    reportCache.set(userOrId, load().catch((error) => {
+      reportCache.delete(userOrId);
+      throw error;
+    }));
+  }
+
+  return reportCache.get(userOrId);
+};
+
+/**
+ * Check whether a user manages anyone
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+export const isManager = async (user) => {
+  const reportIds = await getReportIds(user);
+  return reportIds.length > 0;
+};
+
+/**
+ * Check whether a user may manage another user's tasks and attendance
+ * @param {Object} user - Acting user
+ * @param {Object|string} targetUser - User document or ID
+ * @returns {Promise<boolean>}
+ */
+export const canManageUser = async (user, targetUser) => {
+  if (await hasFullVisibility(user)) return true;
+
+  const targetId = toIdString(targetUser);
+  if (!targetId) return false;
+
+  const reportIds = await getReportIds(user);
+  return reportIds.some(id => id.toString() === targetId);
+};
+
+/**
+ * Check whether a user may view another user's records
+ * @param {Object} user - Acting user
+ * @param {Object|string} targetUser - User document or ID
+ * @returns {Promise<boolean>}
+ */
+export const canViewUser = async (user, targetUser) => {
+  return toIdString(targetUser) === user._id.toString() || canManageUser(user, targetUser);
+};
+
+/**
+ * Get the IDs of every user whose records a user can see (themselves included)
+ * @param {Object} user - User document
+ * @returns {Promise<Array<mongoose.Types.ObjectId>|null>} null when visibility is unrestricted
+ */
+export const getVisibleUserIds = async (user) => {
+  if (await hasFullVisibility(user)) return null;
+
+  const reportIds = await getReportIds(user);
+  return [user._id, ...reportIds];
+};
+
+/**
+ * Build the query condition limiting tasks to those a user can see:
+ * tasks assigned to them or their reports, and tasks they created
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} null when visibility is unrestricted
+ */
+export const getTaskVisibilityFilter = async (user) => {
+  const visibleUserIds = await getVisibleUserIds(user);
+  if (!visibleUserIds) return null;
+
+  return {
+    $or: [
+      { assignedTo: { $in: visibleUserIds } },
+      { assignedBy: user._id }
+    ]
+  };
+};
+
+/**
+ * Check whether a user can see a task
+ * @param {Object} user - User document
+ * @param {Object} task - Task document (assignee and creator may be populated)
+ * @returns {Promise<boolean>}
+ */
+export const canViewTask = async (user, task) => {
+  return toIdString(task.assignedBy) === user._id.toString() ||
+    canViewUser(user, task.assignedTo);
+};
+
+/**
+ * Check whether a user can manage a task (edit any field, reassign, delete)
+ * Creators manage their own tasks; managers manage their reports' tasks.
+ * @param {Object} user - User document
+ * @param {Object} task - Task document (assignee and creator may be populated)
+ * @returns {Promise<boolean>}
+ */
+export const canManageTask = async (user, task) => {
+  return toIdString(task.assignedBy) === user._id.toString() ||
+    canManageUser(user, task.assignedTo);
+};
+
+/**
+ * Check whether a user may create tasks at all
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+export const canAssignTasks = async (user) => {
+  return (await hasFullVisibility(user)) || isManager(user);
+};
+
+/**
+ * Check whether a user may assign a task to someone
+ * Managers assign to themselves and their reports.
+ * @param {Object} user - Acting user
+ * @param {Object|string} assignee - User document or ID
+ * @returns {Promise<boolean>}
+ */
+export const canAssignTaskTo = async (user, assignee) => {
+  return canViewUser(user, assignee);
+};
+
+/**
+ * Build the query condition limiting attendance records to those a user can see
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} null when visibility is unrestricted
+ */
+export const getAttendanceVisibilityFilter = async (user) => {
+  const visibleUserIds = await getVisibleUserIds(user);
+  if (!visibleUserIds) return null;
+
+  return { employee: { $in: visibleUserIds } };
+};
+
+/**
+ * Get the sensitive employee fields a viewer may not see on other people's records
+ * @param {Object} viewer - User document
+ * @returns {Promise<Array<string>>}
+ */
+export const getMaskedFields = async (viewer) => {
+  if (viewer.role === USER_ROLES.ADMIN) return [];
+
+  const permissions = await getEffectivePermissions(viewer);
+  return Object.entries(SENSITIVE_EMPLOYEE_FIELDS)
+    .filter(([, permission]) => !permissions.includes(permission))
+    .map(([field]) => field);
+};
+
+/**
+ * Check whether a user may upload, edit and delete employees' HR documents
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+export const canManageEmployeeDocuments = async (user) => {
+  return hasPermission(user, PERMISSIONS.MANAGE_EMPLOYEE_DOCUMENTS);
+};
+
+/**
+ * Check whether a user may list and download an employee's HR documents
+ * @param {Object} user - User document
+ * @param {Object|string} employee - Employee document or ID
+ * @returns {Promise<boolean>}
+ */
+export const canViewEmployeeDocuments = async (user, employee) => {
+  return toIdString(employee) === user._id.toString() || canManageEmployeeDocuments(user);
+};
+
+/**
+ * Strip the sensitive fields a viewer may not see from records that are, or
+ * contain populated, users
+ * @param {Object} viewer - User document
+ * @param {Object|Array<Object>} records - Documents or plain objects
+ * @param {Array<string>} userPaths - Where users sit in each record ('' for the record itself)
+ * @returns {Promise<Object|Array<Object>>} Plain objects ready to send
+ */
+export const maskSensitiveFields = async (viewer, records, userPaths = ['']) => {
+  const maskedFields = await getMaskedFields(viewer);
+  const viewerId = viewer._id.toString();
+
+  const maskUser = (user) => {
+    if (!user || typeof user !== 'object' || toIdString(user) === viewerId) return;
+    for (const field of maskedFields) {
+      delete user[field];
+    }
+  };
+
+  const maskRecord = (record) => {
+    const plain = record && typeof record.toJSON === 'function' ? record.toJSON() : record;
+    if (!plain || maskedFields.length === 0) return plain;
+
+    for (const path of userPaths) {
+      // Walk the path through arrays too, e.g. 'comments.user'
+      const users = path
+        ? path.split('.').reduce(
+          (values, key) => values.flatMap(value => (value ? [].concat(value[key]) : [])),
+          [plain]
+        )
+        : [plain];
+      users.forEach(maskUser);
+    }
+
+    return plain;
+  };
+
+  return Array.isArray(records) ? records.map(maskRecord) : maskRecord(records);
+};
+
+export default {
+  hasFullVisibility,
+  getReportIds,
+  isManager,
+  canManageUser,
+  canViewUser,
+  getVisibleUserIds,
+  getTaskVisibilityFilter,
+  canViewTask,
+  canManageTask,
+  canAssignTasks,
+  canAssignTaskTo,
+  getAttendanceVisibilityFilter,
+  getMaskedFields,
+  canManageEmployeeDocuments,
+  canViewEmployeeDocuments,
+  maskSensitiveFields
+};